@@ -164,6 +164,10 @@ async function updateBuild(id, params) {
   return put(`/builds/${id}`, params);
 }
 
+async function promoteBuild(id) {
+  return post(`/builds/${id}/promote`);
+}
+
 async function fetchBuilds(query = {}) {
   return get('/builds', query).catch(() => []);
 }
@@ -200,6 +204,10 @@ async function deprovisionDomain(id) {
   return post(`/domains/${id}/deprovision`);
 }
 
+async function resetDomain(id) {
+  return post(`/domains/${id}/reset`);
+}
+
 async function destroyDomain(id) {
   return post(`/domains/${id}/destroy`);
 }
@@ -276,6 +284,14 @@ async function fetchSiteWebhooks(id) {
   return get(`/sites/${id}/webhooks`).catch(() => null);
 }
 
+async function fetchSiteStalePreviews(id) {
+  return get(`/sites/${id}/stale-previews`);
+}
+
+async function removeSiteStalePreviews(id) {
+  return destroy(`/sites/${id}/stale-previews`);
+}
+
 async function fetchRawSites() {
   return get('/sites/raw').catch(() => []);
 }
@@ -352,6 +368,7 @@ export {
   fetchMe,
   fetchBuildLogEventSource,
   fetchBuild,
+  promoteBuild,
   rebuildBuild,
   updateBuild,
   fetchBuilds,
@@ -363,6 +380,7 @@ export {
   fetchDomainDnsResult,
   provisionDomain,
   deprovisionDomain,
+  resetDomain,
   destroyDomain,
   fetchEvents,
   createOrganization,
@@ -382,6 +400,8 @@ export {
   fetchSites,
   createSiteWebhook,
   fetchSiteWebhooks,
+  fetchSiteStalePreviews,
+  removeSiteStalePreviews,
   fetchRawSites,
   fetchUserEnvironmentVariables,
   fetchUser,
@@ -1,5 +1,6 @@
-const domainBranch = (domain) => domain.SiteBranchConfig.branch;
-const domainContext = (domain) => domain.SiteBranchConfig.context;
+// Redirect domains have no site branch config
+const domainBranch = (domain) => domain.SiteBranchConfig?.branch;
+const domainContext = (domain) => domain.SiteBranchConfig?.context;
 
 export const selectSiteDomains = (site) => {
   const { Domains: domains, SiteBranchConfigs: siteBranchConfigs } = site;
@@ -7,7 +8,7 @@ export const selectSiteDomains = (site) => {
     const { id, names, state, siteBranchConfigId, createdAt, updatedAt } = domain;
     const { branch, context } = siteBranchConfigs.find(
       (sbc) => sbc.id === siteBranchConfigId,
-    );
+    ) ?? { branch: domain.redirectUrl, context: domain.type };
 
     return {
       id,
@@ -52,6 +53,7 @@ const stateColor = (state) =>
     failed: 'bg-red',
     provisioned: 'bg-mint',
     deprovisioning: 'bg-gold',
+    deprovision_failed: 'bg-red',
   })[state] || 'bg-gray-30';
 
 function formToObj(form) {
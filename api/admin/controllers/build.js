@@ -1,5 +1,6 @@
 const buildSerializer = require('../../serializers/build');
 const BuildLogs = require('../../services/build-logs');
+const BuildPublisher = require('../../services/BuildPublisher');
 const GithubBuildHelper = require('../../services/GithubBuildHelper');
 
 const { Build, Domain, Event, Site, SiteBranchConfig, User } = require('../../models');
@@ -97,6 +98,25 @@ module.exports = wrapHandlers({
     return res.json(buildSerializer.serializeObject(build));
   },
 
+  async promote(req, res) {
+    const { id } = req.params;
+
+    const build = await fetchModelById(id, Build, {
+      include: [
+        {
+          model: Site,
+          include: [Domain, SiteBranchConfig],
+        },
+        User,
+      ],
+    });
+    if (!build) return res.notFound();
+
+    await BuildPublisher.promoteBuild(build, req.user);
+
+    return res.json(buildSerializer.serializeObject(build));
+  },
+
   async rebuild(req, res) {
     const requestBuild = await Build.findOne({
       where: {
@@ -256,10 +256,13 @@ module.exports = wrapHandlers({
 
     const canDestroy = DomainService.canDestroy(domain);
 
+    const canReset = DomainService.canReset(domain);
+
     return res.json({
       canProvision,
       canDeprovision,
       canDestroy,
+      canReset,
       data: dnsResults,
     });
   },
@@ -288,6 +291,30 @@ module.exports = wrapHandlers({
     }
   },
 
+  async reset(req, res) {
+    const {
+      params: { id },
+    } = req;
+
+    const domain = await fetchModelById(id, Domain.scope('withSite'));
+    if (!domain) {
+      return res.notFound();
+    }
+
+    try {
+      const updatedDomain = await DomainService.reset(domain);
+      EventCreator.audit(Event.labels.ADMIN_ACTION, req.user, 'Domain Reset', {
+        domain: updatedDomain,
+      });
+      return res.json({
+        dnsRecords: DomainService.buildDnsRecords(updatedDomain),
+        domain: domainSerializer.serialize(updatedDomain, true),
+      });
+    } catch (error) {
+      return res.unprocessableEntity(error);
+    }
+  },
+
   async provision(req, res) {
     const {
       params: { id },
@@ -9,6 +9,7 @@ const {
 } = require('../../models');
 const SiteDestroyer = require('../../services/SiteDestroyer');
 const GithubBuildHelper = require('../../services/GithubBuildHelper');
+const StalePreviewCleaner = require('../../services/StalePreviewCleaner');
 const { fetchModelById } = require('../../utils/queryDatabase');
 const { paginate, pick, wrapHandlers } = require('../../utils');
 const { serializeNew, serializeMany } = require('../../serializers/site');
@@ -88,6 +89,45 @@ module.exports = wrapHandlers({
     return res.json(hooks);
   },
 
+  listStalePreviews: async (req, res) => {
+    const {
+      params: { id },
+    } = req;
+
+    const site = await fetchModelById(id, Site);
+    if (!site) return res.notFound();
+
+    const previews = await StalePreviewCleaner.cleanStalePreviews(site, {
+      dryRun: true,
+    });
+
+    return res.json({
+      previewRetentionDays: site.previewRetentionDays,
+      previews,
+    });
+  },
+
+  removeStalePreviews: async (req, res) => {
+    const {
+      params: { id },
+    } = req;
+
+    const site = await fetchModelById(id, Site);
+    if (!site) return res.notFound();
+
+    const previews = await StalePreviewCleaner.cleanStalePreviews(site);
+
+    EventCreator.audit(Event.labels.ADMIN_ACTION, req.user, 'Stale Previews Removed', {
+      site,
+      branches: previews.map((preview) => preview.branch),
+    });
+
+    return res.json({
+      previewRetentionDays: site.previewRetentionDays,
+      previews,
+    });
+  },
+
   findById: async (req, res) => {
     const {
       params: { id },
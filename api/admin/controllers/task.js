@@ -50,13 +50,18 @@ module.exports = wrapHandlers({
   },
 
   async addSiteBuildTask(req, res) {
-    const { branch, runDay } = req.body;
+    const { branch, runDay, startsWhen, severityThreshold } = req.body;
     const metadata = runDay ? { runDay } : {};
 
+    if (severityThreshold) {
+      metadata.severityThreshold = severityThreshold;
+    }
+
     await SiteBuildTask.create({
       buildTaskTypeId: req.body.buildTaskTypeId,
       siteId: req.params.id,
       branch,
+      startsWhen: startsWhen || null,
       metadata,
     });
 
@@ -65,14 +70,21 @@ module.exports = wrapHandlers({
 
   async updateSiteBuildTask(req, res) {
     const { id } = req.params;
-    const { runDay } = req.body;
-
     const sbt = await SiteBuildTask.findByPk(id);
 
+    // Fields which are not submitted keep their current value
+    const {
+      runDay,
+      startsWhen = sbt.startsWhen,
+      severityThreshold = sbt.metadata?.severityThreshold,
+    } = req.body;
+
     await sbt.update({
+      startsWhen: startsWhen || null,
       metadata: {
         ...sbt.metadata,
         runDay,
+        severityThreshold,
       },
     });
 
@@ -22,6 +22,7 @@ apiRouter.get('/builds/:id', AdminControllers.Build.findById);
 apiRouter.get('/builds/:id/log', AdminControllers.Build.findBuildLog);
 apiRouter.post('/builds', AdminControllers.Build.rebuild);
 apiRouter.put('/builds/:id', AdminControllers.Build.update);
+apiRouter.post('/builds/:id/promote', AdminControllers.Build.promote);
 apiRouter.get('/domains', AdminControllers.Domain.list);
 apiRouter.get('/domains/:id', AdminControllers.Domain.findById);
 apiRouter.delete(
@@ -41,6 +42,11 @@ apiRouter.post(
   authorize(['pages.admin']),
   AdminControllers.Domain.deprovision,
 );
+apiRouter.post(
+  '/domains/:id/reset',
+  authorize(['pages.admin']),
+  AdminControllers.Domain.reset,
+);
 apiRouter.post('/domains/:id/provision', AdminControllers.Domain.provision);
 apiRouter.post('/domains', AdminControllers.Domain.create);
 apiRouter.get('/events', AdminControllers.Event.list);
@@ -78,6 +84,12 @@ apiRouter.get('/sites/:id', AdminControllers.Site.findById);
 apiRouter.put('/sites/:id', AdminControllers.Site.update);
 apiRouter.get('/sites/:id/webhooks', AdminControllers.Site.listWebhooks);
 apiRouter.post('/sites/:id/webhooks', AdminControllers.Site.createWebhook);
+apiRouter.get('/sites/:id/stale-previews', AdminControllers.Site.listStalePreviews);
+apiRouter.delete(
+  '/sites/:id/stale-previews',
+  authorize(['pages.admin']),
+  AdminControllers.Site.removeStalePreviews,
+);
 apiRouter.delete('/sites/:id', authorize(['pages.admin']), AdminControllers.Site.destroy);
 apiRouter.post('/sites/:id/tasks', AdminControllers.Task.addSiteBuildTask);
 apiRouter.get('/tasks', AdminControllers.Task.list);
@@ -13,9 +13,9 @@ const {
   DomainQueue,
   FailStuckBuildsQueue,
   MailQueue,
-  NightlyBuildsQueue,
   SiteBuildsQueue,
   SiteDeletionQueue,
+  ScheduledBuildsQueue,
   ScheduledQueue,
   TimeoutBuildTasksQueue,
 } = require('../queues');
@@ -41,8 +41,8 @@ createBullBoard({
     new BullMQAdapter(new DomainQueue(connection)),
     new BullMQAdapter(new FailStuckBuildsQueue(connection)),
     new BullMQAdapter(new MailQueue(connection)),
-    new BullMQAdapter(new NightlyBuildsQueue(connection)),
     new BullMQAdapter(new SiteDeletionQueue(connection)),
+    new BullMQAdapter(new ScheduledBuildsQueue(connection)),
     new BullMQAdapter(new ScheduledQueue(connection)),
     new BullMQAdapter(new TimeoutBuildTasksQueue(connection)),
   ],
@@ -0,0 +1,47 @@
+const { wrapHandlers, toInt } = require('../utils');
+const ApiTokens = require('../services/ApiTokens');
+const apiTokenSerializer = require('../serializers/api-token');
+
+module.exports = wrapHandlers({
+  async list(req, res) {
+    const { user } = req;
+
+    const apiTokens = await ApiTokens.listTokens(user);
+
+    return res.json(apiTokenSerializer.serializeMany(apiTokens));
+  },
+
+  async create(req, res) {
+    const {
+      user,
+      body: { name, scopes, expiresInDays, organizationId },
+    } = req;
+
+    const { apiToken, token } = await ApiTokens.createToken(user, {
+      name,
+      scopes,
+      expiresInDays,
+      organizationId: organizationId ? toInt(organizationId) : null,
+    });
+
+    return res.json({
+      ...apiTokenSerializer.serialize(apiToken),
+      token,
+    });
+  },
+
+  async destroy(req, res) {
+    const {
+      user,
+      params: { id },
+    } = req;
+
+    const apiToken = toInt(id) && (await ApiTokens.revokeToken(user, toInt(id)));
+
+    if (!apiToken) {
+      return res.notFound();
+    }
+
+    return res.json({});
+  },
+});
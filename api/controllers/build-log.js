@@ -122,4 +122,46 @@ module.exports = wrapHandlers({
 
     return res.ok(buildLogs);
   },
+
+  search: async (req, res) => {
+    const { params, query, user } = req;
+    const q = typeof query.q === 'string' ? query.q.trim() : '';
+
+    if (!q) {
+      return res.badRequest({
+        message: 'A search query is required.',
+      });
+    }
+
+    const build = await Build.forSiteUser(user).findByPk(params.build_id);
+
+    if (!build) {
+      return res.notFound();
+    }
+
+    const { matches, truncated } = await BuildLogs.searchBuildLogs(build, q);
+
+    return res.ok({
+      build: build.id,
+      query: q,
+      matches,
+      truncated,
+    });
+  },
+
+  download: async (req, res) => {
+    const { params, user } = req;
+
+    const build = await Build.forSiteUser(user).findByPk(params.build_id);
+
+    if (!build) {
+      return res.notFound();
+    }
+
+    const text = await BuildLogs.getBuildLogText(build);
+
+    res.attachment(`build-log-${build.id}.txt`);
+    res.type('text/plain');
+    return res.send(text);
+  },
 });
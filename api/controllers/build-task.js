@@ -2,9 +2,59 @@ const { readFile } = require('node:fs/promises');
 const { join } = require('node:path');
 const { localSiteBuildTasks } = require('../../config');
 const { wrapHandlers, appMatch } = require('../utils');
-const { Build, BuildTask, BuildTaskType, SiteBuildTask, Site } = require('../models');
+const {
+  Build,
+  BuildTask,
+  BuildTaskType,
+  Event,
+  SiteBuildTask,
+  Site,
+} = require('../models');
 const buildTaskSerializer = require('../serializers/build-task');
 const { getObject } = require('../services/S3BuildTask');
+const BuildGate = require('../services/BuildGate');
+const EventCreator = require('../services/EventCreator');
+const GithubBuildHelper = require('../services/GithubBuildHelper');
+const SocketIOSubscriber = require('../services/SocketIOSubscriber');
+const QueueJobs = require('../queue-jobs');
+const { createQueueConnection } = require('../utils/queues');
+const { logger } = require('../../winston');
+const { getSocket } = require('../socketIO');
+
+const queue = new QueueJobs(createQueueConnection());
+
+const emitReportStatus = async (task) => {
+  try {
+    const build = await Build.findByPk(task.buildId, { include: [Site] });
+    const buildTaskType = await BuildTaskType.findByPk(task.buildTaskTypeId);
+    const msg = {
+      id: task.id,
+      name: buildTaskType.name,
+      buildId: build.id,
+      site: build.site,
+      branch: build.branch,
+      owner: build.Site.owner,
+      repository: build.Site.repository,
+    };
+    getSocket()
+      .to(SocketIOSubscriber.getBuildRooms(build, 'reports'))
+      .emit('build report', msg);
+  } catch (err) {
+    EventCreator.error(Event.labels.SOCKET_IO, err, { buildTaskId: task.id });
+  }
+};
+
+// A GitHub outage should never fail the report of a task
+const reportCheckRun = async (task) => {
+  try {
+    const buildTask = await BuildTask.findByPk(task.id, {
+      include: [BuildTaskType, { model: Build, include: [Site] }],
+    });
+    await GithubBuildHelper.reportBuildTaskStatus(buildTask);
+  } catch (err) {
+    logger.error(`Failed to report the check run of task ${task.id}`, err);
+  }
+};
 
 module.exports = wrapHandlers({
   find: async (req, res) => {
@@ -72,6 +122,20 @@ module.exports = wrapHandlers({
     }
 
     await task.update(body);
+    await reportCheckRun(task);
+
+    if ([ErrorStatus, Success].includes(task.status)) {
+      await BuildGate.evaluateGate(task.buildId);
+    }
+
+    if (task.status === Success) {
+      emitReportStatus(task);
+      await queue
+        .sendReportNotifications(task)
+        .catch((err) =>
+          logger.error(`Failed to queue report notifications of task ${task.id}`, err),
+        );
+    }
 
     return res.ok();
   },
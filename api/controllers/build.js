@@ -3,10 +3,15 @@ const merge = require('lodash.merge');
 const { fetchModelById } = require('../utils/queryDatabase');
 const buildSerializer = require('../serializers/build');
 const GithubBuildHelper = require('../services/GithubBuildHelper');
+const BuildCanceler = require('../services/BuildCanceler');
+const BuildDiff = require('../services/BuildDiff');
+const BuildGate = require('../services/BuildGate');
+const BuildPublisher = require('../services/BuildPublisher');
+const buildErrors = require('../responses/buildErrors');
 const siteAuthorizer = require('../authorizers/site');
 const SocketIOSubscriber = require('../services/SocketIOSubscriber');
 const EventCreator = require('../services/EventCreator');
-const { wrapHandlers } = require('../utils');
+const { toInt, wrapHandlers } = require('../utils');
 const { Build, Domain, Event, Site, SiteBranchConfig } = require('../models');
 const { getSocket } = require('../socketIO');
 
@@ -23,10 +28,8 @@ const emitBuildStatus = async (build) => {
       owner: site.owner,
       repository: site.repository,
     };
-    const siteRoom = SocketIOSubscriber.getSiteRoom(build.site);
-    getSocket().to(siteRoom).emit('build status', msg);
-    const builderRoom = SocketIOSubscriber.getBuilderRoom(build.site, build.user);
-    getSocket().to(builderRoom).emit('build status', msg);
+    // A socket in several of the rooms only receives the message once
+    getSocket().to(SocketIOSubscriber.getBuildRooms(build)).emit('build status', msg);
   } catch (err) {
     EventCreator.error(Event.labels.SOCKET_IO, err, { buildId: build.id });
   }
@@ -122,6 +125,96 @@ module.exports = wrapHandlers({
     return res.ok({});
   },
 
+  async cancel(req, res) {
+    const { user, params } = req;
+
+    const build = await Build.forSiteUser(user).findByPk(params.id);
+
+    if (!build) {
+      return res.notFound();
+    }
+
+    await siteAuthorizer.createBuild(user, {
+      id: build.site,
+    });
+
+    if (!build.isInProgress()) {
+      return res.badRequest({
+        message: buildErrors.BUILD_NOT_IN_PROGRESS,
+      });
+    }
+
+    await BuildCanceler.cancelBuild(build, {
+      reason: `The build was cancelled by ${user.username}.`,
+    });
+
+    EventCreator.audit(Event.labels.USER_ACTION, user, 'Build Cancelled', {
+      build: {
+        id: build.id,
+        site: build.site,
+        branch: build.branch,
+      },
+    });
+
+    emitBuildStatus(build);
+
+    if (build.requestedCommitSha) {
+      await GithubBuildHelper.reportBuildStatus(build);
+    }
+
+    const buildJSON = await buildSerializer.serialize(build);
+    return res.json(buildJSON);
+  },
+
+  async diff(req, res) {
+    const { user, params } = req;
+
+    const site = await fetchModelById(params.site_id, Site);
+
+    if (!site) {
+      return res.notFound();
+    }
+
+    await siteAuthorizer.findOne(user, site);
+
+    const [build, otherBuild] = await Promise.all(
+      [params.id, params.otherId].map((id) =>
+        Build.findOne({
+          where: {
+            id: toInt(id),
+            site: site.id,
+          },
+        }),
+      ),
+    );
+
+    if (!build || !otherBuild) {
+      return res.notFound();
+    }
+
+    const diff = await BuildDiff.diffBuilds(site, build, otherBuild);
+    return res.json(diff);
+  },
+
+  async promote(req, res) {
+    const { user, params } = req;
+
+    const build = await Build.forSiteUser(user).findByPk(params.id);
+
+    if (!build) {
+      return res.notFound();
+    }
+
+    await siteAuthorizer.createBuild(user, {
+      id: build.site,
+    });
+
+    await BuildPublisher.promoteBuild(build, user);
+
+    const buildJSON = await buildSerializer.serialize(build);
+    return res.json(buildJSON);
+  },
+
   async status(req, res) {
     const { params, body } = req;
 
@@ -134,6 +227,11 @@ module.exports = wrapHandlers({
       return res.forbidden();
     }
 
+    // A cancelled build's task may still report back before it is stopped
+    if (build.state === Build.States.Cancelled) {
+      return res.ok();
+    }
+
     const buildStatus = {
       status: body.status,
       commitSha: body.commit_sha,
@@ -147,7 +245,7 @@ module.exports = wrapHandlers({
       });
     }
 
-    await build.updateJobStatus(buildStatus);
+    await BuildGate.updateBuildStatus(build, buildStatus);
 
     emitBuildStatus(build);
 
@@ -157,6 +255,10 @@ module.exports = wrapHandlers({
       await GithubBuildHelper.reportBuildStatus(build);
     }
 
+    if (build.pullRequestNumber && build.isComplete()) {
+      await GithubBuildHelper.reportPullRequestPreview(build);
+    }
+
     return res.ok();
   },
 
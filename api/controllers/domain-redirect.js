@@ -0,0 +1,38 @@
+const DomainService = require('../services/Domain');
+const { wrapHandlers } = require('../utils');
+const { Domain } = require('../models');
+
+const { States, Types } = Domain;
+
+module.exports = wrapHandlers({
+  // The CDN of a redirect domain forwards its requests here, under the domain's path
+  async redirect(req, res) {
+    const { params, originalUrl } = req;
+    const id = parseInt(params.id, 10);
+
+    if (!id) {
+      return res.notFound();
+    }
+
+    const domain = await Domain.findOne({
+      where: {
+        id,
+        type: Types.Redirect,
+        state: [States.Provisioning, States.Provisioned],
+      },
+    });
+
+    if (!domain) {
+      return res.notFound();
+    }
+
+    // the path after the domain's path, with its trailing slash
+    const { pathname, search } = new URL(originalUrl, 'http://localhost');
+    const path = pathname.replace(/^\/domain-redirect\/[^/]+/, '');
+
+    return res.redirect(
+      domain.redirectStatus,
+      DomainService.redirectLocation(domain, path, search),
+    );
+  },
+});
@@ -1,15 +1,60 @@
 const _ = require('underscore');
+const DnsRecordExport = require('../services/DnsRecordExport');
+const DomainService = require('../services/Domain');
 const EventCreator = require('../services/EventCreator');
 const domainSerializer = require('../serializers/domain');
 const { wrapHandlers } = require('../utils');
 const { siteViewOrigin } = require('../utils/site');
-const { Domain, Event, Site, SiteBranchConfig } = require('../models');
+const { Domain, Event, Organization, Site, SiteBranchConfig } = require('../models');
+
+const findSiteDomain = async (user, params) => {
+  const siteId = parseInt(params.site_id, 10);
+  const domainId = parseInt(params.domain_id, 10);
+
+  const site = await Site.forUser(user).findByPk(siteId, {
+    include: [Domain],
+  });
+
+  return { site, domain: site?.Domains.find((d) => d.id === domainId) };
+};
+
+const DEFAULT_REDIRECT_STATUS = 301;
+
+// The reason a site domain cannot use the branch config, if any
+const siteBranchConfigError = (site, sbcId, domainId) => {
+  const siteBranchConfig = site.SiteBranchConfigs.find((sbc) => sbc.id === sbcId);
+
+  if (!siteBranchConfig) {
+    return 'The site branch config specified for the domain does not exist.';
+  }
+
+  if (siteBranchConfig.context === 'preview') {
+    return 'The domain site branch config cannot have the context of "preview".';
+  }
+
+  if (site.Domains.find((d) => d.siteBranchConfigId === sbcId && d.id !== domainId)) {
+    return 'A domain with the same branch config already exists for the site.';
+  }
+
+  return null;
+};
+
+// Only the managers of the site's organization can provision its domains
+const isOrganizationManager = async (user, site) =>
+  !!site.organizationId &&
+  !!(await Organization.forManagerRole(user).findByPk(site.organizationId));
 
 module.exports = wrapHandlers({
   async create(req, res) {
     const {
       params,
-      body: { names, siteBranchConfigId },
+      body: {
+        names,
+        siteBranchConfigId,
+        type = Domain.Types.Site,
+        redirectUrl,
+        redirectStatus,
+      },
       user,
     } = req;
     const siteId = parseInt(params.site_id, 10);
@@ -23,47 +68,50 @@ module.exports = wrapHandlers({
       return res.notFound();
     }
 
-    const existingDomain = site.Domains.find(
-      (d) => d.names === names || d.siteBranchConfigId === sbcId,
-    );
-
-    if (existingDomain?.names === names) {
+    if (!Domain.Types.values.includes(type)) {
       return res.badRequest({
-        message: 'A domain with the same name already exists for the site.',
+        message: `The domain type must be one of ${Domain.Types.values.join(', ')}.`,
       });
     }
 
-    if (existingDomain?.siteBranchConfigId === sbcId) {
+    if (site.Domains.find((d) => d.names === names)) {
       return res.badRequest({
-        message: 'A domain with the same branch config already exists for the site.',
+        message: 'A domain with the same name already exists for the site.',
       });
     }
 
-    const siteBranchConfig = site.SiteBranchConfigs.find((sbc) => sbc.id === sbcId);
+    let typeAttributes;
 
-    if (!siteBranchConfig) {
-      return res.badRequest({
-        message: 'The site branch config specified for the domain does not exist.',
-      });
-    }
+    if (type === Domain.Types.Redirect) {
+      typeAttributes = {
+        redirectUrl,
+        redirectStatus: parseInt(redirectStatus, 10) || DEFAULT_REDIRECT_STATUS,
+      };
+    } else {
+      const message = siteBranchConfigError(site, sbcId);
 
-    if (siteBranchConfig?.context === 'preview') {
-      return res.badRequest({
-        message: 'The domain site branch config cannot have the context of "preview".',
-      });
+      if (message) {
+        return res.badRequest({ message });
+      }
+
+      const siteBranchConfig = site.SiteBranchConfigs.find((sbc) => sbc.id === sbcId);
+
+      typeAttributes = {
+        siteBranchConfigId: sbcId,
+        origin: siteViewOrigin(site),
+        path: siteBranchConfig.s3Key,
+      };
     }
 
     try {
-      const origin = siteViewOrigin(site);
       const firstDomainName = names.split(',')[0];
       const serviceName = `${firstDomainName}-ext`;
       const domain = await Domain.create({
         siteId,
-        siteBranchConfigId: sbcId,
         names,
-        origin,
-        path: siteBranchConfig.s3Key,
+        type,
         serviceName,
+        ...typeAttributes,
       });
       EventCreator.audit(Event.labels.SITE_USER, user, 'Domain Created', {
         domain,
@@ -147,7 +195,8 @@ module.exports = wrapHandlers({
     const siteId = parseInt(params.site_id, 10);
     const domainId = parseInt(params.domain_id, 10);
     const siteBranchConfigId = parseInt(body.siteBranchConfigId, 10);
-    const { names } = body;
+    const redirectStatus = parseInt(body.redirectStatus, 10);
+    const { names, redirectUrl } = body;
 
     const site = await Site.forUser(user).findByPk(siteId, {
       include: [Domain, SiteBranchConfig],
@@ -173,38 +222,17 @@ module.exports = wrapHandlers({
     }
 
     const payload = _.omit(
-      {
-        siteBranchConfigId,
-        names,
-      },
+      domain.isRedirect()
+        ? { names, redirectUrl, redirectStatus }
+        : { names, siteBranchConfigId },
       (x) => !x,
     );
 
     if (payload.siteBranchConfigId) {
-      const siteBranchConfig = site.SiteBranchConfigs.find(
-        (sbc) => sbc.id === payload.siteBranchConfigId,
-      );
-
-      if (!siteBranchConfig) {
-        return res.badRequest({
-          message: 'The site branch config specified for the domain does not exist.',
-        });
-      }
+      const message = siteBranchConfigError(site, payload.siteBranchConfigId, domainId);
 
-      if (siteBranchConfig?.context === 'preview') {
-        return res.badRequest({
-          message: 'The domain site branch config cannot have the context of "preview".',
-        });
-      }
-
-      const existingDomain = site.Domains.find(
-        (d) => d.siteBranchConfigId === payload.siteBranchConfigId && d.id !== domainId,
-      );
-
-      if (existingDomain) {
-        return res.badRequest({
-          message: 'A domain with the same branch config already exists for the site.',
-        });
+      if (message) {
+        return res.badRequest({ message });
       }
     }
 
@@ -245,4 +273,83 @@ module.exports = wrapHandlers({
       });
     }
   },
+
+  async dnsResult(req, res) {
+    const { params, user } = req;
+
+    const { site, domain } = await findSiteDomain(user, params);
+
+    if (!domain) {
+      return res.notFound();
+    }
+
+    const [dnsResults, isManager] = await Promise.all([
+      DomainService.checkDnsRecords(domain),
+      isOrganizationManager(user, site),
+    ]);
+
+    return res.json({
+      canProvision: DomainService.canProvision(domain, dnsResults),
+      isManager,
+      data: dnsResults,
+    });
+  },
+
+  async dnsRecords(req, res) {
+    const { params, query, user } = req;
+
+    const { domain } = await findSiteDomain(user, params);
+
+    if (!domain) {
+      return res.notFound();
+    }
+
+    const { filename, type, body } = DnsRecordExport.exportDnsRecords(
+      domain,
+      query.format,
+    );
+
+    res.attachment(filename);
+    res.type(type);
+    return res.send(body);
+  },
+
+  async provision(req, res) {
+    const { params, user } = req;
+
+    const { site, domain } = await findSiteDomain(user, params);
+
+    if (!domain) {
+      return res.notFound();
+    }
+
+    if (!(await isOrganizationManager(user, site))) {
+      return res.forbidden({
+        message:
+          "Only the managers of the site's organization can provision its domains.",
+      });
+    }
+
+    if (!domain.isPending()) {
+      return res.badRequest({
+        message: `The domain cannot be provisioned because it is ${domain.state}.`,
+      });
+    }
+
+    const dnsResults = await DomainService.checkAcmeChallengeDnsRecord(domain);
+
+    if (!DomainService.canProvision(domain, dnsResults)) {
+      return res.badRequest({
+        message:
+          'The Acme Challenge DNS records must be set correctly ' +
+          'before the domain can be provisioned.',
+      });
+    }
+
+    const updated = await DomainService.provision(domain, dnsResults);
+    EventCreator.audit(Event.labels.SITE_USER, user, 'Domain Provisioned', {
+      domain: updated,
+    });
+    return res.json(domainSerializer.serialize(updated));
+  },
 });
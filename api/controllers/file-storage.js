@@ -0,0 +1,158 @@
+const { wrapHandlers } = require('../utils');
+const { fetchModelById } = require('../utils/queryDatabase');
+const { FileStorageFile, FileStorageService, Site } = require('../models');
+const FileStorage = require('../services/FileStorage');
+const siteAuthorizer = require('../authorizers/site');
+const fileSerializer = require('../serializers/file-storage-file');
+const serviceSerializer = require('../serializers/file-storage-service');
+
+// S3 does not accept larger objects in a single PutObject request
+const MAX_UPLOAD_SIZE = 5 * 1024 * 1024 * 1024;
+
+const fetchService = (id, user) => fetchModelById(id, FileStorageService.forUser(user));
+
+const fetchFile = (id, service) =>
+  fetchModelById(id, FileStorageFile.byService(service.id));
+
+const queryString = (value) => (typeof value === 'string' ? value : '');
+
+module.exports = wrapHandlers({
+  async findForSite(req, res) {
+    const {
+      user,
+      params: { site_id: siteId },
+    } = req;
+
+    const site = await fetchModelById(siteId, Site);
+
+    if (!site) {
+      return res.notFound();
+    }
+
+    await siteAuthorizer.findOne(user, site);
+
+    const service = await FileStorageService.forUser(user).findOne({
+      where: { siteId: site.id },
+    });
+
+    if (!service) {
+      return res.notFound();
+    }
+
+    return res.json(serviceSerializer.serialize(service));
+  },
+
+  async list(req, res) {
+    const {
+      user,
+      params: { file_storage_id: id },
+      query: { path },
+    } = req;
+
+    const service = await fetchService(id, user);
+
+    if (!service) {
+      return res.notFound();
+    }
+
+    const files = await FileStorage.listDirectory(service, queryString(path));
+
+    return res.json(fileSerializer.serializeMany(files));
+  },
+
+  async createDirectory(req, res) {
+    const {
+      user,
+      params: { file_storage_id: id },
+      body: { parent, name },
+    } = req;
+
+    const service = await fetchService(id, user);
+
+    if (!service) {
+      return res.notFound();
+    }
+
+    const directory = await FileStorage.createDirectory(service, user, {
+      parent: queryString(parent),
+      name,
+    });
+
+    return res.json(fileSerializer.serialize(directory));
+  },
+
+  async upload(req, res) {
+    const {
+      user,
+      params: { file_storage_id: id },
+      query: { parent, name, type },
+    } = req;
+
+    const service = await fetchService(id, user);
+
+    if (!service) {
+      return res.notFound();
+    }
+
+    const size = parseInt(req.get('content-length'), 10);
+
+    if (!Number.isInteger(size)) {
+      return res.status(411).json({
+        message: 'The size of the file is required.',
+      });
+    }
+
+    if (size > MAX_UPLOAD_SIZE) {
+      return res.status(413).json({
+        message: 'Files must be at most 5 GB.',
+      });
+    }
+
+    const file = await FileStorage.uploadFile(service, user, {
+      parent: queryString(parent),
+      name,
+      body: req,
+      size,
+      mimeType: queryString(type) || 'application/octet-stream',
+    });
+
+    return res.json(fileSerializer.serialize(file));
+  },
+
+  async rename(req, res) {
+    const {
+      user,
+      params: { file_storage_id: id, file_id: fileId },
+      body: { name },
+    } = req;
+
+    const service = await fetchService(id, user);
+    const file = service && (await fetchFile(fileId, service));
+
+    if (!file) {
+      return res.notFound();
+    }
+
+    const renamed = await FileStorage.renameFile(service, user, file, name);
+
+    return res.json(fileSerializer.serialize(renamed));
+  },
+
+  async destroy(req, res) {
+    const {
+      user,
+      params: { file_storage_id: id, file_id: fileId },
+    } = req;
+
+    const service = await fetchService(id, user);
+    const file = service && (await fetchFile(fileId, service));
+
+    if (!file) {
+      return res.notFound();
+    }
+
+    await FileStorage.deleteFile(service, user, file);
+
+    return res.json({});
+  },
+});
@@ -2,22 +2,75 @@ const _ = require('underscore');
 const { wrapHandlers } = require('../utils');
 const { serialize, serializeMany } = require('../serializers/site-branch-config');
 const EventCreator = require('../services/EventCreator');
-const { ValidationError, parseSiteConfig } = require('../utils/validators');
+const QueueJobs = require('../queue-jobs');
+const { createQueueConnection } = require('../utils/queues');
+const { branchConfigS3Key } = require('../utils/site');
+const {
+  ValidationError,
+  isValidBuildSchedule,
+  isValidPathFilters,
+  parseSiteConfig,
+} = require('../utils/validators');
 const { Build, Site, SiteBranchConfig, Event } = require('../models');
 
-function generateS3Key(site, context, branch) {
-  if (context === 'site' || context === 'demo') {
-    return `/${context}/${site.owner}/${site.repository}`;
+const queue = new QueueJobs(createQueueConnection());
+
+function validateSchedule(schedule, scheduleTimezone) {
+  if (schedule === undefined) {
+    return {};
+  }
+
+  if (!schedule) {
+    return {
+      schedule: null,
+      scheduleTimezone: null,
+    };
+  }
+
+  if (typeof schedule !== 'string') {
+    throw new ValidationError('Schedule must be a valid cron expression.');
+  }
+
+  if (scheduleTimezone && typeof scheduleTimezone !== 'string') {
+    throw new ValidationError('Schedule timezone must be a valid string.');
+  }
+
+  try {
+    isValidBuildSchedule(schedule, scheduleTimezone || undefined);
+  } catch (error) {
+    throw new ValidationError(error.message);
+  }
+
+  return {
+    schedule,
+    scheduleTimezone: scheduleTimezone || null,
+  };
+}
+
+function validateIgnoredPaths(ignoredPaths) {
+  if (ignoredPaths === undefined) {
+    return {};
   }
 
-  if (context === 'preview') {
-    return null;
+  try {
+    isValidPathFilters(ignoredPaths);
+  } catch (error) {
+    throw new ValidationError(error.message);
   }
 
-  return `preview/${site.owner}/${site.repository}/${branch}`;
+  return {
+    ignoredPaths: [...new Set(ignoredPaths.map((path) => path.trim()))],
+  };
 }
 
-function validate({ branch, config = {}, context } = {}) {
+function validate({
+  branch,
+  config = {},
+  context,
+  schedule,
+  scheduleTimezone,
+  ignoredPaths,
+} = {}) {
   const parsedConfig = parseSiteConfig(config);
 
   if (context && typeof context !== 'string') {
@@ -36,6 +89,8 @@ function validate({ branch, config = {}, context } = {}) {
     branch,
     config: parsedConfig,
     context,
+    ...validateSchedule(schedule, scheduleTimezone),
+    ...validateIgnoredPaths(ignoredPaths),
   };
 }
 
@@ -72,8 +127,9 @@ module.exports = wrapHandlers({
     }
 
     try {
-      const { branch, config, context } = validate(body);
-      const s3Key = generateS3Key(site, context, branch);
+      const { branch, config, context, schedule, scheduleTimezone, ignoredPaths } =
+        validate(body);
+      const s3Key = branchConfigS3Key(site, context, branch);
 
       const sbc = await SiteBranchConfig.create({
         siteId: site.id,
@@ -81,8 +137,15 @@ module.exports = wrapHandlers({
         config,
         context,
         s3Key,
+        schedule,
+        scheduleTimezone,
+        ignoredPaths: ignoredPaths || [],
       });
 
+      if (sbc.schedule) {
+        await queue.scheduleSiteBranchConfigBuilds(sbc);
+      }
+
       EventCreator.audit(Event.labels.USER_ACTION, req.user, 'SiteBranchConfig Created', {
         siteBranchConfig: {
           id: sbc.id,
@@ -161,6 +224,11 @@ module.exports = wrapHandlers({
     }
 
     await siteBranchConfig.destroy();
+
+    if (siteBranchConfig.schedule) {
+      await queue.unscheduleSiteBranchConfigBuilds(siteBranchConfig.id);
+    }
+
     EventCreator.audit(Event.labels.USER_ACTION, req.user, 'SiteBranchConfig Destroyed', {
       siteBranchConfig: {
         id,
@@ -184,21 +252,26 @@ module.exports = wrapHandlers({
     }
 
     try {
-      const { branch, config, context } = validate(body);
+      const { branch, config, context, ignoredPaths, ...schedule } = validate(body);
       const sbc = await SiteBranchConfig.findByPk(id);
 
       if (!sbc) {
         return res.notFound();
       }
 
-      const payload = _.omit(
-        {
-          branch,
-          config,
-          context,
-        },
-        (x) => !x,
-      );
+      // A null schedule removes the branch's scheduled builds
+      const payload = {
+        ..._.omit(
+          {
+            branch,
+            config,
+            context,
+            ignoredPaths,
+          },
+          (x) => !x,
+        ),
+        ...schedule,
+      };
 
       const sbcUpdated = await sbc.update(payload, {
         where: {
@@ -214,6 +287,10 @@ module.exports = wrapHandlers({
         },
       });
 
+      if ('schedule' in schedule) {
+        await queue.scheduleSiteBranchConfigBuilds(sbcUpdated);
+      }
+
       if (context && context !== 'preview' && branch) {
         const build = await Build.create({
           user: req.user.id,
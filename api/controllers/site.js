@@ -1,6 +1,9 @@
+const yaml = require('js-yaml');
 const authorizer = require('../authorizers/site');
+const BuildMetrics = require('../services/BuildMetrics');
 const SiteCreator = require('../services/SiteCreator');
 const SiteDestroyer = require('../services/SiteDestroyer');
+const SiteConfigDocument = require('../services/SiteConfigDocument');
 const EventCreator = require('../services/EventCreator');
 const siteSerializer = require('../serializers/site');
 const domainSerializer = require('../serializers/domain');
@@ -21,9 +24,15 @@ const { fetchModelById } = require('../utils/queryDatabase');
 
 module.exports = wrapHandlers({
   async findAllForUser(req, res) {
-    const { user } = req;
+    const { user, apiToken } = req;
+
+    // The tokens of an organization only list its sites
+    const where = apiToken?.organizationId
+      ? { organizationId: apiToken.organizationId }
+      : {};
 
     const sites = await Site.forUser(user).findAll({
+      where,
       include: [Domain, SiteBranchConfig, SiteBuildTask],
     });
 
@@ -81,7 +90,15 @@ module.exports = wrapHandlers({
 
   async create(req, res) {
     const {
-      body: { owner, template, organizationId, repository, engine },
+      body: {
+        owner,
+        template,
+        organizationId,
+        repository,
+        engine,
+        sourceDirectory,
+        pathFilters,
+      },
       user,
     } = req;
 
@@ -91,6 +108,8 @@ module.exports = wrapHandlers({
       organizationId: toInt(organizationId),
       repository,
       engine,
+      sourceDirectory,
+      pathFilters,
     };
 
     await authorizer.create(user, siteParams);
@@ -128,6 +147,9 @@ module.exports = wrapHandlers({
     const params = Object.assign(site, body);
     const updateParams = {
       engine: params.engine,
+      autoCancelSupersededBuilds: params.autoCancelSupersededBuilds,
+      previewRetentionDays: params.previewRetentionDays,
+      pathFilters: params.pathFilters,
     };
 
     await site.update(updateParams);
@@ -194,6 +216,7 @@ module.exports = wrapHandlers({
       sbtId: sbt.id,
       metadata: sbt.metadata,
       branch: sbt.branch,
+      startsWhen: sbt.effectiveStartsWhen(),
       name: sbt.BuildTaskType.name,
       description: sbt.BuildTaskType.description,
       url: sbt.BuildTaskType.url,
@@ -262,4 +285,87 @@ module.exports = wrapHandlers({
 
     return res.json(tasksJSON);
   },
+
+  async getSiteMetrics(req, res) {
+    const {
+      user,
+      params: { site_id: siteId },
+      query: { days, branch },
+    } = req;
+
+    const site = await Site.findByPk(siteId);
+
+    if (!site) {
+      return res.notFound();
+    }
+
+    await authorizer.findOne(user, site);
+
+    const metrics = await BuildMetrics.getSiteBuildMetrics(site, {
+      days,
+      branch: typeof branch === 'string' ? branch : undefined,
+    });
+
+    return res.json(metrics);
+  },
+
+  async exportConfig(req, res) {
+    const {
+      user,
+      params: { site_id: siteId },
+      query: { format },
+    } = req;
+
+    const site = await fetchModelById(siteId, Site.forUser(user));
+
+    if (!site) {
+      return res.notFound();
+    }
+
+    await authorizer.findOne(user, site);
+
+    const document = await SiteConfigDocument.exportSite(site);
+
+    if (format === 'yaml') {
+      return res.type('text/yaml').send(yaml.dump(document));
+    }
+
+    return res.json(document);
+  },
+
+  async importConfig(req, res) {
+    const {
+      user,
+      params: { site_id: siteId },
+      body: { document, dryRun },
+    } = req;
+
+    const site = await fetchModelById(siteId, Site.forUser(user));
+
+    if (!site) {
+      return res.notFound();
+    }
+
+    await authorizer.update(user, site);
+
+    if (dryRun) {
+      const plan = await SiteConfigDocument.diffSite(site, document);
+      return res.json({ ...plan, applied: false });
+    }
+
+    const plan = await SiteConfigDocument.applySite(site, document);
+    EventCreator.audit(
+      Event.labels.USER_ACTION,
+      req.user,
+      'Site Configuration Imported',
+      {
+        site: {
+          id: site.id,
+          changes: plan.changes,
+        },
+      },
+    );
+
+    return res.json({ ...plan, applied: true });
+  },
 });
@@ -1,6 +1,9 @@
 const Ajv = require('ajv');
+const { EmailNotification } = require('../models');
 const userSerializer = require('../serializers/user');
+const { Severities } = require('../utils/reports');
 const { revokeApplicationGrant } = require('../services/GitHub');
+const { NotificationEvents } = require('../services/SocketIOSubscriber');
 
 const ajv = new Ajv();
 
@@ -11,12 +14,70 @@ const updateSettingsBodySchema = {
       type: 'object',
       patternProperties: {
         '^\\d+$': {
-          enum: ['none', 'builds', 'site'],
+          oneOf: [
+            {
+              enum: ['none', 'builds', 'site'],
+            },
+            {
+              type: 'object',
+              properties: {
+                scope: {
+                  enum: ['builds', 'site'],
+                },
+                branches: {
+                  type: 'array',
+                  items: {
+                    type: 'string',
+                    minLength: 1,
+                  },
+                  uniqueItems: true,
+                },
+                events: {
+                  type: 'array',
+                  items: {
+                    enum: NotificationEvents,
+                  },
+                  uniqueItems: true,
+                },
+              },
+              required: ['scope'],
+              additionalProperties: false,
+            },
+          ],
         },
       },
     },
+    emailNotificationSettings: {
+      type: 'object',
+      properties: {
+        frequency: {
+          enum: EmailNotification.Frequencies,
+        },
+        events: {
+          type: 'array',
+          items: {
+            enum: EmailNotification.Events,
+          },
+          uniqueItems: true,
+        },
+        severityThresholds: {
+          type: 'object',
+          properties: {
+            a11y: {
+              enum: Severities.a11y,
+            },
+            'owasp-zap': {
+              enum: Severities['owasp-zap'],
+            },
+          },
+          additionalProperties: false,
+        },
+      },
+      required: ['frequency', 'events'],
+      additionalProperties: false,
+    },
   },
-  required: ['buildNotificationSettings'],
+  minProperties: 1,
   additionalProperties: false,
 };
 
@@ -37,10 +98,11 @@ module.exports = {
       });
     }
 
-    const { buildNotificationSettings } = body;
+    const { buildNotificationSettings, emailNotificationSettings } = body;
 
     await user.update({
-      buildNotificationSettings,
+      ...(buildNotificationSettings && { buildNotificationSettings }),
+      ...(emailNotificationSettings && { emailNotificationSettings }),
     });
 
     return res.json(userSerializer.serialize(user));
@@ -0,0 +1,102 @@
+const { Organization, Site } = require('../models');
+const OutboundWebhooks = require('../services/OutboundWebhooks');
+const subscriptionSerializer = require('../serializers/webhook-subscription');
+const deliverySerializer = require('../serializers/webhook-delivery');
+const { toInt, wrapHandlers } = require('../utils');
+const { fetchModelById } = require('../utils/queryDatabase');
+
+const findOwner = ({ params, user }) =>
+  params.site_id
+    ? fetchModelById(params.site_id, Site.forUser(user))
+    : fetchModelById(params.org_id, Organization.forManagerRole(user));
+
+const ownerAttributes = ({ params }, owner) =>
+  params.site_id ? { siteId: owner.id } : { organizationId: owner.id };
+
+const findSubscription = ({ params, user }) =>
+  toInt(params.id) && OutboundWebhooks.findSubscriptionForUser(user, toInt(params.id));
+
+module.exports = wrapHandlers({
+  async list(req, res) {
+    const owner = await findOwner(req);
+
+    if (!owner) {
+      return res.notFound();
+    }
+
+    const subscriptions = await OutboundWebhooks.listSubscriptions(
+      ownerAttributes(req, owner),
+    );
+
+    return res.json(subscriptionSerializer.serializeMany(subscriptions));
+  },
+
+  async create(req, res) {
+    const {
+      body: { url, events },
+      user,
+    } = req;
+
+    const owner = await findOwner(req);
+
+    if (!owner) {
+      return res.notFound();
+    }
+
+    const { subscription, secret } = await OutboundWebhooks.createSubscription(user, {
+      ...ownerAttributes(req, owner),
+      url,
+      events,
+    });
+
+    return res.json({
+      ...subscriptionSerializer.serialize(subscription),
+      secret,
+    });
+  },
+
+  async update(req, res) {
+    const {
+      body: { url, events, active },
+      user,
+    } = req;
+
+    const subscription = await findSubscription(req);
+
+    if (!subscription) {
+      return res.notFound();
+    }
+
+    await OutboundWebhooks.updateSubscription(user, subscription, {
+      url,
+      events,
+      active,
+    });
+
+    return res.json(subscriptionSerializer.serialize(subscription));
+  },
+
+  async destroy(req, res) {
+    const subscription = await findSubscription(req);
+
+    if (!subscription) {
+      return res.notFound();
+    }
+
+    await OutboundWebhooks.deleteSubscription(req.user, subscription);
+
+    return res.json({});
+  },
+
+  async deliveries(req, res) {
+    const subscription = await findSubscription(req);
+
+    if (!subscription) {
+      return res.notFound();
+    }
+
+    const deliveries = await OutboundWebhooks.listDeliveries(subscription);
+
+    return res.json(deliverySerializer.serializeMany(deliveries));
+  },
+});
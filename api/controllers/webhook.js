@@ -5,7 +5,11 @@ module.exports = wrapHandlers({
   async github(req, res) {
     const { body: payload } = req;
 
-    await Webhooks.pushWebhookRequest(payload);
+    if (req.get('X-GitHub-Event') === 'pull_request') {
+      await Webhooks.pullRequestWebhookRequest(payload);
+    } else {
+      await Webhooks.pushWebhookRequest(payload);
+    }
 
     res.ok();
   },
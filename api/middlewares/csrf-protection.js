@@ -1,5 +1,9 @@
 const csurf = require('csurf');
 
-const csrfProtection = csurf();
+const csurfProtection = csurf();
+
+// API tokens are not sent by browsers on their own, so their requests cannot be forged
+const csrfProtection = (req, res, next) =>
+  req.apiToken ? next() : csurfProtection(req, res, next);
 
 module.exports = csrfProtection;
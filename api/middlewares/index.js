@@ -7,7 +7,9 @@ const errorHandler = require('./error-handler');
 const fourOhFourHandler = require('./four-oh-four-handler');
 const parseForm = require('./parse-form');
 const parseJson = require('./parse-json');
+const scopedAuth = require('./scoped-auth');
 const sessionAuth = require('./session-auth');
+const tokenAuth = require('./token-auth');
 const xssProtection = require('./xss-protection');
 
 module.exports = {
@@ -20,6 +22,8 @@ module.exports = {
   fourOhFourHandler,
   parseForm,
   parseJson,
+  scopedAuth,
   sessionAuth,
+  tokenAuth,
   xssProtection,
 };
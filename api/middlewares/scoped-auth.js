@@ -0,0 +1,58 @@
+const { Build, Site } = require('../models');
+const { toInt } = require('../utils');
+const sessionAuth = require('./session-auth');
+
+async function isInTokenOrganization(apiToken, siteId) {
+  const site = toInt(siteId) && (await Site.findByPk(toInt(siteId)));
+
+  return site?.organizationId === apiToken.organizationId;
+}
+
+/**
+ * Accepts a signed in user or an API token with the scope. The tokens of an
+ * organization are limited to its sites, which `findSiteId` finds from the request.
+ * @method scopedAuth
+ * @param {string} scope - One of the scopes of the model ApiToken
+ * @param {Function} findSiteId - Resolves to the id of the site of the request
+ * @return {Function} An express middleware
+ */
+function scopedAuth(scope, findSiteId = () => null) {
+  return async (req, res, next) => {
+    const { apiToken } = req;
+
+    if (!apiToken) {
+      return sessionAuth(req, res, next);
+    }
+
+    if (!apiToken.hasScope(scope)) {
+      return res.forbidden({
+        message: `The API token does not have the "${scope}" scope.`,
+      });
+    }
+
+    if (apiToken.organizationId) {
+      const siteId = await findSiteId(req);
+
+      if (siteId !== null && !(await isInTokenOrganization(apiToken, siteId))) {
+        return res.forbidden({
+          message: 'The API token is limited to the sites of its organization.',
+        });
+      }
+    }
+
+    return next();
+  };
+}
+
+scopedAuth.siteFromParam = (name) => (req) => req.params[name];
+
+scopedAuth.siteFromBody = (name) => (req) => req.body[name] ?? '';
+
+scopedAuth.siteFromBuild = (name) => async (req) => {
+  const build =
+    toInt(req.params[name]) && (await Build.findByPk(toInt(req.params[name])));
+
+  return build ? build.site : '';
+};
+
+module.exports = scopedAuth;
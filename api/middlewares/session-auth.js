@@ -4,6 +4,12 @@ const EventCreator = require('../services/EventCreator');
 const { Event } = require('../models');
 
 module.exports = function sessionAuth(req, res, next) {
+  if (req.apiToken) {
+    return res.forbidden({
+      message: 'This action is not available with an API token.',
+    });
+  }
+
   req.session.authRedirectPath = undefined;
   if (req.session.authenticated) {
     const lastAuthenticatedAt = req.session.authenticatedAt;
@@ -0,0 +1,25 @@
+const passport = require('../services/passport');
+
+// Authenticates the requests sent with an API token as their bearer token. The
+// routes still have to accept tokens with `scopedAuth`.
+module.exports = function tokenAuth(req, res, next) {
+  if (!/^bearer /i.test(req.get('authorization') || '')) {
+    return next();
+  }
+
+  return passport.authenticate('bearer', { session: false }, (err, user, info) => {
+    if (err) {
+      return next(err);
+    }
+
+    if (!user) {
+      return res.unauthorized({
+        message: 'The API token is invalid, expired or revoked.',
+      });
+    }
+
+    req.user = user;
+    req.apiToken = info.apiToken;
+    return next();
+  })(req, res, next);
+};
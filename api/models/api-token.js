@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+
+const scopes = ['sites:read', 'builds:read', 'builds:write', 'env:read', 'env:write'];
+
+function associate({ ApiToken, Organization, User }) {
+  // Associations
+  ApiToken.belongsTo(User, {
+    foreignKey: 'userId',
+    allowNull: false,
+  });
+  ApiToken.belongsTo(Organization, {
+    foreignKey: 'organizationId',
+    allowNull: true,
+  });
+}
+
+// Tokens are long random strings, so a fast hash is enough to keep them secret
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+function isValidScopes(value) {
+  if (
+    !Array.isArray(value) ||
+    value.length === 0 ||
+    value.some((scope) => !scopes.includes(scope))
+  ) {
+    throw new Error(`Scopes must be some of ${scopes.join(', ')}`);
+  }
+}
+
+function isExpired(now = new Date()) {
+  return this.expiresAt <= now;
+}
+
+function hasScope(scope) {
+  return this.scopes.includes(scope);
+}
+
+function define(sequelize, DataTypes) {
+  const ApiToken = sequelize.define(
+    'ApiToken',
+    {
+      name: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        validate: {
+          notEmpty: true,
+        },
+      },
+      tokenHash: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+      // The start of the token, to tell the tokens of a user apart
+      tokenPrefix: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+      scopes: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        validate: {
+          isValidScopes,
+        },
+      },
+      expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+      },
+      lastUsedAt: {
+        type: DataTypes.DATE,
+      },
+    },
+    {
+      tableName: 'api_token',
+      paranoid: true,
+    },
+  );
+
+  ApiToken.associate = associate;
+  ApiToken.Scopes = scopes;
+  ApiToken.hashToken = hashToken;
+  ApiToken.prototype.isExpired = isExpired;
+  ApiToken.prototype.hasScope = hasScope;
+
+  return ApiToken;
+}
+
+module.exports = define;
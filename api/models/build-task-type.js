@@ -12,7 +12,9 @@ const associate = ({ BuildTaskType, BuildTask, SiteBuildTask }) => {
 
 const Runners = buildEnum(['cf_task', 'worker']);
 
-const StartsWhens = buildEnum(['build', 'complete']);
+// Prepublish tasks run against the staged build output and must pass
+// before it is published to the site's live prefix
+const StartsWhens = buildEnum(['build', 'prepublish', 'complete']);
 
 module.exports = (sequelize, DataTypes) => {
   const BuildTaskType = sequelize.define(
@@ -6,6 +6,7 @@ const { isEmptyOrBranch, isEmptyOrUrl, shaRegex } = require('../utils/validators
 const { buildUrl } = require('../utils/build');
 const { buildEnum } = require('../utils');
 const { createQueueConnection } = require('../utils/queues');
+const { logger } = require('../../winston');
 
 const connection = createQueueConnection();
 const queue = new QueueJobs(connection);
@@ -16,8 +17,11 @@ const States = buildEnum([
   'tasked',
   'error',
   'processing',
-  'skipped', // remove?
+  'skipped', // not built, because of a commit message directive or ignored paths
   'success',
+  'cancelled',
+  'staged', // awaiting its prepublish tasks
+  'blocked', // prepublish tasks failed, not published
 ]);
 
 const associate = ({ Build, BuildLog, BuildTask, Organization, Site, User }) => {
@@ -113,7 +117,7 @@ const jobStateUpdate = (buildStatus, build, site, timestamp) => {
     atts.clonedCommitSha = buildStatus.commitSha;
   }
 
-  if (buildStatus.status === States.Error) {
+  if ([States.Error, States.Blocked].includes(buildStatus.status)) {
     atts.error = jobErrorMessage(buildStatus.message);
   }
 
@@ -147,7 +151,13 @@ async function enqueue() {
         },
         {
           state: {
-            [Op.notIn]: [Build.States.Error, Build.States.Success],
+            [Op.notIn]: [
+              Build.States.Error,
+              Build.States.Success,
+              Build.States.Cancelled,
+              Build.States.Blocked,
+              Build.States.Skipped,
+            ],
           },
         },
       ],
@@ -161,7 +171,7 @@ async function enqueue() {
     });
   } catch (err) {
     const errMsg = `There was an error, adding the job to SiteBuildQueue: ${err}`;
-    // logger.error(errMsg);
+    logger.error(errMsg);
 
     await build.updateJobStatus({
       status: States.Error,
@@ -178,27 +188,49 @@ async function updateJobStatus(buildStatus) {
   const site = await this.getSite({
     include: [SiteBranchConfig],
   });
+  const wasComplete = this.isComplete();
   const build = await jobStateUpdate(buildStatus, this, site, timestamp);
   if (build.state === States.Success) {
     await site.update({
       publishedAt: timestamp,
     });
   }
+  if (!wasComplete && build.isComplete()) {
+    // A subscriber being unreachable should never fail the build
+    await queue
+      .dispatchWebhookEvent('build.completed', { buildId: build.id })
+      .catch((err) =>
+        logger.error(`Failed to dispatch webhooks of build ${build.id}`, err),
+      );
+    await queue
+      .sendBuildNotifications(build)
+      .catch((err) =>
+        logger.error(`Failed to queue email notifications of build ${build.id}`, err),
+      );
+  }
   return build;
 }
 
+const CompletedStates = [States.Error, States.Success, States.Cancelled, States.Blocked];
+
 function canComplete(state) {
-  return [States.Error, States.Success].includes(state);
+  return CompletedStates.includes(state);
 }
 
 function isComplete() {
-  return [States.Error, States.Success].includes(this.state);
+  return CompletedStates.includes(this.state);
 }
 
+const InProgressStates = [
+  States.Created,
+  States.Queued,
+  States.Tasked,
+  States.Processing,
+  States.Staged,
+];
+
 function isInProgress() {
-  return [States.Created, States.Queued, States.Tasked, States.Processing].includes(
-    this.state,
-  );
+  return InProgressStates.includes(this.state);
 }
 
 function canStart(state) {
@@ -277,6 +309,12 @@ module.exports = (sequelize, DataTypes) => {
       metrics: {
         type: DataTypes.JSON,
       },
+      supersededBy: {
+        type: DataTypes.INTEGER,
+      },
+      pullRequestNumber: {
+        type: DataTypes.INTEGER,
+      },
     },
     {
       tableName: 'build',
@@ -298,6 +336,7 @@ module.exports = (sequelize, DataTypes) => {
   Build.prototype.canStart = canStart;
   Build.prototype.getSiteOrgUsers = getSiteOrgUsers;
   Build.States = States;
+  Build.InProgressStates = InProgressStates;
   Build.orgScope = (id) => ({
     method: ['byOrg', id],
   });
@@ -8,8 +8,12 @@ const States = buildEnum([
   'failed',
   'provisioned',
   'deprovisioning',
+  'deprovision_failed',
 ]);
 const Contexts = buildEnum(['site', 'demo']);
+const HealthStates = buildEnum(['healthy', 'degraded']);
+const Types = buildEnum(['site', 'redirect']);
+const RedirectStatuses = [301, 302, 307, 308];
 
 function associate({ Domain, Site, SiteBranchConfig, Organization }) {
   // Associations
@@ -19,7 +23,7 @@ function associate({ Domain, Site, SiteBranchConfig, Organization }) {
 
   Domain.belongsTo(SiteBranchConfig, {
     foreignKey: 'siteBranchConfigId',
-    allowNull: false,
+    allowNull: true,
   });
 
   // Scopes
@@ -65,7 +69,7 @@ function associate({ Domain, Site, SiteBranchConfig, Organization }) {
       },
       {
         model: SiteBranchConfig,
-        required: true,
+        required: false,
       },
     ],
   });
@@ -141,6 +145,33 @@ function define(sequelize, DataTypes) {
         type: DataTypes.STRING,
         allowNull: true,
       },
+      type: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        defaultValue: Types.Site,
+        validate: {
+          isIn: [Types.values],
+        },
+      },
+      // The URL a redirect domain redirects to, with the requested path and query
+      redirectUrl: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        validate: {
+          // the `isUrl` alias ignores the options of the validator
+          isURL: {
+            protocols: ['https'],
+            require_protocol: true,
+          },
+        },
+      },
+      redirectStatus: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        validate: {
+          isIn: [RedirectStatuses],
+        },
+      },
       serviceName: {
         type: DataTypes.STRING,
         allowNull: true,
@@ -154,10 +185,51 @@ function define(sequelize, DataTypes) {
           isIn: [States.values],
         },
       },
+      // The Cloud Foundry description of a failed service operation
+      lastOperationDescription: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      // The result of the last DNS and certificate check of a provisioned domain
+      healthState: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        validate: {
+          isIn: [HealthStates.values],
+        },
+      },
+      healthIssues: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: [],
+      },
+      certificateExpiresAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      healthCheckedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
     },
     {
       tableName: 'domain',
       paranoid: true,
+      validate: {
+        siteBranchConfigDefined() {
+          if (this.type === Types.Site && !this.siteBranchConfigId) {
+            throw new Error('A site domain must have a site branch config.');
+          }
+        },
+        redirectUrlDefined() {
+          if (
+            this.type === Types.Redirect &&
+            !(this.redirectUrl && this.redirectStatus)
+          ) {
+            throw new Error('A redirect domain must have a redirect URL and status.');
+          }
+        },
+      },
     },
   );
 
@@ -176,12 +248,21 @@ function define(sequelize, DataTypes) {
   });
   Domain.States = States;
   Domain.Contexts = Contexts;
+  Domain.HealthStates = HealthStates;
+  Domain.Types = Types;
+  Domain.RedirectStatuses = RedirectStatuses;
   Domain.prototype.isPending = function isPending() {
     return this.state === Domain.States.Pending;
   };
   Domain.prototype.isProvisioning = function isProvisioning() {
     return this.state === Domain.States.Provisioning;
   };
+  Domain.prototype.isDegraded = function isDegraded() {
+    return this.healthState === Domain.HealthStates.Degraded;
+  };
+  Domain.prototype.isRedirect = function isRedirect() {
+    return this.type === Domain.Types.Redirect;
+  };
   Domain.prototype.namesArray = function namesArray() {
     return this.names.split(',');
   };
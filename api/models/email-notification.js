@@ -0,0 +1,48 @@
+// The events users can be emailed about, immediately or in a daily digest
+const events = ['build-failed', 'build-recovered', 'report-findings'];
+const frequencies = ['none', 'immediate', 'daily'];
+
+function associate({ EmailNotification, Site, User }) {
+  // Associations
+  EmailNotification.belongsTo(User, {
+    foreignKey: 'userId',
+    allowNull: false,
+  });
+  EmailNotification.belongsTo(Site, {
+    foreignKey: 'siteId',
+    allowNull: false,
+  });
+}
+
+function define(sequelize, DataTypes) {
+  const EmailNotification = sequelize.define(
+    'EmailNotification',
+    {
+      event: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        validate: {
+          isIn: [events],
+        },
+      },
+      data: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+      },
+      sentAt: {
+        type: DataTypes.DATE,
+      },
+    },
+    {
+      tableName: 'email_notification',
+    },
+  );
+
+  EmailNotification.associate = associate;
+  EmailNotification.Events = events;
+  EmailNotification.Frequencies = frequencies;
+
+  return EmailNotification;
+}
+
+module.exports = define;
@@ -20,6 +20,11 @@ module.exports = (sequelize, DataTypes) => {
     ORG_MANAGER_ACTION: 'org-manager-action',
     ADMIN_ACTION: 'admin-action',
     TOKEN_ACTION: 'token-action',
+    PREVIEW_CLEANUP: 'preview-cleanup',
+    BUILD_PROMOTION: 'build-promotion',
+    FILE_STORAGE: 'file-storage',
+    API_TOKEN: 'api-token',
+    WEBHOOK_SUBSCRIPTION: 'webhook-subscription',
   };
 
   function isValidType(value) {
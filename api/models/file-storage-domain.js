@@ -0,0 +1,44 @@
+function associate({ FileStorageDomain, FileStorageService }) {
+  FileStorageDomain.belongsTo(FileStorageService, {
+    foreignKey: 'fileStorageServiceId',
+    allowNull: false,
+  });
+}
+
+function define(sequelize, DataTypes) {
+  const FileStorageDomain = sequelize.define(
+    'FileStorageDomain',
+    {
+      names: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+      serviceName: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      serviceId: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      state: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+      metadata: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+      },
+    },
+    {
+      tableName: 'file_storage_domain',
+      paranoid: true,
+    },
+  );
+
+  FileStorageDomain.associate = associate;
+
+  return FileStorageDomain;
+}
+
+module.exports = define;
@@ -0,0 +1,92 @@
+const { Op } = require('sequelize');
+
+const escapeLike = (str) => str.replace(/[\\%_]/g, '\\$&');
+
+function associate({ FileStorageFile, FileStorageService, FileStorageUserAction }) {
+  // Associations
+  FileStorageFile.belongsTo(FileStorageService, {
+    foreignKey: 'fileStorageServiceId',
+    allowNull: false,
+  });
+  FileStorageFile.hasMany(FileStorageUserAction, {
+    foreignKey: 'fileStorageFileId',
+  });
+
+  // Scopes
+  FileStorageFile.addScope('byService', (id) => ({
+    where: {
+      fileStorageServiceId: id,
+    },
+  }));
+  FileStorageFile.addScope('withKeyPrefix', (keyPrefix) => ({
+    where: {
+      key: { [Op.like]: `${escapeLike(keyPrefix)}%` },
+    },
+  }));
+  // The files and directories directly inside a directory, `''` being the root
+  FileStorageFile.addScope('inDirectory', (directoryKey) => {
+    const prefix = escapeLike(directoryKey);
+    return {
+      where: {
+        [Op.and]: [
+          { key: { [Op.like]: `${prefix}_%` } },
+          { key: { [Op.notLike]: `${prefix}%/_%` } },
+        ],
+      },
+    };
+  });
+}
+
+// Directories are stored with a key ending with a slash, like S3 folders
+function isDirectory() {
+  return this.key.endsWith('/');
+}
+
+function define(sequelize, DataTypes) {
+  const FileStorageFile = sequelize.define(
+    'FileStorageFile',
+    {
+      key: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+      name: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+      description: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      metadata: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+      },
+    },
+    {
+      tableName: 'file_storage_file',
+      paranoid: true,
+    },
+  );
+
+  FileStorageFile.associate = associate;
+  FileStorageFile.prototype.isDirectory = isDirectory;
+  FileStorageFile.byService = (id) =>
+    FileStorageFile.scope({
+      method: ['byService', id],
+    });
+  FileStorageFile.withKeyPrefix = (serviceId, keyPrefix) =>
+    FileStorageFile.scope(
+      { method: ['byService', serviceId] },
+      { method: ['withKeyPrefix', keyPrefix] },
+    );
+  FileStorageFile.inDirectory = (serviceId, directoryKey) =>
+    FileStorageFile.scope(
+      { method: ['byService', serviceId] },
+      { method: ['inDirectory', directoryKey] },
+    );
+
+  return FileStorageFile;
+}
+
+module.exports = define;
@@ -0,0 +1,77 @@
+function associate({
+  FileStorageDomain,
+  FileStorageFile,
+  FileStorageService,
+  FileStorageUserAction,
+  Organization,
+  OrganizationRole,
+  Site,
+}) {
+  // Associations
+  FileStorageService.belongsTo(Organization, {
+    foreignKey: 'organizationId',
+    allowNull: false,
+  });
+  FileStorageService.belongsTo(Site, {
+    foreignKey: 'siteId',
+    allowNull: true,
+  });
+  FileStorageService.hasMany(FileStorageDomain, {
+    foreignKey: 'fileStorageServiceId',
+  });
+  FileStorageService.hasMany(FileStorageFile, {
+    foreignKey: 'fileStorageServiceId',
+  });
+  FileStorageService.hasMany(FileStorageUserAction, {
+    foreignKey: 'fileStorageServiceId',
+  });
+
+  // Scopes
+  FileStorageService.addScope('forUser', (user) => ({
+    include: [
+      {
+        model: Organization,
+        required: true,
+        where: { isActive: true },
+        include: [
+          {
+            model: OrganizationRole,
+            required: true,
+            where: { userId: user.id },
+          },
+        ],
+      },
+    ],
+  }));
+}
+
+function define(sequelize, DataTypes) {
+  const FileStorageService = sequelize.define(
+    'FileStorageService',
+    {
+      // The name of the S3 service instance holding the organization's files
+      name: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+      metadata: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+      },
+    },
+    {
+      tableName: 'file_storage_service',
+      paranoid: true,
+    },
+  );
+
+  FileStorageService.associate = associate;
+  FileStorageService.forUser = (user) =>
+    FileStorageService.scope({
+      method: ['forUser', user],
+    });
+
+  return FileStorageService;
+}
+
+module.exports = define;
@@ -0,0 +1,46 @@
+function associate({ FileStorageFile, FileStorageService, FileStorageUserAction, User }) {
+  FileStorageUserAction.belongsTo(FileStorageService, {
+    foreignKey: 'fileStorageServiceId',
+    allowNull: false,
+  });
+  FileStorageUserAction.belongsTo(FileStorageFile, {
+    foreignKey: 'fileStorageFileId',
+    allowNull: false,
+  });
+  FileStorageUserAction.belongsTo(User, {
+    foreignKey: 'userId',
+    allowNull: false,
+  });
+}
+
+function define(sequelize, DataTypes) {
+  const FileStorageUserAction = sequelize.define(
+    'FileStorageUserAction',
+    {
+      method: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+      description: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        // The column name is misspelled in the migration
+        field: 'desciption',
+      },
+      metadata: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+      },
+    },
+    {
+      tableName: 'file_storage_user_action',
+      updatedAt: false,
+    },
+  );
+
+  FileStorageUserAction.associate = associate;
+
+  return FileStorageUserAction;
+}
+
+module.exports = define;
@@ -43,6 +43,14 @@ require('./organization')(sequelize, DataTypes);
 require('./organization-role')(sequelize, DataTypes);
 require('./uaa-identity')(sequelize, DataTypes);
 require('./domain')(sequelize, DataTypes);
+require('./file-storage-service')(sequelize, DataTypes);
+require('./file-storage-domain')(sequelize, DataTypes);
+require('./file-storage-file')(sequelize, DataTypes);
+require('./file-storage-user-action')(sequelize, DataTypes);
+require('./api-token')(sequelize, DataTypes);
+require('./webhook-subscription')(sequelize, DataTypes);
+require('./webhook-delivery')(sequelize, DataTypes);
+require('./email-notification')(sequelize, DataTypes);
 
 Object.keys(sequelize.models)
   .map((key) => sequelize.models[key])
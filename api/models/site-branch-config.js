@@ -1,5 +1,10 @@
 const { Op } = require('sequelize');
-const { isEmptyOrBranch } = require('../utils/validators');
+const { parseExpression } = require('cron-parser');
+const {
+  isEmptyOrBranch,
+  isValidBuildSchedule,
+  isValidPathFilters,
+} = require('../utils/validators');
 
 function associate({ Domain, SiteBranchConfig, Site }) {
   // Associations
@@ -22,6 +27,19 @@ function associate({ Domain, SiteBranchConfig, Site }) {
   }));
 }
 
+function nextScheduledRunAt(currentDate = new Date()) {
+  if (!this.schedule) {
+    return null;
+  }
+
+  return parseExpression(this.schedule, {
+    currentDate,
+    tz: this.scheduleTimezone || 'UTC',
+  })
+    .next()
+    .toDate();
+}
+
 function define(sequelize, DataTypes) {
   const SiteBranchConfig = sequelize.define(
     'SiteBranchConfig',
@@ -46,6 +64,20 @@ function define(sequelize, DataTypes) {
         allowNull: false,
         defaultValue: 'preview',
       },
+      schedule: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      scheduleTimezone: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      // Globs of the repository paths whose changes alone skip the push build
+      ignoredPaths: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: [],
+      },
     },
     {
       tableName: 'site_branch_config',
@@ -73,10 +105,23 @@ function define(sequelize, DataTypes) {
           }
         },
         isValidConfig() {},
+        isValidSchedule() {
+          if (!this.schedule) {
+            return;
+          }
+          if (!this.branch) {
+            throw new Error('Branch attribute cannot be null when a schedule is defined');
+          }
+          isValidBuildSchedule(this.schedule, this.scheduleTimezone || undefined);
+        },
+        isValidIgnoredPaths() {
+          isValidPathFilters(this.ignoredPaths);
+        },
       },
     },
   );
 
+  SiteBranchConfig.prototype.nextScheduledRunAt = nextScheduledRunAt;
   SiteBranchConfig.associate = associate;
   SiteBranchConfig.siteScope = (siteId) =>
     SiteBranchConfig.scope({
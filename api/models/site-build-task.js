@@ -22,6 +22,11 @@ async function createBuildTask(build) {
   });
 }
 
+// A site build task may run at a different stage than its type's default
+function effectiveStartsWhen() {
+  return this.startsWhen || this.BuildTaskType?.startsWhen || null;
+}
+
 module.exports = (sequelize, DataTypes) => {
   const SiteBuildTask = sequelize.define(
     'SiteBuildTask',
@@ -34,6 +39,20 @@ module.exports = (sequelize, DataTypes) => {
         type: DataTypes.JSON,
         allowNull: true,
       },
+      startsWhen: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        validate: {
+          isStartsWhen(value) {
+            const { StartsWhens } = sequelize.models.BuildTaskType;
+            if (value && !StartsWhens.values.includes(value)) {
+              throw new Error(
+                `startsWhen must be one of ${StartsWhens.values.join(', ')}`,
+              );
+            }
+          },
+        },
+      },
     },
     {
       tableName: 'site_build_task',
@@ -43,5 +62,6 @@ module.exports = (sequelize, DataTypes) => {
 
   SiteBuildTask.associate = associate;
   SiteBuildTask.prototype.createBuildTask = createBuildTask;
+  SiteBuildTask.prototype.effectiveStartsWhen = effectiveStartsWhen;
   return SiteBuildTask;
 };
@@ -1,11 +1,29 @@
 const { Op } = require('sequelize');
+const { previewRetentionDays: defaultPreviewRetentionDays } = require('../../config').app;
 const { toInt } = require('../utils');
 const {
   isEmptyOrBranch,
+  isEmptyOrSourceDirectory,
   isEmptyOrUrl,
+  isValidPathFilters,
   isValidSubdomain,
 } = require('../utils/validators');
 
+// Drops the empty and `.` segments, so `./docs/` is stored as `docs`
+const normalizeSourceDirectory = (sourceDirectory) =>
+  typeof sourceDirectory === 'string'
+    ? sourceDirectory
+        .trim()
+        .split('/')
+        .filter((segment) => segment && segment !== '.')
+        .join('/') || null
+    : sourceDirectory || null;
+
+const normalizePathFilters = (pathFilters) =>
+  Array.isArray(pathFilters)
+    ? [...new Set(pathFilters.map((f) => (typeof f === 'string' ? f.trim() : f)))]
+    : pathFilters;
+
 const afterValidate = (site) => {
   if (site.defaultBranch === site.demoBranch) {
     const error = new Error('Default branch and demo branch cannot be the same');
@@ -17,6 +35,13 @@ const afterValidate = (site) => {
     error.status = 403;
     throw error;
   }
+  try {
+    isEmptyOrSourceDirectory(site.sourceDirectory);
+    isValidPathFilters(site.pathFilters);
+  } catch (error) {
+    error.status = 403;
+    throw error;
+  }
 };
 
 const validationFailed = (site, options, validationError) => {
@@ -256,6 +281,56 @@ module.exports = (sequelize, DataTypes) => {
           });
         },
       },
+      autoCancelSupersededBuilds: {
+        type: DataTypes.VIRTUAL,
+        get() {
+          return !!this.config.autoCancelSupersededBuilds;
+        },
+        set(autoCancelSupersededBuilds) {
+          this.setDataValue('config', {
+            ...this.config,
+            autoCancelSupersededBuilds: !!autoCancelSupersededBuilds,
+          });
+        },
+      },
+      previewRetentionDays: {
+        type: DataTypes.VIRTUAL,
+        get() {
+          return this.config.previewRetentionDays || defaultPreviewRetentionDays;
+        },
+        set(previewRetentionDays) {
+          this.setDataValue('config', {
+            ...this.config,
+            previewRetentionDays: toInt(previewRetentionDays) || null,
+          });
+        },
+      },
+      // The directory of the site in a repository shared by several sites
+      sourceDirectory: {
+        type: DataTypes.VIRTUAL,
+        get() {
+          return this.config.sourceDirectory || null;
+        },
+        set(sourceDirectory) {
+          this.setDataValue('config', {
+            ...this.config,
+            sourceDirectory: normalizeSourceDirectory(sourceDirectory),
+          });
+        },
+      },
+      // Globs of the repository paths whose changes trigger a build on push
+      pathFilters: {
+        type: DataTypes.VIRTUAL,
+        get() {
+          return this.config.pathFilters || [];
+        },
+        set(pathFilters) {
+          this.setDataValue('config', {
+            ...this.config,
+            pathFilters: normalizePathFilters(pathFilters),
+          });
+        },
+      },
       organizationId: {
         type: DataTypes.INTEGER,
         references: 'Organization',
@@ -288,6 +363,7 @@ module.exports = (sequelize, DataTypes) => {
     Site.scope({
       method: ['withOrgUsers'],
     });
+  Site.normalizeSourceDirectory = normalizeSourceDirectory;
   Site.domainFromContext = (context) => (context === 'site' ? 'domain' : 'demoDomain');
   Site.branchFromContext = (context) =>
     context === 'site' ? 'defaultBranch' : 'demoBranch';
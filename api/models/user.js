@@ -158,6 +158,18 @@ const attributes = (DataTypes) => ({
       });
     },
   },
+  emailNotificationSettings: {
+    type: DataTypes.VIRTUAL,
+    get() {
+      return this.settings.emailNotificationSettings || {};
+    },
+    set(emailNotificationSettings) {
+      this.setDataValue('settings', {
+        ...this.settings,
+        emailNotificationSettings,
+      });
+    },
+  },
 });
 
 const options = {
@@ -0,0 +1,59 @@
+const { buildEnum } = require('../utils');
+
+const States = buildEnum(['pending', 'retrying', 'succeeded', 'failed']);
+
+function associate({ WebhookDelivery, WebhookSubscription }) {
+  // Associations
+  WebhookDelivery.belongsTo(WebhookSubscription, {
+    foreignKey: 'webhookSubscriptionId',
+    allowNull: false,
+  });
+}
+
+function define(sequelize, DataTypes) {
+  const WebhookDelivery = sequelize.define(
+    'WebhookDelivery',
+    {
+      event: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+      payload: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+      },
+      status: {
+        type: DataTypes.STRING,
+        defaultValue: States.Pending,
+        allowNull: false,
+        validate: {
+          isIn: [States.values],
+        },
+      },
+      attempts: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      responseStatus: {
+        type: DataTypes.INTEGER,
+      },
+      error: {
+        type: DataTypes.TEXT,
+      },
+      deliveredAt: {
+        type: DataTypes.DATE,
+      },
+    },
+    {
+      tableName: 'webhook_delivery',
+    },
+  );
+
+  WebhookDelivery.associate = associate;
+  WebhookDelivery.States = States;
+
+  return WebhookDelivery;
+}
+
+module.exports = define;
@@ -0,0 +1,90 @@
+const { isPublicUrl } = require('../utils/validators');
+
+const events = ['build.completed', 'domain.provisioned', 'domain.failed'];
+
+function associate({ Organization, Site, WebhookDelivery, WebhookSubscription }) {
+  // Associations
+  WebhookSubscription.belongsTo(Site, {
+    foreignKey: 'siteId',
+    allowNull: true,
+  });
+  WebhookSubscription.belongsTo(Organization, {
+    foreignKey: 'organizationId',
+    allowNull: true,
+  });
+  WebhookSubscription.hasMany(WebhookDelivery, {
+    foreignKey: 'webhookSubscriptionId',
+  });
+}
+
+function isValidEvents(value) {
+  if (
+    !Array.isArray(value) ||
+    value.length === 0 ||
+    value.some((event) => !events.includes(event))
+  ) {
+    throw new Error(`Events must be some of ${events.join(', ')}`);
+  }
+}
+
+// A subscription receives the events of a single site or of every site of an org
+function hasOneOwner() {
+  if (Boolean(this.siteId) === Boolean(this.organizationId)) {
+    throw new Error('A webhook subscription must belong to a site or an organization.');
+  }
+}
+
+function isSubscribedTo(event) {
+  return this.active && this.events.includes(event);
+}
+
+function define(sequelize, DataTypes) {
+  const WebhookSubscription = sequelize.define(
+    'WebhookSubscription',
+    {
+      url: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        validate: {
+          notEmpty: true,
+          isPublicUrl,
+        },
+      },
+      events: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        validate: {
+          isValidEvents,
+        },
+      },
+      secretCiphertext: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+      secretHint: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+      active: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+      },
+    },
+    {
+      tableName: 'webhook_subscription',
+      paranoid: true,
+      validate: {
+        hasOneOwner,
+      },
+    },
+  );
+
+  WebhookSubscription.associate = associate;
+  WebhookSubscription.Events = events;
+  WebhookSubscription.prototype.isSubscribedTo = isSubscribedTo;
+
+  return WebhookSubscription;
+}
+
+module.exports = define;
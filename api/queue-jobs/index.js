@@ -1,17 +1,31 @@
 const moment = require('moment');
 const PromisePool = require('@supercharge/promise-pool');
-const { BuildTasksQueue, MailQueue, SiteBuildsQueue } = require('../queues');
+const {
+  BuildOutputsQueue,
+  BuildTasksQueue,
+  MailQueue,
+  OutboundWebhooksQueue,
+  ScheduledBuildsQueue,
+  SiteBuildsQueue,
+} = require('../queues');
 const Templates = require('../services/mailer/templates');
 const { truncateString } = require('../utils');
 const {
   app: { hostname, appEnv, appName },
 } = require('../../config');
 
+const SCHEDULER_ID_REGEX = /^site-branch-config-(\d+)$/;
+
+const siteBranchConfigSchedulerId = (id) => `site-branch-config-${id}`;
+
 class QueueJobs {
   constructor(connection) {
     this.siteBuildsQueue = new SiteBuildsQueue(connection);
     this.buildTasksQueue = new BuildTasksQueue(connection);
     this.mailQueue = new MailQueue(connection);
+    this.scheduledBuildsQueue = new ScheduledBuildsQueue(connection);
+    this.outboundWebhooksQueue = new OutboundWebhooksQueue(connection);
+    this.buildOutputsQueue = new BuildOutputsQueue(connection);
   }
 
   /**
@@ -93,6 +107,50 @@ class QueueJobs {
     return results;
   }
 
+  /**
+   * Adds a domain degraded job for each organization manager to the Mailer Queue
+   * @async
+   * @method sendDomainDegraded
+   * @param {Object} domain - The degraded domain
+   * @param {string} domain.names: The domain names,
+   * @param {string[]} domain.healthIssues: The DNS and certificate issues,
+   * @param {Object} site - The site of the domain
+   * @param {Object[]} users - The managers of the site's organization
+   * @return {Promise<{Object}>} The bullmq's queue add job responses
+   */
+  async sendDomainDegraded(domain, site, users) {
+    const subject = `Your Pages domain ${domain.names} needs attention`;
+
+    await this.mailQueue.waitUntilReady();
+
+    const { results, errors } = await PromisePool.for(users).process((user) => {
+      if (!user.UAAIdentity?.email) {
+        throw new Error('User lacks UAA email');
+      }
+      return this.mailQueue.add('domain-degraded', {
+        to: [user.UAAIdentity.email],
+        subject,
+        html: Templates.domainDegraded({
+          names: domain.names,
+          issues: domain.healthIssues,
+          siteId: site.id,
+          siteName: `${site.owner}/${site.repository}`,
+          hostname,
+        }),
+      });
+    });
+
+    if (errors.length) {
+      const errMsg = [
+        `Failed to queue domain degraded emails for domain@id=${domain.id} managers:\n`,
+        errors.map((e) => `  user@id=${e.item.id}: ${e.message}`).join('\n'),
+      ].join();
+      throw new Error(errMsg);
+    }
+
+    return results;
+  }
+
   /**
    * Adds a send UAA Invite job to the Mailer Queue
    * @async
@@ -124,6 +182,75 @@ class QueueJobs {
     });
   }
 
+  /**
+   * Adds a job to the Mailer Queue that emails the users of a completed build's
+   * site who opted in to build failure and recovery notifications
+   * @async
+   * @method sendBuildNotifications
+   * @param {Object} build - An instance of the model Build
+   * @param {number} build.id - The build primary key
+   * @return {Promise<{Object}>} The bullmq's queue add job response
+   */
+  async sendBuildNotifications(build) {
+    await this.mailQueue.waitUntilReady();
+
+    return this.mailQueue.add('build-notifications', { buildId: build.id });
+  }
+
+  /**
+   * Adds a job to the Mailer Queue that emails the users of a site who opted in
+   * to notifications about the findings of a finished build task report
+   * @async
+   * @method sendReportNotifications
+   * @param {Object} buildTask - An instance of the model BuildTask
+   * @param {number} buildTask.id - The build task primary key
+   * @return {Promise<{Object}>} The bullmq's queue add job response
+   */
+  async sendReportNotifications(buildTask) {
+    await this.mailQueue.waitUntilReady();
+
+    return this.mailQueue.add('report-notifications', { buildTaskId: buildTask.id });
+  }
+
+  /**
+   * Adds a send build notification email job to the Mailer Queue
+   * @async
+   * @method sendBuildNotification
+   * @param {string} email - The email to send the notification to
+   * @param {string} event - The notification event, one of EmailNotification.Events
+   * @param {Object} data - The site, build and report the notification is about
+   * @return {Promise<{Object}>} The bullmq's queue add job response
+   */
+  async sendBuildNotification(email, event, data) {
+    await this.mailQueue.waitUntilReady();
+
+    return this.mailQueue.add('build-notification', {
+      to: [email],
+      subject: Templates.notificationSubject(event, data),
+      html: Templates.buildNotification({ event, data, hostname }),
+    });
+  }
+
+  /**
+   * Adds a send notification digest email job to the Mailer Queue
+   * @async
+   * @method sendNotificationDigest
+   * @param {string} email - The email to send the digest to
+   * @param {Object[]} notifications - The notifications since the last digest
+   * @param {string} notifications[].event - The notification event
+   * @param {Object} notifications[].data - The site, build and report of the event
+   * @return {Promise<{Object}>} The bullmq's queue add job response
+   */
+  async sendNotificationDigest(email, notifications) {
+    await this.mailQueue.waitUntilReady();
+
+    return this.mailQueue.add('notification-digest', {
+      to: [email],
+      subject: `Your daily ${appName} digest: ${notifications.length} updates`,
+      html: Templates.notificationDigest({ notifications, hostname }),
+    });
+  }
+
   /**
    * Adds a site build task job to the Build Tasks Queue
    * The build's branch, site owner, and site repository attributes
@@ -170,6 +297,189 @@ class QueueJobs {
 
     return this.siteBuildsQueue.add(jobName, { buildId }, { priority });
   }
+
+  /**
+   * Removes a build's pending jobs from the Site Builds Queue
+   * Active jobs are locked by a worker and cannot be removed so they are
+   * returned to the caller in order to cancel their running CF Task
+   * @async
+   * @method cancelSiteBuild
+   * @param {Object} build - An instance of the model Build
+   * @param {number} build.id - The build primary key
+   * @return {Promise<{Object[]}>} The build's active bullmq jobs
+   */
+  async cancelSiteBuild(build) {
+    const isBuildJob = (job) => job?.data?.buildId === build.id;
+
+    await this.siteBuildsQueue.waitUntilReady();
+
+    const [pendingJobs, activeJobs] = await Promise.all([
+      this.siteBuildsQueue.getJobs(['waiting', 'prioritized', 'delayed']),
+      this.siteBuildsQueue.getJobs(['active']),
+    ]);
+
+    await Promise.all(pendingJobs.filter(isBuildJob).map((job) => job.remove()));
+
+    return activeJobs.filter(isBuildJob);
+  }
+
+  /**
+   * Creates or updates the job scheduler of a site branch config's builds
+   * in the Scheduled Builds Queue. Site branch configs without a schedule
+   * or a branch have their job scheduler removed instead.
+   * @async
+   * @method scheduleSiteBranchConfigBuilds
+   * @param {Object} siteBranchConfig - An instance of the model SiteBranchConfig
+   * @param {number} siteBranchConfig.id - The site branch config primary key
+   * @param {string} siteBranchConfig.branch - The git branch to build
+   * @param {string} siteBranchConfig.schedule - The cron expression of the builds
+   * @param {string} siteBranchConfig.scheduleTimezone - The IANA timezone of the cron
+   * @return {Promise<{Object}>} The bullmq's job scheduler's next job
+   */
+  async scheduleSiteBranchConfigBuilds(siteBranchConfig) {
+    const {
+      id: siteBranchConfigId,
+      branch,
+      schedule,
+      scheduleTimezone,
+    } = siteBranchConfig;
+
+    if (!schedule || !branch) {
+      return this.unscheduleSiteBranchConfigBuilds(siteBranchConfigId);
+    }
+
+    await this.scheduledBuildsQueue.waitUntilReady();
+
+    return this.scheduledBuildsQueue.upsertJobScheduler(
+      siteBranchConfigSchedulerId(siteBranchConfigId),
+      {
+        pattern: schedule,
+        tz: scheduleTimezone || 'UTC',
+      },
+      {
+        name: 'scheduledBuild',
+        data: { siteBranchConfigId },
+        opts: { priority: 10 },
+      },
+    );
+  }
+
+  /**
+   * Removes the job scheduler of a site branch config's builds
+   * from the Scheduled Builds Queue
+   * @async
+   * @method unscheduleSiteBranchConfigBuilds
+   * @param {number} siteBranchConfigId - The site branch config primary key
+   * @return {Promise<{boolean}>} Whether a job scheduler was removed
+   */
+  async unscheduleSiteBranchConfigBuilds(siteBranchConfigId) {
+    await this.scheduledBuildsQueue.waitUntilReady();
+
+    return this.scheduledBuildsQueue.removeJobScheduler(
+      siteBranchConfigSchedulerId(siteBranchConfigId),
+    );
+  }
+
+  /**
+   * Lists the site branch config ids with a job scheduler
+   * in the Scheduled Builds Queue
+   * @async
+   * @method getScheduledSiteBranchConfigIds
+   * @return {Promise<{number[]}>} The scheduled site branch config ids
+   */
+  async getScheduledSiteBranchConfigIds() {
+    await this.scheduledBuildsQueue.waitUntilReady();
+
+    const schedulers = await this.scheduledBuildsQueue.getJobSchedulers();
+
+    return schedulers
+      .map((scheduler) => scheduler.key.match(SCHEDULER_ID_REGEX))
+      .filter((match) => match)
+      .map((match) => Number(match[1]));
+  }
+
+  /**
+   * Adds a job to the Outbound Webhooks Queue that delivers an event
+   * to the webhook subscriptions of the site it happened on
+   * The job is not retried so that subscribers are not sent duplicate deliveries
+   * @async
+   * @method dispatchWebhookEvent
+   * @param {string} event - The event name, one of WebhookSubscription.Events
+   * @param {Object} data - The ids of the records the event is about
+   * @param {number} data.buildId - The build primary key for build events
+   * @param {number} data.domainId - The domain primary key for domain events
+   * @return {Promise<{Object}>} The bullmq's queue add job response
+   */
+  async dispatchWebhookEvent(event, data) {
+    await this.outboundWebhooksQueue.waitUntilReady();
+
+    return this.outboundWebhooksQueue.add(
+      'dispatch',
+      { event, ...data },
+      { attempts: 1 },
+    );
+  }
+
+  /**
+   * Adds a job to the Outbound Webhooks Queue that sends a webhook delivery
+   * Failed deliveries are retried with an exponential backoff
+   * @async
+   * @method deliverWebhook
+   * @param {Object} delivery - An instance of the model WebhookDelivery
+   * @param {number} delivery.id - The webhook delivery primary key
+   * @return {Promise<{Object}>} The bullmq's queue add job response
+   */
+  async deliverWebhook(delivery) {
+    await this.outboundWebhooksQueue.waitUntilReady();
+
+    return this.outboundWebhooksQueue.add('deliver', { deliveryId: delivery.id });
+  }
+
+  /**
+   * Adds a job to the Build Outputs Queue that publishes the output of a
+   * successful build and then completes the build with its reported status
+   * @async
+   * @method publishBuild
+   * @param {Object} build - An instance of the model Build
+   * @param {number} build.id - The build primary key
+   * @param {Object} buildStatus - The build status reported by the build container
+   * @return {Promise<{Object}>} The bullmq's queue add job response
+   */
+  async publishBuild(build, buildStatus) {
+    await this.buildOutputsQueue.waitUntilReady();
+
+    return this.buildOutputsQueue.add('publish', { buildId: build.id, buildStatus });
+  }
+
+  /**
+   * Adds a job to the Build Outputs Queue that removes the output of a build
+   * which will never be published
+   * @async
+   * @method removeBuildOutput
+   * @param {Object} build - An instance of the model Build
+   * @param {number} build.id - The build primary key
+   * @return {Promise<{Object}>} The bullmq's queue add job response
+   */
+  async removeBuildOutput(build) {
+    await this.buildOutputsQueue.waitUntilReady();
+
+    return this.buildOutputsQueue.add('remove', { buildId: build.id });
+  }
+
+  /**
+   * Adds a job to the Build Outputs Queue that removes the outputs of the
+   * successful builds of a build's branch past the retained number of builds
+   * @async
+   * @method pruneBuildOutputs
+   * @param {Object} build - An instance of the model Build
+   * @param {number} build.id - The build primary key
+   * @return {Promise<{Object}>} The bullmq's queue add job response
+   */
+  async pruneBuildOutputs(build) {
+    await this.buildOutputsQueue.waitUntilReady();
+
+    return this.buildOutputsQueue.add('prune', { buildId: build.id });
+  }
 }
 
 module.exports = QueueJobs;
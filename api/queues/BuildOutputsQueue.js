@@ -0,0 +1,23 @@
+const { Queue } = require('bullmq');
+
+const BuildOutputsQueueName = 'build-outputs';
+
+class BuildOutputsQueue extends Queue {
+  constructor(connection) {
+    super(BuildOutputsQueueName, {
+      connection,
+      defaultJobOptions: {
+        attempts: 3,
+        backoff: {
+          type: 'exponential',
+          delay: 3000,
+        },
+      },
+    });
+  }
+}
+
+module.exports = {
+  BuildOutputsQueue,
+  BuildOutputsQueueName,
+};
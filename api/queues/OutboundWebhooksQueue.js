@@ -0,0 +1,23 @@
+const { Queue } = require('bullmq');
+
+const OutboundWebhooksQueueName = 'outbound-webhooks';
+
+class OutboundWebhooksQueue extends Queue {
+  constructor(connection) {
+    super(OutboundWebhooksQueueName, {
+      connection,
+      defaultJobOptions: {
+        attempts: 5,
+        backoff: {
+          type: 'exponential',
+          delay: 30 * 1000, // 30 seconds
+        },
+      },
+    });
+  }
+}
+
+module.exports = {
+  OutboundWebhooksQueue,
+  OutboundWebhooksQueueName,
+};
@@ -0,0 +1,14 @@
+const { Queue } = require('bullmq');
+
+const ScheduledBuildsQueueName = 'scheduled-builds';
+
+class ScheduledBuildsQueue extends Queue {
+  constructor(connection) {
+    super(ScheduledBuildsQueueName, { connection });
+  }
+}
+
+module.exports = {
+  ScheduledBuildsQueue,
+  ScheduledBuildsQueueName,
+};
@@ -2,6 +2,7 @@ const {
   ArchiveBuildLogsQueue,
   ArchiveBuildLogsQueueName,
 } = require('./ArchiveBuildLogsQueue');
+const { BuildOutputsQueue, BuildOutputsQueueName } = require('./BuildOutputsQueue');
 const { BuildTasksQueue, BuildTasksQueueName } = require('./BuildTasksQueue');
 const { DomainQueue, DomainQueueName } = require('./DomainQueue');
 const {
@@ -9,8 +10,15 @@ const {
   FailStuckBuildsQueueName,
 } = require('./FailStuckBuildsQueue');
 const { MailQueue, MailQueueName } = require('./MailQueue');
-const { NightlyBuildsQueue, NightlyBuildsQueueName } = require('./NightlyBuildsQueue');
+const {
+  OutboundWebhooksQueue,
+  OutboundWebhooksQueueName,
+} = require('./OutboundWebhooksQueue');
 const { ScheduledQueue, ScheduledQueueName } = require('./ScheduledQueue');
+const {
+  ScheduledBuildsQueue,
+  ScheduledBuildsQueueName,
+} = require('./ScheduledBuildsQueue');
 const { SiteBuildsQueue, SiteBuildsQueueName } = require('./SiteBuildsQueue');
 const { SiteDeletionQueue, SiteDeletionQueueName } = require('./SiteDeletionQueue');
 const {
@@ -21,6 +29,8 @@ const {
 module.exports = {
   ArchiveBuildLogsQueue,
   ArchiveBuildLogsQueueName,
+  BuildOutputsQueue,
+  BuildOutputsQueueName,
   BuildTasksQueue,
   BuildTasksQueueName,
   DomainQueue,
@@ -29,8 +39,10 @@ module.exports = {
   FailStuckBuildsQueueName,
   MailQueue,
   MailQueueName,
-  NightlyBuildsQueue,
-  NightlyBuildsQueueName,
+  OutboundWebhooksQueue,
+  OutboundWebhooksQueueName,
+  ScheduledBuildsQueue,
+  ScheduledBuildsQueueName,
   ScheduledQueue,
   ScheduledQueueName,
   SiteBuildsQueue,
@@ -1,4 +1,5 @@
 module.exports = {
   BUILD_NOT_FOUND: 'Unable to build. No build found with requested id.',
   BRANCH_NOT_FOUND: 'GitHub branch not found.',
+  BUILD_NOT_IN_PROGRESS: 'Unable to cancel. The build has already completed.',
 };
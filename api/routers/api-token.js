@@ -0,0 +1,14 @@
+const router = require('express').Router();
+const ApiTokenController = require('../controllers/api-token');
+const { csrfProtection, sessionAuth } = require('../middlewares');
+
+router.get('/me/api-token', sessionAuth, ApiTokenController.list);
+router.post('/me/api-token', sessionAuth, csrfProtection, ApiTokenController.create);
+router.delete(
+  '/me/api-token/:id',
+  sessionAuth,
+  csrfProtection,
+  ApiTokenController.destroy,
+);
+
+module.exports = router;
@@ -2,6 +2,8 @@ const router = require('express').Router();
 const BuildLogController = require('../controllers/build-log');
 const { sessionAuth } = require('../middlewares');
 
+router.get('/build/:build_id/log.txt', sessionAuth, BuildLogController.download);
+router.get('/build/:build_id/log/search', sessionAuth, BuildLogController.search);
 router.get('/build/:build_id/log{/offset/:offset}', sessionAuth, BuildLogController.find);
 
 module.exports = router;
@@ -1,10 +1,33 @@
 const router = require('express').Router();
 const BuildController = require('../controllers/build');
-const { csrfProtection, sessionAuth } = require('../middlewares');
+const { csrfProtection, scopedAuth, sessionAuth } = require('../middlewares');
 
-router.get('/site/:site_id/build', sessionAuth, BuildController.find);
-router.get('/build/:id', sessionAuth, BuildController.findById);
-router.post('/build', sessionAuth, csrfProtection, BuildController.create);
+const { siteFromBody, siteFromBuild, siteFromParam } = scopedAuth;
+
+router.get(
+  '/site/:site_id/build',
+  scopedAuth('builds:read', siteFromParam('site_id')),
+  BuildController.find,
+);
+router.get(
+  '/build/:id',
+  scopedAuth('builds:read', siteFromBuild('id')),
+  BuildController.findById,
+);
+router.get('/site/:site_id/build/:id/diff/:otherId', sessionAuth, BuildController.diff);
+router.post(
+  '/build',
+  scopedAuth('builds:write', siteFromBody('siteId')),
+  csrfProtection,
+  BuildController.create,
+);
+router.post(
+  '/build/:id/cancel',
+  scopedAuth('builds:write', siteFromBuild('id')),
+  csrfProtection,
+  BuildController.cancel,
+);
+router.post('/build/:id/promote', sessionAuth, csrfProtection, BuildController.promote);
 router.post('/build/:id/status/:token', BuildController.status);
 router.post('/build/:id/metrics/:token', BuildController.metrics);
 
@@ -0,0 +1,6 @@
+const router = require('express').Router();
+const DomainRedirectController = require('../controllers/domain-redirect');
+
+router.get('/domain-redirect/:id{/*splat}', DomainRedirectController.redirect);
+
+module.exports = router;
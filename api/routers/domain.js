@@ -1,12 +1,37 @@
 const router = require('express').Router();
+const rateLimit = require('express-rate-limit');
+const config = require('../../config');
 const DomainController = require('../controllers/domain');
 const { csrfProtection, sessionAuth } = require('../middlewares');
 
-router.use(sessionAuth);
+const domainRateLimit = rateLimit({
+  ...config.domainRateLimiting,
+  keyGenerator: (req) => `${req.user.id}`,
+});
+
+// the middleware of this router runs for every api route mounted after it,
+// so the session is required by each route instead of the whole router
 router.use(csrfProtection);
 
-router.post('/site/:site_id/domain', DomainController.create);
-router.put('/site/:site_id/domain/:domain_id', DomainController.update);
-router.delete('/site/:site_id/domain/:domain_id', DomainController.delete);
+router.post('/site/:site_id/domain', sessionAuth, DomainController.create);
+router.put('/site/:site_id/domain/:domain_id', sessionAuth, DomainController.update);
+router.delete('/site/:site_id/domain/:domain_id', sessionAuth, DomainController.delete);
+router.get(
+  '/site/:site_id/domain/:domain_id/dns-records',
+  sessionAuth,
+  DomainController.dnsRecords,
+);
+router.get(
+  '/site/:site_id/domain/:domain_id/dns-result',
+  sessionAuth,
+  domainRateLimit,
+  DomainController.dnsResult,
+);
+router.post(
+  '/site/:site_id/domain/:domain_id/provision',
+  sessionAuth,
+  domainRateLimit,
+  DomainController.provision,
+);
 
 module.exports = router;
@@ -0,0 +1,32 @@
+const router = require('express').Router();
+const FileStorageController = require('../controllers/file-storage');
+const { csrfProtection, sessionAuth } = require('../middlewares');
+
+router.get('/site/:site_id/file-storage', sessionAuth, FileStorageController.findForSite);
+router.get('/file-storage/:file_storage_id', sessionAuth, FileStorageController.list);
+router.post(
+  '/file-storage/:file_storage_id/directory',
+  sessionAuth,
+  csrfProtection,
+  FileStorageController.createDirectory,
+);
+router.post(
+  '/file-storage/:file_storage_id/upload',
+  sessionAuth,
+  csrfProtection,
+  FileStorageController.upload,
+);
+router.put(
+  '/file-storage/:file_storage_id/file/:file_id',
+  sessionAuth,
+  csrfProtection,
+  FileStorageController.rename,
+);
+router.delete(
+  '/file-storage/:file_storage_id/file/:file_id',
+  sessionAuth,
+  csrfProtection,
+  FileStorageController.destroy,
+);
+
+module.exports = router;
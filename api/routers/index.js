@@ -1,17 +1,22 @@
 const express = require('express');
+const { tokenAuth } = require('../middlewares');
 
 const mainRouter = express.Router();
 
 mainRouter.use(require('./auth'));
 mainRouter.use(require('./webhook'));
+mainRouter.use(require('./domain-redirect'));
 mainRouter.use(require('./main'));
 mainRouter.use(require('./report'));
 
 const apiRouter = express.Router();
+apiRouter.use(tokenAuth);
+apiRouter.use(require('./api-token'));
 apiRouter.use(require('./build-log'));
 apiRouter.use(require('./build-task'));
 apiRouter.use(require('./build'));
 apiRouter.use(require('./domain'));
+apiRouter.use(require('./file-storage'));
 apiRouter.use(require('./organization'));
 apiRouter.use(require('./organization-role'));
 apiRouter.use(require('./published-branch'));
@@ -22,6 +27,7 @@ apiRouter.use(require('./site'));
 apiRouter.use(require('./site-branch-config'));
 apiRouter.use(require('./user-action'));
 apiRouter.use(require('./user-environment-variable'));
+apiRouter.use(require('./webhook-subscription'));
 
 // prefix all api routes with "/v0"
 mainRouter.use('/v0', apiRouter);
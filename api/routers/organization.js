@@ -3,14 +3,17 @@ const OrganizationController = require('../controllers/organization');
 const OrganizationRoleController = require('../controllers/organization-role');
 const { csrfProtection, sessionAuth } = require('../middlewares');
 
-router.use(sessionAuth);
 router.use(csrfProtection);
 
-router.get('/organization', OrganizationController.findAllForUser);
-router.get('/organization/:id', OrganizationController.findOneForUser);
-router.post('/organization/:id/invite', OrganizationController.invite);
-router.get('/organization/:id/members', OrganizationController.members);
+router.get('/organization', sessionAuth, OrganizationController.findAllForUser);
+router.get('/organization/:id', sessionAuth, OrganizationController.findOneForUser);
+router.post('/organization/:id/invite', sessionAuth, OrganizationController.invite);
+router.get('/organization/:id/members', sessionAuth, OrganizationController.members);
 // roles
-router.delete('/organization/:org_id/user/:user_id', OrganizationRoleController.destroy);
+router.delete(
+  '/organization/:org_id/user/:user_id',
+  sessionAuth,
+  OrganizationRoleController.destroy,
+);
 
 module.exports = router;
@@ -1,14 +1,18 @@
 const router = require('express').Router();
 const SiteController = require('../controllers/site');
-const { csrfProtection, sessionAuth } = require('../middlewares');
+const { csrfProtection, scopedAuth, sessionAuth } = require('../middlewares');
 
 // enable csrf protection for all site routes
 // note that this must come before the route definitions
 router.use(csrfProtection);
 
-router.get('/site', sessionAuth, SiteController.findAllForUser);
+router.get('/site', scopedAuth('sites:read'), SiteController.findAllForUser);
 router.post('/site', sessionAuth, SiteController.create);
-router.get('/site/:id', sessionAuth, SiteController.findById);
+router.get(
+  '/site/:id',
+  scopedAuth('sites:read', scopedAuth.siteFromParam('id')),
+  SiteController.findById,
+);
 router.put('/site/:id', sessionAuth, SiteController.update);
 router.delete('/site/:id', sessionAuth, SiteController.destroy);
 router.get('/site/:site_id/domains', sessionAuth, SiteController.getSiteDomains);
@@ -19,4 +23,11 @@ router.put(
   SiteController.updateSiteBuildTask,
 );
 router.get('/site/:site_id/tasks', sessionAuth, SiteController.getSiteTasks);
+router.get('/site/:site_id/metrics', sessionAuth, SiteController.getSiteMetrics);
+router.get(
+  '/site/:site_id/config',
+  scopedAuth('sites:read', scopedAuth.siteFromParam('site_id')),
+  SiteController.exportConfig,
+);
+router.post('/site/:site_id/config', sessionAuth, SiteController.importConfig);
 module.exports = router;
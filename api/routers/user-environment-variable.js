@@ -1,14 +1,24 @@
 const router = require('express').Router();
 const Controller = require('../controllers/user-environment-variable');
-const { csrfProtection, sessionAuth } = require('../middlewares');
+const { csrfProtection, scopedAuth } = require('../middlewares');
+
+const site = scopedAuth.siteFromParam('site_id');
 
 router.use(csrfProtection);
 
-router.get('/site/:site_id/user-environment-variable', sessionAuth, Controller.find);
-router.post('/site/:site_id/user-environment-variable', sessionAuth, Controller.create);
+router.get(
+  '/site/:site_id/user-environment-variable',
+  scopedAuth('env:read', site),
+  Controller.find,
+);
+router.post(
+  '/site/:site_id/user-environment-variable',
+  scopedAuth('env:write', site),
+  Controller.create,
+);
 router.delete(
   '/site/:site_id/user-environment-variable/:id',
-  sessionAuth,
+  scopedAuth('env:write', site),
   Controller.destroy,
 );
 module.exports = router;
@@ -0,0 +1,45 @@
+const router = require('express').Router();
+const WebhookSubscriptionController = require('../controllers/webhook-subscription');
+const { csrfProtection, sessionAuth } = require('../middlewares');
+
+router.get(
+  '/site/:site_id/webhook-subscription',
+  sessionAuth,
+  WebhookSubscriptionController.list,
+);
+router.post(
+  '/site/:site_id/webhook-subscription',
+  sessionAuth,
+  csrfProtection,
+  WebhookSubscriptionController.create,
+);
+router.get(
+  '/organization/:org_id/webhook-subscription',
+  sessionAuth,
+  WebhookSubscriptionController.list,
+);
+router.post(
+  '/organization/:org_id/webhook-subscription',
+  sessionAuth,
+  csrfProtection,
+  WebhookSubscriptionController.create,
+);
+router.put(
+  '/webhook-subscription/:id',
+  sessionAuth,
+  csrfProtection,
+  WebhookSubscriptionController.update,
+);
+router.delete(
+  '/webhook-subscription/:id',
+  sessionAuth,
+  csrfProtection,
+  WebhookSubscriptionController.destroy,
+);
+router.get(
+  '/webhook-subscription/:id/delivery',
+  sessionAuth,
+  WebhookSubscriptionController.deliveries,
+);
+
+module.exports = router;
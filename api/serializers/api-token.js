@@ -0,0 +1,16 @@
+const BaseSerializer = require('./base');
+
+const attributes = {
+  id: '',
+  name: '',
+  tokenPrefix: '',
+  scopes: '',
+  userId: '',
+  organizationId: '',
+  Organization: (org) => org && { id: org.id, name: org.name },
+  expiresAt: 'date',
+  lastUsedAt: 'date',
+  createdAt: 'date',
+};
+
+module.exports = new BaseSerializer(attributes);
@@ -19,8 +19,8 @@ function miniBuildSerializer({
   };
 }
 
-function miniSiteBuildTaskSerializer({ id, branch, metadata }) {
-  return { id, branch, metadata };
+function miniSiteBuildTaskSerializer({ id, branch, startsWhen, metadata }) {
+  return { id, branch, startsWhen, metadata };
 }
 const attributes = {
   id: '',
@@ -9,6 +9,13 @@ const attributes = {
   state: '',
   siteId: '',
   siteBranchConfigId: '',
+  type: '',
+  redirectUrl: '',
+  redirectStatus: '',
+  healthState: '',
+  healthIssues: '',
+  certificateExpiresAt: 'date',
+  healthCheckedAt: 'date',
   SiteBranchConfig: (sbc) => sbc && sbcSerializer.serialize(sbc),
   Site: (site, _, isSystemAdmin) =>
     site && siteSerializer.serializeNew(site, isSystemAdmin),
@@ -20,6 +27,7 @@ const adminAttributes = {
   origin: '',
   path: '',
   serviceName: '',
+  lastOperationDescription: '',
 };
 
 module.exports = new BaseSerializer(attributes, adminAttributes);
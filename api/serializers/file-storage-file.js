@@ -0,0 +1,14 @@
+const BaseSerializer = require('./base');
+
+const attributes = {
+  id: '',
+  name: '',
+  key: '',
+  description: '',
+  metadata: '',
+  type: (_, file) => (file.isDirectory() ? 'directory' : 'file'),
+  createdAt: 'date',
+  updatedAt: 'date',
+};
+
+module.exports = new BaseSerializer(attributes);
@@ -0,0 +1,12 @@
+const BaseSerializer = require('./base');
+
+const attributes = {
+  id: '',
+  name: '',
+  organizationId: '',
+  siteId: '',
+  createdAt: 'date',
+  updatedAt: 'date',
+};
+
+module.exports = new BaseSerializer(attributes);
@@ -1,12 +1,28 @@
 const { pick } = require('../utils');
 
-const allowedAttributes = ['id', 'branch', 'config', 'context', 's3Key'];
+const allowedAttributes = [
+  'id',
+  'branch',
+  'config',
+  'context',
+  's3Key',
+  'schedule',
+  'scheduleTimezone',
+  'ignoredPaths',
+];
 
 function serialize(sbc) {
   const object = sbc.get({
     plain: true,
   });
-  return pick(allowedAttributes, object);
+  const filtered = pick(allowedAttributes, object);
+
+  const nextScheduledRunAt = sbc.nextScheduledRunAt();
+  if (nextScheduledRunAt) {
+    filtered.nextScheduledRunAt = nextScheduledRunAt.toISOString();
+  }
+
+  return filtered;
 }
 
 function serializeMany(sbc) {
@@ -85,6 +85,11 @@ function serializeNew(site, isSystemAdmin = false) {
 
   filtered.basicAuth = hideBasicAuthPassword(site.basicAuth);
 
+  filtered.autoCancelSupersededBuilds = site.autoCancelSupersededBuilds;
+  filtered.previewRetentionDays = site.previewRetentionDays;
+  filtered.sourceDirectory = site.sourceDirectory;
+  filtered.pathFilters = site.pathFilters;
+
   if (isSystemAdmin) {
     filtered.containerConfig = site.containerConfig;
   }
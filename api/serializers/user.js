@@ -8,6 +8,7 @@ const attributes = {
   email: '',
   username: '',
   buildNotificationSettings: '',
+  emailNotificationSettings: '',
   hasGithubAuth: (_, user) => !!user.githubAccessToken,
   UAAIdentity: (uaaIdentity, _, isSystemAdmin) =>
     uaaIdentitySerializer.serialize(uaaIdentity, isSystemAdmin),
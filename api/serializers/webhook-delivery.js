@@ -0,0 +1,16 @@
+const BaseSerializer = require('./base');
+
+const attributes = {
+  id: '',
+  webhookSubscriptionId: '',
+  event: '',
+  payload: '',
+  status: '',
+  attempts: '',
+  responseStatus: '',
+  error: '',
+  deliveredAt: 'date',
+  createdAt: 'date',
+};
+
+module.exports = new BaseSerializer(attributes);
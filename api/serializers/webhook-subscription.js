@@ -0,0 +1,15 @@
+const BaseSerializer = require('./base');
+
+const attributes = {
+  id: '',
+  siteId: '',
+  organizationId: '',
+  url: '',
+  events: '',
+  secretHint: '',
+  active: '',
+  createdAt: 'date',
+  updatedAt: 'date',
+};
+
+module.exports = new BaseSerializer(attributes);
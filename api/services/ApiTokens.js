@@ -0,0 +1,214 @@
+const crypto = require('crypto');
+const moment = require('moment');
+const { Op } = require('sequelize');
+const { ApiToken, Event, Organization, User } = require('../models');
+const { CustomError, ValidationError } = require('../utils/validators');
+const EventCreator = require('./EventCreator');
+
+const TOKEN_PREFIX = 'pages_';
+const DISPLAYED_LENGTH = TOKEN_PREFIX.length + 6;
+const DEFAULT_EXPIRES_IN_DAYS = 90;
+const MAX_EXPIRES_IN_DAYS = 365;
+
+const auditData = (apiToken) => ({
+  apiToken: {
+    id: apiToken.id,
+    name: apiToken.name,
+    tokenPrefix: apiToken.tokenPrefix,
+    organizationId: apiToken.organizationId,
+  },
+});
+
+function validateExpiresInDays(expiresInDays = DEFAULT_EXPIRES_IN_DAYS) {
+  const days = parseInt(expiresInDays, 10);
+
+  if (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRES_IN_DAYS) {
+    throw new ValidationError(
+      `Tokens must expire within 1 to ${MAX_EXPIRES_IN_DAYS} days.`,
+    );
+  }
+
+  return days;
+}
+
+async function validateOrganization(user, organizationId) {
+  if (!organizationId) {
+    return null;
+  }
+
+  const org = await Organization.forManagerRole(user).findByPk(organizationId);
+
+  if (!org) {
+    throw new CustomError(
+      'Only the managers of an organization can create its tokens.',
+      403,
+    );
+  }
+
+  return org.id;
+}
+
+// The personal tokens of a user and the tokens of the organizations they manage
+async function manageableBy(user) {
+  const orgs = await Organization.forManagerRole(user).findAll({
+    attributes: ['id'],
+  });
+
+  return {
+    [Op.or]: [
+      { userId: user.id, organizationId: null },
+      { organizationId: orgs.map((org) => org.id) },
+    ],
+  };
+}
+
+/**
+ * Lists the tokens a user can manage, the most recent first
+ * @async
+ * @method listTokens
+ * @param {Object} user - An instance of the model User
+ * @return {Promise<Array<{Object}>>} The instances of the model ApiToken
+ */
+async function listTokens(user) {
+  return ApiToken.findAll({
+    where: await manageableBy(user),
+    include: [Organization],
+    order: [['createdAt', 'DESC']],
+  });
+}
+
+/**
+ * Creates a personal token or, with an organization id, a token of an
+ * organization the user manages
+ * @async
+ * @method createToken
+ * @param {Object} user - An instance of the model User creating the token
+ * @param {Object} params
+ * @param {string} params.name - A name to recognize the token
+ * @param {Array<string>} params.scopes - What the token gives access to
+ * @param {number} params.expiresInDays - The number of days the token is valid
+ * @param {number} params.organizationId - The id of the organization of the token
+ * @return {Promise<{apiToken: Object, token: string}>} The instance of the model
+ * ApiToken and the token, which is not stored and cannot be shown again
+ */
+async function createToken(user, { name, scopes, expiresInDays, organizationId }) {
+  const days = validateExpiresInDays(expiresInDays);
+  const orgId = await validateOrganization(user, organizationId);
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('hex')}`;
+
+  const apiToken = await ApiToken.create({
+    name: typeof name === 'string' ? name.trim() : name,
+    scopes,
+    tokenHash: ApiToken.hashToken(token),
+    tokenPrefix: token.slice(0, DISPLAYED_LENGTH),
+    expiresAt: moment().add(days, 'days').toDate(),
+    userId: user.id,
+    organizationId: orgId,
+  });
+
+  EventCreator.audit(
+    Event.labels.API_TOKEN,
+    user,
+    'API Token Created',
+    auditData(apiToken),
+  );
+
+  return { apiToken, token };
+}
+
+/**
+ * Revokes a token the user can manage
+ * @async
+ * @method revokeToken
+ * @param {Object} user - An instance of the model User revoking the token
+ * @param {number} id - The id of the token
+ * @return {Promise<{Object}>} The revoked instance of the model ApiToken, if found
+ */
+async function revokeToken(user, id) {
+  const apiToken = await ApiToken.findOne({
+    where: {
+      [Op.and]: [{ id }, await manageableBy(user)],
+    },
+  });
+
+  if (!apiToken) {
+    return null;
+  }
+
+  await apiToken.destroy();
+
+  EventCreator.audit(
+    Event.labels.API_TOKEN,
+    user,
+    'API Token Revoked',
+    auditData(apiToken),
+  );
+
+  return apiToken;
+}
+
+/**
+ * Finds the user of a token that is not expired nor revoked. The tokens of an
+ * organization stop working when their creator leaves the organization.
+ * @async
+ * @method authenticate
+ * @param {string} token - The token sent by the client
+ * @return {Promise<{user: Object, apiToken: Object}|null>} The instances of the
+ * models User and ApiToken
+ */
+async function authenticate(token) {
+  const apiToken = await ApiToken.findOne({
+    where: {
+      tokenHash: ApiToken.hashToken(token),
+    },
+    include: [User],
+  });
+
+  if (!apiToken || apiToken.isExpired()) {
+    return null;
+  }
+
+  const { User: user } = apiToken;
+
+  if (apiToken.organizationId) {
+    const org = await Organization.forUser(user).findOne({
+      where: {
+        id: apiToken.organizationId,
+        isActive: true,
+      },
+    });
+
+    if (!org) {
+      return null;
+    }
+  }
+
+  await apiToken.update({
+    lastUsedAt: new Date(),
+  });
+
+  return { user, apiToken };
+}
+
+/**
+ * Records the use of a token as an audit event
+ * @method recordUse
+ * @param {Object} apiToken - An instance of the model ApiToken
+ * @param {Object} user - The instance of the model User of the token
+ * @param {Object} req - The request made with the token
+ */
+function recordUse(apiToken, user, req) {
+  EventCreator.audit(Event.labels.API_TOKEN, user, 'API Token Used', {
+    ...auditData(apiToken),
+    method: req.method,
+    path: req.originalUrl,
+  });
+}
+
+module.exports = {
+  authenticate,
+  createToken,
+  listTokens,
+  recordUse,
+  revokeToken,
+};
@@ -0,0 +1,123 @@
+const { Op } = require('sequelize');
+const { Build, BuildLog, Event } = require('../models');
+const QueueJobs = require('../queue-jobs');
+const buildErrors = require('../responses/buildErrors');
+const CloudFoundryAPIClient = require('../utils/cfApiClient');
+const { createQueueConnection } = require('../utils/queues');
+const { CustomError } = require('../utils/validators');
+const EventCreator = require('./EventCreator');
+
+const apiClient = new CloudFoundryAPIClient();
+const queue = new QueueJobs(createQueueConnection());
+
+/**
+ * Cancels an in-flight build
+ * Pending jobs are removed from the Site Builds Queue and the CF Tasks of
+ * active jobs are cancelled before the build is marked as cancelled, unless
+ * it completed meanwhile.
+ * @async
+ * @method cancelBuild
+ * @param {Object} build - An instance of the model Build
+ * @param {Object} options
+ * @param {string} [options.reason] - The reason added to the build logs
+ * @return {Promise<{Object}>} The cancelled build
+ */
+async function cancelBuild(build, { reason = 'The build was cancelled.' } = {}) {
+  if (!build.isInProgress()) {
+    throw new Error(`Build@id=${build.id} is not in progress and cannot be cancelled`);
+  }
+
+  const activeJobs = await queue.cancelSiteBuild(build);
+
+  const cancels = await Promise.allSettled(
+    activeJobs.map((job) => apiClient.cancelBuildTask(job.id)),
+  );
+
+  cancels
+    .filter((result) => result.status === 'rejected')
+    .forEach(({ reason: err }) =>
+      EventCreator.error(Event.labels.BUILD_STATUS, err, {
+        buildId: build.id,
+      }),
+    );
+
+  // The build may have reported its status meanwhile, which is kept
+  const [claimed] = await Build.update(
+    { state: Build.States.Cancelled },
+    { where: { id: build.id, state: Build.InProgressStates } },
+  );
+
+  if (!claimed) {
+    throw new CustomError(buildErrors.BUILD_NOT_IN_PROGRESS);
+  }
+
+  await build.updateJobStatus({
+    status: Build.States.Cancelled,
+  });
+
+  // A cancelled build is never published, so its output is removed
+  await queue
+    .removeBuildOutput(build)
+    .catch((err) =>
+      EventCreator.error(Event.labels.BUILD_STATUS, err, { buildId: build.id }),
+    );
+
+  await BuildLog.create({
+    build: build.id,
+    source: 'ALL',
+    output: reason,
+  });
+
+  return build;
+}
+
+/**
+ * Cancels the older in-flight builds of the same site branch
+ * and marks them as superseded by the newer build
+ * Builds which cannot be cancelled are logged and skipped.
+ * @async
+ * @method supersedeBuilds
+ * @param {Object} build - The newer instance of the model Build
+ * @return {Promise<{Object[]}>} The superseded builds
+ */
+async function supersedeBuilds(build) {
+  const olderBuilds = await Build.findAll({
+    where: {
+      id: {
+        [Op.lt]: build.id,
+      },
+      site: build.site,
+      branch: build.branch,
+      state: [Build.States.Tasked, Build.States.Processing],
+    },
+  });
+
+  const results = await Promise.allSettled(
+    olderBuilds.map(async (olderBuild) => {
+      await cancelBuild(olderBuild, {
+        reason: `The build was superseded by build #${build.id}.`,
+      });
+      return olderBuild.update({
+        supersededBy: build.id,
+      });
+    }),
+  );
+
+  // A build which completed or failed to cancel should not fail the newer build
+  results
+    .filter((result) => result.status === 'rejected')
+    .forEach(({ reason: err }) =>
+      EventCreator.error(Event.labels.BUILD_STATUS, err, {
+        buildId: build.id,
+      }),
+    );
+
+  return results
+    .filter((result) => result.status === 'fulfilled')
+    .map((result) => result.value);
+}
+
+module.exports = {
+  cancelBuild,
+  supersedeBuilds,
+};
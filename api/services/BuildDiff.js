@@ -0,0 +1,72 @@
+const { Build } = require('../models');
+const { ValidationError } = require('../utils/validators');
+const S3PublishedFileLister = require('./S3PublishedFileLister');
+
+const fileSummary = ({ name, size }) => ({ name, size });
+
+/**
+ * Compares the published files of two successful builds of the same branch
+ * Files are matched by their path and are changed when their size or ETag differ.
+ * @async
+ * @method diffBuilds
+ * @param {Object} site - An instance of the model Site
+ * @param {Object} build - The earlier instance of the model Build
+ * @param {Object} otherBuild - The instance of the model Build compared to `build`
+ * @return {Promise<{Object}>} The files added, removed and changed by `otherBuild`
+ */
+async function diffBuilds(site, build, otherBuild) {
+  if (build.branch !== otherBuild.branch) {
+    throw new ValidationError('Only builds of the same branch can be compared.');
+  }
+
+  if (![build, otherBuild].every((b) => b.state === Build.States.Success)) {
+    throw new ValidationError('Only successful builds can be compared.');
+  }
+
+  const [files, otherFiles] = await Promise.all([
+    S3PublishedFileLister.listBuildManifest(site, build),
+    S3PublishedFileLister.listBuildManifest(site, otherBuild),
+  ]);
+
+  if (!files.length || !otherFiles.length) {
+    throw new ValidationError('The output of these builds is no longer available.');
+  }
+
+  const filesByName = new Map(files.map((file) => [file.name, file]));
+  const otherNames = new Set(otherFiles.map((file) => file.name));
+
+  const added = [];
+  const changed = [];
+  let unchanged = 0;
+
+  otherFiles.forEach((otherFile) => {
+    const file = filesByName.get(otherFile.name);
+
+    if (!file) {
+      added.push(fileSummary(otherFile));
+    } else if (file.etag !== otherFile.etag || file.size !== otherFile.size) {
+      changed.push({
+        ...fileSummary(otherFile),
+        previousSize: file.size,
+      });
+    } else {
+      unchanged += 1;
+    }
+  });
+
+  const removed = files.filter((file) => !otherNames.has(file.name)).map(fileSummary);
+
+  return {
+    buildId: build.id,
+    otherBuildId: otherBuild.id,
+    branch: build.branch,
+    added,
+    removed,
+    changed,
+    unchanged,
+  };
+}
+
+module.exports = {
+  diffBuilds,
+};
@@ -0,0 +1,356 @@
+const url = require('url');
+const config = require('../../config');
+const {
+  Build,
+  BuildTask,
+  BuildTaskType,
+  Domain,
+  Event,
+  Site,
+  SiteBranchConfig,
+  SiteBuildTask,
+} = require('../models');
+const QueueJobs = require('../queue-jobs');
+const { appMatch } = require('../utils');
+const { createQueueConnection } = require('../utils/queues');
+const { Severities, reportSeverities } = require('../utils/reports');
+const BuildPublisher = require('./BuildPublisher');
+const EventCreator = require('./EventCreator');
+const GithubBuildHelper = require('./GithubBuildHelper');
+const S3BuildTask = require('./S3BuildTask');
+
+const queue = new QueueJobs(createQueueConnection());
+
+// Without a threshold, any unsuppressed finding blocks the build
+const DefaultSeverityThresholds = {
+  'owasp-zap': 'low',
+  a11y: 'minor',
+};
+
+const isPrepublish = (siteBuildTask) =>
+  siteBuildTask.effectiveStartsWhen() === BuildTaskType.StartsWhens.Prepublish;
+
+const findGateTasks = async (build) => {
+  const buildTasks = await BuildTask.findAll({
+    where: {
+      buildId: build.id,
+    },
+    include: [
+      BuildTaskType,
+      {
+        model: SiteBuildTask,
+        required: true,
+        include: BuildTaskType,
+      },
+    ],
+  });
+
+  return buildTasks.filter((buildTask) => isPrepublish(buildTask.SiteBuildTask));
+};
+
+const gateFailure = async (site, buildTask) => {
+  const name = buildTask.BuildTaskType.name;
+  const reportUrl = url.resolve(config.app.hostname, `/report/${buildTask.id}`);
+
+  if (buildTask.status !== BuildTask.Statuses.Success) {
+    return `${name} did not complete, see ${reportUrl}`;
+  }
+
+  const type = appMatch(buildTask.BuildTaskType);
+  const severities = Severities[type];
+
+  // Only the issue count is known for other report types
+  if (!severities || !buildTask.artifact) {
+    return buildTask.count > 0
+      ? `${name} found ${buildTask.count} issues, see ${reportUrl}`
+      : null;
+  }
+
+  const metadata = buildTask.SiteBuildTask.metadata || {};
+  const configured = `${metadata.severityThreshold}`.toLowerCase();
+  const threshold = severities.includes(configured)
+    ? configured
+    : DefaultSeverityThresholds[type];
+
+  const response = await S3BuildTask.getObject(site, `${buildTask.artifact}index.json`);
+  const report = JSON.parse(await response.Body.transformToString());
+
+  const blocking = reportSeverities(type, report).filter((severity) => {
+    const index = severities.indexOf(severity);
+    return index > -1 && index <= severities.indexOf(threshold);
+  });
+
+  if (!blocking.length) {
+    return null;
+  }
+
+  const issues = `${blocking.length} ${threshold} or worse issues`;
+  return `${name} found ${issues}, see ${reportUrl}`;
+};
+
+const publishBuild = async (build, buildStatus) => {
+  await BuildPublisher.publishBuild(build);
+  await build.updateJobStatus(buildStatus);
+  // The output is kept so that the build can be promoted again
+  await queue
+    .pruneBuildOutputs(build)
+    .catch((err) =>
+      EventCreator.error(Event.labels.BUILD_STATUS, err, { buildId: build.id }),
+    );
+  return build;
+};
+
+const removeBuildOutput = (build) =>
+  queue
+    .removeBuildOutput(build)
+    .catch((err) =>
+      EventCreator.error(Event.labels.BUILD_STATUS, err, { buildId: build.id }),
+    );
+
+// The output of a build which cannot be published is removed with the build
+const failPublish = async (build, message) => {
+  await build.updateJobStatus({
+    status: Build.States.Error,
+    message,
+  });
+  await removeBuildOutput(build);
+  return build;
+};
+
+const reportGateResult = async (build) => {
+  if (build.requestedCommitSha) {
+    await GithubBuildHelper.reportBuildStatus(build);
+  }
+
+  if (build.pullRequestNumber) {
+    await GithubBuildHelper.reportPullRequestPreview(build);
+  }
+};
+
+/**
+ * Creates the build tasks of a build's prepublish site build tasks
+ * A build with prepublish tasks is staged until the tasks pass.
+ * @async
+ * @method createGateTasks
+ * @param {Object} build - An instance of the model Build
+ * @return {Promise<{Object[]}>} The build's prepublish build tasks
+ */
+async function createGateTasks(build) {
+  const siteBuildTasks = await SiteBuildTask.findAll({
+    where: {
+      siteId: build.site,
+    },
+    include: BuildTaskType,
+  });
+
+  const gates = siteBuildTasks.filter(
+    (siteBuildTask) =>
+      isPrepublish(siteBuildTask) &&
+      (!siteBuildTask.branch || siteBuildTask.branch === build.branch),
+  );
+
+  // Build jobs may be retried so the tasks may already exist
+  return Promise.all(
+    gates.map(async (siteBuildTask) => {
+      const [buildTask] = await BuildTask.findOrCreate({
+        where: {
+          buildId: build.id,
+          buildTaskTypeId: siteBuildTask.buildTaskTypeId,
+        },
+        defaults: {
+          siteBuildTaskId: siteBuildTask.id,
+          name: `build: ${build.id}, type: ${siteBuildTask.buildTaskTypeId}`,
+        },
+      });
+      return buildTask;
+    }),
+  );
+}
+
+/**
+ * Updates the status of a build reported by its build container
+ * Every build is built to its output prefix. The publish of a successful build
+ * is queued unless it has prepublish tasks, in which case it is staged and its
+ * tasks are queued. The tasks and the output of a build which failed are removed.
+ * @async
+ * @method updateBuildStatus
+ * @param {Object} build - An instance of the model Build
+ * @param {Object} buildStatus - The build status reported by the build container
+ * @return {Promise<{Object}>} The updated build
+ */
+async function updateBuildStatus(build, buildStatus) {
+  const gateTasks = (await findGateTasks(build)).filter(
+    (buildTask) => buildTask.status === BuildTask.Statuses.Created,
+  );
+
+  if (buildStatus.status === Build.States.Success && gateTasks.length) {
+    await build.updateJobStatus({
+      ...buildStatus,
+      status: Build.States.Staged,
+    });
+    await Promise.all(gateTasks.map((buildTask) => buildTask.enqueue()));
+    return build;
+  }
+
+  // Publishing copies the whole output, so it is not done while the container waits
+  if (buildStatus.status === Build.States.Success) {
+    await queue
+      .publishBuild(build, buildStatus)
+      .catch((error) =>
+        failPublish(build, `Unable to publish the build: ${error.message}`),
+      );
+    return build;
+  }
+
+  if (build.canComplete(buildStatus.status)) {
+    if (gateTasks.length) {
+      await BuildTask.update(
+        { status: BuildTask.Statuses.Cancelled },
+        { where: { id: gateTasks.map((buildTask) => buildTask.id) } },
+      );
+    }
+    await removeBuildOutput(build);
+  }
+
+  return build.updateJobStatus(buildStatus);
+}
+
+/**
+ * Publishes or blocks a staged build once all of its prepublish tasks completed
+ * The staged output is published to the build's site prefix when every task passed
+ * its severity threshold. Otherwise the build is blocked and the output removed.
+ * @async
+ * @method evaluateGate
+ * @param {number} buildId - The build primary key
+ * @return {Promise<{Object|null}>} The published or blocked build
+ */
+async function evaluateGate(buildId) {
+  const build = await Build.findByPk(buildId, {
+    include: [
+      {
+        model: Site,
+        include: [SiteBranchConfig, Domain],
+      },
+    ],
+  });
+
+  if (build?.state !== Build.States.Staged) {
+    return null;
+  }
+
+  const gateTasks = await findGateTasks(build);
+  const isFinished = gateTasks.every((buildTask) =>
+    [BuildTask.Statuses.Success, BuildTask.Statuses.Error].includes(buildTask.status),
+  );
+
+  if (!isFinished) {
+    return null;
+  }
+
+  // Claim the staged build so that it is only published once
+  const [claimed] = await Build.update(
+    { state: Build.States.Processing },
+    { where: { id: build.id, state: Build.States.Staged } },
+  );
+
+  if (!claimed) {
+    return null;
+  }
+
+  const site = build.Site;
+
+  try {
+    const failures = (
+      await Promise.all(gateTasks.map((buildTask) => gateFailure(site, buildTask)))
+    ).filter(Boolean);
+
+    if (failures.length) {
+      await BuildPublisher.removeBuildOutput(build);
+      await build.updateJobStatus({
+        status: Build.States.Blocked,
+        message: [failures[0], failures.length > 1 && `and ${failures.length - 1} more`]
+          .filter(Boolean)
+          .join(' '),
+      });
+    } else {
+      await publishBuild(build, { status: Build.States.Success });
+    }
+  } catch (error) {
+    await failPublish(build, `Unable to publish the staged build: ${error.message}`);
+  }
+
+  await reportGateResult(build);
+
+  return build;
+}
+
+/**
+ * Publishes a successful build without prepublish tasks
+ * The publish is queued by `updateBuildStatus` and the build completes with
+ * the status reported by its build container once its output is published.
+ * @async
+ * @method publishQueuedBuild
+ * @param {number} buildId - The build primary key
+ * @param {Object} buildStatus - The build status reported by the build container
+ * @return {Promise<{Object|null}>} The published build, null if it is not in progress
+ */
+async function publishQueuedBuild(buildId, buildStatus) {
+  const build = await Build.findByPk(buildId, {
+    include: [
+      {
+        model: Site,
+        include: [SiteBranchConfig, Domain],
+      },
+    ],
+  });
+
+  // The build may have been cancelled while its publish was queued
+  if (!build?.isInProgress()) {
+    return null;
+  }
+
+  try {
+    await publishBuild(build, buildStatus);
+  } catch (error) {
+    await failPublish(build, `Unable to publish the build: ${error.message}`);
+  }
+
+  await reportGateResult(build);
+
+  return build;
+}
+
+/**
+ * Errors the unfinished prepublish tasks of a build staged for too long
+ * and evaluates its gate, so that the build is blocked instead of staying staged
+ * @async
+ * @method timeoutGate
+ * @param {Object} build - An instance of the model Build
+ * @return {Promise<{Object|null}>} The blocked build
+ */
+async function timeoutGate(build) {
+  const unfinishedTasks = (await findGateTasks(build)).filter(
+    (buildTask) =>
+      ![BuildTask.Statuses.Success, BuildTask.Statuses.Error].includes(buildTask.status),
+  );
+
+  if (unfinishedTasks.length) {
+    await BuildTask.update(
+      {
+        status: BuildTask.Statuses.Error,
+        message: 'The build task timed out',
+      },
+      { where: { id: unfinishedTasks.map((buildTask) => buildTask.id) } },
+    );
+  }
+
+  return evaluateGate(build.id);
+}
+
+module.exports = {
+  createGateTasks,
+  evaluateGate,
+  publishQueuedBuild,
+  timeoutGate,
+  updateBuildStatus,
+};
@@ -0,0 +1,121 @@
+const { Build, BuildLog } = require('../models');
+const SocketIOSubscriber = require('./SocketIOSubscriber');
+
+const POLL_INTERVAL = 2 * 1000;
+
+// The build and the number of log lines already sent to each build log room
+const rooms = new Map();
+
+const findLogLines = (buildId, offset) =>
+  BuildLog.findAll({
+    attributes: ['output'],
+    where: {
+      build: buildId,
+      source: 'ALL',
+    },
+    order: [['id', 'ASC']],
+    offset,
+  });
+
+/**
+ * Subscribes a socket to the live logs of a build the user can access
+ * Lines written before the room was created are not pushed, so subscribers should
+ * fetch the existing logs once they are subscribed.
+ * @async
+ * @method subscribe
+ * @param {Object} socket - The Socket.IO socket of an authenticated user
+ * @param {number} buildId - The id of the build
+ * @return {Promise<{boolean}>} Whether the socket was subscribed
+ */
+async function subscribe(socket, buildId) {
+  const build = await SocketIOSubscriber.joinBuildLogRoom(socket, buildId);
+
+  if (!build) {
+    return false;
+  }
+
+  const room = SocketIOSubscriber.getBuildLogRoom(build.id);
+
+  if (!rooms.has(room)) {
+    const offset = await BuildLog.count({
+      where: {
+        build: build.id,
+        source: 'ALL',
+      },
+    });
+    if (!rooms.has(room)) {
+      rooms.set(room, {
+        buildId: build.id,
+        offset,
+      });
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Pushes the log lines written since the last push to each build log room with
+ * subscribers on this instance. A room is closed once its build is no longer in
+ * progress, after a last message with the final state of the build.
+ * @async
+ * @method pushBuildLogs
+ * @param {Object} io - The Socket.IO server
+ */
+async function pushBuildLogs(io) {
+  const activeRooms = io.of('/').adapter.rooms;
+
+  await Promise.all(
+    [...rooms].map(async ([room, { buildId, offset }]) => {
+      if (!activeRooms.has(room)) {
+        rooms.delete(room);
+        return;
+      }
+
+      const [build, logs] = await Promise.all([
+        Build.findByPk(buildId, {
+          attributes: ['id', 'state'],
+        }),
+        findLogLines(buildId, offset),
+      ]);
+
+      if (!build) {
+        rooms.delete(room);
+        return;
+      }
+
+      const inProgress = build.isInProgress();
+
+      if (logs.length > 0 || !inProgress) {
+        // Only emit to local sockets, each instance pushes to its own subscribers
+        io.local.to(room).emit('build logs', {
+          build: build.id,
+          state: build.state,
+          offset,
+          output: logs.map((log) => log.output),
+        });
+      }
+
+      if (inProgress) {
+        rooms.set(room, {
+          buildId,
+          offset: offset + logs.length,
+        });
+      } else {
+        rooms.delete(room);
+      }
+    }),
+  );
+}
+
+function start(io, onError) {
+  const interval = setInterval(() => pushBuildLogs(io).catch(onError), POLL_INTERVAL);
+  interval.unref();
+  return interval;
+}
+
+module.exports = {
+  pushBuildLogs,
+  start,
+  subscribe,
+};
@@ -0,0 +1,178 @@
+const moment = require('moment');
+const { Op } = require('sequelize');
+const { Build } = require('../models');
+
+const DEFAULT_DAYS = 30;
+const MAX_DAYS = 365;
+
+// A successful build is a regression when it takes more than REGRESSION_FACTOR
+// times the median duration of the previous successful builds of its branch
+const REGRESSION_FACTOR = 1.5;
+const TRAILING_BUILDS = 10;
+const MIN_TRAILING_BUILDS = 5;
+
+const seconds = (from, to) =>
+  from && to ? moment(to).diff(moment(from), 'seconds') : null;
+
+function median(values) {
+  const sorted = values.filter((value) => value !== null).sort((a, b) => a - b);
+
+  if (sorted.length === 0) {
+    return null;
+  }
+
+  const middle = Math.floor(sorted.length / 2);
+
+  return sorted.length % 2
+    ? sorted[middle]
+    : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+}
+
+function buildMetrics(build) {
+  const disk = build.metrics?.machine?.disk;
+
+  return {
+    id: build.id,
+    branch: build.branch,
+    state: build.state,
+    createdAt: build.createdAt,
+    duration: seconds(build.startedAt, build.completedAt),
+    queueWait: seconds(build.createdAt, build.startedAt),
+    outputSize: Number.isFinite(Number(disk)) && disk !== null ? Number(disk) : null,
+  };
+}
+
+function summarize(builds) {
+  const failures = builds.filter((build) => build.state === Build.States.Error).length;
+
+  return {
+    builds: builds.length,
+    failures,
+    failureRate: builds.length ? failures / builds.length : 0,
+    medianDuration: median(builds.map((build) => build.duration)),
+    medianQueueWait: median(builds.map((build) => build.queueWait)),
+    medianOutputSize: median(builds.map((build) => build.outputSize)),
+  };
+}
+
+function groupBy(builds, keyFn) {
+  return builds.reduce((groups, build) => {
+    const key = keyFn(build);
+    groups.set(key, [...(groups.get(key) || []), build]);
+    return groups;
+  }, new Map());
+}
+
+/**
+ * Finds the successful builds that took much longer than the trailing median
+ * duration of their branch
+ * @method findRegressions
+ * @param {Array<Object>} builds - The build metrics, oldest first
+ * @return {Array<Object>} The slow builds with the trailing median they exceeded
+ */
+function findRegressions(builds) {
+  const regressions = [];
+
+  groupBy(
+    builds.filter(
+      (build) => build.state === Build.States.Success && build.duration !== null,
+    ),
+    (build) => build.branch,
+  ).forEach((branchBuilds) => {
+    branchBuilds.forEach((build, index) => {
+      const trailing = branchBuilds.slice(Math.max(0, index - TRAILING_BUILDS), index);
+
+      if (trailing.length < MIN_TRAILING_BUILDS) {
+        return;
+      }
+
+      const trailingMedian = median(trailing.map((b) => b.duration));
+
+      if (build.duration > trailingMedian * REGRESSION_FACTOR) {
+        regressions.push({
+          buildId: build.id,
+          branch: build.branch,
+          createdAt: build.createdAt,
+          duration: build.duration,
+          trailingMedian,
+        });
+      }
+    });
+  });
+
+  return regressions.sort((a, b) => b.buildId - a.buildId);
+}
+
+/**
+ * Aggregates the duration, queue wait, output size and failure rate of the
+ * completed builds of a site, overall, per branch and per day
+ * @async
+ * @method getSiteBuildMetrics
+ * @param {Object} site - An instance of the model Site
+ * @param {Object} options
+ * @param {number} options.days - The number of days of builds to include
+ * @param {string} options.branch - Only include the builds of this branch
+ * @return {Promise<{Object}>} The aggregated metrics and the slow builds
+ */
+async function getSiteBuildMetrics(site, { days = DEFAULT_DAYS, branch } = {}) {
+  const period = Math.min(Math.max(parseInt(days, 10) || DEFAULT_DAYS, 1), MAX_DAYS);
+  const since = moment().subtract(period, 'days').startOf('day').toDate();
+
+  const where = {
+    site: site.id,
+    state: [Build.States.Success, Build.States.Error],
+    createdAt: {
+      [Op.gte]: since,
+    },
+  };
+
+  if (branch) {
+    where.branch = branch;
+  }
+
+  const builds = await Build.findAll({
+    attributes: [
+      'id',
+      'branch',
+      'state',
+      'createdAt',
+      'startedAt',
+      'completedAt',
+      'metrics',
+    ],
+    where,
+    order: [['createdAt', 'ASC']],
+  });
+
+  const metrics = builds.map(buildMetrics);
+
+  const branches = [...groupBy(metrics, (build) => build.branch)]
+    .map(([name, branchBuilds]) => ({
+      branch: name,
+      ...summarize(branchBuilds),
+    }))
+    .sort((a, b) => b.builds - a.builds);
+
+  const trend = [
+    ...groupBy(metrics, (build) => moment(build.createdAt).utc().format('YYYY-MM-DD')),
+  ].map(([date, dayBuilds]) => ({
+    date,
+    ...summarize(dayBuilds),
+  }));
+
+  return {
+    days: period,
+    since,
+    summary: summarize(metrics),
+    branches,
+    trend,
+    builds: metrics,
+    regressions: findRegressions(metrics),
+  };
+}
+
+module.exports = {
+  findRegressions,
+  getSiteBuildMetrics,
+  median,
+};
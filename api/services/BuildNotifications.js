@@ -0,0 +1,259 @@
+const _ = require('underscore');
+const { Op } = require('sequelize');
+const {
+  Build,
+  BuildTask,
+  BuildTaskType,
+  EmailNotification,
+  OrganizationRole,
+  Site,
+  UAAIdentity,
+  User,
+} = require('../models');
+const QueueJobs = require('../queue-jobs');
+const { appMatch } = require('../utils');
+const { createQueueConnection } = require('../utils/queues');
+const { Severities, reportSeverities } = require('../utils/reports');
+const S3BuildTask = require('./S3BuildTask');
+const { parseNotificationSetting } = require('./SocketIOSubscriber');
+
+const FailedStates = [Build.States.Error, Build.States.Blocked];
+
+// Emails are only sent for the most severe findings unless a user lowers the threshold
+const DefaultSeverityThresholds = {
+  'owasp-zap': 'high',
+  a11y: 'critical',
+};
+
+const queue = new QueueJobs(createQueueConnection());
+
+const emailOf = (user) => user.UAAIdentity?.email || user.email;
+
+const notificationData = (build) => ({
+  site: {
+    id: build.Site.id,
+    owner: build.Site.owner,
+    repository: build.Site.repository,
+  },
+  build: {
+    id: build.id,
+    branch: build.branch,
+    state: build.state,
+    error: build.error,
+  },
+});
+
+// Users are emailed about the builds they would see in the dashboard notifications
+function wantsEmail(user, build, event) {
+  const { frequency = 'none', events = [] } = user.emailNotificationSettings;
+  const { scope, branches } = parseNotificationSetting(
+    user.buildNotificationSettings[build.site],
+  );
+
+  if (frequency === 'none' || !events.includes(event) || !emailOf(user)) {
+    return false;
+  }
+
+  if (branches.length && !branches.includes(build.branch)) {
+    return false;
+  }
+
+  if (scope === 'builds') {
+    return build.user === user.id;
+  }
+
+  return scope !== 'none';
+}
+
+async function findRecipients(build, event) {
+  if (!build.Site.organizationId) {
+    return [];
+  }
+
+  const users = await User.findAll({
+    include: [
+      UAAIdentity,
+      {
+        model: OrganizationRole,
+        where: { organizationId: build.Site.organizationId },
+        required: true,
+      },
+    ],
+  });
+
+  return users.filter((user) => wantsEmail(user, build, event));
+}
+
+async function notify(user, event, data) {
+  if (user.emailNotificationSettings.frequency === 'immediate') {
+    return queue.sendBuildNotification(emailOf(user), event, data);
+  }
+
+  return EmailNotification.create({
+    userId: user.id,
+    siteId: data.site.id,
+    event,
+    data,
+  });
+}
+
+async function buildEvent(build) {
+  if (FailedStates.includes(build.state)) {
+    return 'build-failed';
+  }
+
+  if (build.state !== Build.States.Success) {
+    return null;
+  }
+
+  const previous = await Build.findOne({
+    where: {
+      site: build.site,
+      branch: build.branch,
+      id: { [Op.lt]: build.id },
+      state: [Build.States.Success, ...FailedStates],
+    },
+    order: [['id', 'DESC']],
+  });
+
+  return previous && FailedStates.includes(previous.state) ? 'build-recovered' : null;
+}
+
+/**
+ * Emails the users of a completed build's site who opted in to build failure
+ * or build recovery notifications, or saves them for their daily digest
+ * A successful build is a recovery when the previous build of its branch failed.
+ * @async
+ * @method notifyBuildCompleted
+ * @param {number} buildId - The build primary key
+ * @return {Promise<Array<{Object}>>} The queued emails and saved digest notifications
+ */
+async function notifyBuildCompleted(buildId) {
+  const build = await Build.findByPk(buildId, { include: [Site] });
+  const event = build && (await buildEvent(build));
+
+  if (!event) {
+    return [];
+  }
+
+  const recipients = await findRecipients(build, event);
+
+  return Promise.all(
+    recipients.map((user) => notify(user, event, notificationData(build))),
+  );
+}
+
+/**
+ * Emails the users of a site who opted in to report notifications when an a11y
+ * or ZAP report has findings at or above their severity threshold
+ * @async
+ * @method notifyReportCompleted
+ * @param {number} buildTaskId - The build task primary key
+ * @return {Promise<Array<{Object}>>} The queued emails and saved digest notifications
+ */
+async function notifyReportCompleted(buildTaskId) {
+  const buildTask = await BuildTask.findByPk(buildTaskId, {
+    include: [BuildTaskType, { model: Build, include: [Site] }],
+  });
+  const type = buildTask && appMatch(buildTask.BuildTaskType);
+  const severities = Severities[type];
+
+  if (
+    !severities ||
+    !buildTask.artifact ||
+    buildTask.status !== BuildTask.Statuses.Success
+  ) {
+    return [];
+  }
+
+  const { Build: build } = buildTask;
+  const recipients = await findRecipients(build, 'report-findings');
+
+  if (!recipients.length) {
+    return [];
+  }
+
+  const response = await S3BuildTask.getObject(
+    build.Site,
+    `${buildTask.artifact}index.json`,
+  );
+  const findings = reportSeverities(
+    type,
+    JSON.parse(await response.Body.transformToString()),
+  );
+
+  const notifications = recipients.map((user) => {
+    const configured = user.emailNotificationSettings.severityThresholds?.[type];
+    const threshold = severities.includes(configured)
+      ? configured
+      : DefaultSeverityThresholds[type];
+    const count = findings.filter((severity) => {
+      const index = severities.indexOf(severity);
+      return index > -1 && index <= severities.indexOf(threshold);
+    }).length;
+
+    return (
+      count > 0 &&
+      notify(user, 'report-findings', {
+        ...notificationData(build),
+        report: {
+          id: buildTask.id,
+          name: buildTask.BuildTaskType.name,
+          findings: count,
+          threshold,
+        },
+      })
+    );
+  });
+
+  return (await Promise.all(notifications)).filter(Boolean);
+}
+
+/**
+ * Emails each user the notifications saved for their daily digest
+ * @async
+ * @method sendDigests
+ * @return {Promise<{number}>} The number of digests sent
+ */
+async function sendDigests() {
+  const notifications = await EmailNotification.findAll({
+    where: { sentAt: null },
+    include: [{ model: User, include: [UAAIdentity] }],
+    order: [
+      ['createdAt', 'ASC'],
+      ['id', 'ASC'],
+    ],
+  });
+
+  const byUser = _.groupBy(notifications, (notification) => notification.userId);
+
+  const sent = await Promise.all(
+    Object.values(byUser).map(async (userNotifications) => {
+      const { User: user } = userNotifications[0];
+      const wantsDigest =
+        user && user.emailNotificationSettings.frequency === 'daily' && emailOf(user);
+
+      if (wantsDigest) {
+        await queue.sendNotificationDigest(
+          emailOf(user),
+          userNotifications.map(({ event, data }) => ({ event, data })),
+        );
+      }
+
+      await EmailNotification.update(
+        { sentAt: new Date() },
+        { where: { id: userNotifications.map((notification) => notification.id) } },
+      );
+
+      return Boolean(wantsDigest);
+    }),
+  );
+
+  return sent.filter(Boolean).length;
+}
+
+module.exports = {
+  notifyBuildCompleted,
+  notifyReportCompleted,
+  sendDigests,
+};
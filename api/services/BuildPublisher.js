@@ -0,0 +1,187 @@
+const config = require('../../config');
+const { Build, Domain, Event, Site, SiteBranchConfig } = require('../models');
+const QueueJobs = require('../queue-jobs');
+const { buildOutputPrefix, sitePrefix } = require('../utils/build');
+const { createQueueConnection } = require('../utils/queues');
+const { ValidationError } = require('../utils/validators');
+const EventCreator = require('./EventCreator');
+const S3Helper = require('./S3Helper');
+
+const queue = new QueueJobs(createQueueConnection());
+
+// Older outputs were removed when the builds after them were pruned
+const PRUNE_LIMIT = 5;
+
+// Both prefixes end with a slash so that sibling prefixes are not matched
+const outputPrefix = (build) => `${buildOutputPrefix(build)}/`;
+
+const livePrefix = (build, site) => `${sitePrefix(build, site)}/`;
+
+const findSite = (build) =>
+  Site.findByPk(build.site, {
+    include: [SiteBranchConfig, Domain],
+  });
+
+// The live prefixes of the site's other branches which are nested under the
+// build's live prefix, like the preview of `foo/bar` under the preview of `foo`
+async function nestedBranchPrefixes(build, site) {
+  const prefix = livePrefix(build, site);
+  const builds = await Build.findAll({
+    attributes: ['branch'],
+    where: { site: site.id },
+    group: ['branch'],
+    raw: true,
+  });
+  const branches = [
+    ...builds.map((b) => b.branch),
+    ...site.SiteBranchConfigs.map((sbc) => sbc.branch),
+  ].filter(Boolean);
+  const prefixes = new Set(branches.map((branch) => livePrefix({ branch }, site)));
+
+  return [...prefixes].filter((p) => p !== prefix && p.startsWith(prefix));
+}
+
+async function syncToLivePrefix(s3Client, build, site) {
+  const excludePrefixes = await nestedBranchPrefixes(build, site);
+
+  return s3Client.syncBucketObjects(outputPrefix(build), livePrefix(build, site), {
+    excludePrefixes,
+  });
+}
+
+/**
+ * Replaces the live content of a build's branch with the build's output
+ * @async
+ * @method publishBuild
+ * @param {Object} build - An instance of the model Build
+ * @return {Promise<{Object}>} The build
+ */
+async function publishBuild(build) {
+  const site = await findSite(build);
+  const s3Client = await S3Helper.createSiteS3Client(site);
+
+  await syncToLivePrefix(s3Client, build, site);
+
+  return build;
+}
+
+/**
+ * Removes the output of a build which will never be published
+ * @async
+ * @method removeBuildOutput
+ * @param {Object} build - An instance of the model Build
+ * @return {Promise<{Object}>} The build
+ */
+async function removeBuildOutput(build) {
+  const site = await findSite(build);
+  const s3Client = await S3Helper.createSiteS3Client(site);
+
+  await s3Client.deleteAllBucketObjects(outputPrefix(build));
+
+  return build;
+}
+
+/**
+ * Removes the outputs of the successful builds of a build's branch
+ * which are older than the retained number of builds
+ * @async
+ * @method pruneBuildOutputs
+ * @param {Object} build - An instance of the model Build
+ * @return {Promise<{Object[]}>} The builds whose output was removed
+ */
+async function pruneBuildOutputs(build) {
+  const prunedBuilds = await Build.findAll({
+    attributes: ['id', 'site', 'branch'],
+    where: {
+      site: build.site,
+      branch: build.branch,
+      state: Build.States.Success,
+    },
+    order: [['id', 'DESC']],
+    offset: config.app.buildOutputRetention,
+    limit: PRUNE_LIMIT,
+  });
+
+  if (prunedBuilds.length) {
+    const site = await findSite(build);
+    const s3Client = await S3Helper.createSiteS3Client(site);
+
+    await Promise.all(
+      prunedBuilds.map((prunedBuild) =>
+        s3Client.deleteAllBucketObjects(outputPrefix(prunedBuild)),
+      ),
+    );
+  }
+
+  return prunedBuilds;
+}
+
+/**
+ * Queues the removal of the retained outputs of a branch's successful builds
+ * once the branch is no longer published, like a removed preview
+ * @async
+ * @method removeBranchBuildOutputs
+ * @param {Object} site - An instance of the model Site
+ * @param {string} branch - The branch name
+ * @return {Promise<{Object[]}>} The builds whose output removal was queued
+ */
+async function removeBranchBuildOutputs(site, branch) {
+  const builds = await Build.findAll({
+    attributes: ['id', 'site', 'branch'],
+    where: {
+      site: site.id,
+      branch,
+      state: Build.States.Success,
+    },
+    order: [['id', 'DESC']],
+    limit: config.app.buildOutputRetention,
+  });
+
+  await Promise.all(builds.map((build) => queue.removeBuildOutput(build)));
+
+  return builds;
+}
+
+/**
+ * Rolls the live content of a build's branch back or forward to a
+ * previously published build without running the generator again
+ * @async
+ * @method promoteBuild
+ * @param {Object} build - An instance of the model Build
+ * @param {Object} user - The user or admin promoting the build
+ * @return {Promise<{Object}>} The promoted build
+ */
+async function promoteBuild(build, user) {
+  if (build.state !== Build.States.Success) {
+    throw new ValidationError('Only successful builds can be promoted.');
+  }
+
+  const site = await findSite(build);
+  const s3Client = await S3Helper.createSiteS3Client(site);
+  const hasOutput = await s3Client.hasObjects(outputPrefix(build));
+
+  if (!hasOutput) {
+    throw new ValidationError('The output of this build is no longer available.');
+  }
+
+  await syncToLivePrefix(s3Client, build, site);
+
+  EventCreator.audit(Event.labels.BUILD_PROMOTION, user, 'Build Promoted', {
+    build: {
+      id: build.id,
+      site: build.site,
+      branch: build.branch,
+      clonedCommitSha: build.clonedCommitSha,
+    },
+  });
+
+  return build;
+}
+
+module.exports = {
+  promoteBuild,
+  publishBuild,
+  pruneBuildOutputs,
+  removeBranchBuildOutputs,
+  removeBuildOutput,
+};
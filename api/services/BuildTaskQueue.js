@@ -1,7 +1,8 @@
 const path = require('path');
-const { BuildTask } = require('../models');
+const { Build, BuildTask } = require('../models');
 const config = require('../../config');
 const CloudFoundryAPIClient = require('../utils/cfApiClient');
+const { buildOutputUrl } = require('../utils/build');
 const S3Helper = require('./S3Helper');
 
 const apiClient = new CloudFoundryAPIClient();
@@ -57,6 +58,11 @@ const BuildTaskQueue = {
   setupTaskEnv: async (buildTaskId) => {
     const buildTask = await BuildTask.forRunner().findByPk(buildTaskId);
 
+    // Prepublish tasks run against the staged output of the build
+    if (buildTask.Build.state === Build.States.Staged) {
+      buildTask.Build.url = buildOutputUrl(buildTask.Build, buildTask.Build.Site);
+    }
+
     await setupBucket(buildTask.Build);
 
     const data = await BuildTaskQueue.messageBodyForBuild(buildTask);
@@ -150,6 +150,8 @@ function isAcmeChallengeDnsRecord(dnsRecord) {
   return dnsRecord.purpose === DnsRecordPurpose.AcmeChallenge;
 }
 
+module.exports.DnsRecordType = DnsRecordType;
+module.exports.DnsResultState = DnsResultState;
 module.exports.buildAcmeChallengeDnsRecord = buildAcmeChallengeDnsRecord;
 module.exports.buildSiteDnsRecord = buildSiteDnsRecord;
 module.exports.buildDnsRecords = buildDnsRecords;
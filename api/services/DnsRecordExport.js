@@ -0,0 +1,178 @@
+const json2csv = require('@json2csv/plainjs');
+const { buildEnum } = require('../utils');
+const { CustomError } = require('../utils/validators');
+const DnsService = require('./Dns');
+const DomainService = require('./Domain');
+
+const Formats = buildEnum(['bind', 'route53', 'cloudflare', 'csv']);
+
+const TTL = 300;
+
+/**
+ * @param {DnsService.DnsRecord} record
+ * @returns {boolean}
+ */
+function isApexRecord(record) {
+  return record.type === DnsService.DnsRecordType.A;
+}
+
+/**
+ * The Terraform resource name of a record, i.e. `acme_challenge_www_agency_gov`
+ * @param {DnsService.DnsRecord} record
+ * @returns {string}
+ */
+function resourceName(record) {
+  return record.name.replace(/[^a-z0-9]+/gi, '_').replace(/^_+/, '');
+}
+
+// Apex domains cannot have a CNAME record, their target is an alias of the provider
+function apexComment(record, prefix) {
+  return [
+    `${prefix} ${record.name} is an apex domain which cannot have a CNAME record.`,
+    `${prefix} Point it to ${record.target} with an ALIAS, ANAME or flattened`,
+    `${prefix} CNAME record, depending on what your DNS provider supports.`,
+  ].join('\n');
+}
+
+/**
+ * @param {string} names The domain names
+ * @param {DnsService.DnsRecord[]} records
+ * @returns {string}
+ */
+function renderBind(names, records) {
+  const lines = records.map((record) =>
+    isApexRecord(record)
+      ? apexComment(record, ';')
+      : `${record.name}.\t${TTL}\tIN\tCNAME\t${record.target}.`,
+  );
+
+  return [`; DNS records for ${names}`, ...lines, ''].join('\n');
+}
+
+/**
+ * @param {string} names The domain names
+ * @param {DnsService.DnsRecord[]} records
+ * @returns {string}
+ */
+function renderRoute53(names, records) {
+  const blocks = records.map((record) =>
+    isApexRecord(record)
+      ? apexComment(record, '#')
+      : [
+          `resource "aws_route53_record" "${resourceName(record)}" {`,
+          '  zone_id = var.zone_id',
+          `  name    = "${record.name}"`,
+          '  type    = "CNAME"',
+          `  ttl     = ${TTL}`,
+          `  records = ["${record.target}"]`,
+          '}',
+        ].join('\n'),
+  );
+
+  return [
+    `# DNS records for ${names}`,
+    'variable "zone_id" {\n  type = string\n}',
+    ...blocks,
+    '',
+  ].join('\n\n');
+}
+
+/**
+ * Cloudflare flattens the CNAME records of apex domains
+ * @param {string} names The domain names
+ * @param {DnsService.DnsRecord[]} records
+ * @returns {string}
+ */
+function renderCloudflare(names, records) {
+  const blocks = records.map((record) =>
+    [
+      `resource "cloudflare_record" "${resourceName(record)}" {`,
+      '  zone_id = var.zone_id',
+      `  name    = "${record.name}"`,
+      '  type    = "CNAME"',
+      `  content = "${record.target}"`,
+      `  ttl     = ${TTL}`,
+      '  proxied = false',
+      '}',
+    ].join('\n'),
+  );
+
+  return [
+    `# DNS records for ${names}`,
+    'variable "zone_id" {\n  type = string\n}',
+    ...blocks,
+    '',
+  ].join('\n\n');
+}
+
+/**
+ * Apex domains are exported as ALIAS records with a note, like the other formats
+ * @param {string} _ The domain names
+ * @param {DnsService.DnsRecord[]} records
+ * @returns {string}
+ */
+function renderCsv(_, records) {
+  const parser = new json2csv.Parser({
+    fields: [
+      { label: 'Name', value: 'name' },
+      { label: 'Type', value: (record) => (isApexRecord(record) ? 'ALIAS' : 'CNAME') },
+      { label: 'Target', value: 'target' },
+      { label: 'TTL', value: () => TTL },
+      { label: 'Purpose', value: 'purpose' },
+      {
+        label: 'Note',
+        value: (record) =>
+          isApexRecord(record)
+            ? 'Apex domains cannot have a CNAME record. Use an ALIAS, ANAME ' +
+              'or flattened CNAME record, depending on what your DNS provider supports.'
+            : '',
+      },
+    ],
+  });
+
+  return parser.parse(records);
+}
+
+const renderers = {
+  [Formats.Bind]: { render: renderBind, extension: 'zone', type: 'text/plain' },
+  [Formats.Route53]: {
+    render: renderRoute53,
+    extension: 'route53.tf',
+    type: 'text/plain',
+  },
+  [Formats.Cloudflare]: {
+    render: renderCloudflare,
+    extension: 'cloudflare.tf',
+    type: 'text/plain',
+  },
+  [Formats.Csv]: { render: renderCsv, extension: 'csv', type: 'text/csv' },
+};
+
+/**
+ * Renders the DNS records a domain requires in a format DNS tools can import
+ * @method exportDnsRecords
+ * @param {Object} domain - An instance of the model Domain
+ * @param {string} format - One of `Formats`
+ * @return {{ filename: string, type: string, body: string }} The file to download
+ */
+function exportDnsRecords(domain, format) {
+  if (!Object.hasOwn(renderers, format)) {
+    throw new CustomError(
+      `The DNS records can only be exported as ${Formats.values.join(', ')}.`,
+    );
+  }
+
+  const renderer = renderers[format];
+  const records = DomainService.buildDnsRecords(domain);
+
+  return {
+    filename: `${domain.firstName()}-dns-records.${renderer.extension}`,
+    type: renderer.type,
+    body: renderer.render(domain.names, records),
+  };
+}
+
+module.exports = {
+  Formats,
+  exportDnsRecords,
+};
@@ -3,12 +3,22 @@ const IORedis = require('ioredis');
 const { Domain, Build, Site, SiteBranchConfig } = require('../models');
 const CloudFoundryAPIClient = require('../utils/cfApiClient');
 const { DomainQueue } = require('../queues');
+const QueueJobs = require('../queue-jobs');
+const { createQueueConnection } = require('../utils/queues');
 const config = require('../../config');
+const { logger } = require('../../winston');
 
 const DnsService = require('./Dns');
 
 const { States } = Domain;
 
+const queueJobs = new QueueJobs(createQueueConnection());
+
+// Status checks are delayed 2 minutes, doubling up to an hour, until the
+// maximum number of attempts where the operation is considered failed
+const STATUS_CHECK_DELAY = 2 * 60 * 1000;
+const MAX_STATUS_CHECK_DELAY = 60 * 60 * 1000;
+
 /**
  * @typedef {object} DomainModel
  * @prop {string} state
@@ -18,6 +28,15 @@ const { States } = Domain;
  * @typedef {object} SiteModel
  */
 
+// A subscriber being unreachable should never fail the domain status check
+function dispatchWebhookEvent(event, domainId) {
+  return queueJobs
+    .dispatchWebhookEvent(event, { domainId })
+    .catch((err) =>
+      logger.error(`Failed to dispatch webhooks of domain ${domainId}`, err),
+    );
+}
+
 function cfApi() {
   return new CloudFoundryAPIClient();
 }
@@ -54,8 +73,21 @@ async function destroy(domain) {
  * @param {DomainModel} domain The domain
  */
 function canDeprovision(domain) {
-  const { Provisioning, Provisioned, Failed } = States;
-  return [Provisioning, Provisioned, Failed].includes(domain.state);
+  const {
+    Provisioning,
+    Provisioned,
+    Failed,
+    Deprovision_failed: DeprovisionFailed,
+  } = States;
+  return [Provisioning, Provisioned, Failed, DeprovisionFailed].includes(domain.state);
+}
+
+/**
+ * @param {DomainModel} domain The domain
+ */
+function canReset(domain) {
+  const { Failed, Deprovision_failed: DeprovisionFailed } = States;
+  return [Failed, DeprovisionFailed].includes(domain.state);
 }
 
 /**
@@ -66,18 +98,47 @@ function canProvision(domain, dnsResults) {
   return domain.isPending() && DnsService.canProvision(dnsResults);
 }
 
+/**
+ * @param {number} attempt The number of the status check
+ * @returns {number} The delay in milliseconds
+ */
+function statusCheckDelay(attempt) {
+  return Math.min(STATUS_CHECK_DELAY * 2 ** (attempt - 1), MAX_STATUS_CHECK_DELAY);
+}
+
 /**
  * @param {number} id The id of the domain
+ * @param {number} attempt The number of the status check
  */
-function queueDeprovisionStatusCheck(id) {
-  queue().add('checkDeprovisionStatus', { id });
+function queueDeprovisionStatusCheck(id, attempt = 1) {
+  queue().add(
+    'checkDeprovisionStatus',
+    { id, attempt },
+    { delay: statusCheckDelay(attempt) },
+  );
 }
 
 /**
  * @param {number} id The id of the domain
+ * @param {number} attempt The number of the status check
+ */
+function queueProvisionStatusCheck(id, attempt = 1) {
+  queue().add(
+    'checkProvisionStatus',
+    { id, attempt },
+    { delay: statusCheckDelay(attempt) },
+  );
+}
+
+/**
+ * @param {number} attempt The number of the status check
+ * @param {string=} description The description of the last operation
+ * @returns {string}
  */
-function queueProvisionStatusCheck(id) {
-  queue().add('checkProvisionStatus', { id });
+function timedOutDescription(attempt, description) {
+  return [`The operation did not complete after ${attempt} status checks.`, description]
+    .filter(Boolean)
+    .join(' ');
 }
 
 /**
@@ -137,7 +198,8 @@ function isSiteUrlManagedByDomain(site, domains, context) {
  * @param {SiteModel} site
  */
 async function rebuildAssociatedSite(domain) {
-  const { branch } = domain.SiteBranchConfig;
+  // Redirect domains do not serve a branch of the site
+  const branch = domain.SiteBranchConfig?.branch;
   if (branch) {
     await Build.create({
       site: domain.siteId,
@@ -147,6 +209,40 @@ async function rebuildAssociatedSite(domain) {
   }
 }
 
+/**
+ * Redirect domains are served by the app, which redirects their requests
+ * @param {DomainModel} domain The domain
+ * @returns {{ origin: string, path: string }} The origin and path of the CDN
+ */
+function cdnOrigin(domain) {
+  if (!domain.isRedirect()) {
+    return { origin: domain.origin, path: domain.path };
+  }
+
+  return {
+    origin: new URL(config.app.hostname).host,
+    path: `/domain-redirect/${domain.id}`,
+  };
+}
+
+/**
+ * The location a request to a redirect domain is redirected to
+ * @param {DomainModel} domain The redirect domain
+ * @param {string} path The requested path
+ * @param {string} search The requested query string, with its leading `?`
+ * @returns {string}
+ */
+function redirectLocation(domain, path, search = '') {
+  const target = new URL(domain.redirectUrl);
+  // eslint-disable-next-line sonarjs/slow-regex
+  const basePath = target.pathname.replace(/\/+$/, '');
+
+  target.pathname = `${basePath}/${path.replace(/^\/+/, '')}`;
+  target.search = search || target.search;
+
+  return target.toString();
+}
+
 /**
  * @param {DomainModel} domain The domain
  * @returns {Promise<DomainModel>}
@@ -155,7 +251,7 @@ async function deprovision(domain) {
   if (!canDeprovision(domain)) {
     throw new Error(
       // eslint-disable-next-line max-len
-      `Only '${States.Provisioning}', '${States.Provisioned}', or '${States.Failed}' domains can be deprovisioned.`,
+      `Only '${States.Provisioning}', '${States.Provisioned}', '${States.Failed}', or '${States.Deprovision_failed}' domains can be deprovisioned.`,
     );
   }
 
@@ -163,6 +259,7 @@ async function deprovision(domain) {
 
   await domain.update({
     state: States.Deprovisioning,
+    lastOperationDescription: null,
   });
 
   queueDeprovisionStatusCheck(domain.id);
@@ -194,8 +291,7 @@ async function provision(domain, dnsResults) {
   }
 
   const { serviceName } = domain;
-  const { origin } = domain;
-  const { path } = domain;
+  const { origin, path } = cdnOrigin(domain);
 
   const { cfCdnSpaceName, cfDomainWithCdnPlanGuid } = config.env;
 
@@ -210,6 +306,7 @@ async function provision(domain, dnsResults) {
 
   await domain.update({
     state: States.Provisioning,
+    lastOperationDescription: null,
   });
 
   queueProvisionStatusCheck(domain.id);
@@ -217,10 +314,33 @@ async function provision(domain, dnsResults) {
   return domain;
 }
 
+/**
+ * Resets a failed domain to pending without changing its service, once the service
+ * has been removed from Cloud Foundry by other means
+ * @param {DomainModel} domain The domain
+ * @returns {Promise<DomainModel>}
+ */
+async function reset(domain) {
+  if (!canReset(domain)) {
+    throw new Error(
+      `Only '${States.Failed}' or '${States.Deprovision_failed}' domains can be reset.`,
+    );
+  }
+
+  await domain.update({
+    state: States.Pending,
+    lastOperationDescription: null,
+  });
+  await module.exports.rebuildAssociatedSite(domain);
+
+  return domain;
+}
+
 /**
  * @param {number} id The domain id
+ * @param {number} attempt The number of the status check
  */
-async function checkDeprovisionStatus(id) {
+async function checkDeprovisionStatus(id, attempt = 1) {
   const domain = await Domain.findByPk(id, {
     include: [SiteBranchConfig],
   });
@@ -239,15 +359,30 @@ async function checkDeprovisionStatus(id) {
     await module.exports.rebuildAssociatedSite(domain);
     return `Domain ${id}|${domain.names} successfully deprovisioned.`;
   }
-  // TODO - this does not handle the case where deprovisioning fails
-  queueDeprovisionStatusCheck(id);
+
+  const { last_operation: lastOperation = {} } = resources[0];
+  const { domainStatusCheckMaxAttempts } = config.app;
+
+  if (lastOperation.state === 'failed' || attempt >= domainStatusCheckMaxAttempts) {
+    await domain.update({
+      state: States.Deprovision_failed,
+      lastOperationDescription:
+        lastOperation.state === 'failed'
+          ? lastOperation.description
+          : timedOutDescription(attempt, lastOperation.description),
+    });
+    throw new Error(`Domain ${id}|${domain.names} failed to deprovision.`);
+  }
+
+  queueDeprovisionStatusCheck(id, attempt + 1);
   return `Domain ${id}|${domain.names} is currently deprovisioning.`;
 }
 
 /**
  * @param {number} id The domain id
+ * @param {number} attempt The number of the status check
  */
-async function checkProvisionStatus(id) {
+async function checkProvisionStatus(id, attempt = 1) {
   const domain = await Domain.findByPk(id, {
     include: [SiteBranchConfig],
   });
@@ -259,23 +394,35 @@ async function checkProvisionStatus(id) {
 
   const service = await cfApi().fetchServiceInstance(domain.serviceName);
   const {
-    last_operation: { state: lastOperation },
+    last_operation: { state: lastOperation, description },
   } = service;
+  const { domainStatusCheckMaxAttempts } = config.app;
 
   switch (lastOperation) {
     case 'succeeded':
       await domain.update({
         state: States.Provisioned,
       });
+      await dispatchWebhookEvent('domain.provisioned', id);
       await module.exports.rebuildAssociatedSite(domain);
       return `Domain ${id}|${domain.names} successfully provisioned.`;
     case 'failed':
       await domain.update({
         state: States.Failed,
+        lastOperationDescription: description,
       });
+      await dispatchWebhookEvent('domain.failed', id);
       throw new Error(`Domain ${id}|${domain.names} failed to provision.`);
     default:
-      queueProvisionStatusCheck(id);
+      if (attempt >= domainStatusCheckMaxAttempts) {
+        await domain.update({
+          state: States.Failed,
+          lastOperationDescription: timedOutDescription(attempt, description),
+        });
+        await dispatchWebhookEvent('domain.failed', id);
+        throw new Error(`Domain ${id}|${domain.names} failed to provision.`);
+      }
+      queueProvisionStatusCheck(id, attempt + 1);
       return `Domain ${id}|${domain.names} is currently ${lastOperation}.`;
   }
 }
@@ -286,6 +433,8 @@ module.exports.rebuildAssociatedSite = rebuildAssociatedSite;
 module.exports.canProvision = canProvision;
 module.exports.canDeprovision = canDeprovision;
 module.exports.canDestroy = canDestroy;
+module.exports.canReset = canReset;
+module.exports.cdnOrigin = cdnOrigin;
 module.exports.checkDeprovisionStatus = checkDeprovisionStatus;
 module.exports.checkAcmeChallengeDnsRecord = checkAcmeChallengeDnsRecord;
 module.exports.checkDnsRecords = checkDnsRecords;
@@ -293,3 +442,5 @@ module.exports.checkProvisionStatus = checkProvisionStatus;
 module.exports.deprovision = deprovision;
 module.exports.destroy = destroy;
 module.exports.provision = provision;
+module.exports.redirectLocation = redirectLocation;
+module.exports.reset = reset;
@@ -0,0 +1,194 @@
+const tls = require('tls');
+const moment = require('moment');
+const PromisePool = require('@supercharge/promise-pool');
+const { Domain, Organization, Role, Site, UAAIdentity, User } = require('../models');
+const QueueJobs = require('../queue-jobs');
+const { createQueueConnection } = require('../utils/queues');
+const { domainCertificateWarningDays } = require('../../config').app;
+const DnsService = require('./Dns');
+const DomainService = require('./Domain');
+
+const queueJobs = new QueueJobs(createQueueConnection());
+
+const { HealthStates } = Domain;
+
+/**
+ * @typedef {object} CertificateResult
+ * @prop {Date=} expiresAt The expiry date of the certificate
+ * @prop {string=} message The error message when the certificate is not valid
+ */
+
+/**
+ * @param {string} domainName The domain name
+ * @returns {Promise<CertificateResult>}
+ */
+function fetchCertificate(domainName) {
+  return new Promise((resolve) => {
+    const socket = tls.connect({
+      host: domainName,
+      port: 443,
+      servername: domainName,
+      rejectUnauthorized: false,
+      timeout: 5000,
+    });
+
+    socket.once('secureConnect', () => {
+      const { valid_to: validTo } = socket.getPeerCertificate();
+      const { authorized, authorizationError } = socket;
+      socket.end();
+
+      resolve({
+        expiresAt: validTo ? new Date(validTo) : undefined,
+        message: authorized ? undefined : `${authorizationError}`,
+      });
+    });
+    socket.once('timeout', () => {
+      socket.destroy();
+      resolve({ message: 'The connection timed out' });
+    });
+    socket.once('error', (error) => resolve({ message: error.message }));
+  });
+}
+
+/**
+ * @param {DnsService.DnsResult} dnsResult
+ */
+function dnsIssue({ record, message }) {
+  return (
+    `The ${record.type} record of ${record.name} does not point to ` +
+    `${record.target}: ${message}`
+  );
+}
+
+/**
+ * The DNS and certificate issues of a domain
+ * The A records of apex domains point to addresses which are not checked.
+ * @async
+ * @method checkDomain
+ * @param {Object} domain - An instance of the model Domain
+ * @param {Object} options
+ * @param {Date} [options.now] - The date the certificates should be valid after
+ * @return {Promise<{Object}>} The issues and the first certificate expiry of the domain
+ */
+async function checkDomain(domain, { now = new Date() } = {}) {
+  const warningDate = moment(now).add(domainCertificateWarningDays, 'days').toDate();
+
+  const [dnsResults, certificates] = await Promise.all([
+    DomainService.checkDnsRecords(domain),
+    Promise.all(
+      domain.namesArray().map(async (name) => ({
+        name,
+        // call this function from `module.exports` so it is stubbable in tests
+        ...(await module.exports.fetchCertificate(name)),
+      })),
+    ),
+  ]);
+
+  const dnsIssues = dnsResults
+    .filter(
+      ({ record, state }) =>
+        state !== DnsService.DnsResultState.Success &&
+        record.type === DnsService.DnsRecordType.CNAME,
+    )
+    .map(dnsIssue);
+
+  const certificateIssues = certificates.flatMap(({ name, expiresAt, message }) => {
+    if (message) {
+      return [`The certificate of ${name} is not valid: ${message}`];
+    }
+    if (expiresAt < warningDate) {
+      return [
+        `The certificate of ${name} expires on ${moment(expiresAt).format('YYYY-MM-DD')}`,
+      ];
+    }
+    return [];
+  });
+
+  const expiryDates = certificates.map((c) => c.expiresAt).filter(Boolean);
+
+  return {
+    issues: [...dnsIssues, ...certificateIssues],
+    certificateExpiresAt: expiryDates.length ? new Date(Math.min(...expiryDates)) : null,
+  };
+}
+
+const findOrganizationManagers = async (domain) => {
+  const managerRole = await Role.findOne({
+    where: {
+      name: 'manager',
+    },
+  });
+  const site = await Site.findByPk(domain.siteId, {
+    include: [
+      {
+        model: Organization,
+        include: [
+          {
+            model: User,
+            through: {
+              where: {
+                roleId: managerRole.id,
+              },
+            },
+            include: UAAIdentity,
+          },
+        ],
+      },
+    ],
+  });
+
+  return { site, managers: site.Organization?.Users || [] };
+};
+
+/**
+ * Checks the health of a provisioned domain and saves the result
+ * The managers of the site's organization are emailed when the domain becomes degraded.
+ * @async
+ * @method checkDomainHealth
+ * @param {Object} domain - An instance of the model Domain
+ * @param {Object} options
+ * @param {Date} [options.now] - The date of the check
+ * @return {Promise<{Object}>} The updated domain
+ */
+async function checkDomainHealth(domain, { now = new Date() } = {}) {
+  const { issues, certificateExpiresAt } = await checkDomain(domain, { now });
+  const wasDegraded = domain.isDegraded();
+
+  await domain.update({
+    healthState: issues.length ? HealthStates.Degraded : HealthStates.Healthy,
+    healthIssues: issues,
+    certificateExpiresAt,
+    healthCheckedAt: now,
+  });
+
+  if (domain.isDegraded() && !wasDegraded) {
+    const { site, managers } = await module.exports.findOrganizationManagers(domain);
+    await queueJobs.sendDomainDegraded(domain, site, managers);
+  }
+
+  return domain;
+}
+
+/**
+ * Checks the health of all the provisioned domains
+ * @async
+ * @method checkAllDomainsHealth
+ * @return {Promise<{Object}>} The checked domains and the errors by domain
+ */
+async function checkAllDomainsHealth() {
+  const domains = await Domain.findAll({
+    where: { state: Domain.States.Provisioned },
+  });
+
+  return PromisePool.for(domains)
+    .withConcurrency(5)
+    .process((domain) => checkDomainHealth(domain));
+}
+
+module.exports = {
+  checkAllDomainsHealth,
+  checkDomain,
+  checkDomainHealth,
+  fetchCertificate,
+  findOrganizationManagers,
+};
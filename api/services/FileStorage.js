@@ -0,0 +1,269 @@
+const { Event, FileStorageFile, FileStorageUserAction } = require('../models');
+const { ValidationError } = require('../utils/validators');
+const EventCreator = require('./EventCreator');
+const S3Helper = require('./S3Helper');
+
+const MAX_NAME_LENGTH = 200;
+
+const createS3Client = (service) => S3Helper.createServiceS3Client(service.name);
+
+function parentKey(key) {
+  const path = key.endsWith('/') ? key.slice(0, -1) : key;
+  return path.slice(0, path.lastIndexOf('/') + 1);
+}
+
+function validateName(name) {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+
+  if (!trimmed) {
+    throw new ValidationError('A name is required.');
+  }
+
+  if (trimmed.includes('/') || ['.', '..'].includes(trimmed)) {
+    throw new ValidationError('Names cannot contain slashes or be "." or "..".');
+  }
+
+  if (trimmed.length > MAX_NAME_LENGTH) {
+    throw new ValidationError(`Names must be at most ${MAX_NAME_LENGTH} characters.`);
+  }
+
+  return trimmed;
+}
+
+async function validateDirectory(service, key) {
+  if (key === '') {
+    return;
+  }
+
+  const directory = await FileStorageFile.byService(service.id).findOne({
+    where: { key },
+  });
+
+  if (!directory?.isDirectory()) {
+    throw new ValidationError('The directory does not exist.');
+  }
+}
+
+async function validateAvailable(service, key) {
+  const existing = await FileStorageFile.byService(service.id).findOne({
+    where: { key },
+  });
+
+  if (existing) {
+    throw new ValidationError('A file or directory with this name already exists.');
+  }
+}
+
+const findWithChildren = (service, file) =>
+  FileStorageFile.withKeyPrefix(service.id, file.key).findAll();
+
+async function moveFile(service, file, newKey) {
+  const oldKey = file.key;
+
+  await validateAvailable(service, newKey);
+
+  const s3Client = await createS3Client(service);
+
+  if (!file.isDirectory()) {
+    await s3Client.copyObject(oldKey, newKey);
+    await s3Client.deleteObject(oldKey);
+    return;
+  }
+
+  await s3Client.syncBucketObjects(oldKey, newKey);
+  await s3Client.deleteAllBucketObjects(oldKey);
+
+  const files = await findWithChildren(service, file);
+  await Promise.all(
+    files
+      .filter((f) => f.id !== file.id)
+      .map((f) =>
+        f.update({
+          key: `${newKey}${f.key.slice(oldKey.length)}`,
+        }),
+      ),
+  );
+}
+
+async function recordAction(service, user, file, method, description, metadata = {}) {
+  await FileStorageUserAction.create({
+    fileStorageServiceId: service.id,
+    fileStorageFileId: file.id,
+    userId: user.id,
+    method,
+    description,
+    metadata: {
+      key: file.key,
+      ...metadata,
+    },
+  });
+
+  EventCreator.audit(Event.labels.FILE_STORAGE, user, description, {
+    fileStorageService: {
+      id: service.id,
+      organizationId: service.organizationId,
+    },
+    file: {
+      id: file.id,
+      key: file.key,
+    },
+    ...metadata,
+  });
+}
+
+/**
+ * Lists the files and directories directly inside a directory, directories first
+ * @async
+ * @method listDirectory
+ * @param {Object} service - An instance of the model FileStorageService
+ * @param {string} key - The key of the directory, `''` for the root directory
+ * @return {Promise<Array<{Object}>>} The instances of the model FileStorageFile
+ */
+async function listDirectory(service, key = '') {
+  await validateDirectory(service, key);
+
+  const files = await FileStorageFile.inDirectory(service.id, key).findAll({
+    order: [['name', 'ASC']],
+  });
+
+  return [
+    ...files.filter((file) => file.isDirectory()),
+    ...files.filter((file) => !file.isDirectory()),
+  ];
+}
+
+/**
+ * Creates an empty directory in the bucket of the file storage service
+ * @async
+ * @method createDirectory
+ * @param {Object} service - An instance of the model FileStorageService
+ * @param {Object} user - An instance of the model User creating the directory
+ * @param {Object} directory
+ * @param {string} directory.parent - The key of the parent directory
+ * @param {string} directory.name - The name of the directory
+ * @return {Promise<{Object}>} The instance of the model FileStorageFile
+ */
+async function createDirectory(service, user, { parent = '', name }) {
+  const directoryName = validateName(name);
+  const key = `${parent}${directoryName}/`;
+
+  await validateDirectory(service, parent);
+  await validateAvailable(service, key);
+
+  const s3Client = await createS3Client(service);
+  await s3Client.putObject('', key);
+
+  const directory = await FileStorageFile.create({
+    fileStorageServiceId: service.id,
+    key,
+    name: directoryName,
+  });
+
+  await recordAction(service, user, directory, 'POST', 'Directory Created');
+
+  return directory;
+}
+
+/**
+ * Uploads a file to the bucket of the file storage service
+ * @async
+ * @method uploadFile
+ * @param {Object} service - An instance of the model FileStorageService
+ * @param {Object} user - An instance of the model User uploading the file
+ * @param {Object} file
+ * @param {string} file.parent - The key of the directory of the file
+ * @param {string} file.name - The name of the file
+ * @param {Object} file.body - A stream of the content of the file
+ * @param {number} file.size - The size of the file in bytes
+ * @param {string} file.mimeType - The content type of the file
+ * @return {Promise<{Object}>} The instance of the model FileStorageFile
+ */
+async function uploadFile(service, user, { parent = '', name, body, size, mimeType }) {
+  const fileName = validateName(name);
+  const key = `${parent}${fileName}`;
+
+  await validateDirectory(service, parent);
+  await validateAvailable(service, key);
+
+  const s3Client = await createS3Client(service);
+  await s3Client.putObject(body, key, {
+    ContentLength: size,
+    ContentType: mimeType,
+  });
+
+  const file = await FileStorageFile.create({
+    fileStorageServiceId: service.id,
+    key,
+    name: fileName,
+    metadata: {
+      size,
+      mimeType,
+    },
+  });
+
+  await recordAction(service, user, file, 'POST', 'File Uploaded');
+
+  return file;
+}
+
+/**
+ * Renames a file or a directory with everything it contains
+ * @async
+ * @method renameFile
+ * @param {Object} service - An instance of the model FileStorageService
+ * @param {Object} user - An instance of the model User renaming the file
+ * @param {Object} file - The instance of the model FileStorageFile to rename
+ * @param {string} name - The new name of the file
+ * @return {Promise<{Object}>} The renamed instance of the model FileStorageFile
+ */
+async function renameFile(service, user, file, name) {
+  const newName = validateName(name);
+  const oldKey = file.key;
+  const newKey = `${parentKey(oldKey)}${newName}${file.isDirectory() ? '/' : ''}`;
+
+  if (newKey !== oldKey) {
+    await moveFile(service, file, newKey);
+    await file.update({
+      key: newKey,
+      name: newName,
+    });
+
+    await recordAction(service, user, file, 'PUT', 'File Renamed', {
+      previousKey: oldKey,
+    });
+  }
+
+  return file;
+}
+
+/**
+ * Deletes a file or a directory with everything it contains
+ * @async
+ * @method deleteFile
+ * @param {Object} service - An instance of the model FileStorageService
+ * @param {Object} user - An instance of the model User deleting the file
+ * @param {Object} file - The instance of the model FileStorageFile to delete
+ */
+async function deleteFile(service, user, file) {
+  const s3Client = await createS3Client(service);
+
+  if (file.isDirectory()) {
+    await s3Client.deleteAllBucketObjects(file.key);
+
+    const files = await findWithChildren(service, file);
+    await Promise.all(files.map((f) => f.destroy()));
+  } else {
+    await s3Client.deleteObject(file.key);
+    await file.destroy();
+  }
+
+  await recordAction(service, user, file, 'DELETE', 'File Deleted');
+}
+
+module.exports = {
+  createDirectory,
+  deleteFile,
+  listDirectory,
+  renameFile,
+  uploadFile,
+};
@@ -1,5 +1,6 @@
 const { Octokit } = require('@octokit/rest');
 const axios = require('axios');
+const jwt = require('jsonwebtoken');
 const config = require('../../config');
 
 const OAUTH_BASIC_AUTH = Buffer.from(
@@ -19,6 +20,11 @@ const deleteWebhook = (github, options) => github.repos.deleteWebhook(options);
 const listWebhooks = (github, options) =>
   github.repos.listWebhooks(options).then((hooks) => hooks.data);
 
+const updateWebhook = (github, options) => github.repos.updateWebhook(options);
+
+const listIssueComments = (github, options) =>
+  github.paginate(github.issues.listComments, options);
+
 const getOrganizations = (github) =>
   github.orgs.listForAuthenticatedUser().then((orgs) => orgs.data);
 
@@ -98,6 +104,25 @@ const handleWebhookError = (err) => {
   }
 };
 
+const WEBHOOK_EVENTS = ['push', 'pull_request'];
+
+// Hooks created before an event was subscribed to are not updated by GitHub
+async function addMissingWebhookEvents(github, site) {
+  const { owner, repository: repo } = site;
+  const hooks = await listWebhooks(github, { owner, repo });
+  const hook = hooks.find((h) => h.config.url === config.webhook.endpoint);
+  const missingEvents = WEBHOOK_EVENTS.filter((event) => !hook?.events.includes(event));
+
+  if (hook && missingEvents.length) {
+    await updateWebhook(github, {
+      owner,
+      repo,
+      hook_id: hook.id,
+      add_events: missingEvents,
+    });
+  }
+}
+
 const ignore404 = (error) => {
   if (error.status !== 404) {
     throw error;
@@ -239,6 +264,42 @@ async function findWebhookId(github, site) {
   return federalistHook?.config.id;
 }
 
+// GitHub limits the annotations of a check run request
+const MAX_CHECK_RUN_ANNOTATIONS = 50;
+
+// Installation tokens expire after an hour, they are reused until shortly before
+const installationTokens = new Map();
+const INSTALLATION_TOKEN_MARGIN_MS = 5 * 60 * 1000;
+
+const githubAppToken = () => {
+  const now = Math.floor(Date.now() / 1000);
+
+  return jwt.sign(
+    {
+      iat: now - 60,
+      exp: now + 9 * 60,
+      iss: config.githubApp.appId,
+    },
+    config.githubApp.privateKey,
+    { algorithm: 'RS256' },
+  );
+};
+
+async function findCheckRun(github, { owner, repo, name, head_sha: ref, external_id }) {
+  const {
+    data: { check_runs: checkRuns },
+  } = await github.checks.listForRef({
+    owner,
+    repo,
+    ref,
+    check_name: name,
+    filter: 'all',
+    per_page: 100,
+  });
+
+  return checkRuns.find((checkRun) => checkRun.external_id === external_id);
+}
+
 module.exports = {
   checkPermissions: async (user, owner, repo) => {
     const github = await githubClient(user.githubAccessToken);
@@ -336,21 +397,136 @@ module.exports = {
   },
 
   setWebhook: (site, githubAccessToken) =>
-    githubClient(githubAccessToken)
-      .then((github) =>
-        createWebhook(github, {
-          owner: site.owner,
-          repo: site.repository,
-          name: 'web',
-          active: true,
-          config: {
-            url: config.webhook.endpoint,
-            secret: config.webhook.secret,
-            content_type: 'json',
-          },
-        }),
-      )
-      .catch(handleWebhookError),
+    githubClient(githubAccessToken).then((github) =>
+      createWebhook(github, {
+        owner: site.owner,
+        repo: site.repository,
+        name: 'web',
+        active: true,
+        events: WEBHOOK_EVENTS,
+        config: {
+          url: config.webhook.endpoint,
+          secret: config.webhook.secret,
+          content_type: 'json',
+        },
+      }).catch((error) => {
+        // Resolves without a webhook when the hook already exists
+        handleWebhookError(error);
+        return addMissingWebhookEvents(github, site);
+      }),
+    ),
+
+  /**
+   * Creates an installation access token of the GitHub App for a repository
+   * @async
+   * @method getInstallationAccessToken
+   * @param {string} owner - The repository owner
+   * @param {string} repo - The repository name
+   * @return {Promise<string|null>} The token, or null when the app is not configured
+   *  or not installed on the repository
+   */
+  getInstallationAccessToken: async (owner, repo) => {
+    const { appId, privateKey } = config.githubApp;
+
+    if (!appId || !privateKey) {
+      return null;
+    }
+
+    const key = `${owner}/${repo}`.toLowerCase();
+    const cached = installationTokens.get(key);
+
+    if (cached && cached.expiresAt - INSTALLATION_TOKEN_MARGIN_MS > Date.now()) {
+      return cached.token;
+    }
+
+    const github = await githubClient(githubAppToken());
+    const installation = await github.apps
+      .getRepoInstallation({ owner, repo })
+      .then((response) => response.data)
+      .catch(ignore404);
+
+    if (!installation) {
+      return null;
+    }
+
+    const {
+      data: { token, expires_at: expiresAt },
+    } = await github.apps.createInstallationAccessToken({
+      installation_id: installation.id,
+    });
+    installationTokens.set(key, { token, expiresAt: new Date(expiresAt).getTime() });
+
+    return token;
+  },
+
+  /**
+   * Creates the check run of a commit, or updates it when a check run with the same
+   * name and external id already exists
+   * @async
+   * @method upsertCheckRun
+   * @param {string} accessToken - A GitHub App installation access token
+   * @param {Object} options - The check run, see the GitHub checks API
+   * @return {Promise<{Object}>} The check run
+   */
+  upsertCheckRun: async (accessToken, options) => {
+    const github = await githubClient(accessToken);
+    const { output } = options;
+    const checkRun = {
+      ...options,
+      ...(output && {
+        output: {
+          ...output,
+          annotations: output.annotations?.slice(0, MAX_CHECK_RUN_ANNOTATIONS),
+        },
+      }),
+    };
+
+    const existingCheckRun = await findCheckRun(github, options);
+
+    if (existingCheckRun) {
+      // The commit of a check run cannot be updated
+      const update = { ...checkRun, check_run_id: existingCheckRun.id };
+      delete update.head_sha;
+
+      return github.checks.update(update).then((response) => response.data);
+    }
+
+    return github.checks.create(checkRun).then((response) => response.data);
+  },
+
+  upsertIssueComment: async (accessToken, owner, repo, issueNumber, marker, body) => {
+    const github = await githubClient(accessToken);
+    const comments = await listIssueComments(github, {
+      owner,
+      repo,
+      issue_number: issueNumber,
+      per_page: 100,
+    });
+
+    // The marker is a hidden html comment used to find our own comment again
+    const commentBody = `${marker}\n${body}`;
+    const existingComment = comments.find((comment) => comment.body?.includes(marker));
+
+    if (existingComment) {
+      return github.issues
+        .updateComment({
+          owner,
+          repo,
+          comment_id: existingComment.id,
+          body: commentBody,
+        })
+        .then((comment) => comment.data);
+    }
+
+    return github.issues
+      .createComment({
+        owner,
+        repo,
+        issue_number: issueNumber,
+        body: commentBody,
+      })
+      .then((comment) => comment.data);
+  },
 
   listSiteWebhooks: async (site, githubAccessToken) => {
     const github = await githubClient(githubAccessToken);
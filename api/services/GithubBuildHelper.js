@@ -1,6 +1,11 @@
 const url = require('url');
 const GitHub = require('./GitHub');
+const GithubChecks = require('./GithubChecks');
 const config = require('../../config');
+const { truncateString } = require('../utils');
+
+// GitHub rejects the commit statuses with a longer description
+const STATUS_DESCRIPTION_LENGTH = 140;
 
 // Loops through supplied list of users, until it
 // finds a user with a valid access token
@@ -77,29 +82,38 @@ const loadBuildUserAccessToken = async (build) => {
   return githubAccessToken;
 };
 
-const reportBuildStatus = async (build) => {
-  const sha = build.clonedCommitSha || build.requestedCommitSha;
-  if (!sha) {
-    throw new Error('Build or commit sha undefined. Unable to report build status');
-  }
+const loadSiteUserAccessToken = async (site) => {
+  const users = await site.getOrgUsers();
+  const githubAccessToken = await getAccessTokenWithPushPermissions(site, users);
 
-  const accessToken = await loadBuildUserAccessToken(build);
+  if (!githubAccessToken) {
+    throw new Error(`Unable to find valid access token for site@id=${site.id}`);
+  }
+  return githubAccessToken;
+};
 
-  const context =
+const statusContext = (site) => {
+  const baseContext =
     config.app.appEnv === 'production'
       ? `${config.app.product}/build`
       : `${config.app.product}-${config.app.appEnv}/build`;
 
-  const site = build.Site;
+  // Each site of a repository shared by several sites reports its own status
+  return site.sourceDirectory ? `${baseContext} (${site.sourceDirectory})` : baseContext;
+};
 
-  const options = {
-    owner: site.owner,
-    repo: site.repository,
-    sha,
-    context,
-  };
+const buildStatusOptions = (build) => {
+  const site = build.Site;
+  const options = {};
 
-  if (build.isInProgress()) {
+  if (build.state === 'staged') {
+    options.state = 'pending';
+    options.target_url = url.resolve(
+      config.app.hostname,
+      `/sites/${site.id}/reports?build=${build.id}`,
+    );
+    options.description = 'The build is awaiting its prepublish checks.';
+  } else if (build.isInProgress()) {
     options.state = 'pending';
     options.target_url = url.resolve(
       config.app.hostname,
@@ -123,8 +137,162 @@ const reportBuildStatus = async (build) => {
     // eslint-disable-next-line max-len
     options.description =
       'The build has encountered an error. Click "Details" to see the Pages build logs.';
+  } else if (build.state === 'cancelled' && build.supersededBy) {
+    options.state = 'failure';
+    options.target_url = url.resolve(
+      config.app.hostname,
+      `/sites/${site.id}/builds/${build.supersededBy}/logs`,
+    );
+    options.description = `The build was superseded by build #${build.supersededBy}.`;
+  } else if (build.state === 'cancelled') {
+    options.state = 'failure';
+    options.target_url = url.resolve(
+      config.app.hostname,
+      `/sites/${site.id}/builds/${build.id}/logs`,
+    );
+    options.description = 'The build was cancelled before it completed.';
+  } else if (build.state === 'blocked') {
+    options.state = 'failure';
+    options.target_url = url.resolve(
+      config.app.hostname,
+      `/sites/${site.id}/reports?build=${build.id}`,
+    );
+    options.description = 'The build was blocked by its prepublish checks.';
+  } else if (build.state === 'skipped') {
+    // Commit statuses have no neutral state, a skipped build must not block merging
+    options.state = 'success';
+    options.target_url = url.resolve(config.app.hostname, `/sites/${site.id}/builds`);
+    // The reason is the build's commit message, which may be of any length
+    options.description = truncateString(
+      `The build was skipped. ${build.error}`,
+      STATUS_DESCRIPTION_LENGTH - 3,
+    );
+  }
+  return options;
+};
+
+// Builds are reported as check runs to the repositories where the GitHub App is
+// installed, with the same name as their commit status for the branch protections
+const reportBuildStatus = async (build) => {
+  const sha = build.clonedCommitSha || build.requestedCommitSha;
+  if (!sha) {
+    throw new Error('Build or commit sha undefined. Unable to report build status');
+  }
+
+  const site = build.Site;
+  const context = statusContext(site);
+  const options = buildStatusOptions(build);
+  const installationToken = await GitHub.getInstallationAccessToken(
+    site.owner,
+    site.repository,
+  );
+
+  if (installationToken) {
+    return GitHub.upsertCheckRun(
+      installationToken,
+      GithubChecks.buildCheckRun(build, {
+        name: context,
+        sha,
+        targetUrl: options.target_url,
+        description: options.description,
+      }),
+    );
+  }
+
+  const accessToken = await loadBuildUserAccessToken(build);
+
+  return GitHub.sendCreateGithubStatusRequest(accessToken, {
+    owner: site.owner,
+    repo: site.repository,
+    sha,
+    context,
+    ...options,
+  });
+};
+
+// Reports have no commit status, they are only reported as check runs
+const reportBuildTaskStatus = async (buildTask) => {
+  const { Build: build, BuildTaskType: buildTaskType } = buildTask;
+  const sha = build.clonedCommitSha || build.requestedCommitSha;
+  const site = build.Site;
+
+  if (!sha) {
+    return null;
+  }
+
+  const installationToken = await GitHub.getInstallationAccessToken(
+    site.owner,
+    site.repository,
+  );
+
+  if (!installationToken) {
+    return null;
+  }
+
+  const checkRun = await GithubChecks.buildTaskCheckRun(buildTask, {
+    name: `${statusContext(site)}: ${buildTaskType.name}`,
+    sha,
+  });
+
+  return GitHub.upsertCheckRun(installationToken, checkRun);
+};
+
+const PULL_REQUEST_PREVIEW_MARKER = '<!-- pages-pull-request-preview -->';
+
+// Each site of a repository shared by several sites comments its own preview
+const pullRequestPreviewMarker = (site) =>
+  site.sourceDirectory
+    ? `<!-- pages-pull-request-preview:${site.id} -->`
+    : PULL_REQUEST_PREVIEW_MARKER;
+
+const pullRequestPreviewBody = (build) => {
+  const site = build.Site;
+  const sha = (build.clonedCommitSha || build.requestedCommitSha || '').slice(0, 7);
+  const logsUrl = url.resolve(
+    config.app.hostname,
+    `/sites/${site.id}/builds/${build.id}/logs`,
+  );
+  const { appName } = config.app;
+
+  const logsLink = `[View the build logs](${logsUrl}).`;
+
+  if (build.isInProgress()) {
+    return `${appName} is building a preview of ${sha}. ${logsLink}`;
+  }
+  if (build.state === 'success') {
+    return `The ${appName} preview of ${sha} is ready: ${build.url}`;
   }
-  return GitHub.sendCreateGithubStatusRequest(accessToken, options);
+  if (build.state === 'blocked') {
+    return `The ${appName} preview of ${sha} was blocked by its checks: ${build.error}`;
+  }
+  return `The ${appName} preview build of ${sha} did not succeed. ${logsLink}`;
+};
+
+const reportPullRequestPreview = async (build) => {
+  const accessToken = await loadBuildUserAccessToken(build);
+  const { owner, repository } = build.Site;
+
+  return GitHub.upsertIssueComment(
+    accessToken,
+    owner,
+    repository,
+    build.pullRequestNumber,
+    pullRequestPreviewMarker(build.Site),
+    pullRequestPreviewBody(build),
+  );
+};
+
+const reportPullRequestPreviewRemoved = async (site, pullRequestNumber) => {
+  const accessToken = await loadSiteUserAccessToken(site);
+
+  return GitHub.upsertIssueComment(
+    accessToken,
+    site.owner,
+    site.repository,
+    pullRequestNumber,
+    pullRequestPreviewMarker(site),
+    `The ${config.app.appName} preview for this pull request has been removed.`,
+  );
 };
 
 const fetchContent = async (build, path) => {
@@ -139,10 +307,24 @@ const fetchContent = async (build, path) => {
   return GitHub.getContent(accessToken, owner, repository, path, build.clonedCommitSha);
 };
 
+// Builds without a commit sha read the content at the head of their branch
+const fetchBuildContent = async (build, path) => {
+  const accessToken = await loadBuildUserAccessToken(build);
+  const { owner, repository } = build.Site;
+  const ref = build.clonedCommitSha || build.requestedCommitSha || build.branch;
+
+  return GitHub.getContent(accessToken, owner, repository, path, ref);
+};
+
 module.exports = {
   createSiteWebhook,
   listSiteWebhooks,
   reportBuildStatus,
+  reportBuildTaskStatus,
+  reportPullRequestPreview,
+  reportPullRequestPreviewRemoved,
   fetchContent,
+  fetchBuildContent,
   loadBuildUserAccessToken,
+  loadSiteUserAccessToken,
 };
@@ -0,0 +1,218 @@
+const url = require('url');
+const config = require('../../config');
+const { appMatch } = require('../utils');
+const { Severities, SeverityLabels, reportFindings } = require('../utils/reports');
+const S3BuildTask = require('./S3BuildTask');
+
+// The findings of these severities are annotated with the pages they were found on
+const CriticalSeverities = {
+  'owasp-zap': 'high',
+  a11y: 'critical',
+};
+
+const BuildConclusions = {
+  success: 'success',
+  error: 'failure',
+  blocked: 'failure',
+  cancelled: 'cancelled',
+  skipped: 'neutral',
+};
+
+const BuildTaskConclusions = {
+  success: 'success',
+  error: 'failure',
+  cancelled: 'cancelled',
+};
+
+const plural = (count, name) => `${count} ${name}${count !== 1 ? 's' : ''}`;
+
+const formatDuration = (startedAt, completedAt) => {
+  const seconds = Math.round((completedAt - startedAt) / 1000);
+  const minutes = Math.floor(seconds / 60);
+
+  return minutes ? `${minutes}m ${seconds % 60}s` : `${seconds}s`;
+};
+
+const markdownTable = (headers, rows) =>
+  [
+    `| ${headers.join(' | ')} |`,
+    `| ${headers.map(() => '---').join(' | ')} |`,
+    ...rows.map((row) => `| ${row.join(' | ')} |`),
+  ].join('\n');
+
+const checkRunStatus = (state, conclusions) => {
+  if (['created', 'queued', 'tasked'].includes(state)) {
+    return { status: 'queued' };
+  }
+
+  if (!conclusions[state]) {
+    return { status: 'in_progress' };
+  }
+
+  return {
+    status: 'completed',
+    conclusion: conclusions[state],
+    completed_at: new Date().toISOString(),
+  };
+};
+
+// Annotations need a path, the path of the page in the site is used
+const pagePath = (pageUrl) => {
+  try {
+    return new URL(pageUrl).pathname.slice(1) || 'index.html';
+  } catch {
+    return pageUrl;
+  }
+};
+
+const criticalAnnotations = (type, findings) => {
+  const pages = new Map();
+
+  findings
+    .filter((finding) => finding.severity === CriticalSeverities[type])
+    .forEach((finding) =>
+      finding.urls.forEach((pageUrl) =>
+        pages.set(pageUrl, [...(pages.get(pageUrl) || []), finding.name]),
+      ),
+    );
+
+  const label = SeverityLabels[type][CriticalSeverities[type]];
+
+  return [...pages].map(([pageUrl, names]) => ({
+    path: pagePath(pageUrl),
+    start_line: 1,
+    end_line: 1,
+    annotation_level: 'failure',
+    title: `${label} findings on ${pageUrl}`,
+    message: [...new Set(names)].join('\n'),
+  }));
+};
+
+const buildSummary = (build) => {
+  const rows = [['Branch', `\`${build.branch}\``]];
+
+  if (build.state === 'success') {
+    rows.push(['Preview', build.url]);
+  }
+
+  if (build.startedAt && build.completedAt) {
+    rows.push(['Duration', formatDuration(build.startedAt, build.completedAt)]);
+  }
+
+  const summary = markdownTable(['Build', `#${build.id}`], rows);
+
+  return build.error ? `${summary}\n\n${build.error}` : summary;
+};
+
+const reportOutput = async (buildTask, type, reportUrl) => {
+  const { Build: build, BuildTaskType: buildTaskType } = buildTask;
+  const response = await S3BuildTask.getObject(
+    build.Site,
+    `${buildTask.artifact}index.json`,
+  );
+  const findings = reportFindings(
+    type,
+    JSON.parse(await response.Body.transformToString()),
+  );
+  const annotations = criticalAnnotations(type, findings);
+
+  const rows = Severities[type].map((severity) => [
+    SeverityLabels[type][severity],
+    findings.filter((finding) => finding.severity === severity).length,
+  ]);
+  const pages = annotations.length
+    ? `\n\n${SeverityLabels[type][CriticalSeverities[type]]} findings were found on ` +
+      `${plural(annotations.length, 'page')}, see the annotations below.`
+    : '';
+
+  return {
+    // The prepublish checks block the builds, a report never fails a pull request
+    conclusion: annotations.length ? 'neutral' : 'success',
+    output: {
+      title: `${buildTaskType.name} found ${plural(findings.length, 'issue')}`,
+      summary:
+        `${markdownTable(['Severity', 'Issues'], rows)}${pages}\n\n` +
+        `[View the full report](${reportUrl})`,
+      annotations,
+    },
+  };
+};
+
+const buildTaskOutput = async (buildTask, reportUrl) => {
+  const { BuildTaskType: buildTaskType, status } = buildTask;
+  const type = appMatch(buildTaskType);
+  const { name } = buildTaskType;
+
+  if (status === 'success' && Severities[type] && buildTask.artifact) {
+    return reportOutput(buildTask, type, reportUrl);
+  }
+
+  const titles = {
+    success: `${name} found ${plural(buildTask.count || 0, 'issue')}`,
+    error: `${name} did not complete`,
+    cancelled: `${name} was cancelled`,
+    processing: `${name} is running`,
+  };
+
+  return {
+    output: {
+      title: titles[status] || `${name} is queued`,
+      summary: buildTask.message || `[View the report](${reportUrl})`,
+    },
+  };
+};
+
+/**
+ * The check run of a build, with a summary of its preview and duration
+ * @method buildCheckRun
+ * @param {Object} build - The build with its Site
+ * @param {Object} options - The check run name and commit sha, and the commit status
+ *  details url and description of the build
+ * @return {Object} The check run options of the GitHub checks API
+ */
+const buildCheckRun = (build, { name, sha, targetUrl, description }) => ({
+  owner: build.Site.owner,
+  repo: build.Site.repository,
+  name,
+  head_sha: sha,
+  external_id: `build-${build.id}`,
+  ...(targetUrl && { details_url: targetUrl }),
+  ...checkRunStatus(build.state, BuildConclusions),
+  output: {
+    title: description || `Build #${build.id} is ${build.state}`,
+    summary: buildSummary(build),
+  },
+});
+
+/**
+ * The check run of a build task, with the issue counts of its report by severity and
+ * annotations for the pages with critical findings
+ * @async
+ * @method buildTaskCheckRun
+ * @param {Object} buildTask - The build task with its BuildTaskType, Build and Site
+ * @param {Object} options - The check run name and commit sha
+ * @return {Promise<{Object}>} The check run options of the GitHub checks API
+ */
+const buildTaskCheckRun = async (buildTask, { name, sha }) => {
+  const site = buildTask.Build.Site;
+  const reportUrl = url.resolve(config.app.hostname, `/report/${buildTask.id}`);
+  const { conclusion, output } = await buildTaskOutput(buildTask, reportUrl);
+  const status = checkRunStatus(buildTask.status, BuildTaskConclusions);
+
+  return {
+    owner: site.owner,
+    repo: site.repository,
+    name,
+    head_sha: sha,
+    external_id: `build-task-${buildTask.id}`,
+    details_url: reportUrl,
+    ...status,
+    ...(conclusion && { conclusion }),
+    output,
+  };
+};
+
+module.exports = {
+  buildCheckRun,
+  buildTaskCheckRun,
+};
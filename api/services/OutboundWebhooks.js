@@ -0,0 +1,435 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const dns = require('dns');
+const https = require('https');
+const { Op } = require('sequelize');
+const {
+  Build,
+  Domain,
+  Event,
+  Organization,
+  Site,
+  SiteBranchConfig,
+  WebhookDelivery,
+  WebhookSubscription,
+} = require('../models');
+const QueueJobs = require('../queue-jobs');
+const { createQueueConnection } = require('../utils/queues');
+const { isPrivateAddress, isPublicUrl, ValidationError } = require('../utils/validators');
+const {
+  app: { hostname },
+  encryption,
+} = require('../../config');
+const { encrypt, decrypt } = require('./Encryptor');
+const EventCreator = require('./EventCreator');
+
+const SECRET_PREFIX = 'whsec_';
+const DELIVERY_TIMEOUT = 10 * 1000; // 10 seconds
+const MAX_ERROR_LENGTH = 1000;
+const DELIVERIES_LIMIT = 50;
+
+const queue = new QueueJobs(createQueueConnection());
+
+// Subscribers are resolved when connecting so that a host name
+// cannot be pointed at a private address after it was validated
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) {
+      return callback(err);
+    }
+
+    const privateAddress = addresses.find(({ address }) => isPrivateAddress(address));
+
+    if (privateAddress) {
+      return callback(
+        new Error(
+          `${hostname} resolves to the private address ${privateAddress.address}`,
+        ),
+      );
+    }
+
+    return options.all
+      ? callback(null, addresses)
+      : callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const httpsAgent = new https.Agent({ lookup: publicLookup });
+
+const auditData = (subscription) => ({
+  webhookSubscription: {
+    id: subscription.id,
+    siteId: subscription.siteId,
+    organizationId: subscription.organizationId,
+    url: subscription.url,
+    events: subscription.events,
+  },
+});
+
+const sitePayload = (site) => ({
+  id: site.id,
+  owner: site.owner,
+  repository: site.repository,
+});
+
+const buildPayload = (build) => ({
+  site: sitePayload(build.Site),
+  build: {
+    id: build.id,
+    branch: build.branch,
+    state: build.state,
+    commitSha: build.clonedCommitSha,
+    url: build.url,
+    logsUrl: `${hostname}/sites/${build.Site.id}/builds/${build.id}/logs`,
+    error: build.error,
+    startedAt: build.startedAt,
+    completedAt: build.completedAt,
+  },
+});
+
+const domainPayload = (domain) => ({
+  site: sitePayload(domain.Site),
+  domain: {
+    id: domain.id,
+    names: domain.names,
+    state: domain.state,
+    context: domain.context,
+    branch: domain.SiteBranchConfig?.branch,
+  },
+});
+
+async function findEventPayload(event, { buildId, domainId }) {
+  if (event.startsWith('build.')) {
+    const build = await Build.findByPk(buildId, { include: [Site] });
+    return build && buildPayload(build);
+  }
+
+  const domain = await Domain.findByPk(domainId, { include: [Site, SiteBranchConfig] });
+  return domain && domainPayload(domain);
+}
+
+/**
+ * Signs the body of a webhook delivery like GitHub signs its webhooks,
+ * subscribers compare it to the `X-Pages-Signature-256` header
+ * @method signPayload
+ * @param {string} secret - The secret of the webhook subscription
+ * @param {string} body - The JSON body of the delivery
+ * @return {string} The signature, `sha256=` followed by the hex HMAC digest
+ */
+function signPayload(secret, body) {
+  const digest = crypto.createHmac('sha256', secret).update(body).digest('hex');
+  return `sha256=${digest}`;
+}
+
+const deliveryBody = (delivery) =>
+  JSON.stringify({
+    id: delivery.id,
+    event: delivery.event,
+    createdAt: delivery.createdAt,
+    data: delivery.payload,
+  });
+
+async function post(subscription, delivery) {
+  const body = deliveryBody(delivery);
+  const secret = decrypt(subscription.secretCiphertext, encryption.key);
+
+  try {
+    // Subscriptions created before their URLs were limited to public host names
+    isPublicUrl(subscription.url);
+
+    const response = await axios.post(subscription.url, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Pages-Webhooks',
+        'X-Pages-Delivery': delivery.id,
+        'X-Pages-Event': delivery.event,
+        'X-Pages-Signature-256': signPayload(secret, body),
+      },
+      httpsAgent,
+      maxRedirects: 0,
+      responseType: 'text',
+      timeout: DELIVERY_TIMEOUT,
+      validateStatus: () => true,
+    });
+
+    const ok = response.status >= 200 && response.status < 300;
+
+    return {
+      responseStatus: response.status,
+      error: ok ? null : `Received status code: ${response.status}`,
+    };
+  } catch (error) {
+    return {
+      responseStatus: null,
+      error: error.message.slice(0, MAX_ERROR_LENGTH),
+    };
+  }
+}
+
+/**
+ * Creates a delivery for each active subscription to an event of the site
+ * or of its organization, and queues them to be sent
+ * @async
+ * @method dispatchEvent
+ * @param {string} event - The event name, one of WebhookSubscription.Events
+ * @param {Object} data - The ids of the records the event is about
+ * @param {number} data.buildId - The build primary key for build events
+ * @param {number} data.domainId - The domain primary key for domain events
+ * @return {Promise<Array<{Object}>>} The instances of the model WebhookDelivery
+ */
+async function dispatchEvent(event, data) {
+  if (!WebhookSubscription.Events.includes(event)) {
+    throw new Error(`Unknown webhook event ${event}`);
+  }
+
+  const payload = await findEventPayload(event, data);
+
+  if (!payload) {
+    return [];
+  }
+
+  const site = await Site.findByPk(payload.site.id);
+  const subscriptions = await WebhookSubscription.findAll({
+    where: {
+      active: true,
+      events: {
+        [Op.contains]: [event],
+      },
+      [Op.or]: [
+        { siteId: site.id },
+        ...(site.organizationId ? [{ organizationId: site.organizationId }] : []),
+      ],
+    },
+  });
+
+  return Promise.all(
+    subscriptions.map(async (subscription) => {
+      const delivery = await WebhookDelivery.create({
+        webhookSubscriptionId: subscription.id,
+        event,
+        payload,
+      });
+      await queue.deliverWebhook(delivery);
+      return delivery;
+    }),
+  );
+}
+
+/**
+ * Sends a webhook delivery and records the response. An error is thrown when the
+ * subscriber does not answer with a 2xx status so the queue retries the delivery.
+ * @async
+ * @method deliver
+ * @param {number} deliveryId - The webhook delivery primary key
+ * @param {Object} options
+ * @param {boolean} options.isLastAttempt - Whether the delivery will not be retried
+ * @return {Promise<{string}>} A description of the delivery
+ */
+async function deliver(deliveryId, { isLastAttempt = false } = {}) {
+  const delivery = await WebhookDelivery.findByPk(deliveryId, {
+    include: [WebhookSubscription],
+  });
+
+  // The subscription was deleted since the delivery was queued
+  if (!delivery?.WebhookSubscription) {
+    return `Webhook delivery ${deliveryId} no longer has a subscription.`;
+  }
+
+  if (!delivery.WebhookSubscription.active) {
+    await delivery.update({
+      status: WebhookDelivery.States.Failed,
+      error: 'The subscription was deactivated.',
+    });
+    return `Webhook delivery ${deliveryId} has a deactivated subscription.`;
+  }
+
+  const { responseStatus, error } = await post(delivery.WebhookSubscription, delivery);
+  const attempts = delivery.attempts + 1;
+
+  if (error) {
+    await delivery.update({
+      status: isLastAttempt
+        ? WebhookDelivery.States.Failed
+        : WebhookDelivery.States.Retrying,
+      attempts,
+      responseStatus,
+      error,
+    });
+    throw new Error(`Webhook delivery ${deliveryId} failed: ${error}`);
+  }
+
+  await delivery.update({
+    status: WebhookDelivery.States.Succeeded,
+    attempts,
+    responseStatus,
+    error: null,
+    deliveredAt: new Date(),
+  });
+
+  return `Webhook delivery ${deliveryId} succeeded with status ${responseStatus}.`;
+}
+
+function validateEvents(events) {
+  if (
+    !Array.isArray(events) ||
+    events.length === 0 ||
+    events.some((event) => !WebhookSubscription.Events.includes(event))
+  ) {
+    throw new ValidationError(
+      `Events must be some of ${WebhookSubscription.Events.join(', ')}.`,
+    );
+  }
+
+  return [...new Set(events)];
+}
+
+/**
+ * Lists the webhook subscriptions of a site or of an organization
+ * @async
+ * @method listSubscriptions
+ * @param {Object} owner
+ * @param {number} owner.siteId - The site primary key
+ * @param {number} owner.organizationId - The organization primary key
+ * @return {Promise<Array<{Object}>>} The instances of the model WebhookSubscription
+ */
+async function listSubscriptions({ siteId = null, organizationId = null }) {
+  return WebhookSubscription.findAll({
+    where: { siteId, organizationId },
+    order: [['createdAt', 'DESC']],
+  });
+}
+
+/**
+ * Finds a webhook subscription of a site the user can access
+ * or of an organization the user manages
+ * @async
+ * @method findSubscriptionForUser
+ * @param {Object} user - An instance of the model User
+ * @param {number} id - The webhook subscription primary key
+ * @return {Promise<{Object}>} The instance of the model WebhookSubscription or null
+ */
+async function findSubscriptionForUser(user, id) {
+  const subscription = await WebhookSubscription.findByPk(id);
+
+  if (!subscription) {
+    return null;
+  }
+
+  const owner = subscription.siteId
+    ? await Site.forUser(user).findByPk(subscription.siteId)
+    : await Organization.forManagerRole(user).findByPk(subscription.organizationId);
+
+  return owner ? subscription : null;
+}
+
+/**
+ * Creates a webhook subscription with a random secret to sign its deliveries
+ * The secret is returned once and only its encrypted value is stored.
+ * @async
+ * @method createSubscription
+ * @param {Object} user - An instance of the model User creating the subscription
+ * @param {Object} attributes
+ * @param {number} attributes.siteId - The site primary key for a site subscription
+ * @param {number} attributes.organizationId - The organization primary key
+ * for an organization subscription
+ * @param {string} attributes.url - The https URL the events are sent to
+ * @param {Array<string>} attributes.events - The events to send
+ * @return {Promise<{subscription: Object, secret: string}>} The instance of the model
+ * WebhookSubscription and its secret
+ */
+async function createSubscription(user, { siteId, organizationId, url, events }) {
+  const secret = `${SECRET_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+  const { ciphertext, hint } = encrypt(secret, encryption.key);
+
+  const subscription = await WebhookSubscription.create({
+    siteId,
+    organizationId,
+    url,
+    events: validateEvents(events),
+    secretCiphertext: ciphertext,
+    secretHint: hint,
+  });
+
+  EventCreator.audit(
+    Event.labels.WEBHOOK_SUBSCRIPTION,
+    user,
+    'Webhook Subscription Created',
+    auditData(subscription),
+  );
+
+  return { subscription, secret };
+}
+
+/**
+ * Updates the URL, the events or whether a webhook subscription is active
+ * @async
+ * @method updateSubscription
+ * @param {Object} user - An instance of the model User updating the subscription
+ * @param {Object} subscription - The instance of the model WebhookSubscription
+ * @param {Object} attributes
+ * @param {string} attributes.url - The https URL the events are sent to
+ * @param {Array<string>} attributes.events - The events to send
+ * @param {boolean} attributes.active - Whether events are sent
+ * @return {Promise<{Object}>} The updated instance of the model WebhookSubscription
+ */
+async function updateSubscription(user, subscription, { url, events, active }) {
+  await subscription.update({
+    url: url ?? subscription.url,
+    events: events ? validateEvents(events) : subscription.events,
+    active: typeof active === 'boolean' ? active : subscription.active,
+  });
+
+  EventCreator.audit(
+    Event.labels.WEBHOOK_SUBSCRIPTION,
+    user,
+    'Webhook Subscription Updated',
+    auditData(subscription),
+  );
+
+  return subscription;
+}
+
+/**
+ * Deletes a webhook subscription, its pending deliveries are not sent
+ * @async
+ * @method deleteSubscription
+ * @param {Object} user - An instance of the model User deleting the subscription
+ * @param {Object} subscription - The instance of the model WebhookSubscription
+ */
+async function deleteSubscription(user, subscription) {
+  await subscription.destroy();
+
+  EventCreator.audit(
+    Event.labels.WEBHOOK_SUBSCRIPTION,
+    user,
+    'Webhook Subscription Deleted',
+    auditData(subscription),
+  );
+}
+
+/**
+ * Lists the most recent deliveries of a webhook subscription
+ * @async
+ * @method listDeliveries
+ * @param {Object} subscription - The instance of the model WebhookSubscription
+ * @return {Promise<Array<{Object}>>} The instances of the model WebhookDelivery
+ */
+async function listDeliveries(subscription) {
+  return WebhookDelivery.findAll({
+    where: { webhookSubscriptionId: subscription.id },
+    order: [['createdAt', 'DESC']],
+    limit: DELIVERIES_LIMIT,
+  });
+}
+
+module.exports = {
+  createSubscription,
+  deleteSubscription,
+  deliver,
+  dispatchEvent,
+  findSubscriptionForUser,
+  listDeliveries,
+  listSubscriptions,
+  signPayload,
+  updateSubscription,
+};
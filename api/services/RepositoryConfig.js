@@ -0,0 +1,102 @@
+const Ajv = require('ajv');
+const yaml = require('js-yaml');
+const schema = require('../../public/schemas/pages-config.json');
+const { logger } = require('../../winston');
+const GithubBuildHelper = require('./GithubBuildHelper');
+
+const ajv = new Ajv({ allErrors: true });
+const validate = ajv.compile(schema);
+
+const FileName = 'pages.yml';
+
+const isObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+// The file of a site in a repository shared by several sites is in its source directory
+const configPath = (site) =>
+  site.sourceDirectory ? `${site.sourceDirectory}/${FileName}` : FileName;
+
+const formatError = (path, { instancePath, message, params }) =>
+  params.additionalProperty
+    ? `${path}${instancePath} must NOT have the property ${params.additionalProperty}`
+    : `${path}${instancePath} ${message}`;
+
+/**
+ * Merges a config over another, the objects are merged and the other values replaced
+ * @method mergeConfig
+ * @param {Object} config - The config merged over
+ * @param {Object} other - The config merged over `config`
+ * @return {Object} The merged config
+ */
+function mergeConfig(config = {}, other = {}) {
+  return Object.keys(other).reduce(
+    (merged, key) => ({
+      ...merged,
+      [key]:
+        isObject(merged[key]) && isObject(other[key])
+          ? mergeConfig(merged[key], other[key])
+          : other[key],
+    }),
+    { ...config },
+  );
+}
+
+/**
+ * Reads a repository configuration file
+ * @method parseRepositoryConfig
+ * @param {string} content - The YAML or JSON content of the file
+ * @param {string} path - The path of the file in the repository
+ * @return {Object} The validated repository configuration
+ */
+function parseRepositoryConfig(content, path = FileName) {
+  let repositoryConfig;
+
+  try {
+    repositoryConfig = yaml.load(content) || {};
+  } catch (error) {
+    throw new Error(`The ${path} file is not valid YAML: ${error.reason}`);
+  }
+
+  if (!validate(repositoryConfig)) {
+    const errors = validate.errors.map((error) => formatError(path, error)).join(', ');
+    throw new Error(`The ${path} file does not match its schema: ${errors}`);
+  }
+
+  return repositoryConfig;
+}
+
+// A file which cannot be read, without a GitHub token or with a GitHub error,
+// is like a missing file so that the build uses the site settings
+const fetchRepositoryConfig = (build, path) =>
+  GithubBuildHelper.fetchBuildContent(build, path).catch((error) => {
+    logger.warn(`Unable to read the ${path} file of build@id=${build.id}`, error);
+    return null;
+  });
+
+/**
+ * The config of a build's branch in the repository configuration file
+ * The config of every branch is merged with the config of the build's branch.
+ * Only an invalid file throws, a file which cannot be read is ignored.
+ * @async
+ * @method loadBuildConfig
+ * @param {Object} build - An instance of the model Build with its Site
+ * @return {Promise<{Object}>} The config of the branch, empty without a file
+ */
+async function loadBuildConfig(build) {
+  const path = configPath(build.Site);
+  const content = await fetchRepositoryConfig(build, path);
+
+  if (typeof content !== 'string') {
+    return {};
+  }
+
+  const { config, branches = {} } = parseRepositoryConfig(content, path);
+
+  return mergeConfig(config, branches[build.branch]?.config);
+}
+
+module.exports = {
+  FileName,
+  loadBuildConfig,
+  mergeConfig,
+  parseRepositoryConfig,
+};
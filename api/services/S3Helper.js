@@ -1,14 +1,25 @@
 const {
   S3,
   paginateListObjectsV2,
+  ListObjectsV2Command,
   PutObjectCommand,
   GetObjectCommand,
+  CopyObjectCommand,
+  DeleteObjectCommand,
   waitUntilBucketExists,
   DeleteObjectsCommand,
 } = require('@aws-sdk/client-s3');
+const PromisePool = require('@supercharge/promise-pool');
+const CloudFoundryAPIClient = require('../utils/cfApiClient');
 
 const S3_DEFAULT_MAX_KEYS = 1000;
 
+const apiClient = new CloudFoundryAPIClient();
+
+// Each segment is encoded so that keys with `#`, `?` or `+` copy the right object
+const copySource = (bucket, key) =>
+  `${bucket}/${key.split('/').map(encodeURIComponent).join('/')}`;
+
 class S3Client {
   constructor(credentials) {
     this.bucket = credentials.bucket;
@@ -74,6 +85,40 @@ class S3Client {
     return this.listHelper(prefix, 'Contents');
   }
 
+  async listAllObjects(prefix) {
+    /*
+     * Returns a promise that resolves to an array of all of
+     * the S3 Objects starting with the given prefix, including
+     * the objects nested below it, in the bucket defined in
+     * the application's config.s3 object.
+     */
+    const paginationsConfig = { client: this.client };
+    const listCommandInput = {
+      Bucket: this.bucket,
+      Prefix: prefix,
+    };
+    const paginator = paginateListObjectsV2(paginationsConfig, listCommandInput);
+    const results = [];
+    for await (const page of paginator) {
+      results.push(...(page.Contents || []));
+    }
+    return results;
+  }
+
+  async hasObjects(prefix) {
+    /*
+     * Returns a promise that resolves to whether any S3 Objects
+     * start with the given prefix, including nested objects.
+     */
+    const command = new ListObjectsV2Command({
+      Bucket: this.bucket,
+      Prefix: prefix,
+      MaxKeys: 1,
+    });
+    const { KeyCount } = await this.client.send(command);
+    return KeyCount > 0;
+  }
+
   async listObjectsPaged(prefix, startAfterKey = null, totalMaxObjects = 200) {
     /*
      * Returns a promise that resolves to a potentially-truncated array of
@@ -119,29 +164,102 @@ class S3Client {
     };
   }
 
-  async deleteAllBucketObjects() {
+  async deleteAllBucketObjects(prefix, { excludePrefixes = [] } = {}) {
+    // The objects under one of the `excludePrefixes` are kept
     const { bucket, client } = this;
     const paginationsConfig = { client };
     const listCommandInput = {
       Bucket: bucket,
+      Prefix: prefix,
     };
 
     // Iterate by page over all of the objects in the bucket
     const paginator = paginateListObjectsV2(paginationsConfig, listCommandInput);
 
     for await (const page of paginator) {
-      // Delete all of the objects in the current page
-      const commandInput = {
-        Bucket: this.bucket,
-        Delete: {
-          Objects: page.Contents.map((object) => ({
-            Key: object.Key,
-          })),
-        },
-      };
-      const command = new DeleteObjectsCommand(commandInput);
-
-      await client.send(command);
+      // An empty page has no Contents
+      const objects = (page.Contents || []).filter(
+        (object) => !excludePrefixes.some((p) => object.Key.startsWith(p)),
+      );
+
+      if (objects.length) {
+        // Delete all of the objects in the current page
+        const commandInput = {
+          Bucket: this.bucket,
+          Delete: {
+            Objects: objects.map((object) => ({
+              Key: object.Key,
+            })),
+          },
+        };
+        const command = new DeleteObjectsCommand(commandInput);
+
+        await client.send(command);
+      }
+    }
+  }
+
+  async syncBucketObjects(fromPrefix, toPrefix, { excludePrefixes = [] } = {}) {
+    /*
+     * Copies all of the objects under `fromPrefix` to the same keys under
+     * `toPrefix`, then deletes the objects under `toPrefix` which were not
+     * copied, except for those under one of the `excludePrefixes`.
+     * All prefixes are expected to end with a slash.
+     */
+    const { bucket, client } = this;
+    const paginationsConfig = { client };
+    const copiedKeys = new Set();
+
+    const fromPaginator = paginateListObjectsV2(paginationsConfig, {
+      Bucket: bucket,
+      Prefix: fromPrefix,
+    });
+
+    for await (const page of fromPaginator) {
+      if (page.Contents?.length) {
+        const { errors } = await PromisePool.for(page.Contents)
+          .withConcurrency(10)
+          .process(async ({ Key: sourceKey }) => {
+            const key = `${toPrefix}${sourceKey.slice(fromPrefix.length)}`;
+            const command = new CopyObjectCommand({
+              Bucket: bucket,
+              CopySource: copySource(bucket, sourceKey),
+              Key: key,
+            });
+            await client.send(command);
+            copiedKeys.add(key);
+          });
+
+        if (errors.length) {
+          throw errors[0];
+        }
+      }
+    }
+
+    const toPaginator = paginateListObjectsV2(paginationsConfig, {
+      Bucket: bucket,
+      Prefix: toPrefix,
+    });
+
+    for await (const page of toPaginator) {
+      const staleObjects = (page.Contents || []).filter(
+        (object) =>
+          !copiedKeys.has(object.Key) &&
+          !excludePrefixes.some((prefix) => object.Key.startsWith(prefix)),
+      );
+
+      if (staleObjects.length) {
+        const command = new DeleteObjectsCommand({
+          Bucket: bucket,
+          Delete: {
+            Objects: staleObjects.map((object) => ({
+              Key: object.Key,
+            })),
+          },
+        });
+
+        await client.send(command);
+      }
     }
   }
 
@@ -156,6 +274,25 @@ class S3Client {
     return client.send(command);
   }
 
+  async copyObject(fromKey, toKey) {
+    const { bucket, client } = this;
+    const command = new CopyObjectCommand({
+      Bucket: bucket,
+      CopySource: copySource(bucket, fromKey),
+      Key: toKey,
+    });
+    return client.send(command);
+  }
+
+  async deleteObject(key) {
+    const { bucket, client } = this;
+    const command = new DeleteObjectCommand({
+      Bucket: bucket,
+      Key: key,
+    });
+    return client.send(command);
+  }
+
   async getObject(key, extras = {}) {
     const { bucket, client } = this;
     const command = new GetObjectCommand({
@@ -167,7 +304,60 @@ class S3Client {
   }
 }
 
+/**
+ * Creates an S3 client for the bucket of a service instance from its credentials
+ * @async
+ * @method createServiceS3Client
+ * @param {string} serviceName - The name of the S3 service instance
+ * @param {Object} options
+ * @param {boolean} [options.createServiceKey] - Create the service key when it
+ * is missing and wait until its credentials are usable
+ * @return {Promise<{S3Client}>} The S3 client of the service instance's bucket
+ */
+async function createServiceS3Client(serviceName, { createServiceKey = false } = {}) {
+  let credentials;
+  try {
+    credentials = await apiClient.fetchServiceInstanceCredentials(serviceName);
+  } catch (err) {
+    if (!createServiceKey || !err.message.match(/Not found/)) {
+      throw err;
+    }
+    const service = await apiClient.fetchServiceInstance(serviceName);
+    await apiClient.createServiceKey(serviceName, service.metadata.guid);
+    credentials = await apiClient.fetchServiceInstanceCredentials(serviceName);
+  }
+
+  const s3Client = new S3Client({
+    accessKeyId: credentials.access_key_id,
+    secretAccessKey: credentials.secret_access_key,
+    region: credentials.region,
+    bucket: credentials.bucket,
+  });
+
+  if (createServiceKey) {
+    // Added to wait until AWS credentials are usable in case we had to
+    // provision new ones. This may take up to 10 seconds.
+    await s3Client.waitForBucket();
+  }
+
+  return s3Client;
+}
+
+/**
+ * Creates an S3 client for the bucket of a site from the credentials of its
+ * service instance
+ * @async
+ * @method createSiteS3Client
+ * @param {Object} site - An instance of the model Site
+ * @param {Object} options - The options of `createServiceS3Client`
+ * @return {Promise<{S3Client}>} The S3 client of the site's bucket
+ */
+const createSiteS3Client = (site, options) =>
+  createServiceS3Client(site.s3ServiceName, options);
+
 module.exports = {
   S3_DEFAULT_MAX_KEYS,
   S3Client,
+  createServiceS3Client,
+  createSiteS3Client,
 };
@@ -1,7 +1,5 @@
 const S3Helper = require('./S3Helper');
-const CloudFoundryAPIClient = require('../utils/cfApiClient');
-
-const apiClient = new CloudFoundryAPIClient();
+const { buildOutputPrefix } = require('../utils/build');
 
 const handleInvalidAccessKeyError = (error) => {
   const validS3KeyUpdateEnv =
@@ -66,21 +64,36 @@ function listFilesPaged(s3Client, path, startAtKey = null) {
     .catch(handleInvalidAccessKeyError);
 }
 
-function listPublishedPreviews(site) {
+function listPublishedPreviews(site, branches = []) {
+  // Lists the branches with a published preview. The previews of branches
+  // with a slash in their name are nested in folders, so they are found
+  // from the known `branches` of the site.
   const previewPath = `preview/${site.owner}/${site.repository}/`;
 
-  return apiClient
-    .fetchServiceInstanceCredentials(site.s3ServiceName)
-    .then((credentials) => {
-      const s3Client = new S3Helper.S3Client({
-        accessKeyId: credentials.access_key_id,
-        secretAccessKey: credentials.secret_access_key,
-        region: credentials.region,
-        bucket: credentials.bucket,
-      });
-
-      return listTopLevelFolders(s3Client, previewPath);
-    });
+  return S3Helper.createSiteS3Client(site).then(async (s3Client) => {
+    const folders = await listTopLevelFolders(s3Client, previewPath);
+
+    // A folder which is not a known branch may only hold nested previews
+    const topLevelBranches = folders.filter(
+      (folder) =>
+        branches.includes(folder) ||
+        !branches.some((branch) => branch.startsWith(`${folder}/`)),
+    );
+
+    const nestedBranches = await Promise.all(
+      branches
+        .filter(
+          (branch) => branch.includes('/') && folders.includes(branch.split('/')[0]),
+        )
+        .map((branch) =>
+          s3Client
+            .hasObjects(`${previewPath}${branch}/`)
+            .then((isPublished) => isPublished && branch),
+        ),
+    ).catch(handleInvalidAccessKeyError);
+
+    return [...topLevelBranches, ...nestedBranches.filter(Boolean)];
+  });
 }
 
 function listPagedPublishedFilesForBranch(site, branch, startAtKey) {
@@ -93,21 +106,31 @@ function listPagedPublishedFilesForBranch(site, branch, startAtKey) {
     filepath = `preview/${site.owner}/${site.repository}/${branch}`;
   }
 
-  return apiClient
-    .fetchServiceInstanceCredentials(site.s3ServiceName)
-    .then((credentials) => {
-      const s3Client = new S3Helper.S3Client({
-        accessKeyId: credentials.access_key_id,
-        secretAccessKey: credentials.secret_access_key,
-        region: credentials.region,
-        bucket: credentials.bucket,
-      });
+  return S3Helper.createSiteS3Client(site).then((s3Client) =>
+    listFilesPaged(s3Client, filepath, startAtKey),
+  );
+}
 
-      return listFilesPaged(s3Client, filepath, startAtKey);
-    });
+function listBuildManifest(site, build) {
+  // Lists the key, size and ETag of every file in the immutable
+  // output of a build, by its path relative to the output prefix
+  const prefix = `${buildOutputPrefix(build)}/`;
+
+  return S3Helper.createSiteS3Client(site)
+    .then((s3Client) => s3Client.listAllObjects(prefix))
+    .then((objects) =>
+      objects.map((file) => ({
+        name: file.Key.slice(prefix.length),
+        key: file.Key,
+        size: Number(file.Size),
+        etag: file.ETag,
+      })),
+    )
+    .catch(handleInvalidAccessKeyError);
 }
 
 module.exports = {
+  listBuildManifest,
   listPublishedPreviews,
   listPagedPublishedFilesForBranch,
 };
@@ -22,41 +22,36 @@ const removeInfrastructure = (site) =>
     .then(() => apiClient.deleteServiceInstance(site.s3ServiceName))
     .catch(handleError); // if service instance does not exist handle error & delete site
 
+const createSiteS3Client = (site) =>
+  S3Helper.createSiteS3Client(site, { createServiceKey: true });
+
 /**
   Deletes all of the objects in the S3 bucket belonging to the specified site.
 */
 const removeSite = async (site) => {
-  let credentials;
   try {
-    try {
-      credentials = await apiClient.fetchServiceInstanceCredentials(site.s3ServiceName);
-    } catch (err) {
-      if (!err.message.match(/Not found/)) {
-        throw err;
-      }
-      const service = await apiClient.fetchServiceInstance(site.s3ServiceName);
-      await apiClient.createServiceKey(site.s3ServiceName, service.metadata.guid);
-      credentials = await apiClient.fetchServiceInstanceCredentials(site.s3ServiceName);
-    }
-
-    const s3Client = new S3Helper.S3Client({
-      accessKeyId: credentials.access_key_id,
-      secretAccessKey: credentials.secret_access_key,
-      region: credentials.region,
-      bucket: credentials.bucket,
-    });
-
-    // Added to wait until AWS credentials are usable in case we had to
-    // provision new ones. This may take up to 10 seconds.
-    await s3Client.waitForBucket();
-
+    const s3Client = await createSiteS3Client(site);
     await s3Client.deleteAllBucketObjects();
   } catch (error) {
     handleError(error);
   }
 };
 
+/**
+  Deletes the objects under a prefix in the S3 bucket belonging to the specified site,
+  except for those under one of the `excludePrefixes`.
+*/
+const removeSitePrefix = async (site, prefix, { excludePrefixes = [] } = {}) => {
+  try {
+    const s3Client = await createSiteS3Client(site);
+    await s3Client.deleteAllBucketObjects(prefix, { excludePrefixes });
+  } catch (error) {
+    handleError(error);
+  }
+};
+
 module.exports = {
   removeInfrastructure,
   removeSite,
+  removeSitePrefix,
 };
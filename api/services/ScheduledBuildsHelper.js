@@ -0,0 +1,110 @@
+const { Op } = require('sequelize');
+const PromisePool = require('@supercharge/promise-pool');
+const { Build, SiteBranchConfig, User } = require('../models');
+const QueueJobs = require('../queue-jobs');
+const { createQueueConnection } = require('../utils/queues');
+
+const { USER_AUDITOR } = process.env;
+
+const queue = new QueueJobs(createQueueConnection());
+
+class ScheduledBuildError extends Error {
+  constructor(build, cause) {
+    super(build);
+    this.stack = `${build}\n  ${cause.stack}`;
+  }
+}
+
+const buildBranch = (siteId, branch) =>
+  User.findOne({
+    where: {
+      username: USER_AUDITOR,
+    },
+  })
+    .then((user) =>
+      Build.create({
+        site: siteId,
+        user: user.id,
+        branch,
+        username: user.username,
+      }),
+    )
+    .then((build) => build.enqueue())
+    .then(() => `site:${siteId}@${branch}`)
+    .catch((err) => {
+      throw new ScheduledBuildError(`site:${siteId}@${branch}`, err);
+    });
+
+/**
+ * Starts the scheduled build of a site branch config
+ * The job scheduler of a site branch config which was deleted or
+ * no longer has a schedule is removed instead.
+ * @async
+ * @method buildSiteBranchConfig
+ * @param {number} siteBranchConfigId - The site branch config primary key
+ * @return {Promise<{string|null}>} The site and branch built
+ */
+const buildSiteBranchConfig = async (siteBranchConfigId) => {
+  const sbc = await SiteBranchConfig.findByPk(siteBranchConfigId);
+
+  if (!sbc?.schedule || !sbc.branch) {
+    await queue.unscheduleSiteBranchConfigBuilds(siteBranchConfigId);
+    return null;
+  }
+
+  return buildBranch(sbc.siteId, sbc.branch);
+};
+
+const scheduledQuery = {
+  where: {
+    branch: {
+      [Op.ne]: null,
+    },
+    schedule: {
+      [Op.ne]: null,
+    },
+  },
+};
+
+/**
+ * Creates or updates the job schedulers of all scheduled site branch configs
+ * and removes the job schedulers of site branch configs no longer scheduled
+ * @async
+ * @method syncSchedules
+ * @return {Promise<{Object[]}>} The scheduled site branch configs
+ */
+const syncSchedules = async () => {
+  const [sbcs, scheduledIds] = await Promise.all([
+    SiteBranchConfig.findAll(scheduledQuery),
+    queue.getScheduledSiteBranchConfigIds(),
+  ]);
+
+  const staleIds = scheduledIds.filter((id) => !sbcs.some((sbc) => sbc.id === id));
+
+  await Promise.all(staleIds.map((id) => queue.unscheduleSiteBranchConfigBuilds(id)));
+
+  const { results, errors } = await PromisePool.for(sbcs)
+    .withConcurrency(5)
+    .process(async (sbc) => {
+      await queue.scheduleSiteBranchConfigBuilds(sbc);
+      return sbc;
+    });
+
+  if (errors.length) {
+    throw new Error(
+      [
+        'Unable to schedule the builds of site branch configs:',
+        errors
+          .map((e) => `  site branch config@id=${e.item.id}: ${e.message}`)
+          .join('\n'),
+      ].join('\n'),
+    );
+  }
+
+  return results;
+};
+
+module.exports = {
+  buildSiteBranchConfig,
+  syncSchedules,
+};
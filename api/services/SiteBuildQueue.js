@@ -9,19 +9,22 @@ const {
 } = require('../models');
 const config = require('../../config');
 const CloudFoundryAPIClient = require('../utils/cfApiClient');
-const { sitePrefix, buildUrl } = require('../utils/build');
+const { buildOutputPrefix, buildUrl } = require('../utils/build');
+const BuildGate = require('./BuildGate');
 const GithubBuildHelper = require('./GithubBuildHelper');
+const RepositoryConfig = require('./RepositoryConfig');
 const S3Helper = require('./S3Helper');
 
 const apiClient = new CloudFoundryAPIClient();
 
-const siteConfig = (build, siteBranchConfigs = []) => {
+// The config of the repository's configuration file is merged over the site settings
+const siteConfig = (build, siteBranchConfigs = [], repositoryConfig = {}) => {
   const configRecord =
     siteBranchConfigs.find((c) => c.branch === build.branch) ||
     siteBranchConfigs.find((c) => c.context === 'preview') ||
     null;
 
-  return configRecord?.config || {};
+  return RepositoryConfig.mergeConfig(configRecord?.config || {}, repositoryConfig);
 };
 
 const baseURLForBuild = (build) => {
@@ -44,7 +47,7 @@ const buildUEVs = (uevs) =>
       }))
     : [];
 
-const generateDefaultCredentials = async (build) => {
+const generateDefaultCredentials = async (build, { repositoryConfig } = {}) => {
   const { engine, owner, repository, UserEnvironmentVariables, SiteBranchConfigs } =
     build.Site;
 
@@ -54,19 +57,22 @@ const generateDefaultCredentials = async (build) => {
     STATUS_CALLBACK: statusCallbackURL(build),
     BASEURL: baseUrl,
     BRANCH: build.branch,
-    CONFIG: JSON.stringify(siteConfig(build, SiteBranchConfigs)),
+    CONFIG: JSON.stringify(siteConfig(build, SiteBranchConfigs, repositoryConfig)),
     REPOSITORY: repository,
     OWNER: owner,
-    SITE_PREFIX: sitePrefix(build, build.Site),
+    // Builds are published from their output once they succeed
+    SITE_PREFIX: buildOutputPrefix(build),
     GITHUB_TOKEN: (build.User || {}).githubAccessToken, // temp hot-fix
     GENERATOR: engine,
+    // Read by pages-build-container, which otherwise builds the repository root
+    SOURCE_DIRECTORY: build.Site.sourceDirectory || '',
     BUILD_ID: build.id,
     USER_ENVIRONMENT_VARIABLES: JSON.stringify(buildUEVs(UserEnvironmentVariables)),
   };
 };
 
-const buildContainerEnvironment = async (build) => {
-  const defaultCredentials = await generateDefaultCredentials(build);
+const buildContainerEnvironment = async (build, options) => {
+  const defaultCredentials = await generateDefaultCredentials(build, options);
 
   if (!defaultCredentials.GITHUB_TOKEN) {
     defaultCredentials.GITHUB_TOKEN =
@@ -109,8 +115,8 @@ SiteBuildQueue.setupBucket = async (build, buildCount) => {
   return true;
 };
 
-SiteBuildQueue.messageBodyForBuild = (build) =>
-  buildContainerEnvironment(build).then((environment) => ({
+SiteBuildQueue.messageBodyForBuild = (build, { repositoryConfig } = {}) =>
+  buildContainerEnvironment(build, { repositoryConfig }).then((environment) => ({
     environment: Object.keys(environment).map((key) => ({
       name: key,
       value: environment[key],
@@ -140,9 +146,15 @@ SiteBuildQueue.setupTaskEnv = async (buildId) => {
     },
   });
 
+  // An invalid configuration file fails the build before its bucket is setup
+  const repositoryConfig = await RepositoryConfig.loadBuildConfig(build);
+
   await SiteBuildQueue.setupBucket(build, count);
 
-  const message = await SiteBuildQueue.messageBodyForBuild(build);
+  // Builds with prepublish tasks are staged until the tasks pass
+  await BuildGate.createGateTasks(build);
+
+  const message = await SiteBuildQueue.messageBodyForBuild(build, { repositoryConfig });
 
   return {
     build,
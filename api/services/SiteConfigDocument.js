@@ -0,0 +1,656 @@
+const _ = require('underscore');
+const yaml = require('js-yaml');
+const QueueJobs = require('../queue-jobs');
+const { appMatch } = require('../utils');
+const { createQueueConnection } = require('../utils/queues');
+const {
+  branchConfigS3Key,
+  hideBasicAuthPassword,
+  siteViewOrigin,
+} = require('../utils/site');
+const {
+  CustomError,
+  isValidBuildSchedule,
+  isValidPathFilters,
+} = require('../utils/validators');
+const {
+  BuildTaskType,
+  Domain,
+  Site,
+  SiteBranchConfig,
+  SiteBuildTask,
+  UserEnvironmentVariable,
+  sequelize,
+} = require('../models');
+
+const queue = new QueueJobs(createQueueConnection());
+
+const Version = 1;
+
+// The container settings are managed by the Pages team, they are not part of the document
+const SiteAttributes = [
+  'engine',
+  'autoCancelSupersededBuilds',
+  'previewRetentionDays',
+  'pathFilters',
+];
+
+const BranchConfigAttributes = [
+  'context',
+  'config',
+  'schedule',
+  'scheduleTimezone',
+  'ignoredPaths',
+];
+
+const loadSiteConfig = async (site) => {
+  const where = { siteId: site.id };
+  const order = [['id', 'ASC']];
+
+  const [siteBranchConfigs, domains, siteBuildTasks, userEnvironmentVariables] =
+    await Promise.all([
+      SiteBranchConfig.findAll({ where, order }),
+      // Redirect domains serve no branch config, they are not part of the document
+      Domain.findAll({ where: { ...where, type: Domain.Types.Site }, order }),
+      SiteBuildTask.findAll({ where, order, include: [BuildTaskType] }),
+      UserEnvironmentVariable.findAll({ where, order }),
+    ]);
+
+  return { siteBranchConfigs, domains, siteBuildTasks, userEnvironmentVariables };
+};
+
+const siteDocument = (site) => ({
+  ..._.pick(site, SiteAttributes),
+  basicAuth: hideBasicAuthPassword(site.basicAuth),
+});
+
+const branchConfigDocument = (sbc) => ({
+  branch: sbc.branch,
+  context: sbc.context,
+  config: sbc.config || {},
+  schedule: sbc.schedule,
+  scheduleTimezone: sbc.scheduleTimezone,
+  ignoredPaths: sbc.ignoredPaths,
+});
+
+const domainBranch = (domain, siteBranchConfigs) =>
+  siteBranchConfigs.find((sbc) => sbc.id === domain.siteBranchConfigId)?.branch;
+
+const buildTaskRules = (sbt) => sbt.metadata?.rules || [];
+
+/**
+ * The settings of a site as one versioned document
+ * The secrets are left out, the basic authentication password is redacted and only
+ * the names of the user environment variables are listed.
+ * @async
+ * @method exportSite
+ * @param {Object} site - An instance of the model Site
+ * @return {Promise<{Object}>} The site configuration document
+ */
+async function exportSite(site) {
+  const { siteBranchConfigs, domains, siteBuildTasks, userEnvironmentVariables } =
+    await loadSiteConfig(site);
+
+  return {
+    version: Version,
+    site: siteDocument(site),
+    branchConfigs: siteBranchConfigs.map(branchConfigDocument),
+    domains: domains.map((domain) => ({
+      names: domain.names,
+      branch: domainBranch(domain, siteBranchConfigs),
+    })),
+    buildTasks: siteBuildTasks.map((sbt) => ({
+      type: appMatch(sbt.BuildTaskType),
+      rules: buildTaskRules(sbt),
+    })),
+    environmentVariables: userEnvironmentVariables.map((uev) => uev.name),
+  };
+}
+
+const validateList = (document, key, validateItem) => {
+  const list = document[key];
+
+  if (list === undefined) {
+    return;
+  }
+
+  if (!Array.isArray(list)) {
+    throw new CustomError(`${key} must be a list.`);
+  }
+
+  list.forEach((item, index) => {
+    try {
+      validateItem(item);
+    } catch (error) {
+      throw new CustomError(`${key}[${index}]: ${error.message}`);
+    }
+  });
+};
+
+const validateObject = (item) => {
+  if (!_.isObject(item) || Array.isArray(item)) {
+    throw new Error('must be an object.');
+  }
+};
+
+const validateUnique = (list = [], key, name) => {
+  const values = list.map((item) => (name ? item[name] : item) ?? null);
+  const duplicate = values.find((value, index) => values.indexOf(value) !== index);
+
+  if (duplicate !== undefined) {
+    throw new CustomError(`${key} lists ${duplicate} more than once.`);
+  }
+};
+
+const validateSite = (siteConfig = {}) => {
+  if (!_.isObject(siteConfig)) {
+    throw new CustomError('site must be an object.');
+  }
+
+  const { values } = Site.rawAttributes.engine;
+
+  if (siteConfig.engine !== undefined && !values.includes(siteConfig.engine)) {
+    throw new CustomError(`site.engine must be one of ${values.join(', ')}.`);
+  }
+
+  if (siteConfig.pathFilters !== undefined) {
+    try {
+      isValidPathFilters(siteConfig.pathFilters);
+    } catch (error) {
+      throw new CustomError(`site.pathFilters: ${error.message}`);
+    }
+  }
+};
+
+const validateBranchConfig = (sbc) => {
+  validateObject(sbc);
+
+  if (!sbc.context || typeof sbc.context !== 'string') {
+    throw new Error('context must be a valid string.');
+  }
+
+  if (sbc.context !== 'preview' && !sbc.branch) {
+    throw new Error('branch is required when the context is not preview.');
+  }
+
+  if (sbc.config && !_.isObject(sbc.config)) {
+    throw new Error('config must be an object.');
+  }
+
+  if (sbc.schedule) {
+    isValidBuildSchedule(sbc.schedule, sbc.scheduleTimezone || undefined);
+  }
+
+  isValidPathFilters(sbc.ignoredPaths || []);
+};
+
+/**
+ * Reads a site configuration document
+ * @method parseDocument
+ * @param {string|Object} input - The document, as YAML or JSON text or as an object
+ * @return {Object} The validated document
+ */
+function parseDocument(input) {
+  let document = input;
+
+  if (typeof input === 'string') {
+    try {
+      document = yaml.load(input);
+    } catch {
+      throw new CustomError('The document must be valid YAML or JSON.');
+    }
+  }
+
+  if (!_.isObject(document) || Array.isArray(document)) {
+    throw new CustomError('The document must be an object.');
+  }
+
+  if (document.version !== Version) {
+    throw new CustomError(`The document version must be ${Version}.`);
+  }
+
+  validateSite(document.site);
+  validateList(document, 'branchConfigs', validateBranchConfig);
+  validateUnique(document.branchConfigs, 'branchConfigs', 'branch');
+
+  validateList(document, 'domains', (domain) => {
+    validateObject(domain);
+
+    if (!domain.names || typeof domain.names !== 'string') {
+      throw new Error('names must be a valid string.');
+    }
+
+    if (!domain.branch || typeof domain.branch !== 'string') {
+      throw new Error('branch must be a valid string.');
+    }
+  });
+  validateUnique(document.domains, 'domains', 'names');
+  validateUnique(document.domains, 'domains', 'branch');
+
+  validateList(document, 'buildTasks', (buildTask) => {
+    validateObject(buildTask);
+
+    if (!buildTask.type || typeof buildTask.type !== 'string') {
+      throw new Error('type must be a valid string.');
+    }
+
+    if (!Array.isArray(buildTask.rules)) {
+      throw new Error('rules must be a list.');
+    }
+  });
+  validateUnique(document.buildTasks, 'buildTasks', 'type');
+
+  validateList(document, 'environmentVariables', (name) => {
+    if (!name || typeof name !== 'string') {
+      throw new Error('the name must be a valid string.');
+    }
+  });
+  validateUnique(document.environmentVariables, 'environmentVariables');
+
+  return document;
+}
+
+const changedAttributes = (current, desired, attributes) =>
+  attributes.reduce((changes, attribute) => {
+    if (
+      desired[attribute] !== undefined &&
+      !_.isEqual(current[attribute], desired[attribute])
+    ) {
+      return { ...changes, [attribute]: desired[attribute] };
+    }
+    return changes;
+  }, {});
+
+const planSite = (site, siteConfig, plan) => {
+  const attributes = changedAttributes(site, siteConfig, SiteAttributes);
+
+  if (!_.isEmpty(attributes)) {
+    plan.changes.push({ resource: 'site', action: 'update', attributes });
+  }
+
+  // Basic authentication credentials are secrets, they are never imported
+  if (siteConfig.basicAuth && siteConfig.basicAuth.username !== site.basicAuth.username) {
+    plan.warnings.push(
+      'The basic authentication settings are not imported, ' +
+        'please update them in the site settings.',
+    );
+  }
+};
+
+// A domain keeps its branch config unless the document removes or moves the domain
+const isDomainMoved = (domain, sbc, document) => {
+  const desired = document.domains?.find((d) => d.names === domain.names);
+
+  return !!document.domains && domain.isPending() && desired?.branch !== sbc.branch;
+};
+
+const planBranchConfigs = (current, document, plan) => {
+  const { branchConfigs } = document;
+
+  branchConfigs.forEach((desired) => {
+    const branch = desired.branch || null;
+    const sbc = current.siteBranchConfigs.find((c) => c.branch === branch);
+    const document = {
+      config: {},
+      schedule: null,
+      scheduleTimezone: null,
+      ignoredPaths: [],
+      ...desired,
+      branch,
+    };
+
+    if (!sbc) {
+      plan.changes.push({
+        resource: 'branchConfig',
+        action: 'create',
+        branch,
+        attributes: _.pick(document, BranchConfigAttributes),
+      });
+      return;
+    }
+
+    const attributes = changedAttributes(
+      branchConfigDocument(sbc),
+      document,
+      BranchConfigAttributes,
+    );
+
+    if (!_.isEmpty(attributes)) {
+      plan.changes.push({
+        resource: 'branchConfig',
+        action: 'update',
+        branch,
+        attributes,
+      });
+    }
+  });
+
+  current.siteBranchConfigs
+    .filter(
+      (sbc) => !branchConfigs.find((desired) => (desired.branch || null) === sbc.branch),
+    )
+    .forEach((sbc) => {
+      const domain = current.domains.find(
+        (d) => d.siteBranchConfigId === sbc.id && !isDomainMoved(d, sbc, document),
+      );
+
+      if (domain) {
+        plan.warnings.push(
+          `The branch config of ${sbc.branch} is kept, ` +
+            `it is used by the ${domain.state} domain ${domain.names}.`,
+        );
+        return;
+      }
+
+      plan.changes.push({
+        resource: 'branchConfig',
+        action: 'delete',
+        branch: sbc.branch,
+      });
+    });
+};
+
+// The domains use the branch configs of the document, or the site's when it has none
+const planDomains = (current, document, plan) => {
+  const { domains } = document;
+  const branchConfigs = document.branchConfigs || current.siteBranchConfigs;
+
+  domains.forEach(({ names, branch }) => {
+    const sbc = branchConfigs.find((c) => c.branch === branch);
+
+    if (!sbc || sbc.context === 'preview') {
+      throw new CustomError(
+        `The domain ${names} needs a site or demo branch config of ${branch}.`,
+      );
+    }
+  });
+
+  domains.forEach(({ names, branch }) => {
+    const domain = current.domains.find((d) => d.names === names);
+
+    if (!domain) {
+      plan.changes.push({ resource: 'domain', action: 'create', names, branch });
+      return;
+    }
+
+    if (domainBranch(domain, current.siteBranchConfigs) === branch) {
+      return;
+    }
+
+    if (!domain.isPending()) {
+      plan.warnings.push(
+        `The domain ${names} is ${domain.state}, its branch is not changed.`,
+      );
+      return;
+    }
+
+    plan.changes.push({ resource: 'domain', action: 'update', names, branch });
+  });
+
+  current.domains
+    .filter((domain) => !domains.find((d) => d.names === domain.names))
+    .forEach((domain) => {
+      if (!domain.isPending()) {
+        plan.warnings.push(
+          `The domain ${domain.names} is ${domain.state} and is kept, ` +
+            'please contact support to remove it.',
+        );
+        return;
+      }
+
+      plan.changes.push({ resource: 'domain', action: 'delete', names: domain.names });
+    });
+};
+
+// The site build tasks are added by the Pages team, only their rules are imported
+const planBuildTasks = (current, buildTasks, plan) => {
+  buildTasks.forEach(({ type, rules }) => {
+    const sbt = current.siteBuildTasks.find((t) => appMatch(t.BuildTaskType) === type);
+
+    if (!sbt) {
+      plan.warnings.push(
+        `The site has no ${type} build task, its rules are not imported.`,
+      );
+      return;
+    }
+
+    if (!_.isEqual(buildTaskRules(sbt), rules)) {
+      plan.changes.push({
+        resource: 'buildTask',
+        action: 'update',
+        type,
+        attributes: { rules },
+      });
+    }
+  });
+};
+
+// The values of the environment variables are secrets, only the missing ones are listed
+const planEnvironmentVariables = (current, names, plan) => {
+  const currentNames = current.userEnvironmentVariables.map((uev) => uev.name);
+
+  names
+    .filter((name) => !currentNames.includes(name))
+    .forEach((name) =>
+      plan.warnings.push(`The environment variable ${name} needs a value.`),
+    );
+
+  currentNames
+    .filter((name) => !names.includes(name))
+    .forEach((name) =>
+      plan.warnings.push(`The environment variable ${name} is not in the document.`),
+    );
+};
+
+const planSiteConfig = (site, current, document) => {
+  const plan = { changes: [], warnings: [] };
+
+  planSite(site, document.site || {}, plan);
+
+  if (document.branchConfigs) {
+    planBranchConfigs(current, document, plan);
+  }
+
+  if (document.domains) {
+    planDomains(current, document, plan);
+  }
+
+  if (document.buildTasks) {
+    planBuildTasks(current, document.buildTasks, plan);
+  }
+
+  if (document.environmentVariables) {
+    planEnvironmentVariables(current, document.environmentVariables, plan);
+  }
+
+  return plan;
+};
+
+// The build schedules are queued once the changes are committed
+const applyBranchConfigChange = async (
+  site,
+  current,
+  change,
+  { transaction, schedules },
+) => {
+  const { action, branch, attributes } = change;
+
+  if (action === 'create') {
+    const sbc = await SiteBranchConfig.create(
+      {
+        ...attributes,
+        siteId: site.id,
+        branch,
+        s3Key: branchConfigS3Key(site, attributes.context, branch),
+      },
+      { transaction },
+    );
+    current.siteBranchConfigs.push(sbc);
+
+    if (sbc.schedule) {
+      schedules.push(() => queue.scheduleSiteBranchConfigBuilds(sbc));
+    }
+
+    return sbc;
+  }
+
+  const sbc = current.siteBranchConfigs.find((c) => c.branch === branch);
+
+  if (action === 'delete') {
+    await sbc.destroy({ transaction });
+
+    if (sbc.schedule) {
+      schedules.push(() => queue.unscheduleSiteBranchConfigBuilds(sbc.id));
+    }
+
+    return sbc;
+  }
+
+  await sbc.update(
+    {
+      ...attributes,
+      ...(attributes.context && {
+        s3Key: branchConfigS3Key(site, attributes.context, branch),
+      }),
+    },
+    { transaction },
+  );
+
+  if ('schedule' in attributes || 'scheduleTimezone' in attributes) {
+    schedules.push(() => queue.scheduleSiteBranchConfigBuilds(sbc));
+  }
+
+  return sbc;
+};
+
+const applyDomainChange = async (site, current, change, { transaction }) => {
+  const { action, names, branch } = change;
+  const domain = current.domains.find((d) => d.names === names);
+
+  if (action === 'delete') {
+    return domain.destroy({ transaction });
+  }
+
+  const sbc = current.siteBranchConfigs.find((c) => c.branch === branch);
+
+  if (action === 'update') {
+    return domain.update(
+      { siteBranchConfigId: sbc.id, path: sbc.s3Key },
+      { transaction },
+    );
+  }
+
+  // Domains are created pending, like the domains added in the site settings
+  return Domain.create(
+    {
+      siteId: site.id,
+      siteBranchConfigId: sbc.id,
+      names,
+      origin: siteViewOrigin(site),
+      path: sbc.s3Key,
+      serviceName: `${names.split(',')[0]}-ext`,
+    },
+    { transaction },
+  );
+};
+
+const applyBuildTaskChange = (current, { type, attributes }, { transaction }) => {
+  const sbt = current.siteBuildTasks.find((t) => appMatch(t.BuildTaskType) === type);
+
+  return sbt.update(
+    {
+      metadata: {
+        ...sbt.metadata,
+        rules: attributes.rules,
+      },
+    },
+    { transaction },
+  );
+};
+
+const byResource = (changes, resource, actions) =>
+  changes.filter(
+    (change) => change.resource === resource && actions.includes(change.action),
+  );
+
+/**
+ * Compares a site with a configuration document
+ * @async
+ * @method diffSite
+ * @param {Object} site - An instance of the model Site
+ * @param {string|Object} input - The site configuration document
+ * @return {Promise<{Object}>} The changes needed to reconcile the site to the document
+ *  and the warnings about the settings which are not imported
+ */
+async function diffSite(site, input) {
+  const document = parseDocument(input);
+  const current = await loadSiteConfig(site);
+
+  return planSiteConfig(site, current, document);
+}
+
+/**
+ * Reconciles a site to a configuration document
+ * The sections left out of the document are not changed. The branch configs are
+ * created before and deleted after the domains which use them, and all of the changes
+ * are applied in one transaction.
+ * @async
+ * @method applySite
+ * @param {Object} site - An instance of the model Site
+ * @param {string|Object} input - The site configuration document
+ * @return {Promise<{Object}>} The changes applied to the site and the warnings about
+ *  the settings which are not imported
+ */
+async function applySite(site, input) {
+  const document = parseDocument(input);
+  const current = await loadSiteConfig(site);
+  const plan = planSiteConfig(site, current, document);
+  const { changes } = plan;
+  const schedules = [];
+
+  await sequelize.transaction(async (transaction) => {
+    const options = { transaction, schedules };
+
+    await Promise.all(
+      byResource(changes, 'site', ['update']).map(({ attributes }) =>
+        site.update(attributes, { transaction }),
+      ),
+    );
+
+    await Promise.all(
+      byResource(changes, 'branchConfig', ['create', 'update']).map((change) =>
+        applyBranchConfigChange(site, current, change, options),
+      ),
+    );
+
+    await Promise.all(
+      byResource(changes, 'domain', ['create', 'update', 'delete']).map((change) =>
+        applyDomainChange(site, current, change, options),
+      ),
+    );
+
+    await Promise.all(
+      byResource(changes, 'branchConfig', ['delete']).map((change) =>
+        applyBranchConfigChange(site, current, change, options),
+      ),
+    );
+
+    await Promise.all(
+      byResource(changes, 'buildTask', ['update']).map((change) =>
+        applyBuildTaskChange(current, change, options),
+      ),
+    );
+  });
+
+  await Promise.all(schedules.map((schedule) => schedule()));
+
+  return plan;
+}
+
+module.exports = {
+  Version,
+  applySite,
+  diffSite,
+  exportSite,
+  parseDocument,
+};
@@ -2,6 +2,7 @@ const GitHub = require('./GitHub');
 const TemplateResolver = require('./TemplateResolver');
 const { Build, Site, User } = require('../models');
 const { generateS3ServiceName, generateSubdomain } = require('../utils');
+const { isEmptyOrSourceDirectory, isValidPathFilters } = require('../utils/validators');
 const CloudFoundryAPIClient = require('../utils/cfApiClient');
 const config = require('../../config');
 
@@ -9,10 +10,15 @@ const apiClient = new CloudFoundryAPIClient();
 
 const defaultEngine = 'jekyll';
 
+// Sites sharing a repository are named after their source directory
+const siteName = ({ repository, sourceDirectory }) =>
+  repository && sourceDirectory ? `${repository}-${sourceDirectory}` : repository;
+
 function paramsForNewSite(params) {
   const owner = params.owner ? params.owner.toLowerCase() : null;
   const repository = params.repository ? params.repository.toLowerCase() : null;
-  const subdomain = generateSubdomain(owner, repository);
+  const sourceDirectory = Site.normalizeSourceDirectory(params.sourceDirectory);
+  const subdomain = generateSubdomain(owner, siteName({ repository, sourceDirectory }));
   const organizationId = params.organizationId
     ? parseInt(params.organizationId, 10)
     : null;
@@ -23,6 +29,8 @@ function paramsForNewSite(params) {
     engine: params.engine || defaultEngine,
     organizationId,
     subdomain,
+    sourceDirectory,
+    pathFilters: params.pathFilters || [],
   };
 }
 
@@ -44,21 +52,45 @@ function ownerIsFederalistUser(owner) {
   });
 }
 
-function checkSiteExists({ owner, repository }) {
-  return Site.findOne({
+async function checkSiteExists({ owner, repository, sourceDirectory }) {
+  const sites = await Site.findAll({
     where: {
       owner,
       repository,
     },
-  }).then((existingSite) => {
-    if (existingSite) {
-      const error = new Error(
-        `This site has already been added to ${config.app.appName}.`,
-      );
-      error.status = 400;
-      throw error;
-    }
   });
+
+  // Several sites can be built from one repository with different source directories
+  const existingSite = sites.find(
+    (site) => site.sourceDirectory === Site.normalizeSourceDirectory(sourceDirectory),
+  );
+
+  if (existingSite) {
+    const error = new Error(`This site has already been added to ${config.app.appName}.`);
+    error.status = 400;
+    throw error;
+  }
+}
+
+function checkSourcePaths({ sourceDirectory, pathFilters }) {
+  const normalizedSourceDirectory = Site.normalizeSourceDirectory(sourceDirectory);
+
+  try {
+    isEmptyOrSourceDirectory(normalizedSourceDirectory);
+    isValidPathFilters(pathFilters || []);
+  } catch (error) {
+    error.status = 400;
+    throw error;
+  }
+
+  // Held back until pages-build-container builds from the SOURCE_DIRECTORY param
+  if (normalizedSourceDirectory) {
+    const error = new Error(
+      'Source directories are not supported yet, sites build from the repository root.',
+    );
+    error.status = 400;
+    throw error;
+  }
 }
 
 function checkGithubOrg({ user, owner }) {
@@ -135,7 +167,7 @@ function buildInfrastructure(params, s3ServiceName) {
 }
 
 function validateSite(params) {
-  const s3ServiceName = generateS3ServiceName(params.owner, params.repository);
+  const s3ServiceName = generateS3ServiceName(params.owner, siteName(params));
 
   if (!s3ServiceName) {
     // Will always not create a valid site object
@@ -183,11 +215,13 @@ async function saveAndBuildSite({ site, user }) {
 }
 
 async function createSiteFromExistingRepo({ siteParams, user }) {
-  const { owner, repository } = siteParams;
+  const { owner, repository, sourceDirectory } = siteParams;
 
+  checkSourcePaths(siteParams);
   await checkSiteExists({
     owner,
     repository,
+    sourceDirectory,
   });
   const repo = await checkGithubRepository({
     user,
@@ -216,6 +250,7 @@ async function createSiteFromTemplate({ siteParams, user, template }) {
   };
   const { owner, repository } = params;
 
+  checkSourcePaths(params);
   const site = await validateSite(params);
   await GitHub.createRepoFromTemplate(user, owner, repository, template);
   return saveAndBuildSite({
@@ -1,8 +1,10 @@
 const IORedis = require('ioredis');
+const { Op } = require('sequelize');
 
 const Github = require('./GitHub');
 const S3SiteRemover = require('./S3SiteRemover');
 const config = require('../../config');
+const { Site } = require('../models');
 const { SiteDeletionQueue } = require('../queues');
 
 function queue() {
@@ -20,7 +22,16 @@ module.exports.destroySiteInfra = async function destroySiteInfra(site, user) {
     S3SiteRemover.removeSite(site).then(() => S3SiteRemover.removeInfrastructure(site)),
   ];
 
-  if (user) {
+  // The other sites of a shared repository still build from its webhook
+  const sharedRepositorySites = await Site.count({
+    where: {
+      id: { [Op.ne]: site.id },
+      owner: site.owner,
+      repository: site.repository,
+    },
+  });
+
+  if (user && !sharedRepositorySites) {
     todos.push(Github.deleteWebhook(site, user.githubAccessToken));
   }
 
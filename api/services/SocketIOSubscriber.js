@@ -1,7 +1,71 @@
-const { Site } = require('../models');
+const { Build, Site } = require('../models');
 
 const getSiteRoom = (siteId) => `site-${siteId}`;
 const getBuilderRoom = (siteId, userId) => `site-${siteId}-user-${userId}`;
+const getBuildLogRoom = (buildId) => `build-${buildId}-logs`;
+
+// The outcomes a build notification setting can be limited to
+const NotificationEvents = ['progress', 'success', 'failure', 'reports'];
+
+// Git refs cannot contain `:` so the filters of a room never collide with a branch name
+const getFilteredRoom = (room, { branch = null, event = null } = {}) =>
+  [room, branch && `branch=${branch}`, event && `event=${event}`]
+    .filter(Boolean)
+    .join(':');
+
+/**
+ * A build notification setting is either `site`, `builds` or `none`, or an object
+ * limiting the notifications of a scope to some branches and events
+ * @method parseNotificationSetting
+ * @param {string|Object} setting - The value of User.buildNotificationSettings for a site
+ * @return {{scope: string, branches: Array<string>, events: Array<string>}}
+ */
+const parseNotificationSetting = (setting) => {
+  const {
+    scope = 'site',
+    branches = [],
+    events = [],
+  } = setting && typeof setting === 'object' ? setting : { scope: setting || 'site' };
+
+  return { scope, branches, events };
+};
+
+const getBuildEvent = (build) => {
+  switch (build.state) {
+    case Build.States.Success:
+      return 'success';
+    case Build.States.Error:
+    case Build.States.Blocked:
+      return 'failure';
+    case Build.States.Cancelled:
+    case Build.States.Skipped:
+      return null;
+    default:
+      return 'progress';
+  }
+};
+
+/**
+ * Lists the rooms of the users notified about an event of a build, the rooms of
+ * the site and of the build's author, unfiltered and filtered by branch and event
+ * Report notifications are only sent to the users who opted in to them.
+ * @method getBuildRooms
+ * @param {Object} build - An instance of the model Build
+ * @param {string} event - One of NotificationEvents, defaults to the event
+ * of the build state
+ * @return {Array<string>} The room names
+ */
+const getBuildRooms = (build, event = getBuildEvent(build)) => {
+  const rooms = [getSiteRoom(build.site), getBuilderRoom(build.site, build.user)];
+  const branches = [null, build.branch];
+  const events = event === 'reports' ? [event] : [null, event];
+
+  return rooms.flatMap((room) =>
+    branches.flatMap((branch) =>
+      [...new Set(events)].map((e) => getFilteredRoom(room, { branch, event: e })),
+    ),
+  );
+};
 
 const joinRooms = async (socket) => {
   const { user } = socket.request;
@@ -12,20 +76,48 @@ const joinRooms = async (socket) => {
   const sites = await Site.forUser(user).findAll();
 
   sites.forEach((site) => {
-    switch (user.buildNotificationSettings[site.id]) {
-      case 'builds':
-        socket.join(getBuilderRoom(site.id, user.id));
-        break;
-      case 'none':
-        break;
-      default:
-        socket.join(getSiteRoom(site.id));
+    const { scope, branches, events } = parseNotificationSetting(
+      user.buildNotificationSettings[site.id],
+    );
+
+    if (scope === 'none') {
+      return;
     }
+
+    const room =
+      scope === 'builds' ? getBuilderRoom(site.id, user.id) : getSiteRoom(site.id);
+
+    (branches.length ? branches : [null]).forEach((branch) =>
+      (events.length ? events : [null]).forEach((event) =>
+        socket.join(getFilteredRoom(room, { branch, event })),
+      ),
+    );
   });
 };
 
+const joinBuildLogRoom = async (socket, buildId) => {
+  const { user } = socket.request;
+  if (!user) {
+    return null;
+  }
+
+  const build = await Build.forSiteUser(user).findByPk(buildId);
+  if (!build) {
+    return null;
+  }
+
+  socket.join(getBuildLogRoom(build.id));
+  return build;
+};
+
 module.exports = {
+  NotificationEvents,
   joinRooms,
+  joinBuildLogRoom,
   getSiteRoom,
   getBuilderRoom,
+  getBuildLogRoom,
+  getBuildRooms,
+  getFilteredRoom,
+  parseNotificationSetting,
 };
@@ -0,0 +1,190 @@
+const moment = require('moment');
+const PromisePool = require('@supercharge/promise-pool');
+const { Build, Event, Site } = require('../models');
+const BuildPublisher = require('./BuildPublisher');
+const EventCreator = require('./EventCreator');
+const GitHub = require('./GitHub');
+const GithubBuildHelper = require('./GithubBuildHelper');
+const S3PublishedFileLister = require('./S3PublishedFileLister');
+const S3SiteRemover = require('./S3SiteRemover');
+
+const Reasons = {
+  Deleted: 'deleted',
+  Expired: 'expired',
+};
+
+const previewPrefix = (site, branch) =>
+  `preview/${site.owner}/${site.repository}/${branch}/`;
+
+const findSiteBranches = (site) =>
+  Build.findAll({
+    attributes: ['branch'],
+    where: {
+      site: site.id,
+    },
+    group: ['branch'],
+    raw: true,
+  }).then((builds) => builds.map((build) => build.branch));
+
+// The previews of other branches nested under a branch's preview are kept
+const nestedPreviewPrefixes = (site, branch, branches) =>
+  branches
+    .filter((other) => other.startsWith(`${branch}/`))
+    .map((other) => previewPrefix(site, other));
+
+const loadGithubUser = (site) =>
+  GithubBuildHelper.loadSiteUserAccessToken(site)
+    .then((githubAccessToken) => ({ githubAccessToken }))
+    .catch(() => null);
+
+const stalePreviewReason = async (site, branch, { cutoff, githubUser }) => {
+  const lastBuild = await Build.findOne({
+    where: {
+      site: site.id,
+      branch,
+    },
+    order: [['createdAt', 'DESC']],
+  });
+
+  const lastBuiltAt = lastBuild?.createdAt || null;
+
+  if (githubUser) {
+    const githubBranch = await GitHub.getBranch(
+      githubUser,
+      site.owner,
+      site.repository,
+      branch,
+    );
+
+    if (!githubBranch) {
+      return [Reasons.Deleted, lastBuiltAt];
+    }
+  }
+
+  if (!lastBuiltAt || lastBuiltAt < cutoff) {
+    return [Reasons.Expired, lastBuiltAt];
+  }
+
+  return [null, lastBuiltAt];
+};
+
+/**
+ * Finds the published previews of a site which should be removed
+ * A preview is stale when its branch was deleted on GitHub or when it
+ * was not rebuilt within the site's preview retention window.
+ * @async
+ * @method findStalePreviews
+ * @param {Object} site - An instance of the model Site
+ * @param {Object} options
+ * @param {Date} [options.now] - The date the retention window ends
+ * @param {string[]} [options.siteBranches] - The branches built for the site
+ * @return {Promise<{Object[]}>} The stale previews with their branch and reason
+ */
+async function findStalePreviews(site, { now = new Date(), siteBranches } = {}) {
+  const builtBranches = siteBranches || (await findSiteBranches(site));
+  const [branches, siteBranchConfigs] = await Promise.all([
+    S3PublishedFileLister.listPublishedPreviews(site, builtBranches),
+    site.getSiteBranchConfigs(),
+  ]);
+
+  // Branches with their own site branch config are not previews
+  const previewBranches = branches.filter(
+    (branch) => !siteBranchConfigs.some((sbc) => sbc.branch === branch),
+  );
+
+  if (previewBranches.length === 0) {
+    return [];
+  }
+
+  const cutoff = moment(now).subtract(site.previewRetentionDays, 'days').toDate();
+  const githubUser = await loadGithubUser(site);
+
+  const previews = await Promise.all(
+    previewBranches.map(async (branch) => {
+      const [reason, lastBuiltAt] = await stalePreviewReason(site, branch, {
+        cutoff,
+        githubUser,
+      });
+      return {
+        branch,
+        reason,
+        lastBuiltAt,
+      };
+    }),
+  );
+
+  return previews.filter((preview) => preview.reason);
+}
+
+/**
+ * Removes the stale previews of a site from its S3 bucket
+ * The outputs of the builds of a removed preview are removed as well.
+ * @async
+ * @method cleanStalePreviews
+ * @param {Object} site - An instance of the model Site
+ * @param {Object} options
+ * @param {boolean} [options.dryRun] - Only report the previews that would be removed
+ * @return {Promise<{Object[]}>} The stale previews
+ */
+async function cleanStalePreviews(site, { dryRun = false } = {}) {
+  const siteBranches = await findSiteBranches(site);
+  const stalePreviews = await findStalePreviews(site, { siteBranches });
+
+  if (dryRun) {
+    return stalePreviews;
+  }
+
+  const { results, errors } = await PromisePool.for(stalePreviews)
+    .withConcurrency(1)
+    .process(async (preview) => {
+      await S3SiteRemover.removeSitePrefix(site, previewPrefix(site, preview.branch), {
+        excludePrefixes: nestedPreviewPrefixes(site, preview.branch, siteBranches),
+      });
+      await BuildPublisher.removeBranchBuildOutputs(site, preview.branch);
+      await EventCreator.audit(Event.labels.PREVIEW_CLEANUP, site, 'Preview Removed', {
+        ...preview,
+      });
+      return preview;
+    });
+
+  if (errors.length) {
+    throw new Error(
+      [
+        `Unable to remove stale previews of site@id=${site.id}:`,
+        errors.map((e) => `  ${e.item.branch}: ${e.message}`).join('\n'),
+      ].join('\n'),
+    );
+  }
+
+  return results;
+}
+
+/**
+ * Removes the stale previews of all active sites
+ * @async
+ * @method cleanAllStalePreviews
+ * @param {Object} options
+ * @param {boolean} [options.dryRun] - Only report the previews that would be removed
+ * @return {Promise<{Object}>} The results and errors by site
+ */
+async function cleanAllStalePreviews({ dryRun = false } = {}) {
+  const sites = await Site.findAll({
+    where: {
+      isActive: true,
+    },
+  });
+
+  return PromisePool.for(sites)
+    .withConcurrency(2)
+    .process(async (site) => ({
+      site,
+      previews: await cleanStalePreviews(site, { dryRun }),
+    }));
+}
+
+module.exports = {
+  Reasons,
+  cleanAllStalePreviews,
+  cleanStalePreviews,
+  findStalePreviews,
+};
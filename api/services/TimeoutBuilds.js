@@ -4,8 +4,11 @@ const { zip } = require('underscore');
 
 const { Build } = require('../models');
 const CFApi = require('../utils/cfApiClient');
+const BuildGate = require('./BuildGate');
 
 const TIMEOUT = process.env.BUILD_TIMEOUT || 45;
+// Staged builds wait for their prepublish tasks, which may run for a while
+const STAGED_TIMEOUT = process.env.STAGED_BUILD_TIMEOUT || 180;
 
 const timeoutBuilds = async (date = new Date()) => {
   const cfApi = new CFApi();
@@ -40,6 +43,30 @@ const timeoutBuilds = async (date = new Date()) => {
   return zip(buildIds, cancels);
 };
 
+const timeoutStagedBuilds = async (date = new Date()) => {
+  const stagedTimeout = moment(date).subtract(STAGED_TIMEOUT, 'minutes');
+
+  /*
+    A staged build is only published or blocked once its prepublish tasks report
+    back, which they may never do if their task or job was lost
+  */
+  const builds = await Build.findAll({
+    where: {
+      state: Build.States.Staged,
+      updatedAt: {
+        [Op.lt]: stagedTimeout.toDate(),
+      },
+    },
+  });
+
+  const buildIds = builds.map((b) => b.id);
+  const timeouts = await Promise.allSettled(
+    builds.map((build) => BuildGate.timeoutGate(build)),
+  );
+  return zip(buildIds, timeouts);
+};
+
 module.exports = {
   timeoutBuilds,
+  timeoutStagedBuilds,
 };
@@ -1,12 +1,17 @@
+const minimatch = require('minimatch');
 const config = require('../../config');
-const { Build, User, Site, Event, Organization } = require('../models');
+const { Build, User, Site, SiteBranchConfig, Event, Organization } = require('../models');
 const GithubBuildHelper = require('./GithubBuildHelper');
 const EventCreator = require('./EventCreator');
+const BuildCanceler = require('./BuildCanceler');
+const BuildPublisher = require('./BuildPublisher');
+const S3SiteRemover = require('./S3SiteRemover');
 
-const findSiteForWebhookRequest = (payload) => {
+// Several sites can be built from one repository with different source directories
+const findSitesForWebhookRequest = (payload) => {
   const [owner, repository] = payload.repository.full_name.split('/');
 
-  return Site.findOne({
+  return Site.findAll({
     where: {
       owner: owner.toLowerCase(),
       repository: repository.toLowerCase(),
@@ -18,6 +23,61 @@ const findSiteForWebhookRequest = (payload) => {
 const shouldBuildForSite = (site) =>
   site?.isActive && (!site.Organization || site.Organization.isActive);
 
+const changedPaths = (commits) => [
+  ...new Set(
+    commits.flatMap((commit) => [
+      ...(commit.added || []),
+      ...(commit.removed || []),
+      ...(commit.modified || []),
+    ]),
+  ),
+];
+
+const matchesAnyGlob = (path, globs) =>
+  globs.some((glob) => minimatch(path, glob, { dot: true }));
+
+// Sites without path filters or source directory are built on every push
+const shouldBuildForPaths = (site, paths) => {
+  const globs = site.pathFilters.length
+    ? site.pathFilters
+    : [site.sourceDirectory && `${site.sourceDirectory}/**`].filter(Boolean);
+
+  if (!globs.length || !paths.length) {
+    return true;
+  }
+
+  return paths.some((path) => matchesAnyGlob(path, globs));
+};
+
+const SkipDirectiveRegex = /\[(?:skip pages|pages skip)\]/i;
+
+const headCommitMessage = (payload) =>
+  (payload.head_commit || payload.commits.at(-1))?.message || '';
+
+// The reason a push is not built, either its head commit asks to skip the build or
+// it only changes the ignored paths of the branch
+const skipReasonForPush = async (payload, site, paths) => {
+  const [directive] = headCommitMessage(payload).match(SkipDirectiveRegex) || [];
+
+  if (directive) {
+    return `The commit message includes ${directive}.`;
+  }
+
+  const branch = payload.ref.replace('refs/heads/', '');
+  const siteBranchConfig = await SiteBranchConfig.getConfig(site.id, branch);
+  const ignoredPaths = siteBranchConfig?.ignoredPaths || [];
+
+  if (
+    ignoredPaths.length &&
+    paths.length &&
+    paths.every((path) => matchesAnyGlob(path, ignoredPaths))
+  ) {
+    return 'The push only changes ignored paths.';
+  }
+
+  return null;
+};
+
 const organizationWebhookRequest = async (payload) => {
   const {
     action,
@@ -55,7 +115,39 @@ const organizationWebhookRequest = async (payload) => {
   }
 };
 
-const createBuildForWebhookRequest = async (payload, site) => {
+const findOrCreateBuild = async ({
+  site,
+  branch,
+  requestedCommitSha,
+  user,
+  username,
+}) => {
+  const queuedBuild = await Build.findOne({
+    where: {
+      branch,
+      state: ['created', 'queued'],
+      site: site.id,
+    },
+  });
+
+  if (queuedBuild) {
+    return queuedBuild.update({
+      requestedCommitSha,
+      user: user ? user.id : null,
+      username,
+    });
+  }
+
+  return Build.create({
+    branch,
+    requestedCommitSha,
+    site: site.id,
+    user: user ? user.id : null,
+    username,
+  }).then((build) => build.enqueue());
+};
+
+const createBuildForWebhookRequest = async (payload, site, skipReason) => {
   const { login } = payload.sender;
   const { pushed_at: pushedAt } = payload.repository;
   const username = login.toLowerCase();
@@ -74,43 +166,155 @@ const createBuildForWebhookRequest = async (payload, site) => {
   const branch = payload.ref.replace('refs/heads/', '');
   const requestedCommitSha = payload.after;
 
-  const queuedBuild = await Build.findOne({
+  // Skipped builds are kept in the build history but never queued
+  if (skipReason) {
+    return Build.create({
+      branch,
+      requestedCommitSha,
+      site: site.id,
+      user: user ? user.id : null,
+      username,
+      state: Build.States.Skipped,
+      error: skipReason,
+    });
+  }
+
+  return findOrCreateBuild({
+    site,
+    branch,
+    requestedCommitSha,
+    user,
+    username,
+  });
+};
+
+const createBuildForPullRequest = async (payload, site) => {
+  const { number: pullRequestNumber, head } = payload.pull_request;
+  const username = payload.sender.login.toLowerCase();
+  const branch = head.ref;
+  const requestedCommitSha = head.sha;
+
+  // The push webhook for the same commit may have already created a build
+  const existingBuild = await Build.findOne({
     where: {
       branch,
-      state: ['created', 'queued'],
+      requestedCommitSha,
       site: site.id,
+      state: ['created', 'queued', 'tasked', 'processing', 'success'],
     },
+    order: [['id', 'DESC']],
   });
 
-  if (queuedBuild) {
-    return queuedBuild.update({
-      requestedCommitSha,
-      user: user ? user.id : null,
-      username,
-    });
+  if (existingBuild) {
+    return existingBuild.update({ pullRequestNumber });
   }
 
-  return Build.create({
+  const user = await User.findOne({
+    where: { username },
+  });
+
+  const build = await findOrCreateBuild({
+    site,
     branch,
     requestedCommitSha,
-    site: site.id,
-    user: user ? user.id : null,
+    user,
     username,
-  }).then((build) => build.enqueue());
+  });
+
+  return build.update({ pullRequestNumber });
+};
+
+const removePullRequestPreview = async (payload, site) => {
+  const { number: pullRequestNumber, head } = payload.pull_request;
+  const siteBranchConfigs = await site.getSiteBranchConfigs();
+
+  // Branches with their own site branch config are not previews
+  if (siteBranchConfigs.find((sbc) => sbc.branch === head.ref)) {
+    return;
+  }
+
+  await S3SiteRemover.removeSitePrefix(
+    site,
+    `preview/${site.owner}/${site.repository}/${head.ref}/`,
+  );
+  await BuildPublisher.removeBranchBuildOutputs(site, head.ref);
+  await GithubBuildHelper.reportPullRequestPreviewRemoved(site, pullRequestNumber);
+};
+
+const supersedeBuildsForWebhookRequest = async (build) => {
+  const supersededBuilds = await BuildCanceler.supersedeBuilds(build);
+
+  await Promise.all(
+    supersededBuilds.map(async (supersededBuild) => {
+      await supersededBuild.reload({ include: Site });
+      return GithubBuildHelper.reportBuildStatus(supersededBuild);
+    }),
+  );
+};
+
+const pushWebhookRequestForSite = async (payload, site, paths) => {
+  const skipReason = await skipReasonForPush(payload, site, paths);
+  const build = await createBuildForWebhookRequest(payload, site, skipReason);
+  await build.reload({ include: Site });
+  await GithubBuildHelper.reportBuildStatus(build);
+
+  if (!skipReason && site.autoCancelSupersededBuilds) {
+    await supersedeBuildsForWebhookRequest(build);
+  }
 };
 
 const pushWebhookRequest = async (payload) => {
   if (payload.commits && payload.commits.length > 0) {
-    const site = await findSiteForWebhookRequest(payload);
-    if (shouldBuildForSite(site)) {
-      const build = await createBuildForWebhookRequest(payload, site);
-      await build.reload({ include: Site });
-      await GithubBuildHelper.reportBuildStatus(build);
-    }
+    const sites = await findSitesForWebhookRequest(payload);
+    const paths = changedPaths(payload.commits);
+
+    await Promise.all(
+      sites
+        .filter((site) => shouldBuildForSite(site) && shouldBuildForPaths(site, paths))
+        .map((site) => pushWebhookRequestForSite(payload, site, paths)),
+    );
   }
 };
 
+const pullRequestWebhookRequestForSite = async (payload, site) => {
+  const { action } = payload;
+
+  if (action === 'closed') {
+    await removePullRequestPreview(payload, site);
+    return;
+  }
+
+  if (!['opened', 'reopened', 'synchronize'].includes(action)) {
+    return;
+  }
+
+  const build = await createBuildForPullRequest(payload, site);
+  await build.reload({ include: Site });
+  await GithubBuildHelper.reportBuildStatus(build);
+  await GithubBuildHelper.reportPullRequestPreview(build);
+};
+
+// The pull request events do not list the changed paths, every site of the repository
+// builds a preview
+const pullRequestWebhookRequest = async (payload) => {
+  const { pull_request: pullRequest, repository } = payload;
+
+  // Builds are not run for pull requests from forks
+  if (pullRequest.head.repo?.full_name !== repository.full_name) {
+    return;
+  }
+
+  const sites = await findSitesForWebhookRequest(payload);
+
+  await Promise.all(
+    sites
+      .filter(shouldBuildForSite)
+      .map((site) => pullRequestWebhookRequestForSite(payload, site)),
+  );
+};
+
 module.exports = {
   organizationWebhookRequest,
+  pullRequestWebhookRequest,
   pushWebhookRequest,
 };
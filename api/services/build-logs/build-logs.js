@@ -3,6 +3,11 @@ const config = require('../../../config');
 const { Build, BuildLog, Site, sequelize } = require('../../models');
 const S3Helper = require('../S3Helper');
 
+// The maximum number of matching lines returned by a search
+const SEARCH_LIMIT = 1000;
+
+const escapeLikePattern = (str) => str.replace(/[!%_]/g, '!$&');
+
 const BuildLogs = {
   s3() {
     return new S3Helper.S3Client(config.s3BuildLogs);
@@ -36,6 +41,77 @@ const BuildLogs = {
     });
   },
 
+  /**
+   * Returns the complete logs of a build as text, whether they are still in the
+   * database or have been archived to S3.
+   */
+  async getBuildLogText(build) {
+    if (build.logsS3Key) {
+      const { output } = await this.getBuildLogs(build);
+      return output ? output.join('\n') : '';
+    }
+
+    const { logs } = await this.fetchBuildLogs(build);
+    return logs || '';
+  },
+
+  /**
+   * Finds the lines of the build logs containing the query, ignoring case.
+   * Line numbers start at 1 and match the lines shown in the log viewer.
+   */
+  async searchBuildLogs(build, query, limit = SEARCH_LIMIT) {
+    let matches;
+
+    if (build.logsS3Key) {
+      const text = await this.getBuildLogText(build);
+      const lowerQuery = query.toLowerCase();
+
+      matches = text
+        .split('\n')
+        .map((output, index) => ({
+          line: index + 1,
+          output,
+        }))
+        .filter(({ output }) => output.toLowerCase().includes(lowerQuery))
+        .slice(0, limit + 1);
+    } else {
+      const rows = await sequelize.query(
+        `
+        SELECT bl.line, bl.output
+          FROM (
+            SELECT ROW_NUMBER() OVER (ORDER BY id) AS line,
+                   output
+              FROM buildlog
+             WHERE build = :buildid AND
+                   source = 'ALL'
+          ) AS bl
+         WHERE bl.output ILIKE :pattern ESCAPE '!'
+      ORDER BY bl.line
+         LIMIT :limit
+        `,
+        {
+          replacements: {
+            buildid: build.id,
+            pattern: `%${escapeLikePattern(query)}%`,
+            limit: limit + 1,
+          },
+          raw: true,
+          type: QueryTypes.SELECT,
+        },
+      );
+
+      matches = rows.map(({ line, output }) => ({
+        line: parseInt(line, 10),
+        output,
+      }));
+    }
+
+    return {
+      matches: matches.slice(0, limit),
+      truncated: matches.length > limit,
+    };
+  },
+
   async archiveBuildLogs(site, build) {
     const key = this.buildKey(site, build);
     const { logs } = await this.fetchBuildLogs(build);
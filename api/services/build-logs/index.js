@@ -5,4 +5,6 @@ module.exports = {
   archiveBuildLogsForBuildId: BuildLogs.archiveBuildLogsForBuildId.bind(BuildLogs),
   fetchBuildLogs: BuildLogs.fetchBuildLogs.bind(BuildLogs),
   getBuildLogs: BuildLogs.getBuildLogs.bind(BuildLogs),
+  getBuildLogText: BuildLogs.getBuildLogText.bind(BuildLogs),
+  searchBuildLogs: BuildLogs.searchBuildLogs.bind(BuildLogs),
 };
@@ -0,0 +1,26 @@
+const _ = require('underscore');
+const { layout, css, centeredButton } = require('./layout');
+const { details, link, subject } = require('./notificationContent');
+
+function buildNotification({ event, data, hostname }) {
+  const summary = _.escape(subject(event, data));
+  const description = details(event, data);
+  const label = event === 'report-findings' ? 'View the report' : 'View the build logs';
+
+  return layout(
+    `
+    <p style="${css.p}"><strong>${summary}</strong></p>
+    ${description ? `<p style="${css.p}">${description}</p>` : ''}
+    ${centeredButton(link(event, data, hostname), label)}
+    <p style="${css.p}">
+      You receive this email because of your
+      <a href="${hostname}/settings" style="${css.a}" target="_blank">
+        notification settings
+      </a>.
+    </p>
+  `,
+    summary,
+  );
+}
+
+module.exports = buildNotification;
@@ -0,0 +1,30 @@
+const { layout, css } = require('./layout');
+
+function domainDegraded({ names, issues, siteId, siteName, hostname }) {
+  const domainsLink = `${hostname}/sites/${siteId}/custom-domains`;
+  const issuesList = issues
+    .map((issue) => `<li style="${css.p}">${issue}</li>`)
+    .join('\n');
+  return layout(
+    `
+    <p style="${css.p}">
+      Our daily check of the domain ${names} for the site
+      <a href="${domainsLink}" style="${css.a}" target="_blank">${siteName}</a>
+      found the following issues:
+    </p>
+    <ul>
+      ${issuesList}
+    </ul>
+    <p style="${css.p}">
+      Visitors may not be able to reach your site until these issues are fixed.
+      Please check the DNS records of your domain with your DNS provider,
+      or email us at
+      <a href="mailto:pages-support@cloud.gov" style="${css.a}" target="_blank">
+      pages-support@cloud.gov</a> if you need help.
+    </p>
+  `,
+    `Your Pages domain ${names} needs attention.`,
+  );
+}
+
+module.exports = domainDegraded;
@@ -1,12 +1,20 @@
 const alert = require('./alert');
+const buildNotification = require('./buildNotification');
+const domainDegraded = require('./domainDegraded');
 const { layout } = require('./layout');
+const notificationDigest = require('./notificationDigest');
+const { subject: notificationSubject } = require('./notificationContent');
 const uaaIDPInvite = require('./uaaIDPInvite');
 const uaaInvite = require('./uaaInvite');
 const sandboxReminder = require('./sandboxReminder');
 
 module.exports = {
   alert,
+  buildNotification,
+  domainDegraded,
   layout,
+  notificationDigest,
+  notificationSubject,
   uaaIDPInvite,
   uaaInvite,
   sandboxReminder,
@@ -0,0 +1,51 @@
+const _ = require('underscore');
+
+const siteName = ({ site }) => `${site.owner}/${site.repository}`;
+
+// The one line summaries of build notifications, shared by the emails and digests
+function subject(event, data) {
+  const { build, report } = data;
+
+  switch (event) {
+    case 'build-failed':
+      return `Build #${build.id} of ${siteName(data)} ${
+        build.state === 'blocked' ? 'was blocked' : 'failed'
+      } on ${build.branch}`;
+    case 'build-recovered':
+      return `Build #${build.id} of ${siteName(data)} succeeded again on ${build.branch}`;
+    case 'report-findings':
+      return (
+        `${report.name} found ${report.findings} ${report.threshold}` +
+        ` or worse issues in ${siteName(data)}`
+      );
+    default:
+      throw new Error(`Unknown notification event ${event}`);
+  }
+}
+
+function link(event, data, hostname) {
+  if (event === 'report-findings') {
+    return `${hostname}/report/${data.report.id}`;
+  }
+
+  return `${hostname}/sites/${data.site.id}/builds/${data.build.id}/logs`;
+}
+
+function details(event, data) {
+  if (event === 'build-failed' && data.build.error) {
+    return _.escape(data.build.error);
+  }
+
+  if (event === 'report-findings') {
+    const branch = _.escape(data.build.branch);
+    return `The report of build #${data.build.id} on ${branch} is ready.`;
+  }
+
+  return '';
+}
+
+module.exports = {
+  details,
+  link,
+  subject,
+};
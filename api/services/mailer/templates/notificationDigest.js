@@ -0,0 +1,36 @@
+const _ = require('underscore');
+const { layout, css } = require('./layout');
+const { link, subject } = require('./notificationContent');
+
+function notificationDigest({ notifications, hostname }) {
+  const items = notifications
+    .map(
+      ({ event, data }) =>
+        `<li style="${css.p}">
+          <a style="${css.a}" target="_blank" href="${link(event, data, hostname)}">
+            ${_.escape(subject(event, data))}
+          </a>
+        </li>`,
+    )
+    .join('\n');
+
+  return layout(
+    `
+    <p style="${css.p}">
+      Here is what happened to your sites since your last digest:
+    </p>
+    <ul>
+      ${items}
+    </ul>
+    <p style="${css.p}">
+      You receive this digest because of your
+      <a href="${hostname}/settings" style="${css.a}" target="_blank">
+        notification settings
+      </a>.
+    </p>
+  `,
+    `${notifications.length} updates about your Pages sites`,
+  );
+}
+
+module.exports = notificationDigest;
@@ -1,8 +1,10 @@
 const GitHubStrategy = require('passport-github').Strategy;
+const BearerStrategy = require('passport-http-bearer').Strategy;
 const Passport = require('passport');
 const config = require('../../config');
 const { logger } = require('../../winston');
 const { User, Event } = require('../models');
+const ApiTokens = require('./ApiTokens');
 const EventCreator = require('./EventCreator');
 const { createUAAStrategy, verifyUAAUser } = require('./uaaStrategy');
 
@@ -103,6 +105,29 @@ passport.use('uaa', uaaStrategy);
 
 uaaLogoutRedirectURL = uaaStrategy.logoutRedirectURL;
 
+/**
+ * API token Auth
+ */
+
+const verifyApiToken = async (req, token, callback) => {
+  try {
+    const result = await ApiTokens.authenticate(token);
+
+    if (!result) return callback(null, false);
+
+    const { user, apiToken } = result;
+
+    ApiTokens.recordUse(apiToken, user, req);
+
+    return callback(null, user, { apiToken });
+  } catch (err) {
+    EventCreator.error(Event.labels.API_TOKEN, err);
+    return callback(err);
+  }
+};
+
+passport.use('bearer', new BearerStrategy({ passReqToCallback: true }, verifyApiToken));
+
 passport.logout = () => (req, res) => {
   const { user } = req;
 
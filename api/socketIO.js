@@ -5,6 +5,7 @@ const session = require('express-session');
 
 const { redis: redisConfig } = require('../config');
 const { Event } = require('./models');
+const BuildLogStreamer = require('./services/BuildLogStreamer');
 const EventCreator = require('./services/EventCreator');
 const SocketIOSubscriber = require('./services/SocketIOSubscriber');
 const passport = require('./services/passport');
@@ -55,8 +56,24 @@ function init(server) {
         userId: socket.request.user?.id,
       }),
     );
+
+    socket.on('subscribe build logs', (buildId, ack) => {
+      const respond = typeof ack === 'function' ? ack : () => {};
+
+      BuildLogStreamer.subscribe(socket, buildId)
+        .then((subscribed) => respond({ subscribed }))
+        .catch((err) => {
+          respond({ subscribed: false });
+          handleError('socketIO build logs subscription error', {
+            userId: socket.request.user?.id,
+            buildId,
+          })(err);
+        });
+    });
   });
 
+  BuildLogStreamer.start(socketIO, handleError('socketIO build logs push error'));
+
   socketIO.on('error', handleError('socket auth/subscribe error'));
 }
 
@@ -54,4 +54,16 @@ function sitePrefix(build, site) {
   return path.replace(/^(\/)+/, '');
 }
 
-module.exports = { buildUrl, sitePrefix };
+/* generate the immutable prefix of a build's output
+ builds are built to this prefix and published from it to the sitePrefix,
+ so the output can be promoted to the sitePrefix again
+*/
+function buildOutputPrefix(build) {
+  return `_builds/build-${build.id}`;
+}
+
+function buildOutputUrl(build, site) {
+  return proxyUrl(`/${buildOutputPrefix(build)}`, site);
+}
+
+module.exports = { buildUrl, buildOutputPrefix, buildOutputUrl, sitePrefix };
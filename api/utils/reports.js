@@ -0,0 +1,51 @@
+// The severities of frontend/util/reports.js, from the most to the least severe
+const Severities = {
+  'owasp-zap': ['high', 'medium', 'low', 'informational'],
+  a11y: ['critical', 'serious', 'moderate', 'minor'],
+};
+
+const SeverityLabels = {
+  'owasp-zap': {
+    high: 'High risk',
+    medium: 'Medium risk',
+    low: 'Low risk',
+    informational: 'Informational',
+  },
+  a11y: {
+    critical: 'Critical',
+    serious: 'Serious',
+    moderate: 'Moderate',
+    minor: 'Minor',
+  },
+};
+
+// The unsuppressed findings of a report, with the urls of the pages they were found on
+const reportFindings = (type, report) => {
+  if (type === 'owasp-zap') {
+    return report.site.alerts
+      .filter((alert) => !alert.ignore)
+      .map((alert) => ({
+        name: alert.name,
+        severity: Severities[type][3 - Number(alert.riskcode)],
+        urls: (alert.instances || []).map((instance) => instance.uri),
+      }));
+  }
+
+  return report.violatedRules
+    .filter((rule) => !rule.ignore)
+    .map((rule) => ({
+      name: rule.help,
+      severity: rule.impact,
+      urls: rule.urls || [],
+    }));
+};
+
+const reportSeverities = (type, report) =>
+  reportFindings(type, report).map((finding) => finding.severity);
+
+module.exports = {
+  Severities,
+  SeverityLabels,
+  reportFindings,
+  reportSeverities,
+};
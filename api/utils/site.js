@@ -27,6 +27,19 @@ function siteViewLink(site, deployment = 'site') {
   return `${link.replace(/\/+$/, '')}/`;
 }
 
+// The published path of a site branch config, previews are published by branch
+function branchConfigS3Key(site, context, branch) {
+  if (context === 'site' || context === 'demo') {
+    return path(site, context);
+  }
+
+  if (context === 'preview') {
+    return null;
+  }
+
+  return `preview/${site.owner}/${site.repository}/${branch}`;
+}
+
 const hideBasicAuthPassword = ({ username, password }) => {
   if (password && password.length) {
     return {
@@ -40,6 +53,7 @@ const hideBasicAuthPassword = ({ username, password }) => {
 
 module.exports = {
   path,
+  branchConfigS3Key,
   siteViewLink,
   siteViewDomain,
   siteViewOrigin,
@@ -1,3 +1,5 @@
+const net = require('net');
+const { parseExpression } = require('cron-parser');
 const yaml = require('js-yaml');
 const validator = require('validator');
 
@@ -6,6 +8,34 @@ const branchRegex = /^[\w.]+(?:[/-]*[\w.])*$/;
 const githubUsernameRegex = /^[^-][a-zA-Z-]+$/;
 const shaRegex = /^[a-f0-9]{40}$/;
 const subdomainRegex = /^[A-Za-z0-9](?:[A-Za-z0-9-]{0,61}[A-Za-z0-9])?$/;
+const sourceDirectoryRegex = /^[\w.-]+(?:\/[\w.-]+)*$/;
+const MAX_PATH_FILTERS = 20;
+const MAX_PATH_FILTER_LENGTH = 200;
+
+// Loopback, private, link-local, shared, multicast and reserved ranges
+/* eslint-disable sonarjs/no-hardcoded-ip */
+const privateAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4],
+].forEach(([network, prefix]) => privateAddresses.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 127],
+  ['64:ff9b::', 96],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+].forEach(([network, prefix]) => privateAddresses.addSubnet(network, prefix, 'ipv6'));
+/* eslint-enable sonarjs/no-hardcoded-ip */
 
 class ValidationError extends Error {}
 
@@ -120,6 +150,30 @@ function isEmptyOrUrl(value) {
   }
 }
 
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+
+  return family !== 0 && privateAddresses.check(address, `ipv${family}`);
+}
+
+// Webhooks are only sent to host names, which are checked
+// again once they are resolved to an address
+function isPublicUrl(value) {
+  if (
+    !value ||
+    !validator.isURL(value, { require_protocol: true, protocols: ['https'] })
+  ) {
+    throw new Error('URL must start with https://');
+  }
+
+  const { hostname } = new URL(value);
+  const host = hostname.startsWith('[') ? hostname.slice(1, -1) : hostname;
+
+  if (net.isIP(host) || host === 'localhost' || host.endsWith('.localhost')) {
+    throw new Error('URL must have a public host name.');
+  }
+}
+
 function isValidSubdomain(value) {
   const msg = 'Subdomains may only contain up to 63 alphanumeric and hyphen characters.';
   if (!subdomainRegex.test(value)) {
@@ -127,6 +181,66 @@ function isValidSubdomain(value) {
   }
 }
 
+// Source directories are relative to the root of the repository
+function isEmptyOrSourceDirectory(value) {
+  if (!value) {
+    return;
+  }
+
+  const segments = value.split('/');
+
+  if (
+    value.length > MAX_PATH_FILTER_LENGTH ||
+    !sourceDirectoryRegex.test(value) ||
+    segments.some((segment) => ['.', '..'].includes(segment))
+  ) {
+    throw new Error(
+      'Source directories must be relative paths inside the repository, like docs/site.',
+    );
+  }
+}
+
+function isValidPathFilters(value) {
+  if (
+    !Array.isArray(value) ||
+    value.length > MAX_PATH_FILTERS ||
+    value.some(
+      (filter) =>
+        typeof filter !== 'string' || !filter || filter.length > MAX_PATH_FILTER_LENGTH,
+    )
+  ) {
+    throw new Error(
+      `Path filters must be a list of at most ${MAX_PATH_FILTERS} globs, like docs/**.`,
+    );
+  }
+}
+
+function isValidTimezone(value) {
+  try {
+    Intl.DateTimeFormat(undefined, { timeZone: value });
+  } catch {
+    throw new Error(`Invalid timezone — ${value} is not an IANA timezone.`);
+  }
+}
+
+function isValidBuildSchedule(schedule, timezone = 'UTC') {
+  isValidTimezone(timezone);
+
+  let interval;
+  try {
+    interval = parseExpression(schedule, { tz: timezone });
+  } catch {
+    throw new Error(`Invalid schedule — ${schedule} is not a valid cron expression.`);
+  }
+
+  // A single second and minute runs at most once an hour, whenever it is checked
+  const { second, minute } = interval.fields;
+
+  if (second.length > 1 || minute.length > 1) {
+    throw new Error('Invalid schedule — builds may be scheduled at most once an hour.');
+  }
+}
+
 const isDelimitedFQDN = (str) => {
   const msg = 'must be a comma-separated list of valid fully qualified domain names';
   const isValid = str.split(',').every((s) => validator.isFQDN(s));
@@ -146,7 +260,13 @@ module.exports = {
   parseSiteConfigs,
   isEmptyOrBranch,
   isEmptyOrUrl,
+  isPrivateAddress,
+  isPublicUrl,
   ValidationError,
   isValidSubdomain,
+  isEmptyOrSourceDirectory,
+  isValidPathFilters,
+  isValidBuildSchedule,
+  isValidTimezone,
   isDelimitedFQDN,
 };
@@ -1,22 +1,28 @@
 const path = require('path');
+const { Queue } = require('bullmq');
 const IORedis = require('ioredis');
 
 const { redis: redisConfig, queues: queuesConfig } = require('../../config');
 
 const { logger } = require('../../winston');
 
+const BuildNotifications = require('../services/BuildNotifications');
 const DomainService = require('../services/Domain');
+const OutboundWebhooks = require('../services/OutboundWebhooks');
+const ScheduledBuildsHelper = require('../services/ScheduledBuildsHelper');
 const {
   ArchiveBuildLogsQueue,
   ArchiveBuildLogsQueueName,
+  BuildOutputsQueueName,
   BuildTasksQueue,
   BuildTasksQueueName,
   DomainQueueName,
   FailStuckBuildsQueue,
   FailStuckBuildsQueueName,
   MailQueueName,
-  NightlyBuildsQueue,
-  NightlyBuildsQueueName,
+  OutboundWebhooksQueueName,
+  ScheduledBuildsQueue,
+  ScheduledBuildsQueueName,
   ScheduledQueue,
   ScheduledQueueName,
   SiteBuildsQueue,
@@ -32,6 +38,19 @@ const QueueWorker = require('./QueueWorker');
 
 const EVERY_TEN_MINUTES_CRON = '0,10,20,30,40,50 * * * *';
 
+// The nightly builds were replaced by the job schedulers of the site branch configs,
+// their repeatable job would otherwise keep firing from the deployed Redis
+const LEGACY_QUEUE_NAMES = ['nightly-builds'];
+
+const removeLegacyQueues = (connection) =>
+  Promise.all(
+    LEGACY_QUEUE_NAMES.map(async (name) => {
+      const queue = new Queue(name, { connection });
+      await queue.obliterate({ force: true });
+      return queue.close();
+    }),
+  );
+
 const everyTenMinutesJobConfig = {
   repeat: {
     cron: EVERY_TEN_MINUTES_CRON,
@@ -50,26 +69,54 @@ function pagesWorker(connection) {
   const domainJobProcessor = (job) => {
     switch (job.name) {
       case 'checkProvisionStatus':
-        return DomainService.checkProvisionStatus(job.data.id);
+        return DomainService.checkProvisionStatus(job.data.id, job.data.attempt);
       case 'checkDeprovisionStatus':
-        return DomainService.checkDeprovisionStatus(job.data.id);
+        return DomainService.checkDeprovisionStatus(job.data.id, job.data.attempt);
       default:
         throw new Error(`Unknown job name ${job.name} for Domain Queue`);
     }
   };
 
+  const outboundWebhooksProcessor = (job) => {
+    switch (job.name) {
+      case 'dispatch':
+        return OutboundWebhooks.dispatchEvent(job.data.event, job.data).then(
+          (deliveries) => `${deliveries.length} deliveries of ${job.data.event} queued.`,
+        );
+      case 'deliver':
+        return OutboundWebhooks.deliver(job.data.deliveryId, {
+          isLastAttempt: job.attemptsMade + 1 >= (job.opts.attempts ?? 1),
+        });
+      default:
+        throw new Error(`Unknown job name ${job.name} for Outbound Webhooks Queue`);
+    }
+  };
+
+  const buildOutputsProcessor = (job) => Processors.buildOutputs(job);
   const buildTasksProcessor = (job) => Processors.buildTaskRunner(job);
   const siteBuildProcessor = (job) => Processors.siteBuildRunner(job);
   const failBuildsProcessor = (job) => Processors.failStuckBuilds(job);
   const siteDeletionProcessor = (job) => Processors.destroySiteInfra(job.data);
-  const mailJobProcessor = (job) => new Mailer().send(job.data);
+  const mailJobProcessor = (job) => {
+    switch (job.name) {
+      case 'build-notifications':
+        return BuildNotifications.notifyBuildCompleted(job.data.buildId);
+      case 'report-notifications':
+        return BuildNotifications.notifyReportCompleted(job.data.buildTaskId);
+      default:
+        return new Mailer().send(job.data);
+    }
+  };
 
-  const nightlyBuildsProcessor = () => Processors.nightlyBuilds();
+  const scheduledBuildsProcessor = (job) => Processors.scheduledBuild(job);
 
   const scheduledJobProcessor = Processors.multiJobProcessor({
     sandboxNotifications: Processors.sandboxNotifications,
     cleanSandboxOrganizations: Processors.cleanSandboxOrganizations,
+    cleanStalePreviews: Processors.cleanStalePreviews,
+    checkDomainHealth: Processors.checkDomainHealth,
     buildTasksScheduler: Processors.buildTasksScheduler,
+    sendNotificationDigests: Processors.sendNotificationDigests,
   });
 
   const timeoutBuildsProcessor = () => Processors.timeoutBuilds();
@@ -80,14 +127,16 @@ function pagesWorker(connection) {
       connection,
       path.join(__dirname, 'jobProcessors', 'archiveBuildLogsDaily.js'),
     ),
+    new QueueWorker(BuildOutputsQueueName, connection, buildOutputsProcessor),
     new QueueWorker(BuildTasksQueueName, connection, buildTasksProcessor, {
       concurrency: queuesConfig.buildTasksConcurrency,
     }),
     new QueueWorker(DomainQueueName, connection, domainJobProcessor),
     new QueueWorker(FailStuckBuildsQueueName, connection, failBuildsProcessor),
     new QueueWorker(MailQueueName, connection, mailJobProcessor),
-    new QueueWorker(NightlyBuildsQueueName, connection, nightlyBuildsProcessor),
+    new QueueWorker(OutboundWebhooksQueueName, connection, outboundWebhooksProcessor),
     new QueueWorker(ScheduledQueueName, connection, scheduledJobProcessor),
+    new QueueWorker(ScheduledBuildsQueueName, connection, scheduledBuildsProcessor),
     new QueueWorker(SiteBuildsQueueName, connection, siteBuildProcessor, {
       concurrency: queuesConfig.siteBuildsConcurrency,
     }),
@@ -98,7 +147,7 @@ function pagesWorker(connection) {
   const archiveBuildLogsQueue = new ArchiveBuildLogsQueue(connection);
   const buildTasksQueue = new BuildTasksQueue(connection);
   const failStuckBuildsQueue = new FailStuckBuildsQueue(connection);
-  const nightlyBuildsQueue = new NightlyBuildsQueue(connection);
+  const scheduledBuildsQueue = new ScheduledBuildsQueue(connection);
   const scheduledQueue = new ScheduledQueue(connection);
   const siteBuildsQueue = new SiteBuildsQueue(connection);
   const timeoutBuildTasksQueue = new TimeoutBuildTasksQueue(connection);
@@ -106,7 +155,7 @@ function pagesWorker(connection) {
     archiveBuildLogsQueue,
     buildTasksQueue,
     failStuckBuildsQueue,
-    nightlyBuildsQueue,
+    scheduledBuildsQueue,
     scheduledQueue,
     siteBuildsQueue,
     timeoutBuildTasksQueue,
@@ -116,11 +165,14 @@ function pagesWorker(connection) {
     Promise.all([
       archiveBuildLogsQueue.add('archiveBuildLogsDaily', {}, makeNightlyJobConfig(30, 4)),
       failStuckBuildsQueue.add('failStuckBuilds', {}, everyTenMinutesJobConfig),
-      nightlyBuildsQueue.add('nightlyBuilds', {}, makeNightlyJobConfig(0, 5)),
       scheduledQueue.add('sandboxNotifications', {}, makeNightlyJobConfig(30, 5)),
       scheduledQueue.add('cleanSandboxOrganizations', {}, makeNightlyJobConfig(30, 5)),
       scheduledQueue.add('buildTasksScheduler', {}, makeNightlyJobConfig(0, 6)),
+      scheduledQueue.add('cleanStalePreviews', {}, makeNightlyJobConfig(30, 6)),
+      scheduledQueue.add('checkDomainHealth', {}, makeNightlyJobConfig(0, 7)),
+      scheduledQueue.add('sendNotificationDigests', {}, makeNightlyJobConfig(0, 12)),
       timeoutBuildTasksQueue.add('timeoutBuilds', {}, everyTenMinutesJobConfig),
+      ScheduledBuildsHelper.syncSchedules(),
     ]);
 
   return {
@@ -156,6 +208,7 @@ async function start() {
 
   // clear the queues
   await Promise.all(queues.map((queue) => queue.drain()));
+  await removeLegacyQueues(connection);
 
   // queue the jobs
   await jobs();
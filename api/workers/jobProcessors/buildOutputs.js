@@ -0,0 +1,46 @@
+const BuildGate = require('../../services/BuildGate');
+const BuildPublisher = require('../../services/BuildPublisher');
+const { Build } = require('../../models');
+const { createJobLogger } = require('./utils');
+
+async function buildOutputs(job) {
+  const logger = createJobLogger(job);
+  const { buildId } = job.data;
+
+  const build = await Build.findByPk(buildId);
+
+  if (!build) {
+    const message = `Build ${buildId} no longer exists.`;
+    logger.log(message);
+    return message;
+  }
+
+  switch (job.name) {
+    case 'publish': {
+      const published = await BuildGate.publishQueuedBuild(buildId, job.data.buildStatus);
+      const message = published
+        ? `Published build ${buildId} with the state ${published.state}.`
+        : `Build ${buildId} is no longer in progress and was not published.`;
+      logger.log(message);
+      return message;
+    }
+    case 'remove': {
+      await BuildPublisher.removeBuildOutput(build);
+      const message = `Removed the output of build ${buildId}.`;
+      logger.log(message);
+      return message;
+    }
+    case 'prune': {
+      const prunedBuilds = await BuildPublisher.pruneBuildOutputs(build);
+      const message = prunedBuilds.length
+        ? `Removed the outputs of builds ${prunedBuilds.map((b) => b.id).join(', ')}.`
+        : 'No build outputs were removed.';
+      logger.log(message);
+      return message;
+    }
+    default:
+      throw new Error(`Unknown job name ${job.name} for Build Outputs Queue`);
+  }
+}
+
+module.exports = buildOutputs;
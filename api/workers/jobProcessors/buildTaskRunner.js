@@ -1,4 +1,5 @@
 const { BuildTask, BuildTaskType } = require('../../models');
+const BuildGate = require('../../services/BuildGate');
 const BuildTaskQueue = require('../../services/BuildTaskQueue');
 const { createJobLogger } = require('./utils');
 const CloudFoundryAPIClient = require('../../utils/cfApiClient');
@@ -61,6 +62,7 @@ async function buildTaskRunner(job, { sleepNumber = 15000, totalAttempts = 240 }
           ].includes(failedTask.status)
         ) {
           await failedTask.update({ status: BuildTask.Statuses.Error });
+          await BuildGate.evaluateGate(failedTask.buildId);
         }
       }
 
@@ -86,6 +88,7 @@ async function buildTaskRunner(job, { sleepNumber = 15000, totalAttempts = 240 }
     logger.log(`An error occured: ${err?.message}`);
     const errorTask = await BuildTask.findByPk(buildTaskId);
     await errorTask.update({ status: BuildTask.Statuses.Error, message: err?.message });
+    await BuildGate.evaluateGate(errorTask.buildId);
     throw err;
   }
 }
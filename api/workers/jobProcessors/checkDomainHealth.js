@@ -0,0 +1,34 @@
+const DomainHealth = require('../../services/DomainHealth');
+const { logger } = require('../../../winston');
+
+async function checkDomainHealth() {
+  const { results, errors } = await DomainHealth.checkAllDomainsHealth();
+
+  const degraded = results
+    .filter((domain) => domain.isDegraded())
+    .map((domain) => `domain@id=${domain.id} ${domain.names}`);
+
+  const msg = [
+    `Domain health checked with ${results.length} checks,` +
+      ` ${degraded.length} degraded and ${errors.length} failures.`,
+  ];
+  if (degraded.length) {
+    msg.push(`   Degraded:\n      ${degraded.join('\n      ')}`);
+  }
+  if (errors.length) {
+    msg.push(
+      `   Failures:\n      ${errors
+        .map((e) => `domain@id=${e.item.id}: ${e.message}`)
+        .join('\n      ')}`,
+    );
+  }
+
+  if (errors.length) {
+    logger.error(`Exiting with failed domain health checks.  ${msg.join('\n')}`);
+    throw new Error(msg.join('\n'));
+  }
+
+  logger.info(msg.join('\n'));
+}
+
+module.exports = checkDomainHealth;
@@ -0,0 +1,34 @@
+const StalePreviewCleaner = require('../../services/StalePreviewCleaner');
+const { logger } = require('../../../winston');
+
+async function cleanStalePreviews() {
+  const { results, errors } = await StalePreviewCleaner.cleanAllStalePreviews();
+
+  const removed = results.flatMap(({ site, previews }) =>
+    previews.map(({ branch, reason }) => `site@id=${site.id} ${branch} (${reason})`),
+  );
+
+  const msg = [
+    `Stale previews cleaned with ${removed.length} removals` +
+      ` and ${errors.length} failures.`,
+  ];
+  if (removed.length) {
+    msg.push(`   Removed:\n      ${removed.join('\n      ')}`);
+  }
+  if (errors.length) {
+    msg.push(
+      `   Failures:\n      ${errors
+        .map((e) => `site@id=${e.item.id}: ${e.message}`)
+        .join('\n      ')}`,
+    );
+  }
+
+  if (errors.length) {
+    logger.error(`Exiting with failed cleaning of stale previews.  ${msg.join('\n')}`);
+    throw new Error(msg.join('\n'));
+  }
+
+  logger.info(msg.join('\n'));
+}
+
+module.exports = cleanStalePreviews;
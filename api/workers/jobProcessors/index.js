@@ -1,25 +1,33 @@
 const archiveBuildLogsDaily = require('./archiveBuildLogsDaily');
+const buildOutputs = require('./buildOutputs');
 const buildTaskRunner = require('./buildTaskRunner');
 const buildTasksScheduler = require('./buildTasksScheduler');
+const checkDomainHealth = require('./checkDomainHealth');
 const cleanSandboxOrganizations = require('./cleanSandboxOrganizations');
+const cleanStalePreviews = require('./cleanStalePreviews');
 const destroySiteInfra = require('./destroySiteInfra');
 const failStuckBuilds = require('./failStuckBuilds');
 const multiJobProcessor = require('./multiJobProcessor');
-const nightlyBuilds = require('./nightlyBuilds');
 const sandboxNotifications = require('./sandboxNotifications');
+const scheduledBuild = require('./scheduledBuild');
+const sendNotificationDigests = require('./sendNotificationDigests');
 const siteBuildRunner = require('./siteBuildRunner');
 const timeoutBuilds = require('./timeoutBuilds');
 
 module.exports = {
   archiveBuildLogsDaily,
+  buildOutputs,
   buildTaskRunner,
   buildTasksScheduler,
+  checkDomainHealth,
   cleanSandboxOrganizations,
+  cleanStalePreviews,
   destroySiteInfra,
   failStuckBuilds,
   multiJobProcessor,
-  nightlyBuilds,
   sandboxNotifications,
+  scheduledBuild,
+  sendNotificationDigests,
   siteBuildRunner,
   timeoutBuilds,
 };
@@ -0,0 +1,19 @@
+const ScheduledBuildsHelper = require('../../services/ScheduledBuildsHelper');
+const { logger } = require('../../../winston');
+
+async function scheduledBuild(job) {
+  const { siteBranchConfigId } = job.data;
+
+  const result = await ScheduledBuildsHelper.buildSiteBranchConfig(siteBranchConfigId);
+
+  if (!result) {
+    logger.info(
+      `Removed the build schedule of site branch config@id=${siteBranchConfigId}.`,
+    );
+    return;
+  }
+
+  logger.info(`Queued scheduled build ${result}.`);
+}
+
+module.exports = scheduledBuild;
@@ -0,0 +1,10 @@
+const BuildNotifications = require('../../services/BuildNotifications');
+const { logger } = require('../../../winston');
+
+async function sendNotificationDigests() {
+  const count = await BuildNotifications.sendDigests();
+
+  logger.info(`Queued ${count} daily email notification digests.`);
+}
+
+module.exports = sendNotificationDigests;
@@ -35,6 +35,14 @@ async function siteBuildRunner(job, { sleepNumber = 15000, totalAttempts = 180 }
       Site: { owner, repository },
     } = build;
 
+    // The build may have been cancelled while its task environment was set up
+    await build.reload();
+
+    if (build.state === Build.States.Cancelled) {
+      logger.log(`Site build ${buildId} was cancelled before it started.`);
+      return true;
+    }
+
     logger.log(`Starting site build for ${owner}/${repository} on branch ${branch}`);
 
     const cfResponse = await apiClient.startSiteBuildTask(message, job.id, {
@@ -47,6 +55,15 @@ async function siteBuildRunner(job, { sleepNumber = 15000, totalAttempts = 180 }
       throw new Error(errorMessage);
     }
 
+    // A build cancelled while its task was starting had no task to cancel yet
+    await build.reload();
+
+    if (build.state === Build.States.Cancelled) {
+      await apiClient.cancelTask(cfResponse.guid);
+      logger.log(`Site build ${buildId} was cancelled, its task was stopped.`);
+      return true;
+    }
+
     logger.log('The site build started successfully.');
 
     logger.log('Waiting for build status update.');
@@ -79,6 +96,12 @@ async function siteBuildRunner(job, { sleepNumber = 15000, totalAttempts = 180 }
     const message = `Error site build ${buildId}: ${err?.message}`;
     logger.log(message);
     const errorTask = await Build.findByPk(buildId);
+
+    if (errorTask.state === Build.States.Cancelled) {
+      logger.log(`Site build ${buildId} was cancelled, its state is not changed.`);
+      return true;
+    }
+
     await errorTask.update({
       state: Build.States.Error,
       error: err?.message,
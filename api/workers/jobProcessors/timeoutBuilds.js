@@ -1,23 +1,39 @@
 const TimeoutBuilds = require('../../services/TimeoutBuilds');
 const { logger } = require('../../../winston');
 
+const rejectedDetails = (results) =>
+  results
+    .filter(([, result]) => result.status === 'rejected')
+    .map(([buildId, { reason }]) => `${buildId}: ${reason}`);
+
 async function timeoutBuilds() {
   const results = await TimeoutBuilds.timeoutBuilds();
   const allBuildIds = results.map((r) => r[0]);
   logger.info(`${results.length} total builds timed out: [${allBuildIds.join(', ')}]`);
 
-  const failedCancels = results.filter(([, result]) => result.status === 'rejected');
+  const stagedResults = await TimeoutBuilds.timeoutStagedBuilds();
+  const stagedIds = stagedResults.map((r) => r[0]);
+  logger.info(
+    `${stagedResults.length} staged builds timed out: [${stagedIds.join(', ')}]`,
+  );
+
+  const failedCancels = rejectedDetails(results);
+  const failedGates = rejectedDetails(stagedResults);
+  const messages = [];
 
-  if (failedCancels.length === 0) {
-    return;
+  if (failedCancels.length) {
+    messages.push(`${failedCancels.length} build tasks could not be canceled:`);
+    messages.push(...failedCancels);
   }
 
-  const details = failedCancels
-    .map(([buildId, { reason }]) => `${buildId}: ${reason}`)
-    .join('\n');
-  throw new Error(
-    `${failedCancels.length} build tasks could not be canceled:\n${details}`,
-  );
+  if (failedGates.length) {
+    messages.push(`${failedGates.length} staged builds could not be timed out:`);
+    messages.push(...failedGates);
+  }
+
+  if (messages.length) {
+    throw new Error(messages.join('\n'));
+  }
 }
 
 module.exports = timeoutBuilds;
@@ -6,6 +6,14 @@ module.exports = {
   s3ServicePlanId: process.env.S3_SERVICE_PLAN_ID || 'myFederalistS3BrokerGuid',
   sandboxDays: Number(process.env.SANDBOX_DAYS || 90),
   sandboxDaysNotice: Number(process.env.SANDBOX_DAYS_NOTICE || 7),
+  previewRetentionDays: Number(process.env.PREVIEW_RETENTION_DAYS || 90),
+  // The number of successful builds of a branch whose output can be promoted
+  buildOutputRetention: Number(process.env.BUILD_OUTPUT_RETENTION || 10),
+  // Certificates are renewed 30 days before they expire
+  domainCertificateWarningDays: Number(process.env.DOMAIN_CERTIFICATE_WARNING_DAYS || 21),
+  domainStatusCheckMaxAttempts: Number(
+    process.env.DOMAIN_STATUS_CHECK_MAX_ATTEMPTS || 30,
+  ),
   domain: process.env.DOMAIN || 'localhost:1337',
   proxyDomain: process.env.PROXY_DOMAIN || 'localhost:1337',
   product: process.env.PRODUCT || 'pages',
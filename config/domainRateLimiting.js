@@ -0,0 +1,16 @@
+/*
+ Options to pass to the RateLimit constructor for the DNS checks and provisioning
+ of custom domains by site users, which are limited for each user
+ See https://github.com/nfriedly/express-rate-limit/blob/master/README.md#configuration
+ for all options available
+*/
+module.exports = {
+  windowMs: 60 * 60 * 1000, // 1 hour window
+  max: 30, // limit each user to 30 requests per window
+  message: {
+    message: 'Too many domain checks, please try again later.',
+  },
+  validate: {
+    trustProxy: false,
+  },
+};
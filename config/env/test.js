@@ -102,6 +102,9 @@ module.exports = {
   rateLimiting: {
     skip: () => true,
   },
+  domainRateLimiting: {
+    max: 3,
+  },
   rateSlowing: {
     validate: {
       delayMs: false,
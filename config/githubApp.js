@@ -0,0 +1,9 @@
+// Defaults for all environments
+const env = require('../services/environment')();
+
+// Builds and their reports are sent as check runs to the repositories where the
+// GitHub App is installed, and as commit statuses otherwise
+module.exports = {
+  appId: env.GITHUB_APP_ID,
+  privateKey: env.GITHUB_APP_PRIVATE_KEY?.replace(/\\n/g, '\n'),
+};
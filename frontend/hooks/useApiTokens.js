@@ -0,0 +1,40 @@
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import api from '@util/federalistApi';
+
+export const API_TOKEN_SCOPES = [
+  { value: 'sites:read', label: 'Read sites' },
+  { value: 'builds:read', label: 'Read builds' },
+  { value: 'builds:write', label: 'Start and cancel builds' },
+  { value: 'env:read', label: 'Read environment variables' },
+  { value: 'env:write', label: 'Add and delete environment variables' },
+];
+
+export function useApiTokens() {
+  const queryClient = useQueryClient();
+
+  const query = useQuery({
+    queryKey: ['apiTokens'],
+    queryFn: () => api.fetchApiTokens(),
+  });
+
+  const onSuccess = () =>
+    queryClient.invalidateQueries({
+      queryKey: ['apiTokens'],
+    });
+
+  const createToken = useMutation({
+    mutationFn: (params) => api.createApiToken(params),
+    onSuccess,
+  });
+
+  const revokeToken = useMutation({
+    mutationFn: (id) => api.revokeApiToken(id),
+    onSuccess,
+  });
+
+  return {
+    ...query,
+    createToken,
+    revokeToken,
+  };
+}
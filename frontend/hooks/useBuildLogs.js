@@ -1,56 +1,140 @@
 import { useEffect, useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { io } from 'socket.io-client';
+
+import globals from '../globals';
 import api from '../util/federalistApi';
 
-const REFRESH_INTERVAL = parseInt(10 * 1000, 10);
+const IN_PROGRESS_STATES = ['created', 'processing', 'queued', 'tasked', 'staged'];
 const initResultsState = {
-  offset: 0,
   logs: [],
   state: '',
   isLoading: true,
-  totalRequests: 0,
 };
 
+// Places the lines at their position in the logs, so lines pushed over the socket
+// and lines fetched from the API can arrive in any order
+export function mergeLogLines(logs, offset, lines) {
+  const merged = [...logs];
+  lines.forEach((line, index) => {
+    merged[offset + index] = line;
+  });
+  return Array.from(merged, (line) => line ?? '');
+}
+
+// Archived logs are fetched by byte range, so a chunk can start in the middle of
+// the last line of the previous chunk
+export function joinLogChunk(logs, chunk) {
+  if (logs.length === 0 || chunk.length === 0) {
+    return [...logs, ...chunk];
+  }
+
+  return [...logs.slice(0, -1), `${logs[logs.length - 1]}${chunk[0]}`, ...chunk.slice(1)];
+}
+
+const withPushedLines =
+  ({ state, offset, output }) =>
+  (current) => ({
+    ...current,
+    logs: mergeLogLines(current.logs, offset, output),
+    state,
+  });
+
+async function fetchAllBuildLogs(id) {
+  let offset = 0;
+  let logs = [];
+  let state = '';
+
+  for (;;) {
+    // eslint-disable-next-line no-await-in-loop
+    const result = await api.fetchBuildLogs({ id }, offset);
+
+    if (!result) {
+      break;
+    }
+
+    const outputCount = parseInt(result.output_count, 10);
+    ({ state } = result);
+
+    if (outputCount === 0) {
+      break;
+    }
+
+    logs =
+      result.origin === 's3'
+        ? joinLogChunk(logs, result.output)
+        : mergeLogLines(logs, offset, result.output);
+    offset += outputCount;
+  }
+
+  return { logs, state };
+}
+
 export const useBuildLogs = (id) => {
   const [results, setResults] = useState(initResultsState);
 
   useEffect(() => {
-    async function fetchData(fetchOffest) {
-      const {
-        state,
-        output_count: outputCountStr,
-        output,
-      } = await api.fetchBuildLogs({ id }, fetchOffest);
-      const outputCount = parseInt(outputCountStr, 10);
-      const updatedLogs = [...results.logs, ...output];
-      const updatedResults = {
-        offset: fetchOffest + outputCount,
-        logs: updatedLogs,
-        state,
-        isLoading: false,
-        totalRequests: results.totalRequests + 1,
-      };
-
-      if (['created', 'processing', 'queued', 'tasked'].includes(state)) {
-        if (fetchOffest === 0) {
-          setResults(updatedResults);
-        } else {
-          setTimeout(setResults, REFRESH_INTERVAL, updatedResults);
-        }
+    let active = true;
+    let socket;
+
+    const load = async () => {
+      const { logs, state } = await fetchAllBuildLogs(id);
+
+      if (active) {
+        setResults((current) => ({
+          logs: mergeLogLines(current.logs, 0, logs),
+          // A state pushed over the socket is more recent
+          state: current.isLoading ? state : current.state,
+          isLoading: false,
+        }));
       }
 
-      if (['success', 'error'].includes(state)) {
-        if (outputCount > 0) {
-          setResults(updatedResults);
+      return state;
+    };
+
+    const subscribe = () => {
+      socket = io(globals.APP_HOSTNAME, {
+        transports: ['websocket'],
+      });
+
+      socket.on('build logs', (message) => {
+        if (!active || message.build !== id) {
+          return;
         }
 
-        if (outputCount === 0 && results.totalRequests === 0) {
-          setResults(updatedResults);
+        setResults(withPushedLines(message));
+
+        if (!IN_PROGRESS_STATES.includes(message.state)) {
+          socket.disconnect();
+        }
+      });
+
+      // Lines written before the subscription are fetched once it is in place
+      socket.emit('subscribe build logs', id, ({ subscribed }) => {
+        if (active && subscribed) {
+          load();
         }
+      });
+    };
+
+    load().then((state) => {
+      if (active && IN_PROGRESS_STATES.includes(state)) {
+        subscribe();
       }
-    }
+    });
 
-    fetchData(results.offset);
-  }, [results]);
+    return () => {
+      active = false;
+      socket?.disconnect();
+    };
+  }, [id]);
 
   return results;
 };
+
+export const useBuildLogSearch = (id, query) =>
+  useQuery({
+    queryKey: ['buildLogSearch', id, query],
+    queryFn: () => api.searchBuildLogs(id, query),
+    enabled: Boolean(query),
+  });
@@ -0,0 +1,32 @@
+import { joinLogChunk, mergeLogLines } from './useBuildLogs';
+
+describe('mergeLogLines', () => {
+  it('places the lines at their offset', () => {
+    expect(mergeLogLines(['a', 'b'], 1, ['b', 'c'])).toEqual(['a', 'b', 'c']);
+  });
+
+  it('leaves empty lines until the missing lines arrive', () => {
+    const logs = mergeLogLines(['a'], 3, ['d']);
+
+    expect(logs).toEqual(['a', '', '', 'd']);
+    expect(mergeLogLines(logs, 1, ['b', 'c'])).toEqual(['a', 'b', 'c', 'd']);
+  });
+});
+
+describe('joinLogChunk', () => {
+  it('joins a line split between two chunks', () => {
+    expect(joinLogChunk(['first', 'sec'], ['ond', 'third'])).toEqual([
+      'first',
+      'second',
+      'third',
+    ]);
+  });
+
+  it('starts a new line after a chunk ending with a newline', () => {
+    expect(joinLogChunk(['first', ''], ['second'])).toEqual(['first', 'second']);
+  });
+
+  it('returns the first chunk as is', () => {
+    expect(joinLogChunk([], ['first', 'second'])).toEqual(['first', 'second']);
+  });
+});
@@ -59,3 +59,57 @@ export function useRebuild(siteId, buildId, ref) {
     rebuildBranch,
   };
 }
+
+export function useCancelBuild(siteId, buildId) {
+  const queryClient = useQueryClient();
+
+  const mutation = useMutation({
+    mutationFn: ({ buildId }) => api.cancelBuild(buildId),
+    onSuccess: () =>
+      queryClient.invalidateQueries({
+        queryKey: ['builds', parseInt(siteId, 10)],
+      }),
+  });
+
+  async function cancelBuild() {
+    return mutation.mutate({
+      buildId,
+    });
+  }
+
+  return {
+    ...mutation,
+    queryClient,
+    cancelBuild,
+  };
+}
+
+export function usePromoteBuild(siteId, buildId) {
+  const queryClient = useQueryClient();
+
+  const mutation = useMutation({
+    mutationFn: ({ buildId }) => api.promoteBuild(buildId),
+    onSuccess: () =>
+      queryClient.invalidateQueries({
+        queryKey: ['builds', parseInt(siteId, 10)],
+      }),
+  });
+
+  const promoteBuild = async () => mutation.mutate({ buildId });
+
+  return {
+    ...mutation,
+    queryClient,
+    promoteBuild,
+  };
+}
+
+export function useBuildDiff(siteId, buildId, otherBuildId) {
+  const { data, error, isPending } = useQuery({
+    queryKey: ['buildDiff', parseInt(siteId, 10), buildId, otherBuildId],
+    queryFn: () => api.fetchBuildDiff(siteId, buildId, otherBuildId),
+    enabled: !!buildId && !!otherBuildId,
+  });
+
+  return { data, error, isPending };
+}
@@ -2,8 +2,14 @@ import { waitFor, renderHook } from '@testing-library/react';
 import nock from 'nock';
 import { spy } from 'sinon';
 import { createTestQueryClient } from '@support/queryClient';
-import { getSiteBuilds, getSiteBuildsError, postSiteBuild } from '@support/nocks';
-import { useBuilds, useRebuild } from './useBuilds';
+import {
+  getSiteBuilds,
+  getSiteBuildsError,
+  postCancelBuild,
+  postPromoteBuild,
+  postSiteBuild,
+} from '@support/nocks';
+import { useBuilds, useCancelBuild, usePromoteBuild, useRebuild } from './useBuilds';
 
 const createWrapper = createTestQueryClient();
 
@@ -125,4 +131,44 @@ describe('useBuilds', () => {
       true,
     );
   });
+
+  it('should mutate the builds on cancel', async () => {
+    const siteId = 1;
+    const buildId = 1;
+    const cancelNock = postCancelBuild(buildId);
+
+    const { result } = renderHook(() => useCancelBuild(siteId, buildId), {
+      wrapper: createWrapper(),
+    });
+
+    const qcSpy = spy(result.current.queryClient, 'invalidateQueries');
+
+    await result.current.cancelBuild();
+    await waitFor(() => expect(result.current.isSuccess).toBe(true));
+
+    expect(cancelNock.isDone()).toBe(true);
+    expect(qcSpy.calledOnceWith({ queryKey: ['builds', parseInt(siteId, 10)] })).toBe(
+      true,
+    );
+  });
+
+  it('should promote a build and invalidate the builds', async () => {
+    const siteId = 1;
+    const buildId = 1;
+    const promoteNock = postPromoteBuild(buildId);
+
+    const { result } = renderHook(() => usePromoteBuild(siteId, buildId), {
+      wrapper: createWrapper(),
+    });
+
+    const qcSpy = spy(result.current.queryClient, 'invalidateQueries');
+
+    await result.current.promoteBuild();
+    await waitFor(() => expect(result.current.isSuccess).toBe(true));
+
+    expect(promoteNock.isDone()).toBe(true);
+    expect(qcSpy.calledOnceWith({ queryKey: ['builds', parseInt(siteId, 10)] })).toBe(
+      true,
+    );
+  });
 });
@@ -0,0 +1,21 @@
+import { useMutation, useQuery } from '@tanstack/react-query';
+import api from '@util/federalistApi';
+
+export function useDomainDnsResult(siteId, domainId) {
+  const query = useQuery({
+    queryKey: ['domainDnsResult', siteId, domainId],
+    queryFn: () => api.fetchSiteDomainDnsResult(siteId, domainId),
+    // DNS checks are rate limited, they only run again when requested
+    refetchOnWindowFocus: false,
+    retry: false,
+  });
+
+  const provisionDomain = useMutation({
+    mutationFn: () => api.provisionSiteDomain(siteId, domainId),
+  });
+
+  return {
+    ...query,
+    provisionDomain,
+  };
+}
@@ -0,0 +1,54 @@
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import api from '@util/federalistApi';
+
+export const useSiteFileStorage = (siteId) =>
+  useQuery({
+    queryKey: ['siteFileStorage', parseInt(siteId, 10)],
+    queryFn: () => api.fetchSiteFileStorage(siteId),
+    retry: false,
+  });
+
+export const useFileStorageFiles = (fileStorageId, path = '') =>
+  useQuery({
+    queryKey: ['fileStorageFiles', fileStorageId, path],
+    queryFn: () => api.fetchFileStorageFiles(fileStorageId, path),
+    enabled: Boolean(fileStorageId),
+  });
+
+export function useFileStorageActions(fileStorageId, path = '') {
+  const queryClient = useQueryClient();
+
+  // Renaming or deleting a directory changes the listings of everything it contains
+  const onSuccess = () =>
+    queryClient.invalidateQueries({
+      queryKey: ['fileStorageFiles', fileStorageId],
+    });
+
+  const createDirectory = useMutation({
+    mutationFn: (name) => api.createFileStorageDirectory(fileStorageId, path, name),
+    onSuccess,
+  });
+
+  const uploadFile = useMutation({
+    mutationFn: (file) => api.uploadFileStorageFile(fileStorageId, path, file),
+    onSuccess,
+  });
+
+  const renameFile = useMutation({
+    mutationFn: ({ fileId, name }) =>
+      api.renameFileStorageFile(fileStorageId, fileId, name),
+    onSuccess,
+  });
+
+  const deleteFile = useMutation({
+    mutationFn: (fileId) => api.deleteFileStorageFile(fileStorageId, fileId),
+    onSuccess,
+  });
+
+  return {
+    createDirectory,
+    uploadFile,
+    renameFile,
+    deleteFile,
+  };
+}
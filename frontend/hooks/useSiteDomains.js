@@ -15,7 +15,10 @@ const initialDomainState = (siteId) => ({
   data: {
     siteId,
     names: '',
+    type: 'site',
     siteBranchConfigId: '',
+    redirectUrl: '',
+    redirectStatus: 301,
   },
 });
 
@@ -147,11 +150,20 @@ export const useSiteDomain = (siteIdArg, domainIdArg) => {
     }
   }, [siteId, domainId, domains, siteBranchConfigs]);
 
-  function setDomainValues({ names, siteBranchConfigId }) {
+  function setDomainValues({
+    names,
+    type,
+    siteBranchConfigId,
+    redirectUrl,
+    redirectStatus,
+  }) {
     const updated = _.omit(
       {
         names,
+        type,
         siteBranchConfigId,
+        redirectUrl,
+        redirectStatus,
       },
       (x) => x === undefined || x === null,
     );
@@ -165,9 +177,9 @@ export const useSiteDomain = (siteIdArg, domainIdArg) => {
     });
   }
 
-  function createSiteDomain({ names, siteBranchConfigId }) {
+  function createSiteDomain(values) {
     return api
-      .createSiteDomain(siteId, names, siteBranchConfigId)
+      .createSiteDomain(siteId, values)
       .then((results) =>
         setDomain({
           ...domain,
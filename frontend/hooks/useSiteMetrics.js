@@ -0,0 +1,10 @@
+import { keepPreviousData, useQuery } from '@tanstack/react-query';
+import api from '../util/federalistApi';
+
+export const useSiteMetrics = (siteId, { days, branch } = {}) =>
+  useQuery({
+    queryKey: ['siteMetrics', parseInt(siteId, 10), days, branch],
+    queryFn: () => api.fetchSiteMetrics(siteId, { days, branch }),
+    // Keep showing the current metrics while another period or branch loads
+    placeholderData: keepPreviousData,
+  });
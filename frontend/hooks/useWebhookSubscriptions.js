@@ -0,0 +1,48 @@
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import api from '@util/federalistApi';
+
+export const WEBHOOK_EVENTS = [
+  { value: 'build.completed', label: 'A build finishes, fails or is cancelled' },
+  { value: 'domain.provisioned', label: 'A domain is provisioned' },
+  { value: 'domain.failed', label: 'A domain fails to provision' },
+];
+
+export function useWebhookSubscriptions(siteId) {
+  const queryClient = useQueryClient();
+  const queryKey = ['webhookSubscriptions', siteId];
+
+  const query = useQuery({
+    queryKey,
+    queryFn: () => api.fetchWebhookSubscriptions(siteId),
+  });
+
+  const onSuccess = () => queryClient.invalidateQueries({ queryKey });
+
+  const createSubscription = useMutation({
+    mutationFn: (params) => api.createWebhookSubscription(siteId, params),
+    onSuccess,
+  });
+
+  const updateSubscription = useMutation({
+    mutationFn: ({ id, ...params }) => api.updateWebhookSubscription(id, params),
+    onSuccess,
+  });
+
+  const deleteSubscription = useMutation({
+    mutationFn: (id) => api.deleteWebhookSubscription(id),
+    onSuccess,
+  });
+
+  return {
+    ...query,
+    createSubscription,
+    updateSubscription,
+    deleteSubscription,
+  };
+}
+
+export const useWebhookDeliveries = (subscriptionId) =>
+  useQuery({
+    queryKey: ['webhookDeliveries', subscriptionId],
+    queryFn: () => api.fetchWebhookDeliveries(subscriptionId),
+  });
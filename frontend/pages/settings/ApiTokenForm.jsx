@@ -0,0 +1,114 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+
+import { API_TOKEN_SCOPES } from '@hooks/useApiTokens';
+
+const EXPIRATIONS = [30, 90, 180, 365];
+
+function ApiTokenForm({ organizations, onSubmit, isSubmitting = false }) {
+  const [name, setName] = useState('');
+  const [scopes, setScopes] = useState([]);
+  const [expiresInDays, setExpiresInDays] = useState(90);
+  const [organizationId, setOrganizationId] = useState('');
+
+  const toggleScope = (scope) =>
+    setScopes((current) =>
+      current.includes(scope) ? current.filter((s) => s !== scope) : [...current, scope],
+    );
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmit({
+      name,
+      scopes,
+      expiresInDays,
+      organizationId: organizationId ? parseInt(organizationId, 10) : null,
+    });
+  };
+
+  return (
+    <form className="usa-form maxw-tablet" onSubmit={handleSubmit}>
+      <label className="usa-label" htmlFor="api-token-name">
+        Name
+      </label>
+      <input
+        className="usa-input"
+        id="api-token-name"
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        required
+      />
+      <label className="usa-label" htmlFor="api-token-organization">
+        Owner
+      </label>
+      <select
+        className="usa-select"
+        id="api-token-organization"
+        value={organizationId}
+        onChange={(e) => setOrganizationId(e.target.value)}
+      >
+        <option value="">Personal token</option>
+        {organizations.map((org) => (
+          <option key={org.id} value={org.id}>
+            {org.name}
+          </option>
+        ))}
+      </select>
+      <fieldset className="usa-fieldset margin-top-3">
+        <legend className="usa-legend">Scopes</legend>
+        {API_TOKEN_SCOPES.map((scope) => (
+          <div className="usa-checkbox" key={scope.value}>
+            <input
+              className="usa-checkbox__input"
+              id={`api-token-scope-${scope.value}`}
+              type="checkbox"
+              checked={scopes.includes(scope.value)}
+              onChange={() => toggleScope(scope.value)}
+            />
+            <label
+              className="usa-checkbox__label"
+              htmlFor={`api-token-scope-${scope.value}`}
+            >
+              {scope.label} <code>{scope.value}</code>
+            </label>
+          </div>
+        ))}
+      </fieldset>
+      <label className="usa-label" htmlFor="api-token-expiration">
+        Expiration
+      </label>
+      <select
+        className="usa-select"
+        id="api-token-expiration"
+        value={expiresInDays}
+        onChange={(e) => setExpiresInDays(parseInt(e.target.value, 10))}
+      >
+        {EXPIRATIONS.map((days) => (
+          <option key={days} value={days}>
+            {days} days
+          </option>
+        ))}
+      </select>
+      <button
+        type="submit"
+        className="usa-button margin-top-3"
+        disabled={isSubmitting || !name.trim() || scopes.length === 0}
+      >
+        Create token
+      </button>
+    </form>
+  );
+}
+
+ApiTokenForm.propTypes = {
+  organizations: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.number.isRequired,
+      name: PropTypes.string.isRequired,
+    }),
+  ).isRequired,
+  onSubmit: PropTypes.func.isRequired,
+  isSubmitting: PropTypes.bool,
+};
+
+export default ApiTokenForm;
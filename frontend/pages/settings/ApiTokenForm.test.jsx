@@ -0,0 +1,58 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import '@testing-library/jest-dom';
+
+import ApiTokenForm from './ApiTokenForm';
+
+const organizations = [{ id: 3, name: 'agency' }];
+
+describe('<ApiTokenForm/>', () => {
+  it('requires a name and a scope', async () => {
+    render(<ApiTokenForm organizations={organizations} onSubmit={jest.fn()} />);
+    const submit = screen.getByRole('button', { name: 'Create token' });
+
+    expect(submit).toBeDisabled();
+
+    await userEvent.type(screen.getByLabelText('Name'), 'ci');
+    expect(submit).toBeDisabled();
+
+    await userEvent.click(screen.getByLabelText(/Read builds/));
+    expect(submit).toBeEnabled();
+  });
+
+  it('submits a token of an organization', async () => {
+    const onSubmit = jest.fn();
+    render(<ApiTokenForm organizations={organizations} onSubmit={onSubmit} />);
+
+    await userEvent.type(screen.getByLabelText('Name'), 'ci');
+    await userEvent.selectOptions(screen.getByLabelText('Owner'), 'agency');
+    await userEvent.click(screen.getByLabelText(/Start and cancel builds/));
+    await userEvent.click(screen.getByLabelText(/Read sites/));
+    await userEvent.selectOptions(screen.getByLabelText('Expiration'), '30 days');
+    await userEvent.click(screen.getByRole('button', { name: 'Create token' }));
+
+    expect(onSubmit).toHaveBeenCalledWith({
+      name: 'ci',
+      scopes: ['builds:write', 'sites:read'],
+      expiresInDays: 30,
+      organizationId: 3,
+    });
+  });
+
+  it('submits a personal token by default', async () => {
+    const onSubmit = jest.fn();
+    render(<ApiTokenForm organizations={[]} onSubmit={onSubmit} />);
+
+    await userEvent.type(screen.getByLabelText('Name'), 'ci');
+    await userEvent.click(screen.getByLabelText(/Read sites/));
+    await userEvent.click(screen.getByRole('button', { name: 'Create token' }));
+
+    expect(onSubmit).toHaveBeenCalledWith(
+      expect.objectContaining({
+        expiresInDays: 90,
+        organizationId: null,
+      }),
+    );
+  });
+});
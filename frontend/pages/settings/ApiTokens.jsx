@@ -0,0 +1,112 @@
+import React from 'react';
+
+import { useApiTokens } from '@hooks/useApiTokens';
+import { useOrganizationRoles } from '@hooks/useOrganizationRoles';
+import AlertBanner from '@shared/alertBanner';
+import LoadingIndicator from '@shared/LoadingIndicator';
+import { dateAndTimeSimple, dateOnly } from '@util/datetime';
+
+import ApiTokenForm from './ApiTokenForm';
+
+function ApiTokens() {
+  const { data: apiTokens, error, isPending, createToken, revokeToken } = useApiTokens();
+  const { orgRoles } = useOrganizationRoles();
+  const managedOrganizations = (orgRoles || [])
+    .filter((orgRole) => orgRole.Role.name === 'manager')
+    .map((orgRole) => orgRole.Organization);
+  const actionError = createToken.error || revokeToken.error;
+
+  const handleRevoke = (apiToken) => {
+    if (window.confirm(`Are you sure you want to revoke the token ${apiToken.name}?`)) {
+      revokeToken.mutate(apiToken.id);
+    }
+  };
+
+  if (isPending) {
+    return <LoadingIndicator text="Getting API tokens..." />;
+  }
+
+  if (error) {
+    return <AlertBanner status="error" header="Error" message={error.message} />;
+  }
+
+  return (
+    <div>
+      <p>
+        API tokens let scripts and CI jobs read sites, start builds and manage environment
+        variables with an <code>Authorization: Bearer</code> header. Organization tokens
+        can only be used for the sites of their organization.
+      </p>
+      {actionError && (
+        <AlertBanner status="error" header="Error" message={actionError.message} />
+      )}
+      {createToken.data && (
+        <AlertBanner
+          status="success"
+          header={`Created the token ${createToken.data.name}`}
+          message={
+            <>
+              Copy the token now, it will not be shown again:{' '}
+              <code className="api-token-value">{createToken.data.token}</code>
+            </>
+          }
+        />
+      )}
+      {apiTokens.length > 0 && (
+        <table
+          className={`
+            usa-table
+            usa-table--borderless
+            usa-table--stacked
+            width-full
+          `}
+        >
+          <thead>
+            <tr>
+              <th scope="col">Name</th>
+              <th scope="col">Owner</th>
+              <th scope="col">Scopes</th>
+              <th scope="col">Expires</th>
+              <th scope="col">Last used</th>
+              <th scope="col">
+                <span className="usa-sr-only">Actions</span>
+              </th>
+            </tr>
+          </thead>
+          <tbody>
+            {apiTokens.map((apiToken) => (
+              <tr key={apiToken.id}>
+                <th scope="row" data-title="Name">
+                  {apiToken.name} <code>{apiToken.tokenPrefix}…</code>
+                </th>
+                <td data-title="Owner">{apiToken.Organization?.name || 'Personal'}</td>
+                <td data-title="Scopes">{apiToken.scopes.join(', ')}</td>
+                <td data-title="Expires">{dateOnly(apiToken.expiresAt)}</td>
+                <td data-title="Last used">
+                  {apiToken.lastUsedAt ? dateAndTimeSimple(apiToken.lastUsedAt) : 'Never'}
+                </td>
+                <td data-title="Actions">
+                  <button
+                    type="button"
+                    className="usa-button usa-button--unstyled text-secondary"
+                    onClick={() => handleRevoke(apiToken)}
+                  >
+                    Revoke
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      <h3>New token</h3>
+      <ApiTokenForm
+        organizations={managedOrganizations}
+        onSubmit={(params) => createToken.mutate(params)}
+        isSubmitting={createToken.isPending}
+      />
+    </div>
+  );
+}
+
+export default ApiTokens;
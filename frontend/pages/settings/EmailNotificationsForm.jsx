@@ -0,0 +1,154 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+
+const FREQUENCIES = [
+  { value: 'none', label: 'Never' },
+  { value: 'immediate', label: 'As they happen' },
+  { value: 'daily', label: 'In a daily digest' },
+];
+
+const EVENTS = [
+  { value: 'build-failed', label: 'A build fails' },
+  { value: 'build-recovered', label: 'A branch builds successfully after failing' },
+  { value: 'report-findings', label: 'A scan report finds issues' },
+];
+
+const THRESHOLDS = [
+  {
+    type: 'a11y',
+    label: 'Accessibility scan issues',
+    severities: ['critical', 'serious', 'moderate', 'minor'],
+  },
+  {
+    type: 'owasp-zap',
+    label: 'Vulnerability scan issues',
+    severities: ['high', 'medium', 'low', 'informational'],
+  },
+];
+
+const capitalize = (value) => value.charAt(0).toUpperCase() + value.slice(1);
+
+function buildInitialSettings(settings = {}) {
+  return {
+    frequency: settings.frequency || 'none',
+    events: settings.events || EVENTS.map((event) => event.value),
+    severityThresholds: THRESHOLDS.reduce(
+      (acc, { type, severities }) => ({
+        ...acc,
+        [type]: settings.severityThresholds?.[type] || severities[0],
+      }),
+      {},
+    ),
+  };
+}
+
+function EmailNotificationsForm({ initialSettings, onSubmit, isSubmitting = false }) {
+  const [settings, setSettings] = useState(() => buildInitialSettings(initialSettings));
+  const disabled = settings.frequency === 'none';
+
+  const toggleEvent = (event) =>
+    setSettings((current) => ({
+      ...current,
+      events: current.events.includes(event)
+        ? current.events.filter((e) => e !== event)
+        : [...current.events, event],
+    }));
+
+  const setThreshold = (type, severity) =>
+    setSettings((current) => ({
+      ...current,
+      severityThresholds: {
+        ...current.severityThresholds,
+        [type]: severity,
+      },
+    }));
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmit(settings);
+  };
+
+  return (
+    <form className="usa-form maxw-tablet" onSubmit={handleSubmit}>
+      <p>
+        Emails are sent for the sites you receive build notifications for above, to the
+        email address of your account.
+      </p>
+      <label className="usa-label" htmlFor="email-notification-frequency">
+        Send emails
+      </label>
+      <select
+        className="usa-select"
+        id="email-notification-frequency"
+        value={settings.frequency}
+        onChange={(e) => setSettings({ ...settings, frequency: e.target.value })}
+      >
+        {FREQUENCIES.map((frequency) => (
+          <option key={frequency.value} value={frequency.value}>
+            {frequency.label}
+          </option>
+        ))}
+      </select>
+      <fieldset className="usa-fieldset margin-top-3" disabled={disabled}>
+        <legend className="usa-legend">Email me when</legend>
+        {EVENTS.map((event) => (
+          <div className="usa-checkbox" key={event.value}>
+            <input
+              className="usa-checkbox__input"
+              id={`email-notification-event-${event.value}`}
+              type="checkbox"
+              checked={settings.events.includes(event.value)}
+              onChange={() => toggleEvent(event.value)}
+            />
+            <label
+              className="usa-checkbox__label"
+              htmlFor={`email-notification-event-${event.value}`}
+            >
+              {event.label}
+            </label>
+          </div>
+        ))}
+      </fieldset>
+      {THRESHOLDS.map(({ type, label, severities }) => (
+        <React.Fragment key={type}>
+          <label className="usa-label" htmlFor={`email-notification-threshold-${type}`}>
+            {label}
+          </label>
+          <select
+            className="usa-select"
+            id={`email-notification-threshold-${type}`}
+            value={settings.severityThresholds[type]}
+            onChange={(e) => setThreshold(type, e.target.value)}
+            disabled={disabled || !settings.events.includes('report-findings')}
+          >
+            {severities.map((severity) => (
+              <option key={severity} value={severity}>
+                {capitalize(severity)} or worse
+              </option>
+            ))}
+          </select>
+        </React.Fragment>
+      ))}
+      <button
+        type="submit"
+        className="usa-button margin-top-3"
+        disabled={isSubmitting || (!disabled && settings.events.length === 0)}
+      >
+        Save email notifications
+      </button>
+    </form>
+  );
+}
+
+EmailNotificationsForm.propTypes = {
+  initialSettings: PropTypes.shape({
+    frequency: PropTypes.string,
+    events: PropTypes.arrayOf(PropTypes.string),
+    severityThresholds: PropTypes.objectOf(PropTypes.string),
+  }),
+  onSubmit: PropTypes.func.isRequired,
+  isSubmitting: PropTypes.bool,
+};
+
+export { buildInitialSettings };
+export default EmailNotificationsForm;
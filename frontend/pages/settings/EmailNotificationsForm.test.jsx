@@ -0,0 +1,66 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import '@testing-library/jest-dom';
+
+import EmailNotificationsForm from './EmailNotificationsForm';
+
+describe('<EmailNotificationsForm/>', () => {
+  it('disables the events until a frequency is chosen', async () => {
+    render(<EmailNotificationsForm onSubmit={jest.fn()} />);
+
+    expect(screen.getByLabelText('A build fails')).toBeDisabled();
+
+    await userEvent.selectOptions(screen.getByLabelText('Send emails'), 'As they happen');
+
+    expect(screen.getByLabelText('A build fails')).toBeEnabled();
+    expect(screen.getByLabelText('Accessibility scan issues')).toBeEnabled();
+  });
+
+  it('submits the chosen events and thresholds', async () => {
+    const onSubmit = jest.fn();
+    render(
+      <EmailNotificationsForm
+        initialSettings={{ frequency: 'immediate', events: ['build-failed'] }}
+        onSubmit={onSubmit}
+      />,
+    );
+
+    await userEvent.selectOptions(
+      screen.getByLabelText('Send emails'),
+      'In a daily digest',
+    );
+    await userEvent.click(screen.getByLabelText('A scan report finds issues'));
+    await userEvent.selectOptions(
+      screen.getByLabelText('Accessibility scan issues'),
+      'Serious or worse',
+    );
+    await userEvent.click(
+      screen.getByRole('button', { name: 'Save email notifications' }),
+    );
+
+    expect(onSubmit).toHaveBeenCalledWith({
+      frequency: 'daily',
+      events: ['build-failed', 'report-findings'],
+      severityThresholds: {
+        a11y: 'serious',
+        'owasp-zap': 'high',
+      },
+    });
+  });
+
+  it('requires an event to send emails', async () => {
+    render(
+      <EmailNotificationsForm
+        initialSettings={{ frequency: 'immediate', events: ['build-failed'] }}
+        onSubmit={jest.fn()}
+      />,
+    );
+
+    await userEvent.click(screen.getByLabelText('A build fails'));
+
+    expect(
+      screen.getByRole('button', { name: 'Save email notifications' }),
+    ).toBeDisabled();
+  });
+});
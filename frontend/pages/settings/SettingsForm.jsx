@@ -4,6 +4,15 @@ import { Field, clearSubmitErrors, reduxForm } from 'redux-form';
 
 import { ORGANIZATION, SITE } from '@propTypes';
 
+const NOTIFICATION_EVENTS = [
+  { value: 'progress', label: 'In progress' },
+  { value: 'success', label: 'Successes' },
+  { value: 'failure', label: 'Failures' },
+  { value: 'reports', label: 'Reports ready' },
+];
+
+const filtersName = (site) => `buildNotificationFilters.${site.id}`;
+
 function SettingsForm(props) {
   const {
     error: errorMessage,
@@ -39,6 +48,7 @@ function SettingsForm(props) {
               <th scope="col">Repository</th>
               <th scope="col">Organization</th>
               <th scope="col">Build Notifications</th>
+              <th scope="col">Only Notify For</th>
             </tr>
           </thead>
           <tbody>
@@ -103,10 +113,49 @@ function SettingsForm(props) {
                     </div>
                   </div>
                 </td>
+                <td data-title="Only Notify For">
+                  <label
+                    className="usa-label font-body-xs margin-top-0"
+                    htmlFor={`${site.id}-branches`}
+                  >
+                    Branches
+                  </label>
+                  <Field
+                    className="usa-input usa-input--small font-body-xs"
+                    component="input"
+                    type="text"
+                    name={`${filtersName(site)}.branches`}
+                    id={`${site.id}-branches`}
+                    placeholder="All branches, or main, demo"
+                  />
+                  <div className="grid-row">
+                    {NOTIFICATION_EVENTS.map((event) => (
+                      <div className="flex-1 usa-checkbox" key={event.value}>
+                        <Field
+                          className="usa-checkbox__input"
+                          component="input"
+                          type="checkbox"
+                          name={`${filtersName(site)}.events.${event.value}`}
+                          id={`${site.id}-event-${event.value}`}
+                        />
+                        <label
+                          className="usa-checkbox__label font-body-xs"
+                          htmlFor={`${site.id}-event-${event.value}`}
+                        >
+                          {event.label}
+                        </label>
+                      </div>
+                    ))}
+                  </div>
+                </td>
               </tr>
             ))}
           </tbody>
         </table>
+        <p className="font-body-xs">
+          Without filters, you are notified of every status change of the builds. Report
+          notifications are only sent when <strong>Reports ready</strong> is selected.
+        </p>
         <button
           type="submit"
           className="usa-button usa-button-primary margin-0"
@@ -126,6 +175,7 @@ SettingsForm.propTypes = {
   handleSubmit: PropTypes.func.isRequired,
   initialValues: PropTypes.shape({
     buildNotificationSettings: PropTypes.object.isRequired,
+    buildNotificationFilters: PropTypes.object,
   }).isRequired,
   invalid: PropTypes.bool.isRequired,
   pristine: PropTypes.bool.isRequired,
@@ -137,7 +187,7 @@ SettingsForm.defaultProps = {
   error: undefined,
 };
 
-export { SettingsForm };
+export { NOTIFICATION_EVENTS, SettingsForm };
 export default reduxForm({
   form: 'user-settings',
   /* This is supposed to happen automatically... */
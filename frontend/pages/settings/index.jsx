@@ -1,5 +1,5 @@
-import React from 'react';
-import { useSelector } from 'react-redux';
+import React, { useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
 import { error, success } from 'react-notification-system-redux';
 import { SubmissionError } from 'redux-form';
 
@@ -11,20 +11,75 @@ import userActions from '@actions/userActions';
 import alertActions from '@actions/alertActions';
 import notificationActions from '@actions/notificationActions';
 
+import ApiTokens from './ApiTokens';
+import EmailNotificationsForm from './EmailNotificationsForm';
 import SettingsForm from './SettingsForm';
 
+// A setting is a scope, or an object limiting a scope to some branches and events
+const parseSetting = (setting) =>
+  setting && typeof setting === 'object' ? setting : { scope: setting || 'site' };
+
 function buildInitialValues(sites, user) {
+  const settings = sites.map((site) => [
+    `${site.id}`,
+    parseSetting(user.buildNotificationSettings?.[site.id]),
+  ]);
+
   return {
-    buildNotificationSettings: sites.reduce(
-      (acc, site) => ({
+    buildNotificationSettings: settings.reduce(
+      (acc, [siteId, { scope }]) => ({
+        ...acc,
+        [siteId]: scope,
+      }),
+      {},
+    ),
+    buildNotificationFilters: settings.reduce(
+      (acc, [siteId, { branches = [], events = [] }]) => ({
         ...acc,
-        [`${site.id}`]: user.buildNotificationSettings?.[site.id] || 'site',
+        [siteId]: {
+          branches: branches.join(', '),
+          events: events.reduce((e, event) => ({ ...e, [event]: true }), {}),
+        },
       }),
       {},
     ),
   };
 }
 
+function buildSettingsPayload({
+  buildNotificationSettings,
+  buildNotificationFilters = {},
+}) {
+  return {
+    buildNotificationSettings: Object.keys(buildNotificationSettings).reduce(
+      (acc, siteId) => {
+        const scope = buildNotificationSettings[siteId];
+        const filters = buildNotificationFilters[siteId] || {};
+        const branches = [
+          ...new Set(
+            (filters.branches || '')
+              .split(',')
+              .map((branch) => branch.trim())
+              .filter(Boolean),
+          ),
+        ];
+        const events = Object.keys(filters.events || {}).filter(
+          (event) => filters.events[event],
+        );
+
+        return {
+          ...acc,
+          [siteId]:
+            scope === 'none' || (!branches.length && !events.length)
+              ? scope
+              : { scope, branches, events },
+        };
+      },
+      {},
+    ),
+  };
+}
+
 const onGithubAuthSuccess = () => {
   userActions.fetchUser();
   alertActions.alertSuccess('Github authorization successful');
@@ -39,6 +94,8 @@ function UserSettings() {
   const organizations = useSelector((state) => state.organizations);
   const sites = useSelector((state) => state.sites);
   const user = useSelector((state) => state.user.data);
+  const dispatch = useDispatch();
+  const [isSavingEmailSettings, setIsSavingEmailSettings] = useState(false);
 
   if (
     sites?.isLoading ||
@@ -52,8 +109,8 @@ function UserSettings() {
 
   const initialValues = buildInitialValues(sites.data, user);
 
-  const onSubmit = (userSettings) =>
-    federalistApi.updateUserSettings(userSettings).catch((e) => {
+  const onSubmit = (values) =>
+    federalistApi.updateUserSettings(buildSettingsPayload(values)).catch((e) => {
       throw new SubmissionError({
         _error: e.message,
       });
@@ -82,6 +139,15 @@ function UserSettings() {
     );
   };
 
+  const onEmailNotificationsSubmit = (emailNotificationSettings) => {
+    setIsSavingEmailSettings(true);
+    return federalistApi
+      .updateUserSettings({ emailNotificationSettings })
+      .then((updatedUser) => onSubmitSuccess(updatedUser, dispatch))
+      .catch((err) => onSubmitFail(err, dispatch))
+      .finally(() => setIsSavingEmailSettings(false));
+  };
+
   return (
     <div className="user-settings">
       <div className="page-header grid-row">
@@ -121,9 +187,33 @@ function UserSettings() {
           />
         </div>
       </div>
+      <div className="well grid-row">
+        <div className="grid-col">
+          <h2 className="margin-top-5 margin-bottom-0">Email Notifications</h2>
+        </div>
+      </div>
+      <div className="well grid-row">
+        <div className="grid-col">
+          <EmailNotificationsForm
+            initialSettings={user.emailNotificationSettings}
+            onSubmit={onEmailNotificationsSubmit}
+            isSubmitting={isSavingEmailSettings}
+          />
+        </div>
+      </div>
+      <div className="well grid-row">
+        <div className="grid-col">
+          <h2 className="margin-top-5 margin-bottom-0">API Tokens</h2>
+        </div>
+      </div>
+      <div className="well grid-row">
+        <div className="grid-col">
+          <ApiTokens />
+        </div>
+      </div>
     </div>
   );
 }
 
-export { buildInitialValues, UserSettings };
+export { buildInitialValues, buildSettingsPayload, UserSettings };
 export default UserSettings;
@@ -0,0 +1,57 @@
+import { buildInitialValues, buildSettingsPayload } from '.';
+
+jest.mock('@util/federalistApi', () => ({}));
+
+describe('buildInitialValues()', () => {
+  it('splits the build notification settings into scopes and filters', () => {
+    const sites = [{ id: 1 }, { id: 2 }, { id: 3 }];
+    const user = {
+      buildNotificationSettings: {
+        2: 'builds',
+        3: { scope: 'site', branches: ['main', 'demo'], events: ['failure'] },
+      },
+    };
+
+    expect(buildInitialValues(sites, user)).toEqual({
+      buildNotificationSettings: {
+        1: 'site',
+        2: 'builds',
+        3: 'site',
+      },
+      buildNotificationFilters: {
+        1: { branches: '', events: {} },
+        2: { branches: '', events: {} },
+        3: { branches: 'main, demo', events: { failure: true } },
+      },
+    });
+  });
+});
+
+describe('buildSettingsPayload()', () => {
+  it('only sends filters for the sites that have some', () => {
+    const payload = buildSettingsPayload({
+      buildNotificationSettings: {
+        1: 'site',
+        2: 'builds',
+        3: 'none',
+      },
+      buildNotificationFilters: {
+        1: { branches: '', events: { failure: false } },
+        2: { branches: ' main,demo, main ', events: { failure: true, reports: true } },
+        3: { branches: 'main', events: {} },
+      },
+    });
+
+    expect(payload).toEqual({
+      buildNotificationSettings: {
+        1: 'site',
+        2: {
+          scope: 'builds',
+          branches: ['main', 'demo'],
+          events: ['failure', 'reports'],
+        },
+        3: 'none',
+      },
+    });
+  });
+});
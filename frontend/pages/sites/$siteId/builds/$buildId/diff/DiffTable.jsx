@@ -0,0 +1,60 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+
+const formatSize = (size) => `${size.toLocaleString()} bytes`;
+
+export default function DiffTable({ title, files }) {
+  return (
+    <div className="margin-bottom-4">
+      <h3>
+        {title} ({files.length})
+      </h3>
+      {files.length === 0 ? (
+        <p>No files.</p>
+      ) : (
+        <table
+          className={`
+            usa-table
+            usa-table--borderless
+            usa-table--stacked
+            log-table
+            width-full
+            table-full-width
+          `}
+        >
+          <thead>
+            <tr>
+              <th scope="col">File</th>
+              <th scope="col">Size</th>
+            </tr>
+          </thead>
+          <tbody>
+            {files.map((file) => (
+              <tr key={file.name}>
+                <th scope="row" data-title="File">
+                  {file.name}
+                </th>
+                <td data-title="Size">
+                  {file.previousSize !== undefined &&
+                    `${formatSize(file.previousSize)} → `}
+                  {formatSize(file.size)}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+DiffTable.propTypes = {
+  title: PropTypes.string.isRequired,
+  files: PropTypes.arrayOf(
+    PropTypes.shape({
+      name: PropTypes.string.isRequired,
+      size: PropTypes.number.isRequired,
+      previousSize: PropTypes.number,
+    }),
+  ).isRequired,
+};
@@ -0,0 +1,43 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import '@testing-library/jest-dom';
+
+import DiffTable from './DiffTable';
+import { comparableBuilds } from '.';
+
+describe('<DiffTable/>', () => {
+  it('renders the files with their sizes', () => {
+    const files = [
+      { name: 'index.html', size: 1200 },
+      { name: 'about/index.html', size: 20, previousSize: 10 },
+    ];
+
+    render(<DiffTable title="Changed" files={files} />);
+
+    expect(screen.getByText('Changed (2)')).toBeInTheDocument();
+    expect(screen.getByText('index.html')).toBeInTheDocument();
+    expect(screen.getByText('1,200 bytes')).toBeInTheDocument();
+    expect(screen.getByText('10 bytes → 20 bytes')).toBeInTheDocument();
+  });
+
+  it('renders an empty list of files', () => {
+    render(<DiffTable title="Removed" files={[]} />);
+
+    expect(screen.getByText('Removed (0)')).toBeInTheDocument();
+    expect(screen.getByText('No files.')).toBeInTheDocument();
+  });
+});
+
+describe('comparableBuilds', () => {
+  it('only includes other successful builds of the same branch', () => {
+    const build = { id: 3, branch: 'main', state: 'success' };
+    const builds = [
+      build,
+      { id: 2, branch: 'main', state: 'error' },
+      { id: 1, branch: 'main', state: 'success' },
+      { id: 0, branch: 'other', state: 'success' },
+    ];
+
+    expect(comparableBuilds(builds, build).map((b) => b.id)).toEqual([1]);
+  });
+});
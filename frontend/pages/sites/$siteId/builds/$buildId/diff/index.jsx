@@ -0,0 +1,93 @@
+import React, { useEffect, useState } from 'react';
+import { useParams } from 'react-router-dom';
+
+import { useBuildDiff, useBuilds } from '@hooks/useBuilds';
+import AlertBanner from '@shared/alertBanner';
+import LoadingIndicator from '@shared/LoadingIndicator';
+
+import DiffTable from './DiffTable';
+
+// Successful builds of the same branch, most recent first
+export function comparableBuilds(builds, build) {
+  return builds.filter(
+    (b) => b.id !== build.id && b.branch === build.branch && b.state === 'success',
+  );
+}
+
+function BuildDiff() {
+  const { id, buildId: buildIdStr } = useParams();
+  const buildId = parseInt(buildIdStr, 10);
+  const { data: builds, isPending: isBuildsPending } = useBuilds(id);
+
+  const build = builds.find((b) => b.id === buildId);
+  const options = build ? comparableBuilds(builds, build) : [];
+  const [otherBuildId, setOtherBuildId] = useState(null);
+
+  // Default to the previous successful build of the branch
+  useEffect(() => {
+    if (!otherBuildId && options.length > 0) {
+      const previous = options.find((b) => b.id < buildId) || options[0];
+      setOtherBuildId(previous.id);
+    }
+  }, [options.length]);
+
+  const { data: diff, error, isPending } = useBuildDiff(id, otherBuildId, buildId);
+
+  if (isBuildsPending) {
+    return <LoadingIndicator />;
+  }
+
+  if (!build || build.state !== 'success') {
+    return (
+      <AlertBanner
+        status="info"
+        message="Only the files of successful builds can be compared."
+      />
+    );
+  }
+
+  if (options.length === 0) {
+    return (
+      <AlertBanner
+        status="info"
+        message={`There are no other successful builds of ${build.branch} to compare.`}
+      />
+    );
+  }
+
+  return (
+    <div>
+      <label className="usa-label" htmlFor="compare-build">
+        Compare with build
+      </label>
+      <select
+        className="usa-select margin-bottom-3"
+        id="compare-build"
+        value={otherBuildId || ''}
+        onChange={(e) => setOtherBuildId(parseInt(e.target.value, 10))}
+      >
+        {options.map((b) => (
+          <option key={b.id} value={b.id}>
+            #{b.id} {b.clonedCommitSha?.slice(0, 7)}
+          </option>
+        ))}
+      </select>
+      {error && <AlertBanner status="error" header="Error" message={error.message} />}
+      {!error && isPending && <LoadingIndicator text="Comparing the builds..." />}
+      {!error && diff && (
+        <>
+          <p>
+            Changes in build #{buildId} since build #{otherBuildId}. {diff.unchanged}{' '}
+            file(s) are unchanged.
+          </p>
+          <DiffTable title="Added" files={diff.added} />
+          <DiffTable title="Removed" files={diff.removed} />
+          <DiffTable title="Changed" files={diff.changed} />
+        </>
+      )}
+    </div>
+  );
+}
+
+export { BuildDiff };
+export default BuildDiff;
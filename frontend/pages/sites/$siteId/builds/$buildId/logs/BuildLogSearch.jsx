@@ -0,0 +1,68 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+
+import { useBuildLogSearch } from '@hooks/useBuildLogs';
+import AlertBanner from '@shared/alertBanner';
+import LoadingIndicator from '@shared/LoadingIndicator';
+
+import { lineAnchor } from './SiteBuildLogTable';
+
+function summary({ matches, query, truncated }) {
+  if (matches.length === 0) {
+    return `No lines match "${query}".`;
+  }
+
+  return `${matches.length}${truncated ? '+' : ''} line(s) match "${query}".`;
+}
+
+function BuildLogSearch({ buildId }) {
+  const [text, setText] = useState('');
+  const [query, setQuery] = useState('');
+  const { data, error, isFetching } = useBuildLogSearch(buildId, query);
+
+  const onSubmit = (event) => {
+    event.preventDefault();
+    setQuery(text.trim());
+  };
+
+  return (
+    <div className="margin-bottom-2">
+      <form className="usa-search usa-search--small" role="search" onSubmit={onSubmit}>
+        <label className="usa-sr-only" htmlFor="build-log-search">
+          Search the build logs
+        </label>
+        <input
+          className="usa-input"
+          id="build-log-search"
+          type="search"
+          placeholder="Search the build logs"
+          value={text}
+          onChange={(event) => setText(event.target.value)}
+        />
+        <button className="usa-button" type="submit">
+          Search
+        </button>
+      </form>
+      {error && <AlertBanner status="error" header="Error" message={error.message} />}
+      {!error && isFetching && <LoadingIndicator size="mini" text="Searching..." />}
+      {!error && !isFetching && data && (
+        <div className="build-log-search-results">
+          <p>{summary(data)}</p>
+          <ul className="usa-list usa-list--unstyled">
+            {data.matches.map(({ line, output }) => (
+              <li key={line}>
+                <a href={`#${lineAnchor(line)}`}>Line {line}</a>: <code>{output}</code>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
+
+BuildLogSearch.propTypes = {
+  buildId: PropTypes.number.isRequired,
+};
+
+export default BuildLogSearch;
@@ -1,29 +1,17 @@
 import React from 'react';
 import PropTypes from 'prop-types';
 
-function DownloadBuildLogsButton(props) {
-  function downloadBuildLogs() {
-    const { buildLogsData = [], buildId } = props;
-    const text = buildLogsData.map((source) => `${source}\n`);
-    const blob = new Blob([text], { type: 'text/plain' });
-    const aElement = document.createElement('a');
-    aElement.setAttribute('download', `build-log-${buildId}.txt`);
-    const href = URL.createObjectURL(blob);
-    aElement.href = href;
-    aElement.setAttribute('target', '_blank');
-    aElement.click();
-    URL.revokeObjectURL(href);
-  }
+import { API } from '@util/federalistApi';
 
+function DownloadBuildLogsButton({ buildId }) {
   return (
-    <button type="button" className="usa-button" onClick={downloadBuildLogs}>
+    <a className="usa-button" href={`${API}/build/${buildId}/log.txt`} download>
       Download logs
-    </button>
+    </a>
   );
 }
 
 DownloadBuildLogsButton.propTypes = {
-  buildLogsData: PropTypes.array.isRequired,
   buildId: PropTypes.number.isRequired,
 };
 
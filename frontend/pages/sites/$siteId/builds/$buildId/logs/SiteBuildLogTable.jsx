@@ -1,8 +1,11 @@
 import React, { useCallback, useEffect, useRef } from 'react';
 import PropTypes from 'prop-types';
 
+export const lineAnchor = (lineNumber) => `L${lineNumber}`;
+
 function SiteBuildLogTable({ buildLogs, buildState }) {
   const buildLogRef = useRef(null);
+  const scrolledToLineRef = useRef(null);
   const scrollType = ['created', 'processing', 'queued', 'tasked'].includes(buildState)
     ? 'smooth'
     : 'none';
@@ -13,7 +16,27 @@ function SiteBuildLogTable({ buildLogs, buildState }) {
     }
   });
 
-  useEffect(() => scrollToLast(buildLogRef.current, buildState), [buildLogs, buildState]);
+  // Keep a linked line in view instead of following the end of the logs
+  const scrollToLine = useCallback((node) => {
+    const anchor = window.location.hash.slice(1);
+    const line = anchor && node?.querySelector(`[id="${anchor}"]`);
+
+    if (!line) {
+      return false;
+    }
+
+    if (scrolledToLineRef.current !== anchor) {
+      scrolledToLineRef.current = anchor;
+      line.scrollIntoView?.({ block: 'center' });
+    }
+    return true;
+  });
+
+  useEffect(() => {
+    if (!scrollToLine(buildLogRef.current)) {
+      scrollToLast(buildLogRef.current, buildState);
+    }
+  }, [buildLogs, buildState]);
 
   return (
     <pre
@@ -25,6 +48,7 @@ function SiteBuildLogTable({ buildLogs, buildState }) {
     >
       {buildLogs.map((source, index) => {
         const key = `build-log-span-${index}`;
+        const anchor = lineAnchor(index + 1);
         let style = null;
         if (source.includes('[main]')) {
           style = {
@@ -37,7 +61,10 @@ function SiteBuildLogTable({ buildLogs, buildState }) {
         }
 
         return (
-          <p style={style} key={key}>
+          <p style={style} key={key} id={anchor}>
+            <a className="build-log-line-number" href={`#${anchor}`}>
+              {index + 1}
+            </a>
             {source}
           </p>
         );
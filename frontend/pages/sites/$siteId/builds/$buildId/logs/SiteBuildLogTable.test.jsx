@@ -0,0 +1,17 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import '@testing-library/jest-dom';
+
+import SiteBuildLogTable from './SiteBuildLogTable';
+
+describe('<SiteBuildLogTable/>', () => {
+  it('renders each line with an anchor to its line number', () => {
+    render(
+      <SiteBuildLogTable buildLogs={['Cloning', 'Building']} buildState="success" />,
+    );
+
+    expect(screen.getByText('Building')).toHaveAttribute('id', 'L2');
+    expect(screen.getByRole('link', { name: '1' })).toHaveAttribute('href', '#L1');
+    expect(screen.getByRole('link', { name: '2' })).toHaveAttribute('href', '#L2');
+  });
+});
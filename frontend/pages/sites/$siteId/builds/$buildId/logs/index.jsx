@@ -4,6 +4,7 @@ import { useParams } from 'react-router-dom';
 import { useBuildLogs, useBuildDetails } from '@hooks';
 import LoadingIndicator from '@shared/LoadingIndicator';
 import SiteBuildLogTable from './SiteBuildLogTable';
+import BuildLogSearch from './BuildLogSearch';
 import DownloadBuildLogsButton from './DownloadBuildLogsButton';
 import CommitSummary from './CommitSummary';
 
@@ -48,10 +49,11 @@ const BuildLogs = () => {
       <div className="log-tools">
         <ul className="usa-list--unstyled">
           <li>
-            <DownloadBuildLogsButton buildId={buildId} buildLogsData={logs} />
+            <DownloadBuildLogsButton buildId={buildId} />
           </li>
         </ul>
       </div>
+      <BuildLogSearch buildId={buildId} />
       {getSiteBuildLogTable(buildDetails, logs, state)}
     </div>
   );
@@ -4,10 +4,11 @@ import { Link } from 'react-router-dom';
 
 import { useScannableBuild } from '@hooks/useScannableBuild';
 import { dateAndTimeSimple, duration, timeFrom } from '@util/datetime';
-import { useRebuild } from '@hooks/useBuilds';
+import { useCancelBuild, usePromoteBuild, useRebuild } from '@hooks/useBuilds';
 
 import GithubBuildBranchLink from '@shared/GithubBuildBranchLink';
 import GithubBuildShaLink from '@shared/GithubBuildShaLink';
+import GitHubLink from '@shared/GitHubLink';
 import {
   IconCheckCircle,
   IconClock,
@@ -58,6 +59,14 @@ const Build = ({
   const isScannableBuild = checkIsScannableBuild(build, showBuildTasks, latestForBranch);
   const { isScanActionDisabled, startScan } = useScannableBuild(build);
   const { isPending, rebuildBranch } = useRebuild(site.id, build.id, containerRef);
+  const { isPending: isCancelPending, cancelBuild } = useCancelBuild(site.id, build.id);
+  const { isPending: isPromotePending, promoteBuild } = usePromoteBuild(
+    site.id,
+    build.id,
+  );
+  const isInProgress = ['created', 'queued', 'tasked', 'processing', 'staged'].includes(
+    build.state,
+  );
 
   const buildStateData = ({ state, error }) => {
     let messageStatusDoneIcon;
@@ -78,6 +87,30 @@ const Build = ({
           icon: IconSpinner,
         };
         break;
+      case 'cancelled':
+        messageStatusDoneIcon = {
+          messagePrefix: 'Cancelled after ',
+          status: build.supersededBy ? 'Superseded' : 'Cancelled',
+          done: true,
+          icon: IconX,
+        };
+        break;
+      case 'blocked':
+        messageStatusDoneIcon = {
+          messagePrefix: 'Blocked after ',
+          status: 'Blocked',
+          done: true,
+          icon: IconExclamationCircle,
+        };
+        break;
+      case 'staged':
+        messageStatusDoneIcon = {
+          messagePrefix: 'Awaiting checks for ',
+          status: 'Checking',
+          done: false,
+          icon: IconClock,
+        };
+        break;
       case 'skipped':
         messageStatusDoneIcon = {
           messagePrefix: 'Skipped',
@@ -164,9 +197,31 @@ const Build = ({
               )}
             </p>
 
+            {build.state === 'blocked' && (
+              <p>
+                {build.error}{' '}
+                <Link to={`/sites/${siteId}/reports?build=${build.id}`}>
+                  View blocking reports
+                </Link>
+              </p>
+            )}
+            {build.state === 'skipped' && <p>{build.error}</p>}
+            {build.supersededBy && (
+              <p>
+                Superseded by{' '}
+                <Link to={`/sites/${siteId}/builds/${build.supersededBy}/logs`}>
+                  build #{build.supersededBy}
+                </Link>
+              </p>
+            )}
             <p className="logs-link">
               {build.startedAt && <BuildLogsLink buildId={build.id} siteId={siteId} />}
             </p>
+            {build.state === 'success' && (
+              <p>
+                <Link to={`/sites/${siteId}/builds/${build.id}/diff`}>Compare files</Link>
+              </p>
+            )}
           </div>
         </div>
       </th>
@@ -179,6 +234,15 @@ const Build = ({
               {build.username}
             </span>
           </div>
+          {build.pullRequestNumber && (
+            <GitHubLink
+              owner={site.owner}
+              repository={site.repository}
+              pullRequest={build.pullRequestNumber}
+              text={`PR #${build.pullRequestNumber}`}
+              icon="pull-request"
+            />
+          )}
         </div>
       </td>
       {showBuildTasks && (
@@ -223,15 +287,44 @@ const Build = ({
             </a>
           </p>
         )}
-        {latestForBranch && ['error', 'success'].includes(build.state) && (
+        {isInProgress && (
+          <button
+            type="button"
+            disabled={isCancelPending}
+            onClick={cancelBuild}
+            className="usa-button usa-button--secondary small-button margin-top-1"
+          >
+            <IconX />
+            Cancel build
+          </button>
+        )}
+        {latestForBranch &&
+          ['error', 'success', 'cancelled', 'blocked', 'skipped'].includes(
+            build.state,
+          ) && (
+            <button
+              type="button"
+              disabled={isPending}
+              onClick={rebuildBranch}
+              className="usa-button small-button margin-top-1 rebuild-button"
+            >
+              <IconRebuild />
+              Rebuild
+            </button>
+          )}
+        {!latestForBranch && build.state === 'success' && (
           <button
             type="button"
-            disabled={isPending}
-            onClick={rebuildBranch}
-            className="usa-button small-button margin-top-1 rebuild-button"
+            disabled={isPromotePending}
+            onClick={() =>
+              window.confirm(
+                `Replace the live content of ${build.branch} with build #${build.id}?`,
+              ) && promoteBuild()
+            }
+            className="usa-button usa-button--outline small-button margin-top-1"
           >
             <IconRebuild />
-            Rebuild
+            Promote this build
           </button>
         )}
       </td>
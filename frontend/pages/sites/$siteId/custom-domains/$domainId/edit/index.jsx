@@ -2,6 +2,7 @@ import React from 'react';
 import { Link, useParams } from 'react-router-dom';
 import { useSiteDomain } from '@hooks';
 import AlertBanner from '@shared/alertBanner';
+import RedirectFields from '../../RedirectFields';
 
 const infoContent = (
   <>
@@ -117,52 +118,63 @@ function EditCustomDomain() {
               required
             />
           </div>
-          <div>
-            <label className="usa-label font-sans-lg text-bold" htmlFor="branch-context">
-              Branch Context
-            </label>
-            <p>
-              Select the site&apos;s branch context you will associate to the custom
-              domain.
-            </p>
-            <p>
-              If you do not see the branch, please set the branch in the site
-              settings&apos; branch configurations for{' '}
-              <Link
-                to={`/sites/${id}/settings/#site-branch-config`}
-                alt="Go to site settings' live site context branch configuration"
+          {domain.data.type === 'redirect' ? (
+            <RedirectFields
+              redirectUrl={domain.data.redirectUrl}
+              redirectStatus={domain.data.redirectStatus}
+              onChange={setDomainValues}
+            />
+          ) : (
+            <div>
+              <label
+                className="usa-label font-sans-lg text-bold"
+                htmlFor="branch-context"
               >
-                Live
-              </Link>{' '}
-              or{' '}
-              <Link
-                to={`/sites/${id}/settings/#demo-branch-config`}
-                alt="Go to site settings' demo context branch configuration"
+                Branch Context
+              </label>
+              <p>
+                Select the site&apos;s branch context you will associate to the custom
+                domain.
+              </p>
+              <p>
+                If you do not see the branch, please set the branch in the site
+                settings&apos; branch configurations for{' '}
+                <Link
+                  to={`/sites/${id}/settings/#site-branch-config`}
+                  alt="Go to site settings' live site context branch configuration"
+                >
+                  Live
+                </Link>{' '}
+                or{' '}
+                <Link
+                  to={`/sites/${id}/settings/#demo-branch-config`}
+                  alt="Go to site settings' demo context branch configuration"
+                >
+                  Demo
+                </Link>
+                .
+              </p>
+              <select
+                id="branch-context"
+                name="branch-context"
+                className="usa-select"
+                value={domain.data.siteBranchConfigId}
+                onChange={(event) => {
+                  setDomainValues({
+                    siteBranchConfigId: parseInt(event.target.value, 10),
+                  });
+                }}
+                required
               >
-                Demo
-              </Link>
-              .
-            </p>
-            <select
-              id="branch-context"
-              name="branch-context"
-              className="usa-select"
-              value={domain.data.siteBranchConfigId}
-              onChange={(event) => {
-                setDomainValues({
-                  siteBranchConfigId: parseInt(event.target.value, 10),
-                });
-              }}
-              required
-            >
-              <option value=""> -- select an option -- </option>
-              {availableConfigs.map((sbc) => (
-                <option key={sbc.id} value={sbc.id}>
-                  Branch {sbc.branch} | Context {sbc.context}
-                </option>
-              ))}
-            </select>
-          </div>
+                <option value=""> -- select an option -- </option>
+                {availableConfigs.map((sbc) => (
+                  <option key={sbc.id} value={sbc.id}>
+                    Branch {sbc.branch} | Context {sbc.context}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
           <br />
           <button type="submit" className="usa-button usa-button--primary">
             Update
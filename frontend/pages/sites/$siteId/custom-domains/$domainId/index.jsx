@@ -0,0 +1,189 @@
+import React from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+
+import { useSiteDomains } from '@hooks';
+import { useDomainDnsResult } from '@hooks/useDomainDnsResult';
+import AlertBanner from '@shared/alertBanner';
+import LoadingIndicator from '@shared/LoadingIndicator';
+import { API } from '@util/federalistApi';
+
+import StateIndicator from '../StateIndicator';
+
+const DNS_RECORD_EXPORTS = [
+  { format: 'bind', label: 'BIND zone file' },
+  { format: 'route53', label: 'Terraform for Route 53' },
+  { format: 'cloudflare', label: 'Terraform for Cloudflare' },
+  { format: 'csv', label: 'CSV' },
+];
+
+const DNS_STATE_LABELS = {
+  success: 'Set',
+  pending: 'Not set',
+  error: 'Error',
+};
+
+function provisionHint({ canProvision, isManager }) {
+  if (!isManager) {
+    return (
+      <>Only the managers of the site&apos;s organization can provision this domain.</>
+    );
+  }
+  if (!canProvision) {
+    return (
+      <>
+        The <code>_acme-challenge</code> records must be set before the domain can be
+        provisioned. DNS changes can take a while to propagate, check the records again in
+        a few minutes.
+      </>
+    );
+  }
+  return (
+    <>
+      The domain is ready to be provisioned. Provisioning creates its certificate and CDN,
+      which can take up to an hour.
+    </>
+  );
+}
+
+function DomainDetails() {
+  const { id, domainId } = useParams();
+  const navigate = useNavigate();
+  const { domains } = useSiteDomains(id);
+  const {
+    data: dnsResult,
+    error,
+    isFetching,
+    refetch,
+    provisionDomain,
+  } = useDomainDnsResult(id, domainId);
+
+  const domain = domains.data?.find((d) => d.id === parseInt(domainId, 10));
+
+  if (domains.isLoading) {
+    return <LoadingIndicator text="Getting the domain..." />;
+  }
+
+  if (!domain) {
+    return <AlertBanner status="error" message="No domain found with this ID." />;
+  }
+
+  const isPending = domain.state === 'pending';
+
+  return (
+    <>
+      <div className="display-flex flex-justify flex-align-center">
+        <h2 className="font-sans-2xl">{domain.names}</h2>
+        <StateIndicator state={domain.state} />
+      </div>
+      {domain.type === 'redirect' && (
+        <p>
+          This domain redirects to <code>{domain.redirectUrl}</code> with a{' '}
+          {domain.redirectStatus} status, keeping the path and query of each request.
+        </p>
+      )}
+      <p>
+        Set the following DNS records with your DNS provider. The{' '}
+        <code>_acme-challenge</code> records are needed to create the certificate of the
+        domain, the others send the visitors of the domain to your site.
+      </p>
+      {error && <AlertBanner status="error" header="Error" message={error.message} />}
+      {isFetching && <LoadingIndicator text="Checking the DNS records..." />}
+      {!isFetching && dnsResult && (
+        <table className="usa-table usa-table--borderless usa-table--stacked width-full">
+          <thead>
+            <tr>
+              <th scope="col">Name</th>
+              <th scope="col">Type</th>
+              <th scope="col">Target</th>
+              <th scope="col">Status</th>
+            </tr>
+          </thead>
+          <tbody>
+            {dnsResult.data.map(({ record, state, message }) => (
+              <tr key={`${record.type}-${record.name}`}>
+                <th scope="row" data-title="Name">
+                  <code>{record.name}</code>
+                </th>
+                <td data-title="Type">{record.type}</td>
+                <td data-title="Target">
+                  <code>{record.target}</code>
+                </td>
+                <td data-title="Status">
+                  {DNS_STATE_LABELS[state]}
+                  {message && <div className="font-body-3xs">{message}</div>}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      <p>
+        Download the records for your DNS tools:{' '}
+        {DNS_RECORD_EXPORTS.map(({ format, label }, idx) => (
+          <span key={format}>
+            <a
+              href={`${API}/site/${id}/domain/${domainId}/dns-records?format=${format}`}
+              download
+            >
+              {label}
+            </a>
+            {idx < DNS_RECORD_EXPORTS.length - 1 && ', '}
+          </span>
+        ))}
+        .
+      </p>
+      {isPending && dnsResult && !isFetching && (
+        <AlertBanner
+          status={dnsResult.canProvision && dnsResult.isManager ? 'success' : 'info'}
+          message={provisionHint(dnsResult)}
+          alertRole={false}
+        />
+      )}
+      {provisionDomain.error && (
+        <AlertBanner
+          status="error"
+          header="Error"
+          message={provisionDomain.error.message}
+        />
+      )}
+      <div className="margin-top-2">
+        <button
+          type="button"
+          className="usa-button usa-button--outline"
+          disabled={isFetching}
+          onClick={() => refetch()}
+        >
+          Check DNS records
+        </button>
+        {isPending && (
+          <button
+            type="button"
+            className="usa-button"
+            disabled={
+              isFetching ||
+              provisionDomain.isPending ||
+              !dnsResult?.canProvision ||
+              !dnsResult?.isManager
+            }
+            onClick={() =>
+              provisionDomain.mutate(null, {
+                onSuccess: () => navigate(`/sites/${id}/custom-domains`),
+              })
+            }
+          >
+            Provision domain
+          </button>
+        )}
+        <Link
+          to={`/sites/${id}/custom-domains`}
+          className="usa-button usa-button--unstyled"
+        >
+          Back to custom domains
+        </Link>
+      </div>
+    </>
+  );
+}
+
+export { DomainDetails };
+export default DomainDetails;
@@ -2,6 +2,16 @@ import React from 'react';
 import PropTypes from 'prop-types';
 import { capitalize } from '@util';
 
+function contextTitle(context) {
+  if (context === 'site') {
+    return 'Live Site';
+  }
+  if (context === 'redirect') {
+    return 'Redirect';
+  }
+  return `${capitalize(context)} Site`;
+}
+
 export default function ContextTitle({ context }) {
   return (
     <div
@@ -9,9 +19,7 @@ export default function ContextTitle({ context }) {
         display: 'inline-block',
       }}
     >
-      <h4 className="font-sans-lg margin-0">
-        {context === 'site' ? 'Live Site' : `${capitalize(context)} Site`}
-      </h4>
+      <h4 className="font-sans-lg margin-0">{contextTitle(context)}</h4>
     </div>
   );
 }
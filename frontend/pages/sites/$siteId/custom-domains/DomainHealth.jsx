@@ -0,0 +1,56 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+
+import { dateOnly, timeFrom } from '@util/datetime';
+
+import ListRow from './ListRow';
+
+export default function DomainHealth({
+  healthState,
+  healthIssues = [],
+  certificateExpiresAt = null,
+  healthCheckedAt = null,
+}) {
+  if (!healthCheckedAt) {
+    return null;
+  }
+
+  return (
+    <>
+      {certificateExpiresAt && (
+        <ListRow>
+          <span
+            style={{
+              fontWeight: 'bold',
+            }}
+          >
+            Certificate expires:
+          </span>
+          {dateOnly(certificateExpiresAt)}
+        </ListRow>
+      )}
+      {healthState === 'degraded' && (
+        <div className="usa-alert usa-alert--warning usa-alert--slim margin-top-2">
+          <div className="usa-alert__body">
+            <p className="usa-alert__text">
+              This domain needs attention, its last check {timeFrom(healthCheckedAt)}{' '}
+              found the following issues:
+            </p>
+            <ul>
+              {healthIssues.map((issue) => (
+                <li key={issue}>{issue}</li>
+              ))}
+            </ul>
+          </div>
+        </div>
+      )}
+    </>
+  );
+}
+
+DomainHealth.propTypes = {
+  healthState: PropTypes.string,
+  healthIssues: PropTypes.arrayOf(PropTypes.string),
+  certificateExpiresAt: PropTypes.string,
+  healthCheckedAt: PropTypes.string,
+};
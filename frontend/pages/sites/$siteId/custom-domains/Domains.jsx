@@ -6,6 +6,7 @@ import ListRow from './ListRow';
 import ContextTitle from './ContextTitle';
 import StateIndicator from './StateIndicator';
 import DomainLink from './DomainLink';
+import DomainHealth from './DomainHealth';
 
 export default function Domains({ siteId, domains, handleDelete }) {
   const navigate = useNavigate();
@@ -21,6 +22,7 @@ export default function Domains({ siteId, domains, handleDelete }) {
         <ul className="usa-card-group grid-col-12">
           {domains.data.map((domain) => {
             const sbc = domain.SiteBranchConfig;
+            const isRedirect = domain.type === 'redirect';
             const names = domain.names.split(',');
             const actionsDisabled = domain.state !== 'pending';
 
@@ -29,21 +31,34 @@ export default function Domains({ siteId, domains, handleDelete }) {
                 <div className="usa-card__container bg-base-lightest">
                   <div className="usa-card__header">
                     <ListRow>
-                      <ContextTitle context={sbc.context} branch={sbc.branch} />
+                      <ContextTitle context={isRedirect ? 'redirect' : sbc.context} />
                       <StateIndicator state={domain.state} />
                     </ListRow>
                   </div>
                   <div className="usa-card__body">
-                    <ListRow>
-                      <span
-                        style={{
-                          fontWeight: 'bold',
-                        }}
-                      >
-                        Branch:
-                      </span>
-                      {sbc.branch}
-                    </ListRow>
+                    {isRedirect ? (
+                      <ListRow>
+                        <span
+                          style={{
+                            fontWeight: 'bold',
+                          }}
+                        >
+                          Redirects to:
+                        </span>
+                        {domain.redirectUrl} ({domain.redirectStatus})
+                      </ListRow>
+                    ) : (
+                      <ListRow>
+                        <span
+                          style={{
+                            fontWeight: 'bold',
+                          }}
+                        >
+                          Branch:
+                        </span>
+                        {sbc.branch}
+                      </ListRow>
+                    )}
                     <ListRow>
                       <span
                         style={{
@@ -63,9 +78,27 @@ export default function Domains({ siteId, domains, handleDelete }) {
                         </span>
                       ))}
                     </ListRow>
+                    {domain.state === 'provisioned' && (
+                      <DomainHealth
+                        healthState={domain.healthState}
+                        healthIssues={domain.healthIssues}
+                        certificateExpiresAt={domain.certificateExpiresAt}
+                        healthCheckedAt={domain.healthCheckedAt}
+                      />
+                    )}
                   </div>
                   <div className="usa-card__footer">
                     <ListRow id="domain-edit-delete-actions" justify="flex-end">
+                      <button
+                        className="usa-button usa-button--outline"
+                        onClick={() =>
+                          navigate(`/sites/${siteId}/custom-domains/${domain.id}`)
+                        }
+                        alt={`View the DNS records of site domain ${domain.names}`}
+                        type="button"
+                      >
+                        DNS records
+                      </button>
                       <button
                         disabled={actionsDisabled}
                         className="usa-button"
@@ -119,6 +152,13 @@ Domains.propTypes = {
         id: PropTypes.number,
         names: PropTypes.string,
         state: PropTypes.string,
+        type: PropTypes.string,
+        redirectUrl: PropTypes.string,
+        redirectStatus: PropTypes.number,
+        healthState: PropTypes.string,
+        healthIssues: PropTypes.arrayOf(PropTypes.string),
+        certificateExpiresAt: PropTypes.string,
+        healthCheckedAt: PropTypes.string,
         SiteBranchConfig: PropTypes.shape({
           branch: PropTypes.string,
           context: PropTypes.string,
@@ -0,0 +1,74 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+
+const REDIRECT_STATUSES = [
+  { status: 301, label: '301 Moved Permanently' },
+  { status: 308, label: '308 Permanent Redirect' },
+  { status: 302, label: '302 Found' },
+  { status: 307, label: '307 Temporary Redirect' },
+];
+
+export default function RedirectFields({ redirectUrl, redirectStatus, onChange }) {
+  return (
+    <>
+      <div>
+        <label className="usa-label font-sans-lg text-bold" htmlFor="redirect-url">
+          Redirect URL
+        </label>
+        <p>
+          Enter the URL the domain will redirect to, like{' '}
+          <strong>https://www.agency.gov</strong>. The path and query of each request are
+          kept, so <strong>/about/?page=2</strong> redirects to{' '}
+          <strong>https://www.agency.gov/about/?page=2</strong>.
+        </p>
+        <input
+          id="redirect-url"
+          className="usa-input"
+          name="redirect-url"
+          type="url"
+          pattern="https://.*"
+          value={redirectUrl || ''}
+          placeholder='ie. "https://www.agency.gov"'
+          onChange={(event) => onChange({ redirectUrl: event.target.value })}
+          required
+        />
+      </div>
+      <div>
+        <label className="usa-label font-sans-lg text-bold" htmlFor="redirect-status">
+          Redirect Status
+        </label>
+        <p>
+          Use a permanent redirect when the domain has moved for good, browsers and search
+          engines remember it.
+        </p>
+        <select
+          id="redirect-status"
+          name="redirect-status"
+          className="usa-select"
+          value={redirectStatus || ''}
+          onChange={(event) =>
+            onChange({ redirectStatus: parseInt(event.target.value, 10) })
+          }
+          required
+        >
+          {REDIRECT_STATUSES.map(({ status, label }) => (
+            <option key={status} value={status}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </div>
+    </>
+  );
+}
+
+RedirectFields.propTypes = {
+  redirectUrl: PropTypes.string,
+  redirectStatus: PropTypes.number,
+  onChange: PropTypes.func.isRequired,
+};
+
+RedirectFields.defaultProps = {
+  redirectUrl: '',
+  redirectStatus: 301,
+};
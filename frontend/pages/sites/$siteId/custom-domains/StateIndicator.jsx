@@ -6,6 +6,7 @@ const getStateColor = (state) => {
     case 'provisioned':
       return 'rgb(12, 175, 0)';
     case 'failed':
+    case 'deprovision_failed':
       return '#d83731';
     case 'pending':
       return '#112e51';
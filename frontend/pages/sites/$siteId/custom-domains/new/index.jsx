@@ -2,6 +2,7 @@ import React from 'react';
 import { Link, useParams } from 'react-router-dom';
 import { useSiteDomain } from '@hooks';
 import AlertBanner from '@shared/alertBanner';
+import RedirectFields from '../RedirectFields';
 
 const infoContent = (
   <>
@@ -34,7 +35,8 @@ function NewCustomDomain() {
   const { id } = useParams();
   const { availableConfigs, domain, setDomainValues, createSiteDomain } =
     useSiteDomain(id);
-  const { names, siteBranchConfigId } = domain.data;
+  const { names, type, siteBranchConfigId, redirectUrl, redirectStatus } = domain.data;
+  const isRedirect = type === 'redirect';
 
   return (
     <>
@@ -48,7 +50,8 @@ function NewCustomDomain() {
 
           return createSiteDomain({
             names,
-            siteBranchConfigId,
+            type,
+            ...(isRedirect ? { redirectUrl, redirectStatus } : { siteBranchConfigId }),
           });
         }}
       >
@@ -126,53 +129,95 @@ function NewCustomDomain() {
               required
             />
           </div>
-          <div>
-            <label className="usa-label font-sans-lg text-bold" htmlFor="branch-context">
-              Branch Context
-            </label>
+          <fieldset className="usa-fieldset">
+            <legend className="usa-legend font-sans-lg text-bold">Domain Type</legend>
             <p>
-              Select the site&apos;s branch context you will associate to the custom
-              domain.
+              A site domain serves a branch of this site. A redirect domain redirects all
+              of its requests to another URL, like <strong>agency.gov</strong> to{' '}
+              <strong>https://www.agency.gov</strong>.
             </p>
-            <p>
-              If you do not see the branch, please set the branch in the site
-              settings&apos; branch configurations for{' '}
-              <Link
-                to={`/sites/${id}/settings/#site-branch-config`}
-                alt="Go to site settings' live site context branch configuration"
+            {[
+              { value: 'site', label: 'Serve a site branch' },
+              { value: 'redirect', label: 'Redirect to a URL' },
+            ].map((option) => (
+              <div className="usa-radio" key={option.value}>
+                <input
+                  className="usa-radio__input"
+                  id={`domain-type-${option.value}`}
+                  type="radio"
+                  name="domain-type"
+                  value={option.value}
+                  checked={type === option.value}
+                  onChange={() => setDomainValues({ type: option.value })}
+                />
+                <label
+                  className="usa-radio__label"
+                  htmlFor={`domain-type-${option.value}`}
+                >
+                  {option.label}
+                </label>
+              </div>
+            ))}
+          </fieldset>
+          {isRedirect && (
+            <RedirectFields
+              redirectUrl={redirectUrl}
+              redirectStatus={redirectStatus}
+              onChange={setDomainValues}
+            />
+          )}
+          {!isRedirect && (
+            <div>
+              <label
+                className="usa-label font-sans-lg text-bold"
+                htmlFor="branch-context"
               >
-                Live
-              </Link>{' '}
-              or{' '}
-              <Link
-                to={`/sites/${id}/settings/#demo-branch-config`}
-                alt="Go to site settings' demo context branch configuration"
+                Branch Context
+              </label>
+              <p>
+                Select the site&apos;s branch context you will associate to the custom
+                domain.
+              </p>
+              <p>
+                If you do not see the branch, please set the branch in the site
+                settings&apos; branch configurations for{' '}
+                <Link
+                  to={`/sites/${id}/settings/#site-branch-config`}
+                  alt="Go to site settings' live site context branch configuration"
+                >
+                  Live
+                </Link>{' '}
+                or{' '}
+                <Link
+                  to={`/sites/${id}/settings/#demo-branch-config`}
+                  alt="Go to site settings' demo context branch configuration"
+                >
+                  Demo
+                </Link>
+                .
+              </p>
+              <select
+                id="branch-context"
+                name="branch-context"
+                className="usa-select"
+                value={domain.data.siteBranchConfigId}
+                onChange={(event) => {
+                  setDomainValues({
+                    names,
+                    siteBranchConfigId: event.target.value,
+                  });
+                }}
+                required
               >
-                Demo
-              </Link>
-              .
-            </p>
-            <select
-              id="branch-context"
-              name="branch-context"
-              className="usa-select"
-              value={domain.data.siteBranchConfigId}
-              onChange={(event) => {
-                setDomainValues({
-                  names,
-                  siteBranchConfigId: event.target.value,
-                });
-              }}
-              required
-            >
-              <option value=""> -- select an option -- </option>
-              {availableConfigs.map((sbc) => (
-                <option key={sbc.id} value={sbc.id}>
-                  Branch {sbc.branch} | Context {sbc.context}
-                </option>
-              ))}
-            </select>
-          </div>
+                <option value=""> -- select an option -- </option>
+                {availableConfigs.map((sbc) => (
+                  <option key={sbc.id} value={sbc.id}>
+                    Branch {sbc.branch} | Context {sbc.context}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
           <br />
           <button type="submit" className="usa-button usa-button--primary">
             Save
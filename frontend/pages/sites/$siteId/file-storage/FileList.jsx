@@ -0,0 +1,154 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+
+import { dateAndTimeSimple } from '@util/datetime';
+
+import { formatBytes } from '../metrics/format';
+
+function RenameForm({ file, onRename, onCancel }) {
+  const [name, setName] = useState(file.name);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onRename(file, name);
+  };
+
+  return (
+    <form className="usa-form maxw-full display-flex" onSubmit={handleSubmit}>
+      <label className="usa-sr-only" htmlFor={`rename-${file.id}`}>
+        New name of {file.name}
+      </label>
+      <input
+        className="usa-input margin-top-0"
+        id={`rename-${file.id}`}
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+      />
+      <button type="submit" className="usa-button margin-left-1">
+        Save
+      </button>
+      <button
+        type="button"
+        className="usa-button usa-button--unstyled"
+        onClick={onCancel}
+      >
+        Cancel
+      </button>
+    </form>
+  );
+}
+
+RenameForm.propTypes = {
+  file: PropTypes.shape({
+    id: PropTypes.number.isRequired,
+    name: PropTypes.string.isRequired,
+  }).isRequired,
+  onRename: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+};
+
+function FileList({ files, onOpen, onRename, onDelete }) {
+  const [renaming, setRenaming] = useState(null);
+
+  if (files.length === 0) {
+    return <p>This folder is empty.</p>;
+  }
+
+  const handleRename = (file, name) => {
+    setRenaming(null);
+    onRename(file, name);
+  };
+
+  const handleDelete = (file) => {
+    const contents = file.type === 'directory' ? ' and everything it contains' : '';
+
+    if (window.confirm(`Are you sure you want to delete ${file.name}${contents}?`)) {
+      onDelete(file);
+    }
+  };
+
+  return (
+    <table
+      className={`
+        usa-table
+        usa-table--borderless
+        usa-table--stacked
+        width-full
+      `}
+    >
+      <thead>
+        <tr>
+          <th scope="col">Name</th>
+          <th scope="col">Size</th>
+          <th scope="col">Last modified</th>
+          <th scope="col">
+            <span className="usa-sr-only">Actions</span>
+          </th>
+        </tr>
+      </thead>
+      <tbody>
+        {files.map((file) => (
+          <tr key={file.id}>
+            <th scope="row" data-title="Name">
+              {renaming === file.id && (
+                <RenameForm
+                  file={file}
+                  onRename={handleRename}
+                  onCancel={() => setRenaming(null)}
+                />
+              )}
+              {renaming !== file.id && file.type === 'directory' && (
+                <button
+                  type="button"
+                  className="usa-button usa-button--unstyled"
+                  onClick={() => onOpen(file)}
+                >
+                  {file.name}/
+                </button>
+              )}
+              {renaming !== file.id && file.type === 'file' && file.name}
+            </th>
+            <td data-title="Size">
+              {file.type === 'file' ? formatBytes(file.metadata?.size) : '-'}
+            </td>
+            <td data-title="Last modified">{dateAndTimeSimple(file.updatedAt)}</td>
+            <td data-title="Actions" className="text-right">
+              <button
+                type="button"
+                className="usa-button usa-button--unstyled margin-right-2"
+                onClick={() => setRenaming(file.id)}
+              >
+                Rename
+              </button>
+              <button
+                type="button"
+                className="usa-button usa-button--unstyled text-secondary"
+                onClick={() => handleDelete(file)}
+              >
+                Delete
+              </button>
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+FileList.propTypes = {
+  files: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.number.isRequired,
+      name: PropTypes.string.isRequired,
+      key: PropTypes.string.isRequired,
+      type: PropTypes.oneOf(['directory', 'file']).isRequired,
+      metadata: PropTypes.object,
+      updatedAt: PropTypes.string.isRequired,
+    }),
+  ).isRequired,
+  onOpen: PropTypes.func.isRequired,
+  onRename: PropTypes.func.isRequired,
+  onDelete: PropTypes.func.isRequired,
+};
+
+export default FileList;
@@ -0,0 +1,99 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import '@testing-library/jest-dom';
+
+import FileList from './FileList';
+import { pathSegments } from '.';
+
+const files = [
+  {
+    id: 1,
+    name: 'reports',
+    key: 'docs/reports/',
+    type: 'directory',
+    metadata: null,
+    updatedAt: '2026-10-01T12:00:00.000Z',
+  },
+  {
+    id: 2,
+    name: 'a.pdf',
+    key: 'docs/a.pdf',
+    type: 'file',
+    metadata: { size: 2500, mimeType: 'application/pdf' },
+    updatedAt: '2026-10-02T12:00:00.000Z',
+  },
+];
+
+const renderList = (props = {}) => {
+  const handlers = {
+    onOpen: jest.fn(),
+    onRename: jest.fn(),
+    onDelete: jest.fn(),
+  };
+  render(<FileList files={files} {...handlers} {...props} />);
+  return handlers;
+};
+
+describe('<FileList/>', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('renders the files with their size', () => {
+    renderList();
+
+    expect(screen.getByRole('button', { name: 'reports/' })).toBeInTheDocument();
+    expect(screen.getByText('a.pdf')).toBeInTheDocument();
+    expect(screen.getByText('2.5 KB')).toBeInTheDocument();
+  });
+
+  it('renders an empty folder', () => {
+    renderList({ files: [] });
+
+    expect(screen.getByText('This folder is empty.')).toBeInTheDocument();
+  });
+
+  it('opens a directory', async () => {
+    const { onOpen } = renderList();
+
+    await userEvent.click(screen.getByRole('button', { name: 'reports/' }));
+
+    expect(onOpen).toHaveBeenCalledWith(files[0]);
+  });
+
+  it('renames a file', async () => {
+    const { onRename } = renderList();
+
+    await userEvent.click(screen.getAllByRole('button', { name: 'Rename' })[1]);
+    const input = screen.getByLabelText('New name of a.pdf');
+    await userEvent.clear(input);
+    await userEvent.type(input, 'b.pdf');
+    await userEvent.click(screen.getByRole('button', { name: 'Save' }));
+
+    expect(onRename).toHaveBeenCalledWith(files[1], 'b.pdf');
+  });
+
+  it('deletes a file once confirmed', async () => {
+    jest.spyOn(window, 'confirm').mockReturnValueOnce(false).mockReturnValueOnce(true);
+    const { onDelete } = renderList();
+    const deleteButton = screen.getAllByRole('button', { name: 'Delete' })[0];
+
+    await userEvent.click(deleteButton);
+    expect(onDelete).not.toHaveBeenCalled();
+
+    await userEvent.click(deleteButton);
+    expect(window.confirm).toHaveBeenLastCalledWith(
+      'Are you sure you want to delete reports and everything it contains?',
+    );
+    expect(onDelete).toHaveBeenCalledWith(files[0]);
+  });
+});
+
+describe('pathSegments', () => {
+  it('returns the path of each directory', () => {
+    expect(pathSegments('docs/reports/')).toEqual([
+      { name: 'docs', path: 'docs/' },
+      { name: 'reports', path: 'docs/reports/' },
+    ]);
+    expect(pathSegments('')).toEqual([]);
+  });
+});
@@ -0,0 +1,174 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { useParams, useSearchParams } from 'react-router-dom';
+
+import {
+  useFileStorageActions,
+  useFileStorageFiles,
+  useSiteFileStorage,
+} from '@hooks/useFileStorage';
+import AlertBanner from '@shared/alertBanner';
+import LoadingIndicator from '@shared/LoadingIndicator';
+
+import FileList from './FileList';
+
+// The directories of a path like `docs/reports/`, each with the path to open it
+export function pathSegments(path) {
+  const names = path.split('/').filter(Boolean);
+
+  return names.map((name, index) => ({
+    name,
+    path: `${names.slice(0, index + 1).join('/')}/`,
+  }));
+}
+
+function Breadcrumbs({ path, onOpen }) {
+  const segments = pathSegments(path);
+
+  return (
+    <nav className="usa-breadcrumb padding-top-0" aria-label="Folders">
+      <ol className="usa-breadcrumb__list">
+        {[{ name: 'All files', path: '' }, ...segments].map((segment, index) => (
+          <li key={segment.path} className="usa-breadcrumb__list-item">
+            {index === segments.length ? (
+              <span aria-current="page">{segment.name}</span>
+            ) : (
+              <button
+                type="button"
+                className="usa-button usa-button--unstyled"
+                onClick={() => onOpen(segment.path)}
+              >
+                {segment.name}
+              </button>
+            )}
+          </li>
+        ))}
+      </ol>
+    </nav>
+  );
+}
+
+Breadcrumbs.propTypes = {
+  path: PropTypes.string.isRequired,
+  onOpen: PropTypes.func.isRequired,
+};
+
+function NewDirectoryForm({ onCreate }) {
+  const [name, setName] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onCreate(name);
+    setName('');
+  };
+
+  return (
+    <form className="usa-form maxw-full display-flex" onSubmit={handleSubmit}>
+      <label className="usa-sr-only" htmlFor="file-storage-directory">
+        Folder name
+      </label>
+      <input
+        className="usa-input margin-top-0"
+        id="file-storage-directory"
+        placeholder="Folder name"
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+      />
+      <button type="submit" className="usa-button margin-left-1" disabled={!name.trim()}>
+        New folder
+      </button>
+    </form>
+  );
+}
+
+NewDirectoryForm.propTypes = {
+  onCreate: PropTypes.func.isRequired,
+};
+
+function FileManager({ fileStorageId }) {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const path = searchParams.get('path') || '';
+  const { data: files, error, isPending } = useFileStorageFiles(fileStorageId, path);
+  const { createDirectory, uploadFile, renameFile, deleteFile } = useFileStorageActions(
+    fileStorageId,
+    path,
+  );
+  const actionError = [createDirectory, uploadFile, renameFile, deleteFile].find(
+    (action) => action.error,
+  )?.error;
+
+  const open = (nextPath) => setSearchParams(nextPath ? { path: nextPath } : {});
+
+  const handleUpload = (e) => {
+    Array.from(e.target.files).forEach((file) => uploadFile.mutate(file));
+    e.target.value = '';
+  };
+
+  return (
+    <div>
+      <Breadcrumbs path={path} onOpen={open} />
+      <div className="grid-row grid-gap margin-bottom-2 flex-align-end">
+        <div className="grid-col-auto">
+          <NewDirectoryForm onCreate={(name) => createDirectory.mutate(name)} />
+        </div>
+        <div className="grid-col-auto">
+          <label className="usa-button usa-button--outline" htmlFor="file-storage-upload">
+            {uploadFile.isPending ? 'Uploading...' : 'Upload files'}
+          </label>
+          <input
+            className="usa-sr-only"
+            id="file-storage-upload"
+            type="file"
+            multiple
+            onChange={handleUpload}
+          />
+        </div>
+      </div>
+      {actionError && (
+        <AlertBanner status="error" header="Error" message={actionError.message} />
+      )}
+      {error && <AlertBanner status="error" header="Error" message={error.message} />}
+      {isPending && <LoadingIndicator text="Getting files..." />}
+      {files && (
+        <FileList
+          files={files}
+          onOpen={(directory) => open(directory.key)}
+          onRename={(file, name) => renameFile.mutate({ fileId: file.id, name })}
+          onDelete={(file) => deleteFile.mutate(file.id)}
+        />
+      )}
+    </div>
+  );
+}
+
+FileManager.propTypes = {
+  fileStorageId: PropTypes.number.isRequired,
+};
+
+function FileStorage() {
+  const { id } = useParams();
+  const { data: fileStorage, error, isPending } = useSiteFileStorage(id);
+
+  if (isPending) {
+    return <LoadingIndicator text="Getting file storage..." />;
+  }
+
+  if (error?.response?.status === 404) {
+    return (
+      <AlertBanner
+        status="info"
+        header="File storage is not enabled for this site."
+        message="Please contact pages-support@cloud.gov to store files for your site."
+      />
+    );
+  }
+
+  if (error) {
+    return <AlertBanner status="error" header="Error" message={error.message} />;
+  }
+
+  return <FileManager fileStorageId={fileStorage.id} />;
+}
+
+export { FileStorage };
+export default FileStorage;
@@ -26,6 +26,16 @@ export const SITE_NAVIGATION_CONFIG = [
     route: 'reports',
     icon: 'IconReport',
   },
+  {
+    display: 'Build metrics',
+    route: 'metrics',
+    icon: 'IconClock',
+  },
+  {
+    display: 'File storage',
+    route: 'file-storage',
+    icon: 'IconLayout',
+  },
   {
     display: 'Site settings',
     route: 'settings',
@@ -48,6 +58,10 @@ export const SITE_TITLE_CONFIG = [
     display: 'Logs for build #',
     route: 'logs',
   },
+  {
+    display: 'Changes in build #',
+    route: 'diff',
+  },
 ];
 
 function getPageTitle(pathname, buildId = null) {
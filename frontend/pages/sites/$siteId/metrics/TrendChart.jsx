@@ -0,0 +1,68 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+
+const HEIGHT = 120;
+const BAR_WIDTH = 16;
+const BAR_GAP = 4;
+
+// A bar chart of one value of the daily build metrics, without a charting library
+export default function TrendChart({ title, trend, value, format }) {
+  const points = trend.filter((day) => day[value] !== null);
+
+  if (points.length === 0) {
+    return (
+      <div className="margin-bottom-4">
+        <h3>{title}</h3>
+        <p>No data for this period.</p>
+      </div>
+    );
+  }
+
+  const max = Math.max(...points.map((day) => day[value]), 1);
+  const width = points.length * (BAR_WIDTH + BAR_GAP);
+
+  return (
+    <div className="margin-bottom-4">
+      <h3>{title}</h3>
+      <svg
+        role="img"
+        aria-label={`${title} per day`}
+        className="metrics-chart"
+        viewBox={`0 0 ${width} ${HEIGHT}`}
+        preserveAspectRatio="none"
+        width="100%"
+        height={HEIGHT}
+      >
+        {points.map((day, index) => {
+          const barHeight = Math.max((day[value] / max) * HEIGHT, 1);
+          return (
+            <rect
+              key={day.date}
+              x={index * (BAR_WIDTH + BAR_GAP)}
+              y={HEIGHT - barHeight}
+              width={BAR_WIDTH}
+              height={barHeight}
+            >
+              <title>{`${day.date}: ${format(day[value])}`}</title>
+            </rect>
+          );
+        })}
+      </svg>
+      <p className="font-body-3xs text-base margin-top-05">
+        {points[0].date} to {points[points.length - 1].date}, highest{' '}
+        {format(Math.max(...points.map((day) => day[value])))}
+      </p>
+    </div>
+  );
+}
+
+TrendChart.propTypes = {
+  title: PropTypes.string.isRequired,
+  trend: PropTypes.arrayOf(
+    PropTypes.shape({
+      date: PropTypes.string.isRequired,
+    }),
+  ).isRequired,
+  value: PropTypes.string.isRequired,
+  format: PropTypes.func.isRequired,
+};
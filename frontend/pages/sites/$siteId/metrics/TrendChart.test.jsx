@@ -0,0 +1,55 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import '@testing-library/jest-dom';
+
+import TrendChart from './TrendChart';
+import { formatBytes, formatPercent, formatSeconds } from './format';
+
+describe('<TrendChart/>', () => {
+  it('renders a bar for each day with a value', () => {
+    const trend = [
+      { date: '2026-10-01', medianDuration: 65 },
+      { date: '2026-10-02', medianDuration: null },
+      { date: '2026-10-03', medianDuration: 30 },
+    ];
+
+    render(
+      <TrendChart
+        title="Build duration"
+        trend={trend}
+        value="medianDuration"
+        format={formatSeconds}
+      />,
+    );
+
+    expect(
+      screen.getByRole('img', { name: 'Build duration per day' }),
+    ).toBeInTheDocument();
+    expect(screen.getByText('2026-10-01: 1m 5s')).toBeInTheDocument();
+    expect(screen.getByText('2026-10-03: 30s')).toBeInTheDocument();
+    expect(screen.queryByText(/2026-10-02/)).not.toBeInTheDocument();
+  });
+
+  it('renders a message without data', () => {
+    render(
+      <TrendChart
+        title="Output size"
+        trend={[]}
+        value="medianOutputSize"
+        format={formatBytes}
+      />,
+    );
+
+    expect(screen.getByText('No data for this period.')).toBeInTheDocument();
+  });
+});
+
+describe('metrics formatters', () => {
+  it('formats the values for display', () => {
+    expect(formatSeconds(null)).toBe('-');
+    expect(formatSeconds(125)).toBe('2m 5s');
+    expect(formatBytes(512)).toBe('512 B');
+    expect(formatBytes(2500000)).toBe('2.5 MB');
+    expect(formatPercent(0.125)).toBe('13%');
+  });
+});
@@ -0,0 +1,25 @@
+const NO_VALUE = '-';
+
+export function formatSeconds(seconds) {
+  if (seconds === null || seconds === undefined) {
+    return NO_VALUE;
+  }
+
+  const minutes = Math.floor(seconds / 60);
+  const remainder = Math.round(seconds % 60);
+
+  return minutes ? `${minutes}m ${remainder}s` : `${remainder}s`;
+}
+
+export function formatBytes(bytes) {
+  if (bytes === null || bytes === undefined) {
+    return NO_VALUE;
+  }
+
+  const units = ['B', 'KB', 'MB', 'GB'];
+  const exponent = Math.min(Math.floor(Math.log10(Math.max(bytes, 1)) / 3), 3);
+
+  return `${(bytes / 1000 ** exponent).toFixed(exponent ? 1 : 0)} ${units[exponent]}`;
+}
+
+export const formatPercent = (rate) => `${Math.round(rate * 100)}%`;
@@ -0,0 +1,205 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { Link, useParams } from 'react-router-dom';
+
+import { useSiteMetrics } from '@hooks/useSiteMetrics';
+import AlertBanner from '@shared/alertBanner';
+import LoadingIndicator from '@shared/LoadingIndicator';
+
+import TrendChart from './TrendChart';
+import { formatBytes, formatPercent, formatSeconds } from './format';
+
+const PERIODS = [7, 30, 90, 365];
+
+function RegressionAlert({ siteId, regressions }) {
+  if (regressions.length === 0) {
+    return null;
+  }
+
+  const message = (
+    <ul className="usa-list">
+      {regressions.slice(0, 5).map((regression) => (
+        <li key={regression.buildId}>
+          <Link to={`/sites/${siteId}/builds/${regression.buildId}/logs`}>
+            Build #{regression.buildId}
+          </Link>{' '}
+          on {regression.branch} took {formatSeconds(regression.duration)}, the recent
+          median is {formatSeconds(regression.trailingMedian)}.
+        </li>
+      ))}
+    </ul>
+  );
+
+  return (
+    <AlertBanner
+      status="warning"
+      header="Some builds were much slower than usual"
+      message={message}
+    />
+  );
+}
+
+RegressionAlert.propTypes = {
+  siteId: PropTypes.number.isRequired,
+  regressions: PropTypes.arrayOf(
+    PropTypes.shape({
+      buildId: PropTypes.number.isRequired,
+      branch: PropTypes.string.isRequired,
+      duration: PropTypes.number.isRequired,
+      trailingMedian: PropTypes.number.isRequired,
+    }),
+  ).isRequired,
+};
+
+function SiteMetrics() {
+  const { id } = useParams();
+  const [days, setDays] = useState(30);
+  const [branch, setBranch] = useState('');
+  const { data, error, isPending } = useSiteMetrics(id, {
+    days,
+    branch: branch || undefined,
+  });
+  // Keep the branches of the whole site selectable once a branch is chosen
+  const { data: siteData } = useSiteMetrics(id, { days });
+
+  if (error) {
+    return <AlertBanner status="error" header="Error" message={error.message} />;
+  }
+
+  if (isPending) {
+    return <LoadingIndicator text="Getting build metrics..." />;
+  }
+
+  const { summary, branches, trend, regressions } = data;
+
+  return (
+    <div>
+      <div className="grid-row grid-gap margin-bottom-2">
+        <div className="grid-col-auto">
+          <label className="usa-label" htmlFor="metrics-days">
+            Period
+          </label>
+          <select
+            className="usa-select"
+            id="metrics-days"
+            value={days}
+            onChange={(e) => setDays(parseInt(e.target.value, 10))}
+          >
+            {PERIODS.map((period) => (
+              <option key={period} value={period}>
+                Last {period} days
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="grid-col-auto">
+          <label className="usa-label" htmlFor="metrics-branch">
+            Branch
+          </label>
+          <select
+            className="usa-select"
+            id="metrics-branch"
+            value={branch}
+            onChange={(e) => setBranch(e.target.value)}
+          >
+            <option value="">All branches</option>
+            {(siteData || data).branches.map((b) => (
+              <option key={b.branch} value={b.branch}>
+                {b.branch}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+      <RegressionAlert siteId={parseInt(id, 10)} regressions={regressions} />
+      {summary.builds === 0 ? (
+        <p>There are no completed builds in this period.</p>
+      ) : (
+        <>
+          <ul className="usa-list usa-list--unstyled margin-bottom-4">
+            <li>
+              <b>Completed builds:</b> {summary.builds}
+            </li>
+            <li>
+              <b>Failure rate:</b> {formatPercent(summary.failureRate)}
+            </li>
+            <li>
+              <b>Median build duration:</b> {formatSeconds(summary.medianDuration)}
+            </li>
+            <li>
+              <b>Median queue wait:</b> {formatSeconds(summary.medianQueueWait)}
+            </li>
+            <li>
+              <b>Median output size:</b> {formatBytes(summary.medianOutputSize)}
+            </li>
+          </ul>
+          <TrendChart
+            title="Build duration"
+            trend={trend}
+            value="medianDuration"
+            format={formatSeconds}
+          />
+          <TrendChart
+            title="Queue wait"
+            trend={trend}
+            value="medianQueueWait"
+            format={formatSeconds}
+          />
+          <TrendChart
+            title="Output size"
+            trend={trend}
+            value="medianOutputSize"
+            format={formatBytes}
+          />
+          <TrendChart
+            title="Failure rate"
+            trend={trend}
+            value="failureRate"
+            format={formatPercent}
+          />
+          <h3>Branches</h3>
+          <table
+            className={`
+              usa-table
+              usa-table--borderless
+              usa-table--stacked
+              width-full
+            `}
+          >
+            <thead>
+              <tr>
+                <th scope="col">Branch</th>
+                <th scope="col">Builds</th>
+                <th scope="col">Failure rate</th>
+                <th scope="col">Median duration</th>
+                <th scope="col">Median queue wait</th>
+                <th scope="col">Median output size</th>
+              </tr>
+            </thead>
+            <tbody>
+              {branches.map((b) => (
+                <tr key={b.branch}>
+                  <th scope="row" data-title="Branch">
+                    {b.branch}
+                  </th>
+                  <td data-title="Builds">{b.builds}</td>
+                  <td data-title="Failure rate">{formatPercent(b.failureRate)}</td>
+                  <td data-title="Median duration">{formatSeconds(b.medianDuration)}</td>
+                  <td data-title="Median queue wait">
+                    {formatSeconds(b.medianQueueWait)}
+                  </td>
+                  <td data-title="Median output size">
+                    {formatBytes(b.medianOutputSize)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  );
+}
+
+export { SiteMetrics };
+export default SiteMetrics;
@@ -10,7 +10,7 @@ export const AdvancedSiteSettings = ({ initialValues, onDelete, onSubmit }) => (
   <div className="grid-col-12">
     <div className="">
       <h3 className="font-heading-xl margin-top-4 margin-bottom-2">Advanced Settings</h3>
-      <ExpandableArea bordered title="Site engine">
+      <ExpandableArea bordered title="Site engine and builds">
         <AdvancedSiteSettingsForm initialValues={initialValues} onSubmit={onSubmit} />
       </ExpandableArea>
       <ExpandableArea bordered title="Delete site">
@@ -26,6 +26,7 @@ AdvancedSiteSettings.propTypes = {
   // initialValues is what the initial form values are based on
   initialValues: PropTypes.shape({
     engine: PropTypes.string.isRequired,
+    autoCancelSupersededBuilds: PropTypes.bool,
   }).isRequired,
 };
 
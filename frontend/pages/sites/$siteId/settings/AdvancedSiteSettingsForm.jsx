@@ -29,6 +29,30 @@ export const AdvancedSiteSettingsForm = ({
           />
         )}
       />
+      <div className="usa-checkbox margin-top-2">
+        <Field
+          className="usa-checkbox__input"
+          component="input"
+          type="checkbox"
+          name="autoCancelSupersededBuilds"
+          id="autoCancelSupersededBuilds"
+        />
+        <label className="usa-checkbox__label" htmlFor="autoCancelSupersededBuilds">
+          Automatically cancel an in-progress build when a newer commit is pushed to the
+          same branch
+        </label>
+      </div>
+      <label className="usa-label" htmlFor="previewRetentionDays">
+        Remove branch previews not rebuilt within this many days
+      </label>
+      <Field
+        className="usa-input usa-input--small"
+        component="input"
+        type="number"
+        min="1"
+        name="previewRetentionDays"
+        id="previewRetentionDays"
+      />
       <div className="usa-button-group margin-y-2 margin-x-0">
         <button
           type="button"
@@ -55,6 +79,8 @@ AdvancedSiteSettingsForm.propTypes = {
   // initialValues is what the initial form values are based on
   initialValues: PropTypes.shape({
     engine: PropTypes.string.isRequired,
+    autoCancelSupersededBuilds: PropTypes.bool,
+    previewRetentionDays: PropTypes.number,
   }).isRequired,
 
   // the following props are from reduxForm:
@@ -5,6 +5,7 @@ import ExpandableArea from '@shared/ExpandableArea';
 import LoadingIndicator from '@shared/LoadingIndicator';
 import notificationActions from '@actions/notificationActions';
 import { capitalize } from '@util';
+import { dateAndTimeSimple } from '@util/datetime';
 
 function formatConfig(config) {
   if (!config) return '';
@@ -12,14 +13,29 @@ function formatConfig(config) {
   return dump(config);
 }
 
-function BranchConfig({ id, branch, config, context, handleUpdate, isExpanded }) {
+function BranchConfig({
+  id,
+  branch,
+  config,
+  context,
+  schedule,
+  scheduleTimezone,
+  ignoredPaths,
+  nextScheduledRunAt,
+  handleUpdate,
+  isExpanded,
+}) {
   const formattedConfig = formatConfig(config);
   const [isLoading, setIsLoading] = useState(false);
+  const [nextRunAt, setNextRunAt] = useState(nextScheduledRunAt);
   const [branchConfig, setBranchConfig] = useState({
     id,
     branch,
     config: formattedConfig,
     context,
+    schedule: schedule || '',
+    scheduleTimezone: scheduleTimezone || '',
+    ignoredPaths: ignoredPaths.join(', '),
   });
 
   const resetValues = () => {
@@ -27,6 +43,9 @@ function BranchConfig({ id, branch, config, context, handleUpdate, isExpanded })
       ...branchConfig,
       branch,
       config: formattedConfig,
+      schedule: schedule || '',
+      scheduleTimezone: scheduleTimezone || '',
+      ignoredPaths: ignoredPaths.join(', '),
     });
   };
 
@@ -43,8 +62,9 @@ function BranchConfig({ id, branch, config, context, handleUpdate, isExpanded })
           setIsLoading(true);
 
           return handleUpdate(branchConfig)
-            .then(() => {
+            .then((updated) => {
               setIsLoading(false);
+              setNextRunAt(updated.nextScheduledRunAt);
               return notificationActions.success(
                 `Updated branch config for ${branchConfig.context}`,
               );
@@ -78,6 +98,88 @@ function BranchConfig({ id, branch, config, context, handleUpdate, isExpanded })
                   />
                 </div>
               )}
+              {context !== 'preview' && (
+                <div className="margin-bottom-3">
+                  <label
+                    className="usa-label text-bold margin-top-0"
+                    htmlFor={`${branch}-schedule-input`}
+                  >
+                    Build schedule:
+                  </label>
+                  <p className="margin-top-0">
+                    Optionally rebuild your {context} branch on a cron schedule, like{' '}
+                    <code>0 5 * * *</code> for every day at 5am in the timezone. Builds
+                    may be scheduled at most once an hour.
+                  </p>
+                  <div className="grid-row grid-gap">
+                    <div className="grid-col-6">
+                      <input
+                        className="usa-input"
+                        id={`${branch}-schedule-input`}
+                        placeholder="0 5 * * *"
+                        value={branchConfig.schedule}
+                        onChange={(event) => {
+                          setBranchConfig({
+                            ...branchConfig,
+                            schedule: event.target.value,
+                          });
+                        }}
+                      />
+                    </div>
+                    <div className="grid-col-6">
+                      <label
+                        className="usa-sr-only"
+                        htmlFor={`${branch}-schedule-timezone-input`}
+                      >
+                        Schedule timezone
+                      </label>
+                      <input
+                        className="usa-input"
+                        id={`${branch}-schedule-timezone-input`}
+                        placeholder="UTC"
+                        value={branchConfig.scheduleTimezone}
+                        onChange={(event) => {
+                          setBranchConfig({
+                            ...branchConfig,
+                            scheduleTimezone: event.target.value,
+                          });
+                        }}
+                      />
+                    </div>
+                  </div>
+                  {nextRunAt && (
+                    <p className="font-body-2xs margin-bottom-0">
+                      Next scheduled run: {dateAndTimeSimple(nextRunAt)}
+                    </p>
+                  )}
+                </div>
+              )}
+              <div className="margin-bottom-3">
+                <label
+                  className="usa-label text-bold margin-top-0"
+                  htmlFor={`${branch}-ignored-paths-input`}
+                >
+                  Ignored paths:
+                </label>
+                <p className="margin-top-0">
+                  Optionally skip the build of a push to your {context} branch when it
+                  only changes these paths, as a comma-separated list of globs like{' '}
+                  <code>README.md, .github/**</code>. A commit message including{' '}
+                  <code>[skip pages]</code> also skips the build.
+                </p>
+                <input
+                  className="usa-input"
+                  id={`${branch}-ignored-paths-input`}
+                  placeholder="README.md, .github/**"
+                  value={branchConfig.ignoredPaths}
+                  onChange={(event) => {
+                    setBranchConfig({
+                      ...branchConfig,
+                      ignoredPaths: event.target.value,
+                    });
+                  }}
+                />
+              </div>
               <div>
                 <label
                   className="usa-label text-bold margin-top-0"
@@ -87,7 +189,9 @@ function BranchConfig({ id, branch, config, context, handleUpdate, isExpanded })
                 </label>
                 <p className="margin-top-0">
                   Add additional configuration in YAML to be added to your _config.yml
-                  file when we build your {context} branch.
+                  file when we build your {context} branch. The configuration of a{' '}
+                  <code>pages.yml</code> file in your repository is merged over it, see
+                  its <a href="/schemas/pages-config.json">schema</a>.
                 </p>
                 <textarea
                   className="usa-input height-15"
@@ -128,6 +232,10 @@ BranchConfig.propTypes = {
   branch: PropTypes.string,
   context: PropTypes.string.isRequired,
   config: PropTypes.object,
+  schedule: PropTypes.string,
+  scheduleTimezone: PropTypes.string,
+  ignoredPaths: PropTypes.arrayOf(PropTypes.string),
+  nextScheduledRunAt: PropTypes.string,
   handleUpdate: PropTypes.func.isRequired,
   isExpanded: PropTypes.bool,
 };
@@ -136,6 +244,10 @@ BranchConfig.defaultProps = {
   id: null,
   branch: null,
   config: null,
+  schedule: null,
+  scheduleTimezone: null,
+  ignoredPaths: [],
+  nextScheduledRunAt: null,
   isExpanded: false,
 };
 
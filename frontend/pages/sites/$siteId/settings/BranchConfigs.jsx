@@ -17,12 +17,28 @@ function getHashContext(hash) {
 }
 
 function handleUpdate(siteId) {
-  return ({ id, branch, config, context }) => {
+  return ({ id, branch, config, context, schedule, scheduleTimezone, ignoredPaths }) => {
+    // Previews are built on push and cannot be scheduled
+    const buildSchedule =
+      context === 'preview'
+        ? {}
+        : {
+            schedule: schedule || null,
+            scheduleTimezone: scheduleTimezone || null,
+          };
+    const options = {
+      ...buildSchedule,
+      ignoredPaths: ignoredPaths
+        .split(',')
+        .map((path) => path.trim())
+        .filter(Boolean),
+    };
+
     if (!id) {
-      return api.createSiteBranchConfig(siteId, branch, config, context);
+      return api.createSiteBranchConfig(siteId, branch, config, context, options);
     }
 
-    return api.updateSiteBranchConfig(siteId, id, branch, config, context);
+    return api.updateSiteBranchConfig(siteId, id, branch, config, context, options);
   };
 }
 
@@ -0,0 +1,66 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+
+import { useWebhookDeliveries } from '@hooks/useWebhookSubscriptions';
+import AlertBanner from '@shared/alertBanner';
+import LoadingIndicator from '@shared/LoadingIndicator';
+import { dateAndTimeSimple } from '@util/datetime';
+
+const STATUS_LABELS = {
+  pending: 'Pending',
+  retrying: 'Retrying',
+  succeeded: 'Delivered',
+  failed: 'Failed',
+};
+
+function WebhookDeliveries({ subscriptionId }) {
+  const { data: deliveries, error, isPending } = useWebhookDeliveries(subscriptionId);
+
+  if (isPending) {
+    return <LoadingIndicator text="Getting deliveries..." />;
+  }
+
+  if (error) {
+    return <AlertBanner status="error" header="Error" message={error.message} />;
+  }
+
+  if (deliveries.length === 0) {
+    return <p>No events have been sent to this webhook yet.</p>;
+  }
+
+  return (
+    <table className="usa-table usa-table--borderless usa-table--stacked width-full">
+      <caption className="font-heading-sm">Recent deliveries</caption>
+      <thead>
+        <tr>
+          <th scope="col">Event</th>
+          <th scope="col">Status</th>
+          <th scope="col">Attempts</th>
+          <th scope="col">Response</th>
+          <th scope="col">Created</th>
+        </tr>
+      </thead>
+      <tbody>
+        {deliveries.map((delivery) => (
+          <tr key={delivery.id}>
+            <th scope="row" data-title="Event">
+              <code>{delivery.event}</code>
+            </th>
+            <td data-title="Status">{STATUS_LABELS[delivery.status]}</td>
+            <td data-title="Attempts">{delivery.attempts}</td>
+            <td data-title="Response">
+              {delivery.error || delivery.responseStatus || '-'}
+            </td>
+            <td data-title="Created">{dateAndTimeSimple(delivery.createdAt)}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+WebhookDeliveries.propTypes = {
+  subscriptionId: PropTypes.number.isRequired,
+};
+
+export default WebhookDeliveries;
@@ -0,0 +1,75 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+
+import { WEBHOOK_EVENTS } from '@hooks/useWebhookSubscriptions';
+
+function WebhookSubscriptionForm({ onSubmit, isSubmitting = false }) {
+  const [url, setUrl] = useState('');
+  const [events, setEvents] = useState([]);
+
+  const toggleEvent = (event) =>
+    setEvents((current) =>
+      current.includes(event) ? current.filter((e) => e !== event) : [...current, event],
+    );
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmit({ url: url.trim(), events });
+  };
+
+  return (
+    <form className="usa-form maxw-tablet" onSubmit={handleSubmit}>
+      <label className="usa-label" htmlFor="webhook-url">
+        Payload URL
+      </label>
+      <span className="usa-hint">
+        An https URL, like the incoming webhook URL of a Slack or Teams channel
+      </span>
+      <input
+        className="usa-input"
+        id="webhook-url"
+        type="url"
+        placeholder="https://"
+        value={url}
+        onChange={(e) => setUrl(e.target.value)}
+        required
+      />
+      <fieldset className="usa-fieldset margin-top-3">
+        <legend className="usa-legend">Events</legend>
+        {WEBHOOK_EVENTS.map((event) => (
+          <div className="usa-checkbox" key={event.value}>
+            <input
+              className="usa-checkbox__input"
+              id={`webhook-event-${event.value}`}
+              type="checkbox"
+              checked={events.includes(event.value)}
+              onChange={() => toggleEvent(event.value)}
+            />
+            <label
+              className="usa-checkbox__label"
+              htmlFor={`webhook-event-${event.value}`}
+            >
+              {event.label} <code>{event.value}</code>
+            </label>
+          </div>
+        ))}
+      </fieldset>
+      <button
+        type="submit"
+        className="usa-button margin-top-3"
+        disabled={
+          isSubmitting || !url.trim().startsWith('https://') || events.length === 0
+        }
+      >
+        Add webhook
+      </button>
+    </form>
+  );
+}
+
+WebhookSubscriptionForm.propTypes = {
+  onSubmit: PropTypes.func.isRequired,
+  isSubmitting: PropTypes.bool,
+};
+
+export default WebhookSubscriptionForm;
@@ -0,0 +1,49 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import '@testing-library/jest-dom';
+
+import WebhookSubscriptionForm from './WebhookSubscriptionForm';
+
+describe('<WebhookSubscriptionForm/>', () => {
+  it('requires an https URL and an event', async () => {
+    render(<WebhookSubscriptionForm onSubmit={jest.fn()} />);
+    const submit = screen.getByRole('button', { name: 'Add webhook' });
+
+    expect(submit).toBeDisabled();
+
+    await userEvent.type(
+      screen.getByLabelText('Payload URL'),
+      'http://hooks.example.gov',
+    );
+    await userEvent.click(screen.getByLabelText(/A domain is provisioned/));
+    expect(submit).toBeDisabled();
+
+    await userEvent.clear(screen.getByLabelText('Payload URL'));
+    await userEvent.type(
+      screen.getByLabelText('Payload URL'),
+      'https://hooks.example.gov',
+    );
+    expect(submit).toBeEnabled();
+  });
+
+  it('submits the URL and the selected events', async () => {
+    const onSubmit = jest.fn();
+    render(<WebhookSubscriptionForm onSubmit={onSubmit} />);
+
+    await userEvent.type(
+      screen.getByLabelText('Payload URL'),
+      'https://hooks.example.gov',
+    );
+    await userEvent.click(screen.getByLabelText(/A build finishes/));
+    await userEvent.click(screen.getByLabelText(/A domain fails/));
+    await userEvent.click(screen.getByLabelText(/A build finishes/));
+    await userEvent.click(screen.getByLabelText(/A domain is provisioned/));
+    await userEvent.click(screen.getByRole('button', { name: 'Add webhook' }));
+
+    expect(onSubmit).toHaveBeenCalledWith({
+      url: 'https://hooks.example.gov',
+      events: ['domain.failed', 'domain.provisioned'],
+    });
+  });
+});
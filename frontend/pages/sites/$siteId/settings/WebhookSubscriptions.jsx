@@ -0,0 +1,146 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+
+import { useWebhookSubscriptions } from '@hooks/useWebhookSubscriptions';
+import AlertBanner from '@shared/alertBanner';
+import ExpandableArea from '@shared/ExpandableArea';
+import LoadingIndicator from '@shared/LoadingIndicator';
+
+import WebhookDeliveries from './WebhookDeliveries';
+import WebhookSubscriptionForm from './WebhookSubscriptionForm';
+
+function WebhookSubscriptions({ siteId }) {
+  const [openDeliveries, setOpenDeliveries] = useState(null);
+  const {
+    data: subscriptions,
+    error,
+    isPending,
+    createSubscription,
+    updateSubscription,
+    deleteSubscription,
+  } = useWebhookSubscriptions(siteId);
+  const actionError =
+    createSubscription.error || updateSubscription.error || deleteSubscription.error;
+
+  const handleDelete = (subscription) => {
+    if (
+      window.confirm(`Are you sure you want to delete the webhook ${subscription.url}?`)
+    ) {
+      deleteSubscription.mutate(subscription.id);
+    }
+  };
+
+  const toggleDeliveries = (subscription) =>
+    setOpenDeliveries((current) =>
+      current === subscription.id ? null : subscription.id,
+    );
+
+  return (
+    <div className="grid-col-12">
+      <h3 className="font-heading-xl margin-top-4 margin-bottom-2">Outbound Webhooks</h3>
+      <p>
+        Webhooks post a JSON payload to a URL when builds finish or domains are
+        provisioned. Each payload is signed with the secret of its webhook in the{' '}
+        <code>X-Pages-Signature-256</code> header, an HMAC SHA-256 digest of the body.
+        Failed deliveries are retried up to 4 times over several minutes.
+      </p>
+      {actionError && (
+        <AlertBanner status="error" header="Error" message={actionError.message} />
+      )}
+      {createSubscription.data && (
+        <AlertBanner
+          status="success"
+          header={`Added the webhook ${createSubscription.data.url}`}
+          message={
+            <>
+              Copy the signing secret now, it will not be shown again:{' '}
+              <code className="api-token-value">{createSubscription.data.secret}</code>
+            </>
+          }
+        />
+      )}
+      {error && <AlertBanner status="error" header="Error" message={error.message} />}
+      {isPending && <LoadingIndicator text="Getting webhooks..." />}
+      {subscriptions?.length > 0 && (
+        <table className="usa-table usa-table--borderless usa-table--stacked width-full">
+          <thead>
+            <tr>
+              <th scope="col">URL</th>
+              <th scope="col">Events</th>
+              <th scope="col">Secret</th>
+              <th scope="col">Status</th>
+              <th scope="col">
+                <span className="usa-sr-only">Actions</span>
+              </th>
+            </tr>
+          </thead>
+          <tbody>
+            {subscriptions.map((subscription) => (
+              <React.Fragment key={subscription.id}>
+                <tr>
+                  <th className="font-mono-sm" scope="row" data-title="URL">
+                    {subscription.url}
+                  </th>
+                  <td data-title="Events">{subscription.events.join(', ')}</td>
+                  <td className="font-mono-sm" data-title="Secret">
+                    {`xxxx${subscription.secretHint}`}
+                  </td>
+                  <td data-title="Status">{subscription.active ? 'Active' : 'Paused'}</td>
+                  <td data-title="Actions">
+                    <button
+                      type="button"
+                      className="usa-button usa-button--unstyled margin-right-2"
+                      onClick={() => toggleDeliveries(subscription)}
+                    >
+                      {openDeliveries === subscription.id ? 'Hide' : 'View'} deliveries
+                    </button>
+                    <button
+                      type="button"
+                      className="usa-button usa-button--unstyled margin-right-2"
+                      onClick={() =>
+                        updateSubscription.mutate({
+                          id: subscription.id,
+                          active: !subscription.active,
+                        })
+                      }
+                    >
+                      {subscription.active ? 'Pause' : 'Resume'}
+                    </button>
+                    <button
+                      type="button"
+                      className="usa-button usa-button--unstyled text-secondary"
+                      onClick={() => handleDelete(subscription)}
+                    >
+                      Delete
+                    </button>
+                  </td>
+                </tr>
+                {openDeliveries === subscription.id && (
+                  <tr>
+                    <td colSpan={5}>
+                      <WebhookDeliveries subscriptionId={subscription.id} />
+                    </td>
+                  </tr>
+                )}
+              </React.Fragment>
+            ))}
+          </tbody>
+        </table>
+      )}
+      <ExpandableArea bordered title="Add a new webhook">
+        <div className="well">
+          <WebhookSubscriptionForm
+            onSubmit={(params) => createSubscription.mutate(params)}
+            isSubmitting={createSubscription.isPending}
+          />
+        </div>
+      </ExpandableArea>
+    </div>
+  );
+}
+
+WebhookSubscriptions.propTypes = {
+  siteId: PropTypes.number.isRequired,
+};
+
+export default WebhookSubscriptions;
@@ -9,6 +9,7 @@ import BranchConfigs from './BranchConfigs';
 import ReportConfigs from './ReportConfigs';
 import AdvancedSiteSettings from './AdvancedSiteSettings';
 import EnvironmentVariables from './EnvironmentVariables';
+import WebhookSubscriptions from './WebhookSubscriptions';
 
 import globals from '../../../../globals';
 
@@ -45,6 +46,8 @@ function SiteSettings() {
 
   const advancedInitialValues = {
     engine: site.engine,
+    autoCancelSupersededBuilds: !!site.autoCancelSupersededBuilds,
+    previewRetentionDays: site.previewRetentionDays,
   };
 
   return (
@@ -80,6 +83,7 @@ function SiteSettings() {
       />
 
       <EnvironmentVariables siteId={site.id} />
+      <WebhookSubscriptions siteId={site.id} />
       {site.SiteBuildTasks.length > 0 && <ReportConfigs siteId={site.id} />}
     </div>
   );
@@ -7,6 +7,7 @@ import AlertBanner from '@shared/alertBanner';
 import { validAddRepoSiteForm } from '@util/validators';
 import UserOrgSelect from '@shared/UserOrgSelect';
 import SelectSiteEngine from '@shared/SelectSiteEngine';
+import InputWithErrorField from '@shared/Fields/InputWithErrorField';
 
 import globals from '@globals';
 import { ORGANIZATIONS } from '@propTypes';
@@ -61,6 +62,21 @@ export const AddRepoSiteForm = ({
         )}
       />
     </div>
+    <div className="form-group margin-y-3">
+      <Field
+        name="pathFilters"
+        type="text"
+        id="pathFilters"
+        label="Only build when these paths change (optional)"
+        help={
+          <span className="usa-hint font-body-2xs">
+            A comma-separated list of globs of the repository paths.
+          </span>
+        }
+        placeholder="docs/**, shared/**"
+        component={InputWithErrorField}
+      />
+    </div>
     {showAddNewSiteFields && (
       <div className="add-repo-site-additional-fields">
         {showNewSiteAlert()}
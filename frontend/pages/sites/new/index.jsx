@@ -12,6 +12,13 @@ import globals from '@globals';
 import TemplateSiteList from './TemplateSiteList';
 import AddRepoSiteForm from './AddRepoSiteForm';
 
+function splitPathFilters(pathFilters = '') {
+  return pathFilters
+    .split(',')
+    .map((filter) => filter.trim())
+    .filter(Boolean);
+}
+
 function getOwnerAndRepo(repoUrl) {
   const owner = repoUrl.split('/')[3];
   const repository = repoUrl.split('/')[4];
@@ -44,7 +51,7 @@ function AddSite() {
 
   const navigate = useNavigate();
 
-  function onCreateSiteSubmit({ repoUrl, engine, repoOrganizationId }) {
+  function onCreateSiteSubmit({ repoUrl, engine, repoOrganizationId, pathFilters }) {
     const { owner, repository } = getOwnerAndRepo(repoUrl);
     siteActions.addSite(
       {
@@ -52,6 +59,7 @@ function AddSite() {
         repository,
         engine,
         organizationId: repoOrganizationId,
+        pathFilters: splitPathFilters(pathFilters),
       },
       navigate,
     );
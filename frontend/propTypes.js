@@ -68,6 +68,8 @@ export const BUILD = PropTypes.shape({
   clonedCommitSha: PropTypes.string,
   completedAt: PropTypes.string,
   createdAt: PropTypes.string,
+  supersededBy: PropTypes.number,
+  pullRequestNumber: PropTypes.number,
   user: PropTypes.shape({
     username: PropTypes.string,
   }),
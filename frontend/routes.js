@@ -11,10 +11,14 @@ import SiteContainer from '@pages/sites/$siteId';
 import SiteSettings from '@pages/sites/$siteId/settings';
 import SiteBuildList from '@pages/sites/$siteId/builds';
 import BuildLogs from '@pages/sites/$siteId/builds/$buildId/logs';
+import BuildDiff from '@pages/sites/$siteId/builds/$buildId/diff';
+import SiteMetrics from '@pages/sites/$siteId/metrics';
+import FileStorage from '@pages/sites/$siteId/file-storage';
 import PublishedBranchesTable from '@pages/sites/$siteId/published';
 import PublishedFilesTable from '@pages/sites/$siteId/published/$name';
 import DomainList from '@pages/sites/$siteId/custom-domains';
 import NewCustomDomain from '@pages/sites/$siteId/custom-domains/new';
+import DomainDetails from '@pages/sites/$siteId/custom-domains/$domainId';
 import EditCustomDomain from '@pages/sites/$siteId/custom-domains/$domainId/edit';
 import Reports from '@pages/sites/$siteId/reports';
 import Settings from '@pages/settings';
@@ -55,8 +59,12 @@ export default (
       <Route path="builds" element={<SiteBuildList />} />
       <Route path="custom-domains" element={<DomainList />} />
       <Route path="custom-domains/new" element={<NewCustomDomain />} />
+      <Route path="custom-domains/:domainId" element={<DomainDetails />} />
       <Route path="custom-domains/:domainId/edit" element={<EditCustomDomain />} />
       <Route path="builds/:buildId/logs" element={<BuildLogs />} />
+      <Route path="builds/:buildId/diff" element={<BuildDiff />} />
+      <Route path="metrics" element={<SiteMetrics />} />
+      <Route path="file-storage" element={<FileStorage />} />
       <Route path="scans" loader={() => redirect('../reports')} />
       {process.env.FEATURE_BUILD_TASKS === 'active' && (
         <Route path="reports" element={<Reports />} />
@@ -11,6 +11,7 @@ const GitHubLink = ({
   text,
   branch = null,
   sha = null,
+  pullRequest = null,
   icon = 'repo',
   isButton = false,
 }) => {
@@ -25,6 +26,9 @@ const GitHubLink = ({
   } else if (sha) {
     href = `${baseHref}/commit/${sha}`;
     title = 'View commit on GitHub';
+  } else if (pullRequest) {
+    href = `${baseHref}/pull/${pullRequest}`;
+    title = 'View pull request on GitHub';
   }
   function chooseIcon(iconStr) {
     switch (iconStr) {
@@ -63,6 +67,7 @@ GitHubLink.propTypes = {
   branch: PropTypes.string,
   isButton: PropTypes.bool,
   sha: PropTypes.string,
+  pullRequest: PropTypes.number,
   icon: PropTypes.string,
 };
 
@@ -74,4 +74,19 @@ describe('<GitHubLink/>', () => {
 
     expect(anchor).toHaveAttribute('href', commitUrl);
   });
+
+  it('links to a pull request', () => {
+    const props = {
+      text: 'PR #7',
+      owner: 'zookeeni',
+      repository: 'veggies',
+      pullRequest: 7,
+    };
+
+    render(<GitHubLink {...props} />);
+
+    const anchor = screen.getByRole('link');
+    expect(anchor).toHaveAttribute('href', 'https://github.com/zookeeni/veggies/pull/7');
+    expect(anchor).toHaveAttribute('title', 'View pull request on GitHub');
+  });
 });
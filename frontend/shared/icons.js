@@ -11,6 +11,7 @@ import IconExternalLink from '../../public/images/icons/icon-external-link.svg';
 import IconGear from '../../public/images/icons/icon-gear.svg';
 import IconGitHub from '../../public/images/icons/icon-github.svg';
 import IconIgnore from '../../public/images/icons/icon-ignore.svg';
+import IconLayout from '../../public/images/icons/icon-layout.svg';
 import IconLink from '../../public/images/icons/icon-link.svg';
 import IconPeople from '../../public/images/icons/icon-people.svg';
 import IconPlus from '../../public/images/icons/icon-plus.svg';
@@ -34,6 +35,7 @@ export {
   IconGear,
   IconGitHub,
   IconIgnore,
+  IconLayout,
   IconLink,
   IconPeople,
   IconPlus,
@@ -18,3 +18,15 @@ export function postSiteBuild(siteId, buildId) {
 
   return nock(BASE_URL).post(`/v0/build/`, matcher).reply(200, builds);
 }
+
+export function postCancelBuild(buildId) {
+  return nock(BASE_URL)
+    .post(`/v0/build/${buildId}/cancel`)
+    .reply(200, { id: buildId, state: 'cancelled' });
+}
+
+export function postPromoteBuild(buildId) {
+  return nock(BASE_URL)
+    .post(`/v0/build/${buildId}/promote`)
+    .reply(200, { id: buildId, state: 'success' });
+}
@@ -20,6 +20,9 @@ class BuildStatusNotifier {
     socket.on('build status', (build) => {
       this.notify(build);
     });
+    socket.on('build report', (report) => {
+      this.notifyReport(report);
+    });
     return true;
   }
 
@@ -59,6 +62,12 @@ class BuildStatusNotifier {
       case 'success':
         titleStatus = 'Successful Build';
         break;
+      case 'cancelled':
+        titleStatus = 'Build Cancelled';
+        break;
+      case 'blocked':
+        titleStatus = 'Blocked Build: Please review reports.';
+        break;
       default:
         return null;
     }
@@ -73,6 +82,19 @@ class BuildStatusNotifier {
     };
     return note;
   }
+
+  notifyReport(report) {
+    const icon = '/images/favicons/favicon.ico';
+    const note = new Notification(`Report Ready: ${report.name}`, {
+      body: `Site: ${report.owner}/${report.repository}   Branch: ${report.branch}`,
+      icon,
+    });
+    note.onclick = (event) => {
+      event.preventDefault(); // prevent the browser from focusing the Notification's tab
+      window.open(`/report/${report.id}`, '_blank');
+    };
+    return note;
+  }
 }
 
 export default BuildStatusNotifier;
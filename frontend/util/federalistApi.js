@@ -47,10 +47,48 @@ export default {
     return request(`build/${build.id}/log/offset/${offset}`);
   },
 
+  searchBuildLogs(buildId, query) {
+    return request(
+      `build/${buildId}/log/search?q=${encodeURIComponent(query)}`,
+      {},
+      {
+        handleHttpError: false,
+      },
+    );
+  },
+
   fetchBuild(buildId) {
     return request(`build/${buildId}`);
   },
 
+  fetchSiteMetrics(siteId, { days, branch } = {}) {
+    const query = new URLSearchParams();
+    if (days) {
+      query.set('days', days);
+    }
+    if (branch) {
+      query.set('branch', branch);
+    }
+
+    return request(
+      `site/${siteId}/metrics?${query}`,
+      {},
+      {
+        handleHttpError: false,
+      },
+    );
+  },
+
+  fetchBuildDiff(siteId, buildId, otherBuildId) {
+    return request(
+      `site/${siteId}/build/${buildId}/diff/${otherBuildId}`,
+      {},
+      {
+        handleHttpError: false,
+      },
+    );
+  },
+
   fetchTasks(buildId) {
     return request(`build/${buildId}/tasks`);
   },
@@ -115,12 +153,18 @@ export default {
     return request('site');
   },
 
-  createSiteDomain(siteId, names, siteBranchConfigId) {
+  createSiteDomain(
+    siteId,
+    { names, type, siteBranchConfigId, redirectUrl, redirectStatus } = {},
+  ) {
     return request(`site/${siteId}/domain`, {
       method: 'POST',
       data: {
         names,
+        type,
         siteBranchConfigId,
+        redirectUrl,
+        redirectStatus,
       },
     });
   },
@@ -135,16 +179,44 @@ export default {
     });
   },
 
-  updateSiteDomain(siteId, domainId, { names, siteBranchConfigId } = {}) {
+  updateSiteDomain(
+    siteId,
+    domainId,
+    { names, siteBranchConfigId, redirectUrl, redirectStatus } = {},
+  ) {
     return request(`site/${siteId}/domain/${domainId}`, {
       method: 'PUT',
       data: {
         names,
         siteBranchConfigId,
+        redirectUrl,
+        redirectStatus,
       },
     });
   },
 
+  fetchSiteDomainDnsResult(siteId, domainId) {
+    return request(
+      `site/${siteId}/domain/${domainId}/dns-result`,
+      {},
+      {
+        handleHttpError: false,
+      },
+    );
+  },
+
+  provisionSiteDomain(siteId, domainId) {
+    return request(
+      `site/${siteId}/domain/${domainId}/provision`,
+      {
+        method: 'POST',
+      },
+      {
+        handleHttpError: false,
+      },
+    );
+  },
+
   fetchUser() {
     return request('me');
   },
@@ -199,6 +271,18 @@ export default {
     });
   },
 
+  cancelBuild(buildId) {
+    return request(`build/${buildId}/cancel`, {
+      method: 'POST',
+    });
+  },
+
+  promoteBuild(buildId) {
+    return request(`build/${buildId}/promote`, {
+      method: 'POST',
+    });
+  },
+
   createBuild(sha, branch, siteId) {
     return request('build/', {
       method: 'POST',
@@ -229,13 +313,14 @@ export default {
     });
   },
 
-  createSiteBranchConfig(siteId, branch, config = {}, context) {
+  createSiteBranchConfig(siteId, branch, config = {}, context, options = {}) {
     return request(`site/${siteId}/branch-config`, {
       method: 'POST',
       data: {
         branch,
         config,
         context,
+        ...options,
       },
     });
   },
@@ -244,13 +329,21 @@ export default {
     return request(`site/${siteId}/branch-config`);
   },
 
-  updateSiteBranchConfig(siteId, siteBranchConfigId, branch, config = {}, context) {
+  updateSiteBranchConfig(
+    siteId,
+    siteBranchConfigId,
+    branch,
+    config = {},
+    context,
+    options = {},
+  ) {
     return request(`site/${siteId}/branch-config/${siteBranchConfigId}`, {
       method: 'PUT',
       data: {
         branch,
         config,
         context,
+        ...options,
       },
     });
   },
@@ -365,4 +458,191 @@ export default {
   fetchReportData(id, subPage) {
     return request(`tasks/${id}/report/${subPage || ''}`);
   },
+
+  fetchApiTokens() {
+    return request(
+      'me/api-token',
+      {},
+      {
+        handleHttpError: false,
+      },
+    );
+  },
+
+  createApiToken({ name, scopes, expiresInDays, organizationId }) {
+    return request(
+      'me/api-token',
+      {
+        method: 'POST',
+        data: {
+          name,
+          scopes,
+          expiresInDays,
+          organizationId,
+        },
+      },
+      {
+        handleHttpError: false,
+      },
+    );
+  },
+
+  revokeApiToken(id) {
+    return request(
+      `me/api-token/${id}`,
+      {
+        method: 'DELETE',
+      },
+      {
+        handleHttpError: false,
+      },
+    );
+  },
+
+  fetchSiteFileStorage(siteId) {
+    return request(
+      `site/${siteId}/file-storage`,
+      {},
+      {
+        handleHttpError: false,
+      },
+    );
+  },
+
+  fetchFileStorageFiles(fileStorageId, path = '') {
+    return request(
+      `file-storage/${fileStorageId}?path=${encodeURIComponent(path)}`,
+      {},
+      {
+        handleHttpError: false,
+      },
+    );
+  },
+
+  createFileStorageDirectory(fileStorageId, parent, name) {
+    return request(
+      `file-storage/${fileStorageId}/directory`,
+      {
+        method: 'POST',
+        data: {
+          parent,
+          name,
+        },
+      },
+      {
+        handleHttpError: false,
+      },
+    );
+  },
+
+  uploadFileStorageFile(fileStorageId, parent, file) {
+    const query = new URLSearchParams({
+      parent,
+      name: file.name,
+      type: file.type,
+    });
+
+    return request(
+      `file-storage/${fileStorageId}/upload?${query}`,
+      {
+        method: 'POST',
+        // The content type of the file is sent in the query so JSON files are not
+        // parsed by the API
+        headers: {
+          'content-type': 'application/octet-stream',
+        },
+        body: file,
+      },
+      {
+        handleHttpError: false,
+      },
+    );
+  },
+
+  renameFileStorageFile(fileStorageId, fileId, name) {
+    return request(
+      `file-storage/${fileStorageId}/file/${fileId}`,
+      {
+        method: 'PUT',
+        data: {
+          name,
+        },
+      },
+      {
+        handleHttpError: false,
+      },
+    );
+  },
+
+  deleteFileStorageFile(fileStorageId, fileId) {
+    return request(
+      `file-storage/${fileStorageId}/file/${fileId}`,
+      {
+        method: 'DELETE',
+      },
+      {
+        handleHttpError: false,
+      },
+    );
+  },
+  fetchWebhookSubscriptions(siteId) {
+    return request(
+      `site/${siteId}/webhook-subscription`,
+      {},
+      {
+        handleHttpError: false,
+      },
+    );
+  },
+
+  createWebhookSubscription(siteId, { url, events }) {
+    return request(
+      `site/${siteId}/webhook-subscription`,
+      {
+        method: 'POST',
+        data: {
+          url,
+          events,
+        },
+      },
+      {
+        handleHttpError: false,
+      },
+    );
+  },
+
+  updateWebhookSubscription(id, params) {
+    return request(
+      `webhook-subscription/${id}`,
+      {
+        method: 'PUT',
+        data: params,
+      },
+      {
+        handleHttpError: false,
+      },
+    );
+  },
+
+  deleteWebhookSubscription(id) {
+    return request(
+      `webhook-subscription/${id}`,
+      {
+        method: 'DELETE',
+      },
+      {
+        handleHttpError: false,
+      },
+    );
+  },
+
+  fetchWebhookDeliveries(id) {
+    return request(
+      `webhook-subscription/${id}/delivery`,
+      {},
+      {
+        handleHttpError: false,
+      },
+    );
+  },
 };
@@ -65,7 +65,8 @@ function fetchWrapper(url, configs = {}) {
       baseConfigs,
       {},
       {
-        body: JSON.stringify(configs.data),
+        // A raw body, like a file to upload, is sent as is
+        body: configs.body ?? JSON.stringify(configs.data),
       },
     );
   } else {
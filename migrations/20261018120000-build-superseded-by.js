@@ -0,0 +1,22 @@
+const TABLE = 'build';
+const COLUMN_NAME = 'supersededBy';
+const COLUMN_TYPE = {
+  type: 'int',
+  foreignKey: {
+    name: 'build_superseded_by_build_id_fk',
+    table: 'build',
+    rules: {
+      onDelete: 'SET NULL',
+      onUpdate: 'RESTRICT',
+    },
+    mapping: 'id',
+  },
+};
+
+exports.up = async (db) => {
+  await db.addColumn(TABLE, COLUMN_NAME, COLUMN_TYPE);
+};
+
+exports.down = async (db) => {
+  await db.removeColumn(TABLE, COLUMN_NAME);
+};
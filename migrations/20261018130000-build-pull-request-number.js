@@ -0,0 +1,13 @@
+const TABLE = 'build';
+const COLUMN_NAME = 'pullRequestNumber';
+const COLUMN_TYPE = {
+  type: 'int',
+};
+
+exports.up = async (db) => {
+  await db.addColumn(TABLE, COLUMN_NAME, COLUMN_TYPE);
+};
+
+exports.down = async (db) => {
+  await db.removeColumn(TABLE, COLUMN_NAME);
+};
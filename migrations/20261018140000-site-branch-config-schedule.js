@@ -0,0 +1,19 @@
+const TABLE = 'site_branch_config';
+
+// The former nightly builds sweep ran every day at 05:00 UTC
+const NIGHTLY_SCHEDULE = '0 5 * * *';
+
+exports.up = async (db) => {
+  await db.addColumn(TABLE, 'schedule', { type: 'string' });
+  await db.addColumn(TABLE, 'scheduleTimezone', { type: 'string' });
+  await db.runSql(`
+    UPDATE "${TABLE}"
+    SET "schedule" = '${NIGHTLY_SCHEDULE}', "scheduleTimezone" = 'UTC'
+    WHERE "config"->>'schedule' = 'nightly'
+  `);
+};
+
+exports.down = async (db) => {
+  await db.removeColumn(TABLE, 'scheduleTimezone');
+  await db.removeColumn(TABLE, 'schedule');
+};
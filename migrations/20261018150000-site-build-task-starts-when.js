@@ -0,0 +1,14 @@
+const TABLE = 'site_build_task';
+const COLUMN_NAME = 'startsWhen';
+const COLUMN_TYPE = {
+  type: 'string',
+  allowNull: true,
+};
+
+exports.up = async (db) => {
+  await db.addColumn(TABLE, COLUMN_NAME, COLUMN_TYPE);
+};
+
+exports.down = async (db) => {
+  await db.removeColumn(TABLE, COLUMN_NAME);
+};
@@ -0,0 +1,78 @@
+const TABLE_NAME = 'api_token';
+const TABLE_INDEX_NAME = 'api_token_unique_token_hash_index';
+const TABLE_SCHEMA = {
+  id: {
+    type: 'int',
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  name: {
+    type: 'string',
+    notNull: true,
+  },
+  tokenHash: {
+    type: 'string',
+    notNull: true,
+  },
+  tokenPrefix: {
+    type: 'string',
+    notNull: true,
+  },
+  scopes: {
+    type: 'jsonb',
+    notNull: true,
+  },
+  userId: {
+    type: 'int',
+    notNull: true,
+    foreignKey: {
+      name: 'api_token_user_id_fk',
+      table: 'user',
+      rules: {
+        onDelete: 'CASCADE',
+        onUpdate: 'RESTRICT',
+      },
+      mapping: 'id',
+    },
+  },
+  organizationId: {
+    type: 'int',
+    allowNull: true,
+    foreignKey: {
+      name: 'api_token_organization_id_fk',
+      table: 'organization',
+      rules: {
+        onDelete: 'CASCADE',
+        onUpdate: 'RESTRICT',
+      },
+      mapping: 'id',
+    },
+  },
+  expiresAt: {
+    type: 'timestamp',
+    notNull: true,
+  },
+  lastUsedAt: {
+    type: 'timestamp',
+    allowNull: true,
+  },
+  createdAt: {
+    type: 'timestamp',
+    notNull: true,
+  },
+  updatedAt: {
+    type: 'timestamp',
+    notNull: true,
+  },
+  deletedAt: {
+    type: 'timestamp',
+    allowNull: true,
+  },
+};
+
+exports.up = async (db) => {
+  await db.createTable(TABLE_NAME, TABLE_SCHEMA);
+  await db.addIndex(TABLE_NAME, TABLE_INDEX_NAME, ['tokenHash'], true);
+};
+
+exports.down = (db) => db.dropTable(TABLE_NAME);
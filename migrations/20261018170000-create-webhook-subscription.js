@@ -0,0 +1,142 @@
+const SUBSCRIPTION_TABLE = 'webhook_subscription';
+const DELIVERY_TABLE = 'webhook_delivery';
+const DELIVERY_INDEX_NAME = 'webhook_delivery_subscription_created_at_index';
+
+const SUBSCRIPTION_SCHEMA = {
+  id: {
+    type: 'int',
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  siteId: {
+    type: 'int',
+    allowNull: true,
+    foreignKey: {
+      name: 'webhook_subscription_site_id_fk',
+      table: 'site',
+      rules: {
+        onDelete: 'CASCADE',
+        onUpdate: 'RESTRICT',
+      },
+      mapping: 'id',
+    },
+  },
+  organizationId: {
+    type: 'int',
+    allowNull: true,
+    foreignKey: {
+      name: 'webhook_subscription_organization_id_fk',
+      table: 'organization',
+      rules: {
+        onDelete: 'CASCADE',
+        onUpdate: 'RESTRICT',
+      },
+      mapping: 'id',
+    },
+  },
+  url: {
+    type: 'string',
+    notNull: true,
+  },
+  events: {
+    type: 'jsonb',
+    notNull: true,
+  },
+  secretCiphertext: {
+    type: 'string',
+    notNull: true,
+  },
+  secretHint: {
+    type: 'string',
+    notNull: true,
+  },
+  active: {
+    type: 'boolean',
+    notNull: true,
+    defaultValue: true,
+  },
+  createdAt: {
+    type: 'timestamp',
+    notNull: true,
+  },
+  updatedAt: {
+    type: 'timestamp',
+    notNull: true,
+  },
+  deletedAt: {
+    type: 'timestamp',
+    allowNull: true,
+  },
+};
+
+const DELIVERY_SCHEMA = {
+  id: {
+    type: 'int',
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  webhookSubscriptionId: {
+    type: 'int',
+    notNull: true,
+    foreignKey: {
+      name: 'webhook_delivery_webhook_subscription_id_fk',
+      table: SUBSCRIPTION_TABLE,
+      rules: {
+        onDelete: 'CASCADE',
+        onUpdate: 'RESTRICT',
+      },
+      mapping: 'id',
+    },
+  },
+  event: {
+    type: 'string',
+    notNull: true,
+  },
+  payload: {
+    type: 'jsonb',
+    notNull: true,
+  },
+  status: {
+    type: 'string',
+    notNull: true,
+  },
+  attempts: {
+    type: 'int',
+    notNull: true,
+    defaultValue: 0,
+  },
+  responseStatus: {
+    type: 'int',
+    allowNull: true,
+  },
+  error: {
+    type: 'text',
+    allowNull: true,
+  },
+  deliveredAt: {
+    type: 'timestamp',
+    allowNull: true,
+  },
+  createdAt: {
+    type: 'timestamp',
+    notNull: true,
+  },
+  updatedAt: {
+    type: 'timestamp',
+    notNull: true,
+  },
+};
+
+exports.up = async (db) => {
+  await db.createTable(SUBSCRIPTION_TABLE, SUBSCRIPTION_SCHEMA);
+  await db.createTable(DELIVERY_TABLE, DELIVERY_SCHEMA);
+  await db.addIndex(DELIVERY_TABLE, DELIVERY_INDEX_NAME, [
+    'webhookSubscriptionId',
+    'createdAt',
+  ]);
+};
+
+exports.down = async (db) => {
+  await db.dropTable(DELIVERY_TABLE);
+  await db.dropTable(SUBSCRIPTION_TABLE);
+};
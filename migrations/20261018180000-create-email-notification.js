@@ -0,0 +1,62 @@
+const TABLE_NAME = 'email_notification';
+const TABLE_INDEX_NAME = 'email_notification_user_id_sent_at_index';
+const TABLE_SCHEMA = {
+  id: {
+    type: 'int',
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  userId: {
+    type: 'int',
+    notNull: true,
+    foreignKey: {
+      name: 'email_notification_user_id_fk',
+      table: 'user',
+      rules: {
+        onDelete: 'CASCADE',
+        onUpdate: 'RESTRICT',
+      },
+      mapping: 'id',
+    },
+  },
+  siteId: {
+    type: 'int',
+    notNull: true,
+    foreignKey: {
+      name: 'email_notification_site_id_fk',
+      table: 'site',
+      rules: {
+        onDelete: 'CASCADE',
+        onUpdate: 'RESTRICT',
+      },
+      mapping: 'id',
+    },
+  },
+  event: {
+    type: 'string',
+    notNull: true,
+  },
+  data: {
+    type: 'jsonb',
+    notNull: true,
+  },
+  sentAt: {
+    type: 'timestamp',
+    allowNull: true,
+  },
+  createdAt: {
+    type: 'timestamp',
+    notNull: true,
+  },
+  updatedAt: {
+    type: 'timestamp',
+    notNull: true,
+  },
+};
+
+exports.up = async (db) => {
+  await db.createTable(TABLE_NAME, TABLE_SCHEMA);
+  await db.addIndex(TABLE_NAME, TABLE_INDEX_NAME, ['userId', 'sentAt']);
+};
+
+exports.down = (db) => db.dropTable(TABLE_NAME);
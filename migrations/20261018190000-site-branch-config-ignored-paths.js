@@ -0,0 +1,13 @@
+const TABLE = 'site_branch_config';
+
+exports.up = async (db) => {
+  await db.addColumn(TABLE, 'ignoredPaths', {
+    type: 'jsonb',
+    notNull: true,
+    defaultValue: '[]',
+  });
+};
+
+exports.down = async (db) => {
+  await db.removeColumn(TABLE, 'ignoredPaths');
+};
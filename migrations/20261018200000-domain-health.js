@@ -0,0 +1,25 @@
+const TABLE = 'domain';
+
+exports.up = async (db) => {
+  await db.addColumn(TABLE, 'healthState', {
+    type: 'string',
+  });
+  await db.addColumn(TABLE, 'healthIssues', {
+    type: 'jsonb',
+    notNull: true,
+    defaultValue: '[]',
+  });
+  await db.addColumn(TABLE, 'certificateExpiresAt', {
+    type: 'timestamp',
+  });
+  await db.addColumn(TABLE, 'healthCheckedAt', {
+    type: 'timestamp',
+  });
+};
+
+exports.down = async (db) => {
+  await db.removeColumn(TABLE, 'healthCheckedAt');
+  await db.removeColumn(TABLE, 'certificateExpiresAt');
+  await db.removeColumn(TABLE, 'healthIssues');
+  await db.removeColumn(TABLE, 'healthState');
+};
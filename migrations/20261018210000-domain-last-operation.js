@@ -0,0 +1,8 @@
+const TABLE = 'domain';
+
+exports.up = (db) =>
+  db.addColumn(TABLE, 'lastOperationDescription', {
+    type: 'text',
+  });
+
+exports.down = (db) => db.removeColumn(TABLE, 'lastOperationDescription');
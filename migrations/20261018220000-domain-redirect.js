@@ -0,0 +1,21 @@
+const TABLE = 'domain';
+
+// Redirect domains have no site branch config
+exports.up = async (db) => {
+  await db.addColumn(TABLE, 'type', {
+    type: 'string',
+    notNull: true,
+    defaultValue: 'site',
+  });
+  await db.addColumn(TABLE, 'redirectUrl', { type: 'string' });
+  await db.addColumn(TABLE, 'redirectStatus', { type: 'int' });
+  await db.runSql(`ALTER TABLE ${TABLE} ALTER COLUMN "siteBranchConfigId" DROP NOT NULL`);
+};
+
+exports.down = async (db) => {
+  await db.runSql(`DELETE FROM ${TABLE} WHERE type = 'redirect'`);
+  await db.runSql(`ALTER TABLE ${TABLE} ALTER COLUMN "siteBranchConfigId" SET NOT NULL`);
+  await db.removeColumn(TABLE, 'redirectStatus');
+  await db.removeColumn(TABLE, 'redirectUrl');
+  await db.removeColumn(TABLE, 'type');
+};
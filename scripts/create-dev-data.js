@@ -889,6 +889,13 @@ async function createData() {
       names: 'demo.example.gov',
       siteId: nodeSite.id,
     }),
+    Domain.create({
+      type: 'redirect',
+      names: 'example.gov',
+      siteId: nodeSite.id,
+      redirectUrl: 'https://www.example.gov',
+      redirectStatus: 301,
+    }),
     Domain.create({
       siteBranchConfigId: nodeSite.SiteBranchConfigs[1].id,
       names: 'foo.example.gov,www.example.gov',
@@ -0,0 +1,38 @@
+/* eslint-disable no-console */
+const PromisePool = require('@supercharge/promise-pool');
+const { Op } = require('sequelize');
+const { Site } = require('../api/models');
+const GithubBuildHelper = require('../api/services/GithubBuildHelper');
+
+// Creates the missing webhook of every site or subscribes its existing webhook
+// to the events it is missing, like the pull request events of previews
+async function updateSiteWebhooks() {
+  const sites = await Site.findAll({
+    where: {
+      organizationId: { [Op.ne]: null },
+    },
+  });
+
+  const { errors } = await PromisePool.withConcurrency(5)
+    .for(sites)
+    .process(async (site) => {
+      const users = await site.getOrgUsers();
+      return GithubBuildHelper.createSiteWebhook(site, users);
+    });
+
+  if (errors.length === 0) {
+    console.log(`Updated the webhooks of ${sites.length} sites.`);
+    return;
+  }
+
+  errors.forEach(({ item, message }) => console.error(`${item.id}: ${message}`));
+
+  throw new Error('Update Site Webhooks completed with errors, see above for details.');
+}
+
+updateSiteWebhooks()
+  .then(() => process.exit(0))
+  .catch((err) => {
+    console.error(err);
+    process.exit(1);
+  });
@@ -2,6 +2,7 @@ const { Readable } = require('stream');
 const { sdkStreamMixin } = require('@smithy/util-stream');
 const request = require('supertest');
 const { expect } = require('chai');
+const sinon = require('sinon');
 
 const { S3Client, GetObjectCommand } = require('@aws-sdk/client-s3');
 const { mockClient } = require('aws-sdk-client-mock');
@@ -11,6 +12,7 @@ const factory = require('../../support/factory');
 const csrfToken = require('../../support/csrfToken');
 const config = require('../../../../config');
 const { Site, User, BuildLog } = require('../../../../api/models');
+const BuildPublisher = require('../../../../api/services/BuildPublisher');
 const sessionConfig = require('../../../../api/admin/sessionConfig');
 const app = require('../../../../api/admin');
 
@@ -135,6 +137,33 @@ describe('Admin - Site API', () => {
     });
   });
 
+  describe('POST /admin/builds/:id/promote', () => {
+    itShouldRequireAdminAuthentication(
+      '/builds/1/promote',
+      '/build/{id}/promote',
+      'post',
+    );
+
+    afterEach(() => sinon.restore());
+
+    it('promotes a successful build', async () => {
+      const promoteStub = sinon.stub(BuildPublisher, 'promoteBuild').resolvesArg(0);
+      const user = await factory.user();
+      const build = await factory.build({ state: 'success' });
+      const cookie = await authenticatedAdminOrSupportSession(user, sessionConfig);
+
+      const response = await request(app)
+        .post(`/builds/${build.id}/promote`)
+        .set('Cookie', cookie)
+        .set('Origin', config.app.adminHostname)
+        .set('x-csrf-token', csrfToken.getToken())
+        .expect(200);
+
+      expect(response.body.id).to.equal(build.id);
+      sinon.assert.calledOnceWithMatch(promoteStub, { id: build.id }, { id: user.id });
+    });
+  });
+
   describe('POST /builds', () => {
     describe('rebuild', () => {
       it('rebuilds a specified build', async () => {
@@ -56,6 +56,10 @@ describe('Admin - Domains API', () => {
         method: 'post',
         path: '/domains/:id/deprovision',
       },
+      {
+        method: 'post',
+        path: '/domains/:id/reset',
+      },
       {
         method: 'post',
         path: '/domains/:id/provision',
@@ -343,4 +347,43 @@ describe('Admin - Domains API', () => {
       expect(body.serviceName).to.equal(`${name1}-ext`);
     });
   });
+
+  describe('POST /domains/:id/reset', () => {
+    it('resets a domain which failed to deprovision', async () => {
+      const user = await factory.user();
+      const domain = await factory.domain.create({
+        state: Domain.States.Deprovision_failed,
+        lastOperationDescription: 'The CDN distribution could not be deleted',
+      });
+
+      const cookie = await authenticatedAdminOrSupportSession(user, sessionConfig);
+      const { body } = await request(app)
+        .post(`/domains/${domain.id}/reset`)
+        .set('Cookie', cookie)
+        .set('Origin', config.app.adminHostname)
+        .set('x-csrf-token', csrfToken.getToken())
+        .expect(200);
+
+      expect(body.domain.state).to.equal(Domain.States.Pending);
+      expect(body.domain.lastOperationDescription).to.be.null;
+    });
+
+    it('returns 422 for a domain which did not fail', async () => {
+      const user = await factory.user();
+      const domain = await factory.domain.create({
+        state: Domain.States.Provisioned,
+      });
+
+      const cookie = await authenticatedAdminOrSupportSession(user, sessionConfig);
+      await request(app)
+        .post(`/domains/${domain.id}/reset`)
+        .set('Cookie', cookie)
+        .set('Origin', config.app.adminHostname)
+        .set('x-csrf-token', csrfToken.getToken())
+        .expect(422);
+
+      await domain.reload();
+      expect(domain.state).to.equal(Domain.States.Provisioned);
+    });
+  });
 });
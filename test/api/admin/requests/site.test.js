@@ -10,6 +10,7 @@ const csrfToken = require('../../support/csrfToken');
 const config = require('../../../../config');
 const { Site, User } = require('../../../../api/models');
 const S3SiteRemover = require('../../../../api/services/S3SiteRemover');
+const StalePreviewCleaner = require('../../../../api/services/StalePreviewCleaner');
 const sessionConfig = require('../../../../api/admin/sessionConfig');
 const app = require('../../../../api/admin');
 
@@ -246,4 +247,69 @@ describe('Admin - Site API', () => {
       });
     });
   });
+
+  describe('GET /admin/sites/:id/stale-previews', () => {
+    afterEach(() => restore());
+
+    it('returns a dry run report of the stale previews', async () => {
+      const previews = [{ branch: 'old', reason: 'expired', lastBuiltAt: null }];
+      const cleanStub = stub(StalePreviewCleaner, 'cleanStalePreviews').resolves(
+        previews,
+      );
+      const [user, site] = await Promise.all([factory.user(), factory.site()]);
+
+      const cookie = await authenticatedAdminOrSupportSession(user, sessionConfig);
+      const { body } = await request(app)
+        .get(`/sites/${site.id}/stale-previews`)
+        .set('Cookie', cookie)
+        .set('Origin', config.app.adminHostname)
+        .expect(200);
+
+      expect(body.previews).to.deep.equal(previews);
+      expect(body.previewRetentionDays).to.equal(site.previewRetentionDays);
+      expect(cleanStub.firstCall.args[1]).to.deep.equal({ dryRun: true });
+    });
+  });
+
+  describe('DELETE /admin/sites/:id/stale-previews', () => {
+    afterEach(() => restore());
+
+    it('removes the stale previews', async () => {
+      const previews = [{ branch: 'old', reason: 'expired', lastBuiltAt: null }];
+      const cleanStub = stub(StalePreviewCleaner, 'cleanStalePreviews').resolves(
+        previews,
+      );
+      const [user, site] = await Promise.all([factory.user(), factory.site()]);
+
+      const cookie = await authenticatedAdminOrSupportSession(user, sessionConfig);
+      const { body } = await request(app)
+        .delete(`/sites/${site.id}/stale-previews`)
+        .set('Cookie', cookie)
+        .set('Origin', config.app.adminHostname)
+        .set('x-csrf-token', csrfToken.getToken())
+        .expect(200);
+
+      expect(body.previews).to.deep.equal(previews);
+      expect(cleanStub.firstCall.args).to.have.length(1);
+    });
+
+    it('fails for support role', async () => {
+      const cleanStub = stub(StalePreviewCleaner, 'cleanStalePreviews').resolves([]);
+      const [user, site] = await Promise.all([factory.user(), factory.site()]);
+
+      const cookie = await authenticatedAdminOrSupportSession(
+        user,
+        sessionConfig,
+        'pages.support',
+      );
+      await request(app)
+        .delete(`/sites/${site.id}/stale-previews`)
+        .set('Cookie', cookie)
+        .set('Origin', config.app.adminHostname)
+        .set('x-csrf-token', csrfToken.getToken())
+        .expect(403);
+
+      expect(cleanStub.notCalled).to.be.true;
+    });
+  });
 });
@@ -0,0 +1,330 @@
+const { expect } = require('chai');
+const request = require('supertest');
+const sinon = require('sinon');
+const app = require('../../../app');
+const factory = require('../support/factory');
+const csrfToken = require('../support/csrfToken');
+const { authenticatedSession } = require('../support/session');
+const validateAgainstJSONSchema = require('../support/validateAgainstJSONSchema');
+const { createSiteUserOrg } = require('../support/site-user');
+const {
+  ApiToken,
+  Build,
+  Organization,
+  OrganizationRole,
+  User,
+} = require('../../../api/models');
+const ApiTokens = require('../../../api/services/ApiTokens');
+const BuildCanceler = require('../../../api/services/BuildCanceler');
+const EventCreator = require('../../../api/services/EventCreator');
+
+function clean() {
+  return Promise.all([
+    ApiToken.truncate({
+      force: true,
+    }),
+    Organization.truncate({
+      force: true,
+      cascade: true,
+    }),
+    OrganizationRole.truncate({
+      force: true,
+      cascade: true,
+    }),
+    User.truncate({
+      force: true,
+      cascade: true,
+    }),
+  ]);
+}
+
+describe('API Token API', () => {
+  before(clean);
+
+  beforeEach(() => {
+    sinon.stub(EventCreator, 'audit').resolves();
+  });
+
+  afterEach(async () => {
+    sinon.restore();
+    await clean();
+  });
+
+  describe('POST /v0/me/api-token', () => {
+    it('creates a token and returns it once', async () => {
+      const user = await factory.user();
+      const cookie = await authenticatedSession(user);
+
+      const { body } = await request(app)
+        .post('/v0/me/api-token')
+        .set('Cookie', cookie)
+        .set('x-csrf-token', csrfToken.getToken())
+        .send({
+          name: 'ci',
+          scopes: ['builds:read'],
+          expiresInDays: 30,
+        })
+        .expect(200);
+
+      validateAgainstJSONSchema('POST', '/me/api-token', 200, body);
+      expect(body.token).to.match(/^pages_/);
+      expect(body.scopes).to.deep.equal(['builds:read']);
+
+      const { body: list } = await request(app)
+        .get('/v0/me/api-token')
+        .set('Cookie', cookie)
+        .expect(200);
+
+      validateAgainstJSONSchema('GET', '/me/api-token', 200, list);
+      expect(list).to.have.length(1);
+      expect(list[0]).to.not.have.property('token');
+    });
+
+    it('returns a 400 for unknown scopes', async () => {
+      const user = await factory.user();
+      const cookie = await authenticatedSession(user);
+
+      const { body } = await request(app)
+        .post('/v0/me/api-token')
+        .set('Cookie', cookie)
+        .set('x-csrf-token', csrfToken.getToken())
+        .send({
+          name: 'ci',
+          scopes: ['everything'],
+        })
+        .expect(400);
+
+      validateAgainstJSONSchema('POST', '/me/api-token', 400, body);
+    });
+  });
+
+  describe('DELETE /v0/me/api-token/:id', () => {
+    it('revokes a token', async () => {
+      const user = await factory.user();
+      const cookie = await authenticatedSession(user);
+      const { apiToken, token } = await ApiTokens.createToken(user, {
+        name: 'ci',
+        scopes: ['sites:read'],
+      });
+
+      const { body } = await request(app)
+        .delete(`/v0/me/api-token/${apiToken.id}`)
+        .set('Cookie', cookie)
+        .set('x-csrf-token', csrfToken.getToken())
+        .expect(200);
+
+      validateAgainstJSONSchema('DELETE', '/me/api-token/{id}', 200, body);
+
+      await request(app)
+        .get('/v0/site')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(401);
+    });
+
+    it('returns a 404 for the token of another user', async () => {
+      const [user, otherUser] = await Promise.all([factory.user(), factory.user()]);
+      const cookie = await authenticatedSession(user);
+      const { apiToken } = await ApiTokens.createToken(otherUser, {
+        name: 'ci',
+        scopes: ['sites:read'],
+      });
+
+      await request(app)
+        .delete(`/v0/me/api-token/${apiToken.id}`)
+        .set('Cookie', cookie)
+        .set('x-csrf-token', csrfToken.getToken())
+        .expect(404);
+    });
+  });
+
+  describe('authenticating with a token', () => {
+    it('accepts a token with the scope of the route', async () => {
+      const { site, user } = await createSiteUserOrg();
+      await factory.build({ site, user });
+      const { token } = await ApiTokens.createToken(user, {
+        name: 'ci',
+        scopes: ['builds:read'],
+      });
+
+      const { body } = await request(app)
+        .get(`/v0/site/${site.id}/build`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(body).to.have.length(1);
+      sinon.assert.calledWithMatch(
+        EventCreator.audit,
+        'api-token',
+        sinon.match({ id: user.id }),
+        'API Token Used',
+        sinon.match({ method: 'GET', path: `/v0/site/${site.id}/build` }),
+      );
+    });
+
+    it('does not require a CSRF token', async () => {
+      const { site, user } = await createSiteUserOrg();
+      const { token } = await ApiTokens.createToken(user, {
+        name: 'ci',
+        scopes: ['env:write'],
+      });
+
+      await request(app)
+        .post(`/v0/site/${site.id}/user-environment-variable`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          name: 'my-env-var',
+          value: 'secret1234',
+        })
+        .expect(200);
+    });
+
+    it('rejects a token without the scope of the route', async () => {
+      const { site, user } = await createSiteUserOrg();
+      const { token } = await ApiTokens.createToken(user, {
+        name: 'ci',
+        scopes: ['sites:read'],
+      });
+
+      const { body } = await request(app)
+        .get(`/v0/site/${site.id}/build`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(403);
+
+      expect(body.message).to.equal(
+        'The API token does not have the "builds:read" scope.',
+      );
+    });
+
+    it('rejects a token on the routes that do not accept tokens', async () => {
+      const user = await factory.user();
+      const { token } = await ApiTokens.createToken(user, {
+        name: 'ci',
+        scopes: ApiToken.Scopes,
+      });
+
+      await request(app)
+        .get('/v0/me')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(403);
+    });
+
+    it('rejects a token on the domain and organization routes', async () => {
+      const { site, user } = await createSiteUserOrg();
+      const domain = await factory.domain.create({ siteId: site.id });
+      const { token } = await ApiTokens.createToken(user, {
+        name: 'ci',
+        scopes: ApiToken.Scopes,
+      });
+
+      const { body } = await request(app)
+        .get(`/v0/site/${site.id}/domain/${domain.id}/dns-records`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(403);
+
+      expect(body.message).to.equal('This action is not available with an API token.');
+
+      await request(app)
+        .get('/v0/organization')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(403);
+    });
+
+    it('rejects an invalid token', async () => {
+      const { body } = await request(app)
+        .get('/v0/site')
+        .set('Authorization', 'Bearer pages_invalid')
+        .expect(401);
+
+      expect(body.message).to.equal('The API token is invalid, expired or revoked.');
+    });
+
+    it('limits an organization token to the sites of its organization', async () => {
+      const user = await factory.user();
+      const org = await factory.organization.create();
+      await org.addRoleUser(user, 'manager');
+      const site = await factory.site({ organizationId: org.id });
+      const { site: otherSite } = await createSiteUserOrg({ user });
+      const { token } = await ApiTokens.createToken(user, {
+        name: 'ci',
+        scopes: ['sites:read'],
+        organizationId: org.id,
+      });
+
+      await request(app)
+        .get(`/v0/site/${site.id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      await request(app)
+        .get(`/v0/site/${otherSite.id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(403);
+
+      const { body } = await request(app)
+        .get('/v0/site')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(body.map((s) => s.id)).to.deep.equal([site.id]);
+    });
+  });
+
+  describe('the routes of each scope', () => {
+    const scopeRequests = {
+      'sites:read': ({ site }) => request(app).get(`/v0/site/${site.id}`),
+      'builds:read': ({ build }) => request(app).get(`/v0/build/${build.id}`),
+      'builds:write': ({ build }) => request(app).post(`/v0/build/${build.id}/cancel`),
+      'env:read': ({ site }) =>
+        request(app).get(`/v0/site/${site.id}/user-environment-variable`),
+      'env:write': ({ site }) =>
+        request(app)
+          .post(`/v0/site/${site.id}/user-environment-variable`)
+          .send({ name: 'my-env-var', value: 'secret1234' }),
+    };
+
+    beforeEach(() => {
+      sinon
+        .stub(BuildCanceler, 'cancelBuild')
+        .callsFake((build) => build.update({ state: Build.States.Cancelled }));
+    });
+
+    ApiToken.Scopes.forEach((scope) => {
+      it(`accepts a token with the "${scope}" scope`, async () => {
+        const { site, user } = await createSiteUserOrg();
+        const build = await factory.build({
+          site,
+          user,
+          state: Build.States.Processing,
+        });
+        const { token } = await ApiTokens.createToken(user, {
+          name: 'ci',
+          scopes: [scope],
+        });
+
+        await scopeRequests[scope]({ site, build })
+          .set('Authorization', `Bearer ${token}`)
+          .expect(200);
+      });
+
+      it(`rejects a token without the "${scope}" scope`, async () => {
+        const { site, user } = await createSiteUserOrg();
+        const build = await factory.build({
+          site,
+          user,
+          state: Build.States.Processing,
+        });
+        const { token } = await ApiTokens.createToken(user, {
+          name: 'ci',
+          scopes: ApiToken.Scopes.filter((s) => s !== scope),
+        });
+
+        const { body } = await scopeRequests[scope]({ site, build })
+          .set('Authorization', `Bearer ${token}`)
+          .expect(403);
+
+        expect(body.message).to.equal(
+          `The API token does not have the "${scope}" scope.`,
+        );
+      });
+    });
+  });
+});
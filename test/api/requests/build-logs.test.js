@@ -251,4 +251,108 @@ describe('Build Log API', () => {
       }).timeout(5000);
     });
   });
+
+  describe('GET /v0/build/:build_id/log/search', () => {
+    let build;
+    let cookie;
+
+    beforeEach(async () => {
+      const { site, user } = await createSiteUserOrg();
+      cookie = await authenticatedSession(user);
+      build = await factory.build({ user, site });
+
+      await BuildLog.bulkCreate(
+        ['Cloning repository', 'npm ERR! missing script', 'Build failed: error'].map(
+          (output) => ({
+            output,
+            source: 'ALL',
+            build: build.id,
+          }),
+        ),
+      );
+    });
+
+    it('responds with the matching lines and their line numbers', async () => {
+      const { body } = await request(app)
+        .get(`/v0/build/${build.id}/log/search`)
+        .query({ q: 'ERR' })
+        .set('Cookie', cookie)
+        .expect(200);
+
+      validateAgainstJSONSchema('GET', '/build/{build_id}/log/search', 200, body);
+      expect(body).to.deep.equal({
+        build: build.id,
+        query: 'ERR',
+        matches: [
+          { line: 2, output: 'npm ERR! missing script' },
+          { line: 3, output: 'Build failed: error' },
+        ],
+        truncated: false,
+      });
+    });
+
+    it('matches special characters literally', async () => {
+      const { body } = await request(app)
+        .get(`/v0/build/${build.id}/log/search`)
+        .query({ q: '%' })
+        .set('Cookie', cookie)
+        .expect(200);
+
+      expect(body.matches).to.have.length(0);
+    });
+
+    it('requires a search query', async () => {
+      const { body } = await request(app)
+        .get(`/v0/build/${build.id}/log/search`)
+        .set('Cookie', cookie)
+        .expect(400);
+
+      validateAgainstJSONSchema('GET', '/build/{build_id}/log/search', 400, body);
+    });
+
+    it('responds with a 404 for a build of another organization', async () => {
+      const otherCookie = await authenticatedSession(await factory.user());
+
+      const { body } = await request(app)
+        .get(`/v0/build/${build.id}/log/search`)
+        .query({ q: 'ERR' })
+        .set('Cookie', otherCookie)
+        .expect(404);
+
+      validateAgainstJSONSchema('GET', '/build/{build_id}/log/search', 404, body);
+    });
+  });
+
+  describe('GET /v0/build/:build_id/log.txt', () => {
+    it('downloads the build logs as a text file', async () => {
+      const { site, user } = await createSiteUserOrg();
+      const cookie = await authenticatedSession(user);
+      const build = await factory.build({ user, site });
+      await factory.buildLog({ build, source: 'ALL', output: 'first line' });
+      await factory.buildLog({ build, source: 'ALL', output: 'second line' });
+
+      const response = await request(app)
+        .get(`/v0/build/${build.id}/log.txt`)
+        .set('Cookie', cookie)
+        .expect(200);
+
+      expect(response.headers['content-type']).to.match(/^text\/plain/);
+      expect(response.headers['content-disposition']).to.equal(
+        `attachment; filename="build-log-${build.id}.txt"`,
+      );
+      expect(response.text).to.equal('first line\nsecond line');
+    });
+
+    it('responds with a 404 for a build of another organization', async () => {
+      const build = await factory.build();
+      const cookie = await authenticatedSession(await factory.user());
+
+      const { body } = await request(app)
+        .get(`/v0/build/${build.id}/log.txt`)
+        .set('Cookie', cookie)
+        .expect(404);
+
+      validateAgainstJSONSchema('GET', '/build/{build_id}/log.txt', 404, body);
+    });
+  });
 });
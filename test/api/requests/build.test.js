@@ -5,12 +5,17 @@ const sinon = require('sinon');
 const app = require('../../../app');
 const QueueJobs = require('../../../api/queue-jobs');
 const GithubBuildHelper = require('../../../api/services/GithubBuildHelper');
+const BuildCanceler = require('../../../api/services/BuildCanceler');
+const BuildDiff = require('../../../api/services/BuildDiff');
+const BuildPublisher = require('../../../api/services/BuildPublisher');
 const EventCreator = require('../../../api/services/EventCreator');
 const factory = require('../support/factory');
 const githubAPINocks = require('../support/githubAPINocks');
 const { authenticatedSession, unauthenticatedSession } = require('../support/session');
 const validateAgainstJSONSchema = require('../support/validateAgainstJSONSchema');
 const { Build } = require('../../../api/models');
+const buildErrors = require('../../../api/responses/buildErrors');
+const { CustomError } = require('../../../api/utils/validators');
 const csrfToken = require('../support/csrfToken');
 const { createSiteUserOrg } = require('../support/site-user');
 
@@ -459,6 +464,222 @@ describe('Build API', () => {
     });
   });
 
+  describe('POST /v0/build/:id/cancel', () => {
+    const cancelRequest = (build, cookie, token = csrfToken.getToken()) =>
+      request(app)
+        .post(`/v0/build/${build.id}/cancel`)
+        .set('x-csrf-token', token)
+        .set('Cookie', cookie);
+
+    beforeEach(() => {
+      nock.cleanAll();
+    });
+
+    it('should require authentication', async () => {
+      const build = await factory.build();
+      const cookie = await unauthenticatedSession();
+      const response = await cancelRequest(build, cookie).expect(403);
+
+      validateAgainstJSONSchema('POST', '/build/{id}/cancel', 403, response.body);
+    });
+
+    it('should require a valid csrf token', async () => {
+      const { site, user } = await createSiteUserOrg();
+      const build = await factory.build({ site, user });
+      const cookie = await authenticatedSession(user);
+      const response = await cancelRequest(build, cookie, 'bad-token').expect(403);
+
+      validateAgainstJSONSchema('POST', '/build/{id}/cancel', 403, response.body);
+      expect(response.body.message).to.equal('Invalid CSRF token');
+    });
+
+    it('should 404 if the user is not associated with the site', async () => {
+      const user = await factory.user();
+      const build = await factory.build();
+      const cookie = await authenticatedSession(user);
+      const response = await cancelRequest(build, cookie).expect(404);
+
+      validateAgainstJSONSchema('POST', '/build/{id}/cancel', 404, response.body);
+    });
+
+    it('should 400 if the build has already completed', async () => {
+      const cancelStub = sinon.stub(BuildCanceler, 'cancelBuild');
+      const { site, user } = await createSiteUserOrg();
+      const build = await factory.build({
+        site,
+        user,
+        state: Build.States.Success,
+      });
+      const cookie = await authenticatedSession(user);
+      const response = await cancelRequest(build, cookie).expect(400);
+
+      validateAgainstJSONSchema('POST', '/build/{id}/cancel', 400, response.body);
+      sinon.assert.notCalled(cancelStub);
+    });
+
+    it('should 400 if the build completes before it is cancelled', async () => {
+      sinon
+        .stub(BuildCanceler, 'cancelBuild')
+        .rejects(new CustomError(buildErrors.BUILD_NOT_IN_PROGRESS));
+      const { site, user } = await createSiteUserOrg();
+      const build = await factory.build({
+        site,
+        user,
+        state: Build.States.Processing,
+      });
+      const cookie = await authenticatedSession(user);
+      const response = await cancelRequest(build, cookie).expect(400);
+
+      validateAgainstJSONSchema('POST', '/build/{id}/cancel', 400, response.body);
+      expect(response.body.message).to.equal(buildErrors.BUILD_NOT_IN_PROGRESS);
+    });
+
+    it('should cancel an in-flight build', async () => {
+      const cancelStub = sinon
+        .stub(BuildCanceler, 'cancelBuild')
+        .callsFake((build) => build.update({ state: Build.States.Cancelled }));
+      const { site, user } = await createSiteUserOrg();
+      const build = await factory.build({
+        site,
+        user,
+        state: Build.States.Processing,
+      });
+      const cookie = await authenticatedSession(user);
+      const response = await cancelRequest(build, cookie).expect(200);
+
+      validateAgainstJSONSchema('POST', '/build/{id}/cancel', 200, response.body);
+      expect(response.body.id).to.equal(build.id);
+      expect(response.body.state).to.equal(Build.States.Cancelled);
+      sinon.assert.calledOnce(cancelStub);
+      sinon.assert.calledWith(
+        EventCreator.audit,
+        sinon.match.any,
+        sinon.match.any,
+        'Build Cancelled',
+      );
+    });
+  });
+
+  describe('GET /v0/site/:site_id/build/:id/diff/:otherId', () => {
+    const diffPath = '/site/{site_id}/build/{id}/diff/{other_id}';
+
+    const diffRequest = (site, build, otherBuild, cookie) =>
+      request(app)
+        .get(`/v0/site/${site.id}/build/${build.id}/diff/${otherBuild.id}`)
+        .set('Cookie', cookie);
+
+    it('should 403 if the user is not associated with the site', async () => {
+      const user = await factory.user();
+      const build = await factory.build();
+      const site = await build.getSite();
+      const cookie = await authenticatedSession(user);
+      const response = await diffRequest(site, build, build, cookie).expect(403);
+
+      validateAgainstJSONSchema('GET', diffPath, 403, response.body);
+    });
+
+    it('should 404 if a build belongs to another site', async () => {
+      const { site, user } = await createSiteUserOrg();
+      const [build, otherBuild] = await Promise.all([
+        factory.build({ site, user }),
+        factory.build(),
+      ]);
+      const cookie = await authenticatedSession(user);
+      const response = await diffRequest(site, build, otherBuild, cookie).expect(404);
+
+      validateAgainstJSONSchema('GET', diffPath, 404, response.body);
+    });
+
+    it('should 400 if the builds cannot be compared', async () => {
+      const { site, user } = await createSiteUserOrg();
+      const [build, otherBuild] = await Promise.all([
+        factory.build({ site, user, state: Build.States.Success }),
+        factory.build({ site, user, state: Build.States.Error }),
+      ]);
+      const cookie = await authenticatedSession(user);
+      const response = await diffRequest(site, build, otherBuild, cookie).expect(400);
+
+      validateAgainstJSONSchema('GET', diffPath, 400, response.body);
+    });
+
+    it('should compare the published files of two builds', async () => {
+      const { site, user } = await createSiteUserOrg();
+      const [build, otherBuild] = await Promise.all([
+        factory.build({ site, user, state: Build.States.Success }),
+        factory.build({ site, user, state: Build.States.Success }),
+      ]);
+      sinon.stub(BuildDiff, 'diffBuilds').resolves({
+        buildId: build.id,
+        otherBuildId: otherBuild.id,
+        branch: build.branch,
+        added: [{ name: 'new.html', size: 5 }],
+        removed: [],
+        changed: [{ name: 'index.html', size: 10, previousSize: 8 }],
+        unchanged: 3,
+      });
+      const cookie = await authenticatedSession(user);
+      const response = await diffRequest(site, build, otherBuild, cookie).expect(200);
+
+      validateAgainstJSONSchema('GET', diffPath, 200, response.body);
+      expect(response.body.added).to.have.length(1);
+    });
+  });
+
+  describe('POST /v0/build/:id/promote', () => {
+    const promoteRequest = (build, cookie, token = csrfToken.getToken()) =>
+      request(app)
+        .post(`/v0/build/${build.id}/promote`)
+        .set('x-csrf-token', token)
+        .set('Cookie', cookie);
+
+    it('should require authentication', async () => {
+      const build = await factory.build();
+      const cookie = await unauthenticatedSession();
+      const response = await promoteRequest(build, cookie).expect(403);
+
+      validateAgainstJSONSchema('POST', '/build/{id}/promote', 403, response.body);
+    });
+
+    it('should 404 if the user is not associated with the site', async () => {
+      const user = await factory.user();
+      const build = await factory.build();
+      const cookie = await authenticatedSession(user);
+      const response = await promoteRequest(build, cookie).expect(404);
+
+      validateAgainstJSONSchema('POST', '/build/{id}/promote', 404, response.body);
+    });
+
+    it('should 400 if the build did not succeed', async () => {
+      const { site, user } = await createSiteUserOrg();
+      const build = await factory.build({
+        site,
+        user,
+        state: Build.States.Error,
+      });
+      const cookie = await authenticatedSession(user);
+      const response = await promoteRequest(build, cookie).expect(400);
+
+      validateAgainstJSONSchema('POST', '/build/{id}/promote', 400, response.body);
+      expect(response.body.message).to.equal('Only successful builds can be promoted.');
+    });
+
+    it('should promote a successful build', async () => {
+      const promoteStub = sinon.stub(BuildPublisher, 'promoteBuild').resolvesArg(0);
+      const { site, user } = await createSiteUserOrg();
+      const build = await factory.build({
+        site,
+        user,
+        state: Build.States.Success,
+      });
+      const cookie = await authenticatedSession(user);
+      const response = await promoteRequest(build, cookie).expect(200);
+
+      validateAgainstJSONSchema('POST', '/build/{id}/promote', 200, response.body);
+      expect(response.body.id).to.equal(build.id);
+      sinon.assert.calledOnceWithMatch(promoteStub, { id: build.id }, { id: user.id });
+    });
+  });
+
   describe('POST /v0/build/:id/status/:token', () => {
     const encode64 = (str) => Buffer.from(str, 'utf8').toString('base64');
 
@@ -475,8 +696,64 @@ describe('Build API', () => {
         });
     };
 
+    let publishStub;
+    let queuePublishStub;
+    let removeStub;
+
     beforeEach(() => {
       nock.cleanAll();
+      publishStub = sinon.stub(BuildPublisher, 'publishBuild').resolvesArg(0);
+      queuePublishStub = sinon.stub(QueueJobs.prototype, 'publishBuild').resolves();
+      removeStub = sinon.stub(QueueJobs.prototype, 'removeBuildOutput').resolves();
+    });
+
+    it('should queue the publish of a successful build', async () => {
+      const build = await factory.build({ state: Build.States.Processing });
+
+      await postBuildStatus({
+        build,
+        status: Build.States.Success,
+        message: '',
+      }).expect(200);
+
+      await build.reload();
+      expect(build.state).to.equal(Build.States.Processing);
+      sinon.assert.calledOnceWithMatch(
+        queuePublishStub,
+        { id: build.id },
+        { status: Build.States.Success },
+      );
+      sinon.assert.notCalled(publishStub);
+      sinon.assert.notCalled(removeStub);
+    });
+
+    it('should remove the output of a failed build', async () => {
+      const build = await factory.build({ state: Build.States.Processing });
+
+      await postBuildStatus({
+        build,
+        status: Build.States.Error,
+        message: 'failed',
+      }).expect(200);
+
+      sinon.assert.notCalled(publishStub);
+      sinon.assert.calledOnceWithMatch(removeStub, { id: build.id });
+    });
+
+    it('should error a build whose publish cannot be queued', async () => {
+      queuePublishStub.rejects(new Error('connection lost'));
+      const build = await factory.build({ state: Build.States.Processing });
+
+      await postBuildStatus({
+        build,
+        status: Build.States.Success,
+        message: '',
+      }).expect(200);
+
+      await build.reload();
+      expect(build.state).to.equal(Build.States.Error);
+      expect(build.error).to.equal('Unable to publish the build: connection lost');
+      sinon.assert.calledOnceWithMatch(removeStub, { id: build.id });
     });
 
     it("should report the build's status back to github", async () => {
@@ -514,50 +791,40 @@ describe('Build API', () => {
       expect(fetchContentStub.notCalled).to.be.true;
     });
 
-    it("should report the build's success status back to github", async () => {
-      const statusNock = githubAPINocks.status({
-        state: 'success',
-        commitSha: clonedCommitSha,
-      });
-
+    it('should not update a cancelled build', async () => {
       const { site, user } = await createSiteUserOrg();
       const build = await factory.build({
         requestedCommitSha,
-        clonedCommitSha,
         site,
         user,
+        state: Build.States.Cancelled,
       });
 
-      githubAPINocks.repo({
-        accessToken: user.githubAccessToken,
-        owner: site.owner,
-        repo: site.repository,
-        username: user.username,
-      });
       await postBuildStatus({
         build,
         status: Build.States.Success,
         message: '',
-        commitSha: clonedCommitSha,
-      });
+        commitSha: requestedCommitSha,
+      }).expect(200);
 
       await build.reload();
-      expect(build.state).to.equal(Build.States.Success);
-      expect(statusNock.isDone()).to.be.true;
+      expect(build.state).to.equal(Build.States.Cancelled);
     });
 
-    it(`should report the build's success status
-        back to github w/o build settings file`, async () => {
+    it(`should report a pending status back to github
+        while a successful build is published`, async () => {
       const statusNock = githubAPINocks.status({
-        state: 'success',
+        state: 'pending',
         commitSha: clonedCommitSha,
       });
+
       const { site, user } = await createSiteUserOrg();
       const build = await factory.build({
         requestedCommitSha,
         clonedCommitSha,
         site,
         user,
+        state: Build.States.Processing,
       });
 
       githubAPINocks.repo({
@@ -574,7 +841,7 @@ describe('Build API', () => {
       });
 
       await build.reload();
-      expect(build.state).to.equal(Build.States.Success);
+      expect(build.state).to.equal(Build.States.Processing);
       expect(statusNock.isDone()).to.be.true;
     });
 
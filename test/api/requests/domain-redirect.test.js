@@ -0,0 +1,80 @@
+const request = require('supertest');
+const factory = require('../support/factory');
+const app = require('../../../app');
+const { Domain, Site, SiteBranchConfig } = require('../../../api/models');
+
+function clean() {
+  return Promise.all([
+    SiteBranchConfig.truncate({
+      force: true,
+      cascade: true,
+    }),
+    Site.truncate({
+      force: true,
+      cascade: true,
+    }),
+    Domain.truncate({
+      force: true,
+      cascade: true,
+    }),
+  ]);
+}
+
+function createRedirectDomain(params = {}) {
+  return factory.domain.create({
+    names: 'agency.gov',
+    type: Domain.Types.Redirect,
+    redirectUrl: 'https://www.agency.gov',
+    redirectStatus: 301,
+    state: Domain.States.Provisioned,
+    ...params,
+  });
+}
+
+describe('Domain redirects', () => {
+  before(clean);
+  afterEach(clean);
+
+  describe('GET /domain-redirect/:id', () => {
+    it('redirects to the redirect URL', async () => {
+      const domain = await createRedirectDomain();
+
+      await request(app)
+        .get(`/domain-redirect/${domain.id}`)
+        .expect(301)
+        .expect('Location', 'https://www.agency.gov/');
+    });
+
+    it('keeps the path and query of the request', async () => {
+      const domain = await createRedirectDomain({
+        redirectUrl: 'https://www.agency.gov/program',
+        redirectStatus: 308,
+      });
+
+      await request(app)
+        .get(`/domain-redirect/${domain.id}/about/team/?page=2`)
+        .expect(308)
+        .expect('Location', 'https://www.agency.gov/program/about/team/?page=2');
+    });
+
+    it('returns a 404 for a site domain', async () => {
+      const domain = await factory.domain.create({
+        state: Domain.States.Provisioned,
+      });
+
+      await request(app).get(`/domain-redirect/${domain.id}`).expect(404);
+    });
+
+    it('returns a 404 for a pending redirect domain', async () => {
+      const domain = await createRedirectDomain({
+        state: Domain.States.Pending,
+      });
+
+      await request(app).get(`/domain-redirect/${domain.id}/about`).expect(404);
+    });
+
+    it('returns a 404 for an invalid id', async () => {
+      await request(app).get('/domain-redirect/agency.gov').expect(404);
+    });
+  });
+});
@@ -7,9 +7,24 @@ const { authenticatedSession } = require('../support/session');
 const validateAgainstJSONSchema = require('../support/validateAgainstJSONSchema');
 const app = require('../../../app');
 const { Domain, Site, SiteBranchConfig } = require('../../../api/models');
+const { DomainQueue } = require('../../../api/queues');
+const DnsService = require('../../../api/services/Dns');
 const EventCreator = require('../../../api/services/EventCreator');
+const CloudFoundryAPIClient = require('../../../api/utils/cfApiClient');
 const { createSiteUserOrg } = require('../support/site-user');
 
+async function createSiteManagerDomain() {
+  const [user, org] = await Promise.all([factory.user(), factory.organization.create()]);
+  await org.addRoleUser(user, 'manager');
+  const site = await factory.site({ organizationId: org.id });
+  const domain = await factory.domain.create({
+    siteId: site.id,
+    names: 'www.agency.gov',
+  });
+
+  return { domain, site, user };
+}
+
 function clean() {
   return Promise.all([
     SiteBranchConfig.truncate({
@@ -396,6 +411,70 @@ describe('Domain API', () => {
         expect(afterCount).to.eq(beforeCount + 1);
       });
     });
+
+    describe('when the domain is a redirect', () => {
+      it('creates the redirect domain without a branch config', async () => {
+        const { site, user } = await createSiteUserOrg();
+        const cookie = await authenticatedSession(user);
+
+        const { body } = await request(app)
+          .post(`/v0/site/${site.id}/domain`)
+          .set('Cookie', cookie)
+          .set('x-csrf-token', csrfToken.getToken())
+          .type('json')
+          .send({
+            names: 'agency.gov',
+            type: 'redirect',
+            redirectUrl: 'https://www.agency.gov',
+          })
+          .expect(200);
+
+        validateAgainstJSONSchema('POST', '/site/{site_id}/domain', 200, body);
+        expect(body.type).to.equal('redirect');
+        expect(body.redirectUrl).to.equal('https://www.agency.gov');
+        expect(body.redirectStatus).to.equal(301);
+        expect(body.siteBranchConfigId).to.equal(null);
+      });
+
+      it('returns a 422 when the redirect URL is not https', async () => {
+        const { site, user } = await createSiteUserOrg();
+        const cookie = await authenticatedSession(user);
+
+        const { body } = await request(app)
+          .post(`/v0/site/${site.id}/domain`)
+          .set('Cookie', cookie)
+          .set('x-csrf-token', csrfToken.getToken())
+          .type('json')
+          .send({
+            names: 'agency.gov',
+            type: 'redirect',
+            redirectUrl: 'http://www.agency.gov',
+            redirectStatus: 302,
+          })
+          .expect(422);
+
+        expect(body.errors).to.have.property('redirectUrl');
+      });
+
+      it('returns a 400 when the type is not valid', async () => {
+        const { site, user } = await createSiteUserOrg();
+        const cookie = await authenticatedSession(user);
+
+        const { body } = await request(app)
+          .post(`/v0/site/${site.id}/domain`)
+          .set('Cookie', cookie)
+          .set('x-csrf-token', csrfToken.getToken())
+          .type('json')
+          .send({
+            names: 'agency.gov',
+            type: 'proxy',
+          })
+          .expect(400);
+
+        validateAgainstJSONSchema('POST', '/site/{site_id}/domain', 400, body);
+        expect(body.message).to.eq('The domain type must be one of site, redirect.');
+      });
+    });
   });
 
   describe('PUT /v0/site/:site_id/domain/:id', () => {
@@ -765,4 +844,174 @@ describe('Domain API', () => {
       });
     });
   });
+
+  describe('GET /v0/site/:site_id/domain/:domain_id/dns-records', () => {
+    it('downloads the DNS records in the requested format', async () => {
+      const { domain, site, user } = await createSiteManagerDomain();
+      const cookie = await authenticatedSession(user);
+
+      const response = await request(app)
+        .get(`/v0/site/${site.id}/domain/${domain.id}/dns-records?format=route53`)
+        .set('Cookie', cookie)
+        .expect(200);
+
+      expect(response.headers['content-disposition']).to.equal(
+        'attachment; filename="www.agency.gov-dns-records.route53.tf"',
+      );
+      expect(response.text).to.include('resource "aws_route53_record"');
+    });
+
+    it('returns a 400 for an unknown format', async () => {
+      const { domain, site, user } = await createSiteManagerDomain();
+      const cookie = await authenticatedSession(user);
+
+      const { body } = await request(app)
+        .get(`/v0/site/${site.id}/domain/${domain.id}/dns-records?format=txt`)
+        .set('Cookie', cookie)
+        .expect(400);
+
+      validateAgainstJSONSchema(
+        'GET',
+        '/site/{site_id}/domain/{domain_id}/dns-records',
+        400,
+        body,
+      );
+      expect(body.message).to.equal(
+        'The DNS records can only be exported as bind, route53, cloudflare, csv.',
+      );
+    });
+  });
+
+  describe('GET /v0/site/:site_id/domain/:domain_id/dns-result', () => {
+    it('returns the DNS results and whether the user can provision', async () => {
+      sinon.stub(DnsService, 'resolveDnsRecord').resolves(['success']);
+      const { domain, site, user } = await createSiteManagerDomain();
+      const cookie = await authenticatedSession(user);
+
+      const { body } = await request(app)
+        .get(`/v0/site/${site.id}/domain/${domain.id}/dns-result`)
+        .set('Cookie', cookie)
+        .expect(200);
+
+      validateAgainstJSONSchema(
+        'GET',
+        '/site/{site_id}/domain/{domain_id}/dns-result',
+        200,
+        body,
+      );
+      expect(body.canProvision).to.be.true;
+      expect(body.isManager).to.be.true;
+      expect(body.data).to.have.length(2);
+    });
+
+    it('returns a 404 when the user is not a member of the site', async () => {
+      const { domain, site } = await createSiteManagerDomain();
+      const cookie = await authenticatedSession(await factory.user());
+
+      const { body } = await request(app)
+        .get(`/v0/site/${site.id}/domain/${domain.id}/dns-result`)
+        .set('Cookie', cookie)
+        .expect(404);
+
+      validateAgainstJSONSchema(
+        'GET',
+        '/site/{site_id}/domain/{domain_id}/dns-result',
+        404,
+        body,
+      );
+    });
+
+    it('limits the number of checks of each user', async () => {
+      sinon.stub(DnsService, 'resolveDnsRecord').resolves(['pending', 'Record not set']);
+      const { domain, site, user } = await createSiteManagerDomain();
+      const cookie = await authenticatedSession(user);
+      const path = `/v0/site/${site.id}/domain/${domain.id}/dns-result`;
+
+      for (let i = 0; i < 3; i += 1) {
+        // eslint-disable-next-line no-await-in-loop
+        await request(app).get(path).set('Cookie', cookie).expect(200);
+      }
+
+      const { body } = await request(app).get(path).set('Cookie', cookie).expect(429);
+
+      expect(body.message).to.equal('Too many domain checks, please try again later.');
+    });
+  });
+
+  describe('POST /v0/site/:site_id/domain/:domain_id/provision', () => {
+    beforeEach(() => {
+      sinon.stub(EventCreator, 'audit').resolves();
+      sinon.stub(CloudFoundryAPIClient.prototype, 'createExternalDomain').resolves();
+      sinon.stub(DomainQueue.prototype, 'add').resolves();
+    });
+
+    it('returns a 403 when the user is not an organization manager', async () => {
+      const { site, user } = await createSiteUserOrg();
+      const domain = await factory.domain.create({ siteId: site.id });
+      const cookie = await authenticatedSession(user);
+
+      const { body } = await request(app)
+        .post(`/v0/site/${site.id}/domain/${domain.id}/provision`)
+        .set('Cookie', cookie)
+        .set('x-csrf-token', csrfToken.getToken())
+        .expect(403);
+
+      validateAgainstJSONSchema(
+        'POST',
+        '/site/{site_id}/domain/{domain_id}/provision',
+        403,
+        body,
+      );
+      sinon.assert.notCalled(CloudFoundryAPIClient.prototype.createExternalDomain);
+    });
+
+    it('returns a 400 when the Acme Challenge records are not set', async () => {
+      sinon.stub(DnsService, 'resolveDnsRecord').resolves(['pending', 'Record not set']);
+      const { domain, site, user } = await createSiteManagerDomain();
+      const cookie = await authenticatedSession(user);
+
+      const { body } = await request(app)
+        .post(`/v0/site/${site.id}/domain/${domain.id}/provision`)
+        .set('Cookie', cookie)
+        .set('x-csrf-token', csrfToken.getToken())
+        .expect(400);
+
+      validateAgainstJSONSchema(
+        'POST',
+        '/site/{site_id}/domain/{domain_id}/provision',
+        400,
+        body,
+      );
+      await domain.reload();
+      expect(domain.state).to.equal(Domain.States.Pending);
+      sinon.assert.notCalled(CloudFoundryAPIClient.prototype.createExternalDomain);
+    });
+
+    it('provisions the domain and audits the manager action', async () => {
+      sinon.stub(DnsService, 'resolveDnsRecord').resolves(['success']);
+      const { domain, site, user } = await createSiteManagerDomain();
+      const cookie = await authenticatedSession(user);
+
+      const { body } = await request(app)
+        .post(`/v0/site/${site.id}/domain/${domain.id}/provision`)
+        .set('Cookie', cookie)
+        .set('x-csrf-token', csrfToken.getToken())
+        .expect(200);
+
+      validateAgainstJSONSchema(
+        'POST',
+        '/site/{site_id}/domain/{domain_id}/provision',
+        200,
+        body,
+      );
+      expect(body.state).to.equal(Domain.States.Provisioning);
+      sinon.assert.calledOnce(CloudFoundryAPIClient.prototype.createExternalDomain);
+      sinon.assert.calledWith(
+        EventCreator.audit,
+        sinon.match.any,
+        sinon.match({ id: user.id }),
+        'Domain Provisioned',
+      );
+    });
+  });
 });
@@ -0,0 +1,274 @@
+const { expect } = require('chai');
+const request = require('supertest');
+const sinon = require('sinon');
+const app = require('../../../app');
+const factory = require('../support/factory');
+const csrfToken = require('../support/csrfToken');
+const { authenticatedSession } = require('../support/session');
+const validateAgainstJSONSchema = require('../support/validateAgainstJSONSchema');
+const { createSiteUserOrg } = require('../support/site-user');
+const {
+  FileStorageFile,
+  FileStorageService,
+  FileStorageUserAction,
+  Organization,
+  OrganizationRole,
+  User,
+} = require('../../../api/models');
+const S3Helper = require('../../../api/services/S3Helper');
+const CFApiClient = require('../../../api/utils/cfApiClient');
+
+function clean() {
+  return Promise.all([
+    FileStorageUserAction.truncate(),
+    FileStorageFile.truncate({
+      force: true,
+      cascade: true,
+    }),
+    FileStorageService.truncate({
+      force: true,
+      cascade: true,
+    }),
+    Organization.truncate({
+      force: true,
+      cascade: true,
+    }),
+    OrganizationRole.truncate({
+      force: true,
+      cascade: true,
+    }),
+    User.truncate({
+      force: true,
+      cascade: true,
+    }),
+  ]);
+}
+
+async function setup() {
+  const { site, user, org } = await createSiteUserOrg();
+  const service = await factory.fileStorageService.create({
+    organizationId: org.id,
+    siteId: site.id,
+  });
+  const cookie = await authenticatedSession(user);
+
+  return { cookie, service, site, user };
+}
+
+describe('File Storage API', () => {
+  before(clean);
+
+  beforeEach(() => {
+    sinon.stub(CFApiClient.prototype, 'fetchServiceInstanceCredentials').resolves({
+      access_key_id: 'access_key_id',
+      bucket: 'bucket',
+      region: 'region',
+      secret_access_key: 'secret',
+    });
+    sinon.stub(S3Helper.S3Client.prototype, 'putObject').resolves();
+    sinon.stub(S3Helper.S3Client.prototype, 'copyObject').resolves();
+    sinon.stub(S3Helper.S3Client.prototype, 'deleteObject').resolves();
+  });
+
+  afterEach(async () => {
+    sinon.restore();
+    await clean();
+  });
+
+  describe('GET /v0/site/:site_id/file-storage', () => {
+    it('returns the file storage service of the site', async () => {
+      const { cookie, service, site } = await setup();
+
+      const { body } = await request(app)
+        .get(`/v0/site/${site.id}/file-storage`)
+        .set('Cookie', cookie)
+        .expect(200);
+
+      validateAgainstJSONSchema('GET', '/site/{site_id}/file-storage', 200, body);
+      expect(body.id).to.equal(service.id);
+    });
+
+    it('returns a 404 when the site has no file storage', async () => {
+      const { site, user } = await createSiteUserOrg();
+      const cookie = await authenticatedSession(user);
+
+      const { body } = await request(app)
+        .get(`/v0/site/${site.id}/file-storage`)
+        .set('Cookie', cookie)
+        .expect(404);
+
+      validateAgainstJSONSchema('GET', '/site/{site_id}/file-storage', 404, body);
+    });
+  });
+
+  describe('GET /v0/file-storage/:file_storage_id', () => {
+    it('requires authentication', async () => {
+      const { service } = await setup();
+
+      await request(app).get(`/v0/file-storage/${service.id}`).expect(403);
+    });
+
+    it('returns a 404 when the user is not in the organization', async () => {
+      const { service } = await setup();
+      const user = await factory.user();
+      const cookie = await authenticatedSession(user);
+
+      const { body } = await request(app)
+        .get(`/v0/file-storage/${service.id}`)
+        .set('Cookie', cookie)
+        .expect(404);
+
+      validateAgainstJSONSchema('GET', '/file-storage/{file_storage_id}', 404, body);
+    });
+
+    it('lists the files of a directory', async () => {
+      const { cookie, service } = await setup();
+      await factory.fileStorageFile.create({
+        fileStorageServiceId: service.id,
+        key: 'docs/',
+      });
+      await factory.fileStorageFile.create({
+        fileStorageServiceId: service.id,
+        key: 'docs/a.pdf',
+      });
+
+      const { body } = await request(app)
+        .get(`/v0/file-storage/${service.id}`)
+        .query({ path: 'docs/' })
+        .set('Cookie', cookie)
+        .expect(200);
+
+      validateAgainstJSONSchema('GET', '/file-storage/{file_storage_id}', 200, body);
+      expect(body.map((file) => file.key)).to.deep.equal(['docs/a.pdf']);
+      expect(body[0].type).to.equal('file');
+    });
+  });
+
+  describe('POST /v0/file-storage/:file_storage_id/directory', () => {
+    it('creates a directory', async () => {
+      const { cookie, service } = await setup();
+
+      const { body } = await request(app)
+        .post(`/v0/file-storage/${service.id}/directory`)
+        .set('Cookie', cookie)
+        .set('x-csrf-token', csrfToken.getToken())
+        .send({ name: 'docs' })
+        .expect(200);
+
+      validateAgainstJSONSchema(
+        'POST',
+        '/file-storage/{file_storage_id}/directory',
+        200,
+        body,
+      );
+      expect(body.key).to.equal('docs/');
+      expect(body.type).to.equal('directory');
+    });
+
+    it('returns a 400 for an invalid name', async () => {
+      const { cookie, service } = await setup();
+
+      const { body } = await request(app)
+        .post(`/v0/file-storage/${service.id}/directory`)
+        .set('Cookie', cookie)
+        .set('x-csrf-token', csrfToken.getToken())
+        .send({ name: '..' })
+        .expect(400);
+
+      validateAgainstJSONSchema(
+        'POST',
+        '/file-storage/{file_storage_id}/directory',
+        400,
+        body,
+      );
+    });
+  });
+
+  describe('POST /v0/file-storage/:file_storage_id/upload', () => {
+    it('uploads the request body', async () => {
+      const { cookie, service } = await setup();
+
+      const { body } = await request(app)
+        .post(`/v0/file-storage/${service.id}/upload`)
+        .query({ name: 'hello.txt', type: 'text/plain' })
+        .set('Cookie', cookie)
+        .set('x-csrf-token', csrfToken.getToken())
+        .type('application/octet-stream')
+        .send(Buffer.from('hello'))
+        .expect(200);
+
+      validateAgainstJSONSchema(
+        'POST',
+        '/file-storage/{file_storage_id}/upload',
+        200,
+        body,
+      );
+      expect(body.key).to.equal('hello.txt');
+      expect(body.metadata).to.deep.equal({
+        size: 5,
+        mimeType: 'text/plain',
+      });
+    });
+  });
+
+  describe('PUT /v0/file-storage/:file_storage_id/file/:file_id', () => {
+    it('renames a file', async () => {
+      const { cookie, service } = await setup();
+      const file = await factory.fileStorageFile.create({
+        fileStorageServiceId: service.id,
+        key: 'a.pdf',
+      });
+
+      const { body } = await request(app)
+        .put(`/v0/file-storage/${service.id}/file/${file.id}`)
+        .set('Cookie', cookie)
+        .set('x-csrf-token', csrfToken.getToken())
+        .send({ name: 'b.pdf' })
+        .expect(200);
+
+      validateAgainstJSONSchema(
+        'PUT',
+        '/file-storage/{file_storage_id}/file/{file_id}',
+        200,
+        body,
+      );
+      expect(body.key).to.equal('b.pdf');
+    });
+
+    it('returns a 404 for a file of another service', async () => {
+      const { cookie, service } = await setup();
+      const file = await factory.fileStorageFile.create({ key: 'a.pdf' });
+
+      await request(app)
+        .put(`/v0/file-storage/${service.id}/file/${file.id}`)
+        .set('Cookie', cookie)
+        .set('x-csrf-token', csrfToken.getToken())
+        .send({ name: 'b.pdf' })
+        .expect(404);
+    });
+  });
+
+  describe('DELETE /v0/file-storage/:file_storage_id/file/:file_id', () => {
+    it('deletes a file', async () => {
+      const { cookie, service } = await setup();
+      const file = await factory.fileStorageFile.create({
+        fileStorageServiceId: service.id,
+        key: 'a.pdf',
+      });
+
+      const { body } = await request(app)
+        .delete(`/v0/file-storage/${service.id}/file/${file.id}`)
+        .set('Cookie', cookie)
+        .set('x-csrf-token', csrfToken.getToken())
+        .expect(200);
+
+      validateAgainstJSONSchema(
+        'DELETE',
+        '/file-storage/{file_storage_id}/file/{file_id}',
+        200,
+        body,
+      );
+      expect(await FileStorageFile.findByPk(file.id)).to.be.null;
+    });
+  });
+});
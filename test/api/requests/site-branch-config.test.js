@@ -10,6 +10,7 @@ const { createSiteUserOrg } = require('../support/site-user');
 const app = require('../../../app');
 const { Build, Site, SiteBranchConfig } = require('../../../api/models');
 const EventCreator = require('../../../api/services/EventCreator');
+const QueueJobs = require('../../../api/queue-jobs');
 
 function clean() {
   return Promise.all([
@@ -536,6 +537,31 @@ describe('Site Branch Config API', () => {
       });
     });
 
+    describe('when the schedule is invalid', () => {
+      it('returns a 400', async () => {
+        const { user, site } = await createSiteUserOrg();
+        const cookie = await authenticatedSession(user);
+
+        const { body } = await request(app)
+          .post(`/v0/site/${site.id}/branch-config`)
+          .set('Cookie', cookie)
+          .set('x-csrf-token', csrfToken.getToken())
+          .type('json')
+          .send({
+            branch: 'scheduled',
+            context: 'scheduled',
+            schedule: '*/5 * * * *',
+          })
+          .expect(400);
+
+        validateAgainstJSONSchema('POST', '/site/{site_id}/branch-config', 400, body);
+        expect(body.message).to.eq(
+          // eslint-disable-next-line max-len
+          'An error occurred creating the site branch config: Invalid schedule — builds may be scheduled at most once an hour.',
+        );
+      });
+    });
+
     describe('when the parameters are valid', () => {
       it('creates and returns the site branch config', async () => {
         const { user, site } = await createSiteUserOrg();
@@ -717,6 +743,34 @@ describe('Site Branch Config API', () => {
       });
     });
 
+    it('creates the site branch config and schedules its builds', async () => {
+      const scheduleStub = sinon
+        .stub(QueueJobs.prototype, 'scheduleSiteBranchConfigBuilds')
+        .resolves();
+      sinon.stub(QueueJobs.prototype, 'startSiteBuild').resolves();
+      const { user, site } = await createSiteUserOrg();
+      const cookie = await authenticatedSession(user);
+
+      const { body } = await request(app)
+        .post(`/v0/site/${site.id}/branch-config`)
+        .set('Cookie', cookie)
+        .set('x-csrf-token', csrfToken.getToken())
+        .type('json')
+        .send({
+          branch: 'scheduled',
+          context: 'scheduled',
+          schedule: '0 5 * * 1-5',
+          scheduleTimezone: 'America/New_York',
+        })
+        .expect(200);
+
+      validateAgainstJSONSchema('POST', '/site/{site_id}/branch-config', 200, body);
+      expect(body.schedule).to.eq('0 5 * * 1-5');
+      expect(body.scheduleTimezone).to.eq('America/New_York');
+      expect(body.nextScheduledRunAt).to.be.a('string');
+      sinon.assert.calledOnceWithMatch(scheduleStub, { id: body.id });
+    });
+
     it('creates and returns the site branch config with a yaml config', async () => {
       const { user, site } = await createSiteUserOrg();
       const cookie = await authenticatedSession(user);
@@ -892,6 +946,85 @@ describe('Site Branch Config API', () => {
         expect(afterNumSBC).to.eq(beforeNumSBCs);
       });
 
+      it('removes the schedule of the site branch config', async () => {
+        const scheduleStub = sinon
+          .stub(QueueJobs.prototype, 'scheduleSiteBranchConfigBuilds')
+          .resolves();
+        const { user, site } = await createSiteUserOrg();
+        const sbc = await factory.siteBranchConfig.create({
+          site,
+          branch: 'scheduled',
+          schedule: '0 5 * * *',
+        });
+        const cookie = await authenticatedSession(user);
+
+        const { body } = await request(app)
+          .put(`/v0/site/${site.id}/branch-config/${sbc.id}`)
+          .set('Cookie', cookie)
+          .set('x-csrf-token', csrfToken.getToken())
+          .type('json')
+          .send({
+            schedule: null,
+          })
+          .expect(200);
+
+        validateAgainstJSONSchema(
+          'PUT',
+          '/site/{site_id}/branch-config/{site-branch-config_id}',
+          200,
+          body,
+        );
+        expect(body.schedule).to.be.null;
+        expect(body).to.not.have.property('nextScheduledRunAt');
+        sinon.assert.calledOnceWithMatch(scheduleStub, { id: sbc.id, schedule: null });
+      });
+
+      it('updates the ignored paths of the site branch config', async () => {
+        const { user, site } = await createSiteUserOrg();
+        const sbc = await factory.siteBranchConfig.create({
+          site,
+          branch: 'main',
+        });
+        const cookie = await authenticatedSession(user);
+
+        const { body } = await request(app)
+          .put(`/v0/site/${site.id}/branch-config/${sbc.id}`)
+          .set('Cookie', cookie)
+          .set('x-csrf-token', csrfToken.getToken())
+          .type('json')
+          .send({
+            ignoredPaths: [' README.md', '.github/**', 'README.md'],
+          })
+          .expect(200);
+
+        validateAgainstJSONSchema(
+          'PUT',
+          '/site/{site_id}/branch-config/{site-branch-config_id}',
+          200,
+          body,
+        );
+        expect(body.ignoredPaths).to.deep.eq(['README.md', '.github/**']);
+      });
+
+      it('returns a 400 if the ignored paths are not a list of globs', async () => {
+        const { user, site } = await createSiteUserOrg();
+        const sbc = await factory.siteBranchConfig.create({
+          site,
+          branch: 'main',
+        });
+        const cookie = await authenticatedSession(user);
+
+        await request(app)
+          .put(`/v0/site/${site.id}/branch-config/${sbc.id}`)
+          .set('Cookie', cookie)
+          .set('x-csrf-token', csrfToken.getToken())
+          .type('json')
+          .send({
+            ignoredPaths: 'README.md',
+          })
+          .expect(400);
+      });
+
       it('returns the 404 if does not exist', async () => {
         const origBranch = 'updated-test-branch';
         const origConfig = {
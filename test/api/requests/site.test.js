@@ -15,7 +15,14 @@ const validateAgainstJSONSchema = require('../support/validateAgainstJSONSchema'
 const csrfToken = require('../support/csrfToken');
 const { createSiteUserOrg } = require('../support/site-user');
 
-const { Organization, Role, Site } = require('../../../api/models');
+const yaml = require('js-yaml');
+const {
+  Domain,
+  Organization,
+  Role,
+  Site,
+  SiteBranchConfig,
+} = require('../../../api/models');
 const SiteDestroyer = require('../../../api/services/SiteDestroyer');
 const QueueJobs = require('../../../api/queue-jobs');
 const EventCreator = require('../../../api/services/EventCreator');
@@ -1043,6 +1050,46 @@ describe('Site API', () => {
       expect(foundSite).to.have.property('engine', 'hugo');
     });
 
+    it('should update the auto-cancel superseded builds policy', async () => {
+      const { site, user } = await createSiteUserOrg();
+      const cookie = await authenticatedSession(user);
+
+      const response = await request(app)
+        .put(`/v0/site/${site.id}`)
+        .set('x-csrf-token', csrfToken.getToken())
+        .send({
+          autoCancelSupersededBuilds: true,
+        })
+        .set('Cookie', cookie)
+        .expect(200);
+
+      validateAgainstJSONSchema('PUT', '/site/{id}', 200, response.body);
+      const foundSite = await Site.findByPk(site.id);
+
+      expect(response.body.autoCancelSupersededBuilds).to.be.true;
+      expect(foundSite.autoCancelSupersededBuilds).to.be.true;
+    });
+
+    it('should update the preview retention window', async () => {
+      const { site, user } = await createSiteUserOrg();
+      const cookie = await authenticatedSession(user);
+
+      const response = await request(app)
+        .put(`/v0/site/${site.id}`)
+        .set('x-csrf-token', csrfToken.getToken())
+        .send({
+          previewRetentionDays: '30',
+        })
+        .set('Cookie', cookie)
+        .expect(200);
+
+      validateAgainstJSONSchema('PUT', '/site/{id}', 200, response.body);
+      const foundSite = await Site.findByPk(site.id);
+
+      expect(response.body.previewRetentionDays).to.equal(30);
+      expect(foundSite.previewRetentionDays).to.equal(30);
+    });
+
     it('should ignore non-engine params', async () => {
       const { site, user } = await createSiteUserOrg();
       await site.update({ repository: 'original' });
@@ -1159,4 +1206,282 @@ describe('Site API', () => {
       expect(response.body[0]).to.have.property('id', buildTask.id);
     });
   });
+
+  describe('GET /v0/site/:site_id/metrics', () => {
+    it('returns the build metrics of a site', async () => {
+      const { user, site } = await createSiteUserOrg();
+      await factory.build({
+        site,
+        state: 'success',
+        startedAt: new Date(Date.now() - 60000),
+        completedAt: new Date(),
+      });
+
+      const cookie = await authenticatedSession(user);
+      const { body } = await request(app)
+        .get(`/v0/site/${site.id}/metrics`)
+        .query({ days: 7 })
+        .set('Cookie', cookie)
+        .expect(200);
+
+      validateAgainstJSONSchema('GET', '/site/{site_id}/metrics', 200, body);
+      expect(body.days).to.equal(7);
+      expect(body.summary.builds).to.equal(1);
+      expect(body.summary.medianDuration).to.equal(60);
+    });
+
+    it('does not return the metrics of a site of another organization', async () => {
+      const { site } = await createSiteUserOrg();
+      const cookie = await authenticatedSession();
+
+      const { body } = await request(app)
+        .get(`/v0/site/${site.id}/metrics`)
+        .set('Cookie', cookie)
+        .expect(403);
+
+      validateAgainstJSONSchema('GET', '/site/{site_id}/metrics', 403, body);
+    });
+  });
+
+  describe('GET /v0/site/:site_id/config', () => {
+    it('exports the settings of a site without its secrets', async () => {
+      const { user, site } = await createSiteUserOrg();
+      await site.update({
+        basicAuth: { username: 'reviewer', password: 'hunter22' },
+        pathFilters: ['docs/**'],
+      });
+      await factory.domain.create({ siteId: site.id, names: 'www.agency.gov' });
+      await factory.userEnvironmentVariable.create({ site, name: 'API_KEY' });
+
+      const cookie = await authenticatedSession(user);
+      const { body } = await request(app)
+        .get(`/v0/site/${site.id}/config`)
+        .set('Cookie', cookie)
+        .expect(200);
+
+      validateAgainstJSONSchema('GET', '/site/{site_id}/config', 200, body);
+      expect(body.version).to.equal(1);
+      expect(body.site).to.deep.include({
+        engine: 'jekyll',
+        pathFilters: ['docs/**'],
+        basicAuth: { username: 'reviewer', password: '**********' },
+      });
+      expect(body.site).not.to.have.property('containerConfig');
+      expect(body.branchConfigs).to.deep.equal([
+        {
+          branch: 'main',
+          context: 'site',
+          config: {},
+          schedule: null,
+          scheduleTimezone: null,
+          ignoredPaths: [],
+        },
+      ]);
+      expect(body.domains).to.deep.equal([{ names: 'www.agency.gov', branch: 'main' }]);
+      expect(body.environmentVariables).to.deep.equal(['API_KEY']);
+      expect(JSON.stringify(body)).not.to.include('hunter22');
+    });
+
+    it('exports the settings as YAML', async () => {
+      const { user, site } = await createSiteUserOrg();
+
+      const cookie = await authenticatedSession(user);
+      const response = await request(app)
+        .get(`/v0/site/${site.id}/config`)
+        .query({ format: 'yaml' })
+        .set('Cookie', cookie)
+        .expect('Content-Type', /yaml/)
+        .expect(200);
+
+      const document = yaml.load(response.text);
+      expect(document.version).to.equal(1);
+      expect(document.branchConfigs[0].branch).to.equal('main');
+    });
+
+    it('does not export the settings of a site of another organization', async () => {
+      const { site } = await createSiteUserOrg();
+      const cookie = await authenticatedSession();
+
+      const { body } = await request(app)
+        .get(`/v0/site/${site.id}/config`)
+        .set('Cookie', cookie)
+        .expect(404);
+
+      validateAgainstJSONSchema('GET', '/site/{site_id}/config', 404, body);
+    });
+  });
+
+  describe('POST /v0/site/:site_id/config', () => {
+    const document = {
+      version: 1,
+      site: { engine: 'hugo' },
+      branchConfigs: [
+        { branch: 'main', context: 'site' },
+        { branch: 'staging', context: 'demo', ignoredPaths: ['docs/**'] },
+      ],
+      domains: [{ names: 'demo.agency.gov', branch: 'staging' }],
+      environmentVariables: ['API_KEY'],
+    };
+
+    it('lists the changes of a dry run without applying them', async () => {
+      const { user, site } = await createSiteUserOrg();
+
+      const cookie = await authenticatedSession(user);
+      const { body } = await request(app)
+        .post(`/v0/site/${site.id}/config`)
+        .set('Cookie', cookie)
+        .set('x-csrf-token', csrfToken.getToken())
+        .send({ document: yaml.dump(document), dryRun: true })
+        .expect(200);
+
+      validateAgainstJSONSchema('POST', '/site/{site_id}/config', 200, body);
+      expect(body.applied).to.equal(false);
+      expect(body.changes).to.deep.equal([
+        { resource: 'site', action: 'update', attributes: { engine: 'hugo' } },
+        {
+          resource: 'branchConfig',
+          action: 'create',
+          branch: 'staging',
+          attributes: {
+            context: 'demo',
+            config: {},
+            schedule: null,
+            scheduleTimezone: null,
+            ignoredPaths: ['docs/**'],
+          },
+        },
+        {
+          resource: 'domain',
+          action: 'create',
+          names: 'demo.agency.gov',
+          branch: 'staging',
+        },
+      ]);
+      expect(body.warnings).to.deep.equal([
+        'The environment variable API_KEY needs a value.',
+      ]);
+
+      await site.reload();
+      expect(site.engine).to.equal('jekyll');
+    });
+
+    it('reconciles the site to the document', async () => {
+      const { user, site } = await createSiteUserOrg();
+      await factory.siteBranchConfig.create({
+        site,
+        branch: 'old',
+        context: 'preview',
+      });
+
+      const cookie = await authenticatedSession(user);
+      const { body } = await request(app)
+        .post(`/v0/site/${site.id}/config`)
+        .set('Cookie', cookie)
+        .set('x-csrf-token', csrfToken.getToken())
+        .send({ document })
+        .expect(200);
+
+      validateAgainstJSONSchema('POST', '/site/{site_id}/config', 200, body);
+      expect(body.applied).to.equal(true);
+
+      await site.reload();
+      const siteBranchConfigs = await SiteBranchConfig.findAll({
+        where: { siteId: site.id },
+        order: [['branch', 'ASC']],
+      });
+      const domains = await Domain.findAll({ where: { siteId: site.id } });
+
+      expect(site.engine).to.equal('hugo');
+      expect(siteBranchConfigs.map((sbc) => sbc.branch)).to.deep.equal([
+        'main',
+        'staging',
+      ]);
+      expect(siteBranchConfigs[1]).to.include({
+        context: 'demo',
+        s3Key: `/demo/${site.owner}/${site.repository}`,
+      });
+      expect(domains).to.have.length(1);
+      expect(domains[0]).to.include({
+        names: 'demo.agency.gov',
+        siteBranchConfigId: siteBranchConfigs[1].id,
+        state: 'pending',
+      });
+    });
+
+    it('does not import the container settings', async () => {
+      const { user, site } = await createSiteUserOrg();
+      const containerConfig = { name: 'exp', size: 'large' };
+      await site.update({ containerConfig });
+
+      const cookie = await authenticatedSession(user);
+      const { body } = await request(app)
+        .post(`/v0/site/${site.id}/config`)
+        .set('Cookie', cookie)
+        .set('x-csrf-token', csrfToken.getToken())
+        .send({ document: { version: 1, site: { containerConfig: {} } } })
+        .expect(200);
+
+      expect(body.changes).to.deep.equal([]);
+
+      await site.reload();
+      expect(site.containerConfig).to.deep.equal(containerConfig);
+    });
+
+    it('does not apply any change when one of them fails', async () => {
+      const { user, site } = await createSiteUserOrg();
+      sinon.stub(Domain, 'create').rejects(new Error('Domain not created'));
+
+      const cookie = await authenticatedSession(user);
+      await request(app)
+        .post(`/v0/site/${site.id}/config`)
+        .set('Cookie', cookie)
+        .set('x-csrf-token', csrfToken.getToken())
+        .send({ document })
+        .expect(500);
+
+      await site.reload();
+      const siteBranchConfigs = await SiteBranchConfig.findAll({
+        where: { siteId: site.id },
+      });
+
+      expect(site.engine).to.equal('jekyll');
+      expect(siteBranchConfigs.map((sbc) => sbc.branch)).to.deep.equal(['main']);
+    });
+
+    it('rejects a document with a domain of an unknown branch', async () => {
+      const { user, site } = await createSiteUserOrg();
+
+      const cookie = await authenticatedSession(user);
+      const { body } = await request(app)
+        .post(`/v0/site/${site.id}/config`)
+        .set('Cookie', cookie)
+        .set('x-csrf-token', csrfToken.getToken())
+        .send({
+          document: {
+            version: 1,
+            domains: [{ names: 'www.agency.gov', branch: 'unknown' }],
+          },
+        })
+        .expect(400);
+
+      validateAgainstJSONSchema('POST', '/site/{site_id}/config', 400, body);
+      expect(body.message).to.equal(
+        'The domain www.agency.gov needs a site or demo branch config of unknown.',
+      );
+    });
+
+    it('rejects a document of another version', async () => {
+      const { user, site } = await createSiteUserOrg();
+
+      const cookie = await authenticatedSession(user);
+      const { body } = await request(app)
+        .post(`/v0/site/${site.id}/config`)
+        .set('Cookie', cookie)
+        .set('x-csrf-token', csrfToken.getToken())
+        .send({ document: 'version: 2' })
+        .expect(400);
+
+      expect(body.message).to.equal('The document version must be 1.');
+    });
+  });
 });
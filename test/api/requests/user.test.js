@@ -102,6 +102,110 @@ describe('User API', () => {
 
       expect(response.body.buildNotificationSettings[1]).to.eq('builds');
     });
+
+    it('should update build notification settings filtered by branch', async () => {
+      const user = await factory.user();
+      const cookie = await authenticatedSession(user);
+
+      const response = await request(app)
+        .put('/v0/me/settings')
+        .set('Cookie', cookie)
+        .set('x-csrf-token', csrfToken.getToken())
+        .send({
+          buildNotificationSettings: {
+            1: {
+              scope: 'builds',
+              branches: ['main'],
+              events: ['failure', 'reports'],
+            },
+            2: 'none',
+          },
+        })
+        .expect(200);
+
+      validateAgainstJSONSchema('PUT', '/me/settings', 200, response.body);
+
+      expect(response.body.buildNotificationSettings).to.deep.eq({
+        1: {
+          scope: 'builds',
+          branches: ['main'],
+          events: ['failure', 'reports'],
+        },
+        2: 'none',
+      });
+    });
+
+    it('should reject unknown build notification events', async () => {
+      const user = await factory.user();
+      const cookie = await authenticatedSession(user);
+
+      await request(app)
+        .put('/v0/me/settings')
+        .set('Cookie', cookie)
+        .set('x-csrf-token', csrfToken.getToken())
+        .send({
+          buildNotificationSettings: {
+            1: { scope: 'site', events: ['deployed'] },
+          },
+        })
+        .expect(400);
+    });
+
+    it('should update the email notification settings', async () => {
+      const user = await factory.user({
+        settings: {
+          buildNotificationSettings: {
+            1: 'none',
+          },
+        },
+      });
+      const cookie = await authenticatedSession(user);
+
+      const response = await request(app)
+        .put('/v0/me/settings')
+        .set('Cookie', cookie)
+        .set('x-csrf-token', csrfToken.getToken())
+        .send({
+          emailNotificationSettings: {
+            frequency: 'daily',
+            events: ['build-failed', 'report-findings'],
+            severityThresholds: {
+              a11y: 'serious',
+            },
+          },
+        })
+        .expect(200);
+
+      validateAgainstJSONSchema('PUT', '/me/settings', 200, response.body);
+
+      expect(response.body.emailNotificationSettings).to.deep.eq({
+        frequency: 'daily',
+        events: ['build-failed', 'report-findings'],
+        severityThresholds: {
+          a11y: 'serious',
+        },
+      });
+      expect(response.body.buildNotificationSettings[1]).to.eq('none');
+    });
+
+    it('should reject unknown email notification events', async () => {
+      const user = await factory.user();
+      const cookie = await authenticatedSession(user);
+
+      const response = await request(app)
+        .put('/v0/me/settings')
+        .set('Cookie', cookie)
+        .set('x-csrf-token', csrfToken.getToken())
+        .send({
+          emailNotificationSettings: {
+            frequency: 'immediate',
+            events: ['build-started'],
+          },
+        })
+        .expect(400);
+
+      validateAgainstJSONSchema('PUT', '/me/settings', 400, response.body);
+    });
   });
 
   describe('DELETE /v0/me/githubtoken', () => {
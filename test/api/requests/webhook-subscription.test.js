@@ -0,0 +1,241 @@
+const { expect } = require('chai');
+const request = require('supertest');
+const sinon = require('sinon');
+const app = require('../../../app');
+const factory = require('../support/factory');
+const csrfToken = require('../support/csrfToken');
+const { authenticatedSession } = require('../support/session');
+const validateAgainstJSONSchema = require('../support/validateAgainstJSONSchema');
+const { createSiteUserOrg } = require('../support/site-user');
+const {
+  Organization,
+  WebhookDelivery,
+  WebhookSubscription,
+} = require('../../../api/models');
+const OutboundWebhooks = require('../../../api/services/OutboundWebhooks');
+const EventCreator = require('../../../api/services/EventCreator');
+
+function clean() {
+  return Promise.all([
+    WebhookDelivery.truncate({
+      force: true,
+      cascade: true,
+    }),
+    WebhookSubscription.truncate({
+      force: true,
+      cascade: true,
+    }),
+    Organization.truncate({
+      force: true,
+      cascade: true,
+    }),
+  ]);
+}
+
+const subscribe = (user, owner) =>
+  OutboundWebhooks.createSubscription(user, {
+    ...owner,
+    url: 'https://hooks.example.gov/pages',
+    events: ['build.completed'],
+  });
+
+describe('Webhook Subscription API', () => {
+  before(clean);
+
+  beforeEach(() => {
+    sinon.stub(EventCreator, 'audit').resolves();
+  });
+
+  afterEach(async () => {
+    sinon.restore();
+    await clean();
+  });
+
+  describe('POST /v0/site/:site_id/webhook-subscription', () => {
+    it('creates a subscription and returns its secret once', async () => {
+      const { site, user } = await createSiteUserOrg();
+      const cookie = await authenticatedSession(user);
+
+      const { body } = await request(app)
+        .post(`/v0/site/${site.id}/webhook-subscription`)
+        .set('Cookie', cookie)
+        .set('x-csrf-token', csrfToken.getToken())
+        .send({
+          url: 'https://hooks.example.gov/pages',
+          events: ['build.completed', 'domain.provisioned'],
+        })
+        .expect(200);
+
+      validateAgainstJSONSchema(
+        'POST',
+        '/site/{site_id}/webhook-subscription',
+        200,
+        body,
+      );
+      expect(body.secret).to.match(/^whsec_/);
+      expect(body.siteId).to.equal(site.id);
+
+      const { body: list } = await request(app)
+        .get(`/v0/site/${site.id}/webhook-subscription`)
+        .set('Cookie', cookie)
+        .expect(200);
+
+      validateAgainstJSONSchema('GET', '/site/{site_id}/webhook-subscription', 200, list);
+      expect(list).to.have.length(1);
+      expect(list[0]).to.not.have.property('secret');
+    });
+
+    it('returns a 400 for unknown events', async () => {
+      const { site, user } = await createSiteUserOrg();
+      const cookie = await authenticatedSession(user);
+
+      const { body } = await request(app)
+        .post(`/v0/site/${site.id}/webhook-subscription`)
+        .set('Cookie', cookie)
+        .set('x-csrf-token', csrfToken.getToken())
+        .send({
+          url: 'https://hooks.example.gov/pages',
+          events: ['build.started'],
+        })
+        .expect(400);
+
+      validateAgainstJSONSchema(
+        'POST',
+        '/site/{site_id}/webhook-subscription',
+        400,
+        body,
+      );
+    });
+
+    it('returns a 404 for a site of another user', async () => {
+      const { site } = await createSiteUserOrg();
+      const cookie = await authenticatedSession(await factory.user());
+
+      await request(app)
+        .post(`/v0/site/${site.id}/webhook-subscription`)
+        .set('Cookie', cookie)
+        .set('x-csrf-token', csrfToken.getToken())
+        .send({
+          url: 'https://hooks.example.gov/pages',
+          events: ['build.completed'],
+        })
+        .expect(404);
+    });
+  });
+
+  describe('POST /v0/organization/:org_id/webhook-subscription', () => {
+    it('creates a subscription for the managers of the organization', async () => {
+      const user = await factory.user();
+      const org = await factory.organization.create();
+      await org.addRoleUser(user, 'manager');
+      const cookie = await authenticatedSession(user);
+
+      const { body } = await request(app)
+        .post(`/v0/organization/${org.id}/webhook-subscription`)
+        .set('Cookie', cookie)
+        .set('x-csrf-token', csrfToken.getToken())
+        .send({
+          url: 'https://hooks.example.gov/pages',
+          events: ['domain.failed'],
+        })
+        .expect(200);
+
+      validateAgainstJSONSchema(
+        'POST',
+        '/organization/{org_id}/webhook-subscription',
+        200,
+        body,
+      );
+      expect(body.organizationId).to.equal(org.id);
+      expect(body.siteId).to.be.null;
+    });
+
+    it('returns a 404 for the users of the organization', async () => {
+      const { org, user } = await createSiteUserOrg();
+      const cookie = await authenticatedSession(user);
+
+      await request(app)
+        .get(`/v0/organization/${org.id}/webhook-subscription`)
+        .set('Cookie', cookie)
+        .expect(404);
+    });
+  });
+
+  describe('PUT /v0/webhook-subscription/:id', () => {
+    it('pauses a subscription', async () => {
+      const { site, user } = await createSiteUserOrg();
+      const cookie = await authenticatedSession(user);
+      const { subscription } = await subscribe(user, { siteId: site.id });
+
+      const { body } = await request(app)
+        .put(`/v0/webhook-subscription/${subscription.id}`)
+        .set('Cookie', cookie)
+        .set('x-csrf-token', csrfToken.getToken())
+        .send({ active: false })
+        .expect(200);
+
+      validateAgainstJSONSchema('PUT', '/webhook-subscription/{id}', 200, body);
+      expect(body.active).to.be.false;
+      expect(body.events).to.deep.equal(['build.completed']);
+    });
+  });
+
+  describe('DELETE /v0/webhook-subscription/:id', () => {
+    it('deletes a subscription', async () => {
+      const { site, user } = await createSiteUserOrg();
+      const cookie = await authenticatedSession(user);
+      const { subscription } = await subscribe(user, { siteId: site.id });
+
+      const { body } = await request(app)
+        .delete(`/v0/webhook-subscription/${subscription.id}`)
+        .set('Cookie', cookie)
+        .set('x-csrf-token', csrfToken.getToken())
+        .expect(200);
+
+      validateAgainstJSONSchema('DELETE', '/webhook-subscription/{id}', 200, body);
+      expect(await WebhookSubscription.findByPk(subscription.id)).to.be.null;
+    });
+
+    it('returns a 404 for the subscription of another site', async () => {
+      const { site, user } = await createSiteUserOrg();
+      const cookie = await authenticatedSession(await factory.user());
+      const { subscription } = await subscribe(user, { siteId: site.id });
+
+      await request(app)
+        .delete(`/v0/webhook-subscription/${subscription.id}`)
+        .set('Cookie', cookie)
+        .set('x-csrf-token', csrfToken.getToken())
+        .expect(404);
+    });
+  });
+
+  describe('GET /v0/webhook-subscription/:id/delivery', () => {
+    it('lists the deliveries of a subscription', async () => {
+      const { site, user } = await createSiteUserOrg();
+      const cookie = await authenticatedSession(user);
+      const { subscription } = await subscribe(user, { siteId: site.id });
+      await WebhookDelivery.create({
+        webhookSubscriptionId: subscription.id,
+        event: 'build.completed',
+        payload: { build: { id: 1 } },
+        status: WebhookDelivery.States.Failed,
+        attempts: 5,
+        responseStatus: 500,
+        error: 'Received status code: 500',
+      });
+
+      const { body } = await request(app)
+        .get(`/v0/webhook-subscription/${subscription.id}/delivery`)
+        .set('Cookie', cookie)
+        .expect(200);
+
+      validateAgainstJSONSchema('GET', '/webhook-subscription/{id}/delivery', 200, body);
+      expect(body).to.have.length(1);
+      expect(body[0]).to.include({
+        status: 'failed',
+        attempts: 5,
+        responseStatus: 500,
+      });
+    });
+  });
+});
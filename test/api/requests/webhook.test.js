@@ -183,6 +183,32 @@ describe('Webhook API', () => {
 
       sinon.assert.calledWith(pushWebhookRequestStub, payload);
     });
+
+    it('should call `pullRequestWebhookRequest` for pull request events', async () => {
+      const pullRequestWebhookRequestStub = sinon
+        .stub(Webhooks, 'pullRequestWebhookRequest')
+        .resolves();
+      const { site, user } = await createSiteUserOrg();
+
+      const payload = {
+        ...buildWebhookPayload(user, site),
+        action: 'opened',
+      };
+      const signature = signWebhookPayload(payload);
+
+      await request(app)
+        .post('/webhook/github')
+        .send(payload)
+        .set({
+          'X-GitHub-Event': 'pull_request',
+          'X-Hub-Signature': signature,
+          'X-GitHub-Delivery': '123abc',
+        })
+        .expect(200);
+
+      sinon.assert.calledWith(pullRequestWebhookRequestStub, payload);
+      sinon.assert.notCalled(pushWebhookRequestStub);
+    });
   });
 
   describe('POST /webhook/organization', () => {
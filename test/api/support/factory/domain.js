@@ -41,10 +41,11 @@ async function create(params = {}) {
     siteBranchConfigId = site.SiteBranchConfigs[0].id;
   }
 
+  // Redirect domains have no site branch config
   return build({
     ...params,
     siteId,
-    siteBranchConfigId,
+    siteBranchConfigId: params.type === Domain.Types.Redirect ? null : siteBranchConfigId,
   }).save();
 }
 
@@ -0,0 +1,47 @@
+const { FileStorageFile } = require('../../../../api/models');
+const fileStorageServiceFactory = require('./file-storage-service');
+
+const counters = {};
+
+function increment(key) {
+  counters[key] = (counters[key] || 0) + 1;
+  return `${key}-${counters[key]}`;
+}
+
+function build(params = {}) {
+  const { key = increment('file.txt') } = params;
+  const { name = key.split('/').filter(Boolean).pop() } = params;
+
+  return FileStorageFile.build({
+    ...params,
+    key,
+    name,
+  });
+}
+
+async function create(params = {}) {
+  let { fileStorageServiceId } = params;
+
+  if (!fileStorageServiceId) {
+    const service = await fileStorageServiceFactory.create();
+    fileStorageServiceId = service.id;
+  }
+
+  return build({
+    ...params,
+    fileStorageServiceId,
+  }).save();
+}
+
+function truncate() {
+  return FileStorageFile.truncate({
+    force: true,
+    cascade: true,
+  });
+}
+
+module.exports = {
+  build,
+  create,
+  truncate,
+};
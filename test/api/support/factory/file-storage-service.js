@@ -0,0 +1,45 @@
+const { FileStorageService } = require('../../../../api/models');
+const organizationFactory = require('./organization');
+
+const counters = {};
+
+function increment(key) {
+  counters[key] = (counters[key] || 0) + 1;
+  return `${key}-${counters[key]}`;
+}
+
+function build(params = {}) {
+  const { name = increment('file-storage') } = params;
+
+  return FileStorageService.build({
+    ...params,
+    name,
+  });
+}
+
+async function create(params = {}) {
+  let { organizationId } = params;
+
+  if (!organizationId) {
+    const org = await organizationFactory.create();
+    organizationId = org.id;
+  }
+
+  return build({
+    ...params,
+    organizationId,
+  }).save();
+}
+
+function truncate() {
+  return FileStorageService.truncate({
+    force: true,
+    cascade: true,
+  });
+}
+
+module.exports = {
+  build,
+  create,
+  truncate,
+};
@@ -6,6 +6,8 @@ const build = require('./build');
 const { createCFAPIResource, createCFAPIResourceList } = require('./cf-api-response');
 const domain = require('./domain');
 const event = require('./event');
+const fileStorageFile = require('./file-storage-file');
+const fileStorageService = require('./file-storage-service');
 const organization = require('./organization');
 const responses = require('./responses');
 const role = require('./role');
@@ -27,6 +29,8 @@ module.exports = {
   createCFAPIResourceList,
   domain,
   event,
+  fileStorageFile,
+  fileStorageService,
   organization,
   responses,
   role,
@@ -3,13 +3,14 @@ const siteFactory = require('./site');
 
 const { SiteBuildTask } = require('../../../../api/models');
 
-const _attributes = ({ siteId, buildTaskTypeId, branch, metadata } = {}) => ({
+const _attributes = ({ siteId, buildTaskTypeId, branch, metadata, startsWhen } = {}) => ({
   siteId: siteId || siteFactory(),
   buildTaskTypeId: buildTaskTypeId || buildTaskTypeFactory(),
   branch: branch || null,
   metadata: metadata || {
     some: 'metadata',
   },
+  startsWhen: startsWhen || null,
 });
 
 const siteBuildTask = (overrides) =>
@@ -286,6 +286,7 @@ const webhook = ({ accessToken, owner, repo, response } = {}, { id = 1 } = {}) =
     webhookNock = webhookNock.post(`/repos/${owner}/${repo}/hooks`, {
       name: 'web',
       active: true,
+      events: ['push', 'pull_request'],
       config: {
         url: config.webhook.endpoint,
         secret: config.webhook.secret,
@@ -324,6 +325,56 @@ function listWebhooks({ accessToken, owner, repo: repository, response }) {
     .reply(...response);
 }
 
+function listIssueComments({
+  accessToken,
+  owner,
+  repo: repository,
+  issueNumber,
+  response,
+}) {
+  return nock('https://api.github.com')
+    .matchHeader('authorization', `token ${accessToken}`)
+    .get(`/repos/${owner}/${repository}/issues/${issueNumber}/comments`)
+    .query(true)
+    .reply(...(response || [200, []]));
+}
+
+function createIssueComment({ accessToken, owner, repo: repository, issueNumber, body }) {
+  return nock('https://api.github.com')
+    .matchHeader('authorization', `token ${accessToken}`)
+    .post(`/repos/${owner}/${repository}/issues/${issueNumber}/comments`, body)
+    .reply(201, { id: 1 });
+}
+
+function updateIssueComment({ accessToken, owner, repo: repository, commentId, body }) {
+  return nock('https://api.github.com')
+    .matchHeader('authorization', `token ${accessToken}`)
+    .patch(`/repos/${owner}/${repository}/issues/comments/${commentId}`, body)
+    .reply(200, { id: commentId });
+}
+
+function listCheckRuns({ accessToken, owner, repo: repository, ref, response }) {
+  return nock('https://api.github.com')
+    .matchHeader('authorization', `token ${accessToken}`)
+    .get(`/repos/${owner}/${repository}/commits/${ref}/check-runs`)
+    .query(true)
+    .reply(...(response || [200, { total_count: 0, check_runs: [] }]));
+}
+
+function createCheckRun({ accessToken, owner, repo: repository, body }) {
+  return nock('https://api.github.com')
+    .matchHeader('authorization', `token ${accessToken}`)
+    .post(`/repos/${owner}/${repository}/check-runs`, body)
+    .reply(201, { id: 1 });
+}
+
+function updateCheckRun({ accessToken, owner, repo: repository, checkRunId, body }) {
+  return nock('https://api.github.com')
+    .matchHeader('authorization', `token ${accessToken}`)
+    .patch(`/repos/${owner}/${repository}/check-runs/${checkRunId}`, body)
+    .reply(200, { id: checkRunId });
+}
+
 const getBranch = ({ accessToken, owner, repo, branch, expected }) => {
   let branchNock = nock('https://api.github.com');
   const path = `/repos/${owner}/${repo}/branches/${branch}`;
@@ -547,6 +598,12 @@ module.exports = {
   webhook,
   deleteWebhook,
   listWebhooks,
+  listIssueComments,
+  createIssueComment,
+  updateIssueComment,
+  listCheckRuns,
+  createCheckRun,
+  updateCheckRun,
   getBranch,
   getTeamMembers,
   getOrganizationMembers,
@@ -37,6 +37,13 @@ describe('sessionAuth', () => {
     done();
   });
 
+  it('calls res.forbidden when authenticated with an API token', () => {
+    mockReq.apiToken = {};
+    sessionAuth(mockReq, mockRes, mockNext);
+    expect(mockRes.forbidden.calledOnce).to.equal(true);
+    expect(mockNext.called).to.equal(false);
+  });
+
   it('calls next when authenticatedAt is before threshold', (done) => {
     sessionAuth(mockReq, mockRes, mockNext);
     expect(mockNext.calledOnce).to.equal(true);
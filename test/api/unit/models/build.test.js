@@ -335,6 +335,113 @@ describe('Build model', () => {
           expect(build.completedAt).to.be.above(build.startedAt);
         });
       });
+
+      describe('to `cancelled`', () => {
+        it('should mark a build cancelled and completed', async () => {
+          await build.updateJobStatus({
+            status: Build.States.Cancelled,
+          });
+
+          expect(build.state).to.equal(Build.States.Cancelled);
+          expect(build.error).to.be.null;
+          expect(build.isComplete()).to.be.true;
+          expect(build.isInProgress()).to.be.false;
+          expect(build.completedAt).to.be.a('date');
+          expect(build.completedAt).to.be.above(build.startedAt);
+        });
+      });
+    });
+
+    describe('from `staged`', () => {
+      let build;
+
+      beforeEach(async () => {
+        build = await factory.build({
+          state: Build.States.Staged,
+          startedAt: new Date(),
+        });
+      });
+
+      it('should be in progress', () => {
+        expect(build.isInProgress()).to.be.true;
+        expect(build.isComplete()).to.be.false;
+      });
+
+      describe('to `blocked`', () => {
+        it('should mark a build blocked and completed with a message', async () => {
+          await build.updateJobStatus({
+            status: Build.States.Blocked,
+            message: 'a11y scan found 2 issues',
+          });
+
+          expect(build.state).to.equal(Build.States.Blocked);
+          expect(build.error).to.equal('a11y scan found 2 issues');
+          expect(build.isComplete()).to.be.true;
+          expect(build.completedAt).to.be.a('date');
+        });
+      });
+    });
+
+    describe('outbound webhooks', () => {
+      it('dispatches the `build.completed` event when the build completes', async () => {
+        const stub = sinon.stub(QueueJobs.prototype, 'dispatchWebhookEvent').resolves();
+        const build = await factory.build({
+          state: Build.States.Processing,
+          startedAt: new Date(),
+        });
+
+        await build.updateJobStatus({
+          status: Build.States.Success,
+        });
+
+        sinon.assert.calledOnceWithExactly(stub, 'build.completed', {
+          buildId: build.id,
+        });
+      });
+
+      it('does not dispatch an event while the build is in progress', async () => {
+        const stub = sinon.stub(QueueJobs.prototype, 'dispatchWebhookEvent').resolves();
+        const build = await factory.build({
+          state: Build.States.Queued,
+        });
+
+        await build.updateJobStatus({
+          status: Build.States.Processing,
+        });
+
+        sinon.assert.notCalled(stub);
+      });
+
+      it('does not dispatch an event again for a completed build', async () => {
+        const stub = sinon.stub(QueueJobs.prototype, 'dispatchWebhookEvent').resolves();
+        const build = await factory.build({
+          state: Build.States.Error,
+          startedAt: new Date(),
+        });
+
+        await build.updateJobStatus({
+          status: Build.States.Error,
+          message: 'failed again',
+        });
+
+        sinon.assert.notCalled(stub);
+      });
+
+      it('completes the build when the event cannot be dispatched', async () => {
+        sinon
+          .stub(QueueJobs.prototype, 'dispatchWebhookEvent')
+          .rejects(new Error('down'));
+        const build = await factory.build({
+          state: Build.States.Processing,
+          startedAt: new Date(),
+        });
+
+        await build.updateJobStatus({
+          status: Build.States.Success,
+        });
+
+        expect(build.state).to.equal(Build.States.Success);
+      });
     });
   });
 
@@ -56,6 +56,56 @@ describe('Domain model', () => {
     );
   });
 
+  it('site domains require a site branch config', async () => {
+    const domain = Domain.build({
+      names: 'www.agency.gov',
+    });
+
+    const error = await domain.validate().catch((e) => e);
+
+    expect(error.name).to.eq('SequelizeValidationError');
+    expect(error.errors.map((e) => e.message)).to.include(
+      'A site domain must have a site branch config.',
+    );
+  });
+
+  it('redirect domains require a redirect URL and status', async () => {
+    const domain = Domain.build({
+      names: 'agency.gov',
+      type: Domain.Types.Redirect,
+    });
+
+    const error = await domain.validate().catch((e) => e);
+
+    expect(error.name).to.eq('SequelizeValidationError');
+    expect(error.errors.map((e) => e.message)).to.include(
+      'A redirect domain must have a redirect URL and status.',
+    );
+  });
+
+  it('redirect domains redirect to https URLs with a redirect status', async () => {
+    const valid = Domain.build({
+      names: 'agency.gov',
+      type: Domain.Types.Redirect,
+      redirectUrl: 'https://www.agency.gov',
+      redirectStatus: 308,
+    });
+    const invalid = Domain.build({
+      names: 'agency.gov',
+      type: Domain.Types.Redirect,
+      redirectUrl: 'http://www.agency.gov',
+      redirectStatus: 200,
+    });
+
+    const error = await invalid.validate().catch((e) => e);
+
+    await valid.validate();
+    expect(error.errors.map((e) => e.path)).to.have.members([
+      'redirectUrl',
+      'redirectStatus',
+    ]);
+  });
+
   describe('.searchScope()', () => {
     it('returns domains by id, names, or service', async () => {
       const site = await Factory.site(
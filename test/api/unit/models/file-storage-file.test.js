@@ -0,0 +1,63 @@
+const { expect } = require('chai');
+const { FileStorageFile, FileStorageService } = require('../../../../api/models');
+const Factory = require('../../support/factory');
+
+function clean() {
+  return Promise.all([
+    FileStorageFile.truncate({
+      force: true,
+      cascade: true,
+    }),
+    FileStorageService.truncate({
+      force: true,
+      cascade: true,
+    }),
+  ]);
+}
+
+describe('FileStorageFile model', () => {
+  before(clean);
+  afterEach(clean);
+
+  it('`key` is required', async () => {
+    const file = FileStorageFile.build({
+      name: 'a.pdf',
+    });
+
+    const error = await file.validate().catch((e) => e);
+
+    expect(error).to.be.an('Error');
+    expect(error.name).to.eq('SequelizeValidationError');
+  });
+
+  describe('.isDirectory()', () => {
+    it('is true when the key ends with a slash', () => {
+      expect(Factory.fileStorageFile.build({ key: 'docs/' }).isDirectory()).to.be.true;
+      expect(Factory.fileStorageFile.build({ key: 'docs/a.pdf' }).isDirectory()).to.be
+        .false;
+    });
+  });
+
+  describe('.withKeyPrefix()', () => {
+    it('finds the files of a service with keys starting with the prefix', async () => {
+      const service = await Factory.fileStorageService.create();
+      const other = await Factory.fileStorageService.create();
+      const create = (fileStorageServiceId, key) =>
+        Factory.fileStorageFile.create({ fileStorageServiceId, key });
+
+      await create(service.id, 'docs/');
+      await create(service.id, 'docs/a/b.pdf');
+      await create(service.id, 'docs2/');
+      await create(service.id, '100%/');
+      await create(other.id, 'docs/');
+
+      const files = await FileStorageFile.withKeyPrefix(service.id, 'docs/').findAll({
+        order: [['key', 'ASC']],
+      });
+      const escaped = await FileStorageFile.withKeyPrefix(service.id, '10%').findAll();
+
+      expect(files.map((file) => file.key)).to.deep.equal(['docs/', 'docs/a/b.pdf']);
+      expect(escaped).to.have.length(0);
+    });
+  });
+});
@@ -93,7 +93,13 @@ describe('Site Branch Config model', () => {
     });
     const validation = await instance.validate();
 
-    expect(validation.dataValues).to.have.keys(['id', 'branch', 'config', 'context']);
+    expect(validation.dataValues).to.have.keys([
+      'id',
+      'branch',
+      'config',
+      'context',
+      'ignoredPaths',
+    ]);
     expect(validation.dataValues.branch).to.equal(branch);
     expect(validation.dataValues.config).to.equal(config);
     expect(validation.dataValues.context).to.equal('preview');
@@ -121,6 +127,7 @@ describe('Site Branch Config model', () => {
       's3Key',
       'config',
       'context',
+      'ignoredPaths',
     ]);
     expect(validation.dataValues.branch).to.equal(branch);
     expect(validation.dataValues.config).to.equal(config);
@@ -128,6 +135,51 @@ describe('Site Branch Config model', () => {
     expect(validation.dataValues.context).to.equal(context);
   });
 
+  it('`branch` cannot be null when a schedule is defined', async () => {
+    const instance = SiteBranchConfig.build({
+      schedule: '0 5 * * *',
+    });
+    const error = await instance.validate().catch((e) => e);
+
+    expect(error).to.be.an('Error');
+    expect(error.errors.map((e) => e.message)).to.include(
+      'Branch attribute cannot be null when a schedule is defined',
+    );
+  });
+
+  it('`schedule` must be a valid cron expression', async () => {
+    const instance = SiteBranchConfig.build({
+      branch: 'test',
+      schedule: 'nightly',
+    });
+    const error = await instance.validate().catch((e) => e);
+
+    expect(error).to.be.an('Error');
+    expect(error.errors.map((e) => e.message)).to.include(
+      'Invalid schedule — nightly is not a valid cron expression.',
+    );
+  });
+
+  describe('.nextScheduledRunAt()', () => {
+    it('returns null without a schedule', () => {
+      const instance = SiteBranchConfig.build({ branch: 'test' });
+
+      expect(instance.nextScheduledRunAt()).to.be.null;
+    });
+
+    it('returns the next run in the schedule timezone', () => {
+      const instance = SiteBranchConfig.build({
+        branch: 'test',
+        schedule: '0 5 * * *',
+        scheduleTimezone: 'America/New_York',
+      });
+
+      const nextRun = instance.nextScheduledRunAt(new Date('2024-01-01T12:00:00Z'));
+
+      expect(nextRun.toISOString()).to.equal('2024-01-02T10:00:00.000Z');
+    });
+  });
+
   describe('.siteScope()', () => {
     it('returns the site-branch-config by site id', async () => {
       const site = await Factory.site();
@@ -145,6 +197,9 @@ describe('Site Branch Config model', () => {
         'config',
         'siteId',
         'context',
+        'schedule',
+        'scheduleTimezone',
+        'ignoredPaths',
         'createdAt',
         'updatedAt',
         'deletedAt',
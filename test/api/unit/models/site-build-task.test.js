@@ -1,7 +1,7 @@
 const { expect } = require('chai');
 const sinon = require('sinon');
 const factory = require('../../support/factory');
-const { BuildTask } = require('../../../../api/models');
+const { BuildTask, BuildTaskType } = require('../../../../api/models');
 
 describe('Build Task model', () => {
   afterEach(() => {
@@ -27,4 +27,38 @@ describe('Build Task model', () => {
       expect(createdBuildTask).to.have.property('buildId', build.id);
     });
   });
+
+  describe('startsWhen', () => {
+    it('defaults to when its build task type starts', async () => {
+      const buildTaskType = await factory.buildTaskType();
+      const siteBuildTask = await factory.siteBuildTask({
+        buildTaskTypeId: buildTaskType.id,
+      });
+      await siteBuildTask.reload({ include: BuildTaskType });
+
+      expect(siteBuildTask.effectiveStartsWhen()).to.equal(
+        BuildTaskType.StartsWhens.Complete,
+      );
+    });
+
+    it('overrides when its build task type starts', async () => {
+      const siteBuildTask = await factory.siteBuildTask({
+        startsWhen: BuildTaskType.StartsWhens.Prepublish,
+      });
+      await siteBuildTask.reload({ include: BuildTaskType });
+
+      expect(siteBuildTask.effectiveStartsWhen()).to.equal(
+        BuildTaskType.StartsWhens.Prepublish,
+      );
+    });
+
+    it('must be a build task type start', async () => {
+      const error = await factory
+        .siteBuildTask({ startsWhen: 'whenever' })
+        .catch((e) => e);
+
+      expect(error).to.be.an('error');
+      expect(error.name).to.equal('SequelizeValidationError');
+    });
+  });
 });
@@ -78,4 +78,39 @@ describe('QueueJobs', () => {
       expect(response.name).to.eq(jobname);
     });
   });
+
+  describe('.scheduleSiteBranchConfigBuilds', () => {
+    after(async () => {
+      await queue.scheduledBuildsQueue.obliterate({ force: true });
+      await queue.scheduledBuildsQueue.close();
+    });
+
+    it('should schedule the builds of a site branch config', async () => {
+      const sbc = { id: 1, branch: 'main', schedule: '0 5 * * *' };
+
+      await queue.scheduleSiteBranchConfigBuilds(sbc);
+
+      const scheduler =
+        await queue.scheduledBuildsQueue.getJobScheduler('site-branch-config-1');
+      expect(scheduler.pattern).to.eq('0 5 * * *');
+      expect(scheduler.tz).to.eq('UTC');
+      expect(await queue.getScheduledSiteBranchConfigIds()).to.deep.eq([1]);
+    });
+
+    it('should remove the schedule of a site branch config without one', async () => {
+      await queue.scheduleSiteBranchConfigBuilds({
+        id: 2,
+        branch: 'main',
+        schedule: '0 5 * * *',
+      });
+
+      await queue.scheduleSiteBranchConfigBuilds({
+        id: 2,
+        branch: 'main',
+        schedule: null,
+      });
+
+      expect(await queue.getScheduledSiteBranchConfigIds()).to.not.include(2);
+    });
+  });
 });
@@ -81,6 +81,56 @@ describe('mailer', () => {
     });
   });
 
+  describe('.sendBuildNotification()', () => {
+    it('adds a `build-notification` job to the mail queue', async () => {
+      const email = 'foo@bar.gov';
+      const data = {
+        site: { id: 1, owner: 'agency', repository: 'site' },
+        build: { id: 2, branch: 'main', state: 'error', error: 'Build failed' },
+      };
+
+      const job = await queue.sendBuildNotification(email, 'build-failed', data);
+
+      expect(job.name).to.eq('build-notification');
+      expect(job.data.to).to.deep.eq([email]);
+      expect(job.data.subject).to.eq(Templates.notificationSubject('build-failed', data));
+      expect(job.data.html).to.eq(
+        Templates.buildNotification({
+          event: 'build-failed',
+          data,
+          hostname,
+        }),
+      );
+    });
+  });
+
+  describe('.sendNotificationDigest()', () => {
+    it('adds a `notification-digest` job to the mail queue', async () => {
+      const email = 'foo@bar.gov';
+      const notifications = [
+        {
+          event: 'build-recovered',
+          data: {
+            site: { id: 1, owner: 'agency', repository: 'site' },
+            build: { id: 3, branch: 'main', state: 'success', error: null },
+          },
+        },
+      ];
+
+      const job = await queue.sendNotificationDigest(email, notifications);
+
+      expect(job.name).to.eq('notification-digest');
+      expect(job.data.to).to.deep.eq([email]);
+      expect(job.data.subject).to.include('1 updates');
+      expect(job.data.html).to.eq(
+        Templates.notificationDigest({
+          notifications,
+          hostname,
+        }),
+      );
+    });
+  });
+
   describe('.sendSandboxReminder()', () => {
     let user;
     let userRole;
@@ -0,0 +1,186 @@
+const { expect } = require('chai');
+const moment = require('moment');
+const sinon = require('sinon');
+
+const factory = require('../../support/factory');
+const { ApiToken, Event, Organization } = require('../../../../api/models');
+const ApiTokens = require('../../../../api/services/ApiTokens');
+const EventCreator = require('../../../../api/services/EventCreator');
+const { CustomError, ValidationError } = require('../../../../api/utils/validators');
+
+describe('ApiTokens', () => {
+  let user;
+
+  beforeEach(async () => {
+    user = await factory.user();
+    sinon.stub(EventCreator, 'audit').resolves();
+  });
+
+  afterEach(async () => {
+    sinon.restore();
+    await ApiToken.truncate({ force: true });
+    await Organization.truncate({ force: true, cascade: true });
+  });
+
+  const createManagedOrg = async () => {
+    const org = await factory.organization.create();
+    await org.addRoleUser(user, 'manager');
+    return org;
+  };
+
+  describe('.createToken', () => {
+    it('creates a personal token and only stores its hash', async () => {
+      const { apiToken, token } = await ApiTokens.createToken(user, {
+        name: ' ci ',
+        scopes: ['builds:write'],
+        expiresInDays: 30,
+      });
+
+      expect(token).to.match(/^pages_[0-9a-f]{64}$/);
+      expect(apiToken.name).to.equal('ci');
+      expect(apiToken.tokenHash).to.equal(ApiToken.hashToken(token));
+      expect(apiToken.tokenHash).to.not.include(token);
+      expect(apiToken.tokenPrefix).to.equal(token.slice(0, 12));
+      expect(apiToken.organizationId).to.be.null;
+      expect(moment(apiToken.expiresAt).diff(moment(), 'days')).to.equal(29);
+      sinon.assert.calledOnceWithMatch(
+        EventCreator.audit,
+        Event.labels.API_TOKEN,
+        user,
+        'API Token Created',
+      );
+    });
+
+    it('creates a token of an organization the user manages', async () => {
+      const org = await createManagedOrg();
+
+      const { apiToken } = await ApiTokens.createToken(user, {
+        name: 'ci',
+        scopes: ['sites:read'],
+        organizationId: org.id,
+      });
+
+      expect(apiToken.organizationId).to.equal(org.id);
+    });
+
+    it('rejects an organization the user does not manage', async () => {
+      const org = await factory.organization.create();
+      await org.addRoleUser(user);
+
+      const error = await ApiTokens.createToken(user, {
+        name: 'ci',
+        scopes: ['sites:read'],
+        organizationId: org.id,
+      }).catch((e) => e);
+
+      expect(error).to.be.an.instanceOf(CustomError);
+      expect(error.status).to.equal(403);
+    });
+
+    it('rejects an expiry longer than a year', async () => {
+      const error = await ApiTokens.createToken(user, {
+        name: 'ci',
+        scopes: ['sites:read'],
+        expiresInDays: 366,
+      }).catch((e) => e);
+
+      expect(error).to.be.an.instanceOf(ValidationError);
+    });
+
+    it('rejects unknown scopes', async () => {
+      const error = await ApiTokens.createToken(user, {
+        name: 'ci',
+        scopes: ['sites:delete'],
+      }).catch((e) => e);
+
+      expect(error.name).to.equal('SequelizeValidationError');
+    });
+  });
+
+  describe('.authenticate', () => {
+    it('finds the user of a token and records when it was used', async () => {
+      const { apiToken, token } = await ApiTokens.createToken(user, {
+        name: 'ci',
+        scopes: ['sites:read'],
+      });
+
+      const result = await ApiTokens.authenticate(token);
+
+      expect(result.user.id).to.equal(user.id);
+      expect(result.apiToken.id).to.equal(apiToken.id);
+      expect(result.apiToken.lastUsedAt).to.be.an.instanceOf(Date);
+    });
+
+    it('rejects unknown, expired and revoked tokens', async () => {
+      const { apiToken, token } = await ApiTokens.createToken(user, {
+        name: 'ci',
+        scopes: ['sites:read'],
+      });
+      const { token: revoked } = await ApiTokens.createToken(user, {
+        name: 'revoked',
+        scopes: ['sites:read'],
+      });
+      await ApiTokens.revokeToken(
+        user,
+        (await ApiToken.findOne({ where: { name: 'revoked' } })).id,
+      );
+
+      expect(await ApiTokens.authenticate('pages_unknown')).to.be.null;
+      expect(await ApiTokens.authenticate(revoked)).to.be.null;
+
+      await apiToken.update({ expiresAt: moment().subtract(1, 'minute').toDate() });
+      expect(await ApiTokens.authenticate(token)).to.be.null;
+    });
+
+    it('rejects the token of an organization its creator left', async () => {
+      const org = await createManagedOrg();
+      const { token } = await ApiTokens.createToken(user, {
+        name: 'ci',
+        scopes: ['sites:read'],
+        organizationId: org.id,
+      });
+
+      expect(await ApiTokens.authenticate(token)).to.not.be.null;
+
+      await org.removeUser(user);
+
+      expect(await ApiTokens.authenticate(token)).to.be.null;
+    });
+  });
+
+  describe('.listTokens', () => {
+    it('lists personal tokens and the tokens of managed organizations', async () => {
+      const org = await createManagedOrg();
+      const otherUser = await factory.user();
+      await org.addRoleUser(otherUser, 'manager');
+
+      await ApiTokens.createToken(user, { name: 'mine', scopes: ['sites:read'] });
+      await ApiTokens.createToken(otherUser, {
+        name: 'org',
+        scopes: ['sites:read'],
+        organizationId: org.id,
+      });
+      await ApiTokens.createToken(otherUser, {
+        name: 'theirs',
+        scopes: ['sites:read'],
+      });
+
+      const tokens = await ApiTokens.listTokens(user);
+
+      expect(tokens.map((t) => t.name).sort()).to.deep.equal(['mine', 'org']);
+    });
+  });
+
+  describe('.revokeToken', () => {
+    it('does not revoke the personal token of another user', async () => {
+      const otherUser = await factory.user();
+      const { apiToken } = await ApiTokens.createToken(otherUser, {
+        name: 'theirs',
+        scopes: ['sites:read'],
+      });
+
+      expect(await ApiTokens.revokeToken(user, apiToken.id)).to.be.null;
+      expect(await ApiToken.findByPk(apiToken.id)).to.not.be.null;
+    });
+  });
+});
@@ -0,0 +1,162 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+
+const factory = require('../../support/factory');
+const {
+  cancelBuild,
+  supersedeBuilds,
+} = require('../../../../api/services/BuildCanceler');
+const EventCreator = require('../../../../api/services/EventCreator');
+const QueueJobs = require('../../../../api/queue-jobs');
+const { Build, BuildLog } = require('../../../../api/models');
+const CFApi = require('../../../../api/utils/cfApiClient');
+const { CustomError } = require('../../../../api/utils/validators');
+
+describe('BuildCanceler', () => {
+  let cancelSiteBuildStub;
+  let cancelBuildTaskStub;
+  let removeOutputStub;
+
+  beforeEach(() => {
+    cancelSiteBuildStub = sinon.stub(QueueJobs.prototype, 'cancelSiteBuild');
+    cancelBuildTaskStub = sinon.stub(CFApi.prototype, 'cancelBuildTask');
+    removeOutputStub = sinon.stub(QueueJobs.prototype, 'removeBuildOutput').resolves();
+    sinon.stub(EventCreator, 'error').resolves();
+  });
+
+  afterEach(async () => {
+    sinon.restore();
+    await BuildLog.truncate();
+    await Build.truncate();
+  });
+
+  describe('.cancelBuild', () => {
+    it('removes a queued build without cancelling a CF Task', async () => {
+      cancelSiteBuildStub.resolves([]);
+      const build = await factory.build({
+        state: Build.States.Queued,
+      });
+
+      await cancelBuild(build);
+      await build.reload();
+
+      expect(build.state).to.equal(Build.States.Cancelled);
+      expect(build.completedAt).to.be.a('date');
+      sinon.assert.calledOnceWithExactly(cancelSiteBuildStub, build);
+      sinon.assert.notCalled(cancelBuildTaskStub);
+      sinon.assert.calledOnceWithExactly(removeOutputStub, build);
+    });
+
+    it('cancels the CF Task of an active build job', async () => {
+      cancelSiteBuildStub.resolves([{ id: '42' }]);
+      cancelBuildTaskStub.resolves();
+      const build = await factory.build({
+        state: Build.States.Processing,
+      });
+
+      await cancelBuild(build, { reason: 'Cancelled for testing.' });
+      await build.reload();
+
+      const logs = await BuildLog.findAll({ where: { build: build.id } });
+
+      expect(build.state).to.equal(Build.States.Cancelled);
+      expect(logs.map((log) => log.output)).to.deep.equal(['Cancelled for testing.']);
+      sinon.assert.calledOnceWithExactly(cancelBuildTaskStub, '42');
+    });
+
+    it('still cancels the build if the CF Task cannot be cancelled', async () => {
+      cancelSiteBuildStub.resolves([{ id: '42' }]);
+      cancelBuildTaskStub.rejects(new Error('There are no tasks'));
+      const build = await factory.build({
+        state: Build.States.Processing,
+      });
+
+      await cancelBuild(build);
+      await build.reload();
+
+      expect(build.state).to.equal(Build.States.Cancelled);
+      sinon.assert.calledOnce(EventCreator.error);
+    });
+
+    it('throws if the build has already completed', async () => {
+      const build = await factory.build({
+        state: Build.States.Success,
+      });
+
+      const error = await cancelBuild(build).catch((e) => e);
+
+      expect(error).to.be.an('error');
+      sinon.assert.notCalled(cancelSiteBuildStub);
+    });
+
+    it('does not overwrite a build which completed meanwhile', async () => {
+      cancelSiteBuildStub.resolves([]);
+      const build = await factory.build({
+        state: Build.States.Processing,
+      });
+      await Build.update({ state: Build.States.Success }, { where: { id: build.id } });
+
+      const error = await cancelBuild(build).catch((e) => e);
+      await build.reload();
+
+      expect(error).to.be.an.instanceOf(CustomError);
+      expect(error.status).to.equal(400);
+      expect(build.state).to.equal(Build.States.Success);
+      expect(await BuildLog.count({ where: { build: build.id } })).to.equal(0);
+      sinon.assert.notCalled(removeOutputStub);
+    });
+  });
+
+  describe('.supersedeBuilds', () => {
+    it('cancels the older in-flight builds of the same branch', async () => {
+      cancelSiteBuildStub.resolves([]);
+      const site = await factory.site();
+      const [olderBuild, otherBranchBuild, finishedBuild] = await Promise.all([
+        factory.build({ site, branch: 'main', state: Build.States.Processing }),
+        factory.build({ site, branch: 'other', state: Build.States.Processing }),
+        factory.build({ site, branch: 'main', state: Build.States.Success }),
+      ]);
+      const newBuild = await factory.build({
+        site,
+        branch: 'main',
+        state: Build.States.Created,
+      });
+
+      const superseded = await supersedeBuilds(newBuild);
+      await Promise.all(
+        [olderBuild, otherBranchBuild, finishedBuild].map((b) => b.reload()),
+      );
+
+      expect(superseded.map((b) => b.id)).to.deep.equal([olderBuild.id]);
+      expect(olderBuild.state).to.equal(Build.States.Cancelled);
+      expect(olderBuild.supersededBy).to.equal(newBuild.id);
+      expect(otherBranchBuild.state).to.equal(Build.States.Processing);
+      expect(finishedBuild.state).to.equal(Build.States.Success);
+    });
+
+    it('still supersedes the other builds when one cannot be cancelled', async () => {
+      const site = await factory.site();
+      const [failingBuild, olderBuild] = await Promise.all([
+        factory.build({ site, branch: 'main', state: Build.States.Processing }),
+        factory.build({ site, branch: 'main', state: Build.States.Tasked }),
+      ]);
+      const newBuild = await factory.build({
+        site,
+        branch: 'main',
+        state: Build.States.Created,
+      });
+      cancelSiteBuildStub.resolves([]);
+      cancelSiteBuildStub
+        .withArgs(sinon.match({ id: failingBuild.id }))
+        .rejects(new Error('queue unavailable'));
+
+      const superseded = await supersedeBuilds(newBuild);
+      await olderBuild.reload();
+
+      expect(superseded.map((b) => b.id)).to.deep.equal([olderBuild.id]);
+      expect(olderBuild.state).to.equal(Build.States.Cancelled);
+      expect(olderBuild.supersededBy).to.equal(newBuild.id);
+      sinon.assert.calledOnce(EventCreator.error);
+    });
+  });
+});
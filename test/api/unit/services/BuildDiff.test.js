@@ -0,0 +1,97 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+
+const factory = require('../../support/factory');
+const { Build } = require('../../../../api/models');
+const BuildDiff = require('../../../../api/services/BuildDiff');
+const S3PublishedFileLister = require('../../../../api/services/S3PublishedFileLister');
+
+const file = (name, size, etag) => ({
+  name,
+  key: `_builds/build-1/${name}`,
+  size,
+  etag,
+});
+
+describe('BuildDiff', () => {
+  let site;
+  let build;
+  let otherBuild;
+  let listStub;
+
+  beforeEach(async () => {
+    site = await factory.site();
+    [build, otherBuild] = await Promise.all([
+      factory.build({ site, branch: 'main', state: Build.States.Success }),
+      factory.build({ site, branch: 'main', state: Build.States.Success }),
+    ]);
+    listStub = sinon.stub(S3PublishedFileLister, 'listBuildManifest');
+  });
+
+  afterEach(() => sinon.restore());
+
+  describe('.diffBuilds', () => {
+    it('lists the files added, removed and changed by the other build', async () => {
+      listStub
+        .withArgs(site, build)
+        .resolves([
+          file('index.html', 10, '"a"'),
+          file('about.html', 20, '"b"'),
+          file('old.html', 30, '"c"'),
+          file('same-size.css', 40, '"d"'),
+        ]);
+      listStub
+        .withArgs(site, otherBuild)
+        .resolves([
+          file('index.html', 10, '"a"'),
+          file('about.html', 25, '"e"'),
+          file('new.html', 5, '"f"'),
+          file('same-size.css', 40, '"g"'),
+        ]);
+
+      const diff = await BuildDiff.diffBuilds(site, build, otherBuild);
+
+      expect(diff).to.deep.equal({
+        buildId: build.id,
+        otherBuildId: otherBuild.id,
+        branch: 'main',
+        added: [{ name: 'new.html', size: 5 }],
+        removed: [{ name: 'old.html', size: 30 }],
+        changed: [
+          { name: 'about.html', size: 25, previousSize: 20 },
+          { name: 'same-size.css', size: 40, previousSize: 40 },
+        ],
+        unchanged: 1,
+      });
+    });
+
+    it('only compares builds of the same branch', async () => {
+      await otherBuild.update({ branch: 'other' });
+
+      const error = await BuildDiff.diffBuilds(site, build, otherBuild).catch((e) => e);
+
+      expect(error.message).to.equal('Only builds of the same branch can be compared.');
+      sinon.assert.notCalled(listStub);
+    });
+
+    it('only compares successful builds', async () => {
+      await otherBuild.update({ state: Build.States.Error });
+
+      const error = await BuildDiff.diffBuilds(site, build, otherBuild).catch((e) => e);
+
+      expect(error.message).to.equal('Only successful builds can be compared.');
+      sinon.assert.notCalled(listStub);
+    });
+
+    it('requires the output of both builds', async () => {
+      listStub.withArgs(site, build).resolves([file('index.html', 10, '"a"')]);
+      listStub.withArgs(site, otherBuild).resolves([]);
+
+      const error = await BuildDiff.diffBuilds(site, build, otherBuild).catch((e) => e);
+
+      expect(error.message).to.equal(
+        'The output of these builds is no longer available.',
+      );
+    });
+  });
+});
@@ -0,0 +1,310 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+
+const factory = require('../../support/factory');
+const { Build, BuildTask, BuildTaskType } = require('../../../../api/models');
+const QueueJobs = require('../../../../api/queue-jobs');
+const BuildGate = require('../../../../api/services/BuildGate');
+const BuildPublisher = require('../../../../api/services/BuildPublisher');
+const GithubBuildHelper = require('../../../../api/services/GithubBuildHelper');
+const S3BuildTask = require('../../../../api/services/S3BuildTask');
+
+const reportResponse = (report) => ({
+  Body: {
+    transformToString: () => Promise.resolve(JSON.stringify(report)),
+  },
+});
+
+describe('BuildGate', () => {
+  let site;
+  let build;
+  let buildTaskType;
+  let siteBuildTask;
+
+  beforeEach(async () => {
+    site = await factory.site();
+    build = await factory.build({ site, branch: 'feature' });
+    buildTaskType = await factory.buildTaskType({
+      metadata: { appName: 'a11y' },
+    });
+    siteBuildTask = await factory.siteBuildTask({
+      siteId: site.id,
+      buildTaskTypeId: buildTaskType.id,
+      startsWhen: BuildTaskType.StartsWhens.Prepublish,
+    });
+  });
+
+  afterEach(() => sinon.restore());
+
+  describe('.createGateTasks', () => {
+    it('creates the build tasks of prepublish site build tasks once', async () => {
+      const completeType = await factory.buildTaskType();
+      await factory.siteBuildTask({
+        siteId: site.id,
+        buildTaskTypeId: completeType.id,
+      });
+
+      const gateTasks = await BuildGate.createGateTasks(build);
+      await BuildGate.createGateTasks(build);
+
+      expect(gateTasks).to.have.length(1);
+      expect(gateTasks[0].siteBuildTaskId).to.equal(siteBuildTask.id);
+      expect(await BuildTask.count({ where: { buildId: build.id } })).to.equal(1);
+    });
+
+    it('skips prepublish site build tasks of other branches', async () => {
+      await siteBuildTask.update({ branch: 'other' });
+
+      const gateTasks = await BuildGate.createGateTasks(build);
+
+      expect(gateTasks).to.have.length(0);
+    });
+  });
+
+  describe('.updateBuildStatus', () => {
+    let enqueueStub;
+    let publishStub;
+    let queuePublishStub;
+    let removeStub;
+
+    beforeEach(async () => {
+      enqueueStub = sinon.stub(BuildTask.prototype, 'enqueue').resolves();
+      publishStub = sinon.stub(BuildPublisher, 'publishBuild').resolvesArg(0);
+      queuePublishStub = sinon.stub(QueueJobs.prototype, 'publishBuild').resolves();
+      removeStub = sinon.stub(QueueJobs.prototype, 'removeBuildOutput').resolves();
+      await build.update({ state: Build.States.Processing });
+    });
+
+    it('queues the publish of a successful build without prepublish tasks', async () => {
+      const buildStatus = { status: Build.States.Success };
+
+      await BuildGate.updateBuildStatus(build, buildStatus);
+
+      expect(build.state).to.equal(Build.States.Processing);
+      sinon.assert.calledOnceWithExactly(queuePublishStub, build, buildStatus);
+      sinon.assert.notCalled(publishStub);
+      sinon.assert.notCalled(enqueueStub);
+    });
+
+    it('errors a successful build whose publish cannot be queued', async () => {
+      queuePublishStub.rejects(new Error('connection lost'));
+
+      await BuildGate.updateBuildStatus(build, { status: Build.States.Success });
+
+      expect(build.state).to.equal(Build.States.Error);
+      expect(build.error).to.equal('Unable to publish the build: connection lost');
+      sinon.assert.calledOnceWithExactly(removeStub, build);
+    });
+
+    it('stages a successful build and enqueues its prepublish tasks', async () => {
+      await BuildGate.createGateTasks(build);
+
+      await BuildGate.updateBuildStatus(build, { status: Build.States.Success });
+
+      expect(build.state).to.equal(Build.States.Staged);
+      expect(build.completedAt).to.be.null;
+      sinon.assert.calledOnce(enqueueStub);
+      sinon.assert.notCalled(publishStub);
+    });
+
+    it('removes the output of a failed build', async () => {
+      await BuildGate.updateBuildStatus(build, {
+        status: Build.States.Error,
+        message: 'build failed',
+      });
+
+      expect(build.state).to.equal(Build.States.Error);
+      sinon.assert.notCalled(publishStub);
+      sinon.assert.calledOnceWithExactly(removeStub, build);
+    });
+
+    it('cancels the prepublish tasks of a failed build', async () => {
+      const [gateTask] = await BuildGate.createGateTasks(build);
+
+      await BuildGate.updateBuildStatus(build, {
+        status: Build.States.Error,
+        message: 'build failed',
+      });
+      await gateTask.reload();
+
+      expect(build.state).to.equal(Build.States.Error);
+      expect(gateTask.status).to.equal(BuildTask.Statuses.Cancelled);
+      sinon.assert.notCalled(enqueueStub);
+    });
+  });
+
+  describe('.publishQueuedBuild', () => {
+    let publishStub;
+    let pruneStub;
+    let removeStub;
+    let reportStub;
+
+    beforeEach(async () => {
+      publishStub = sinon.stub(BuildPublisher, 'publishBuild').resolvesArg(0);
+      pruneStub = sinon.stub(QueueJobs.prototype, 'pruneBuildOutputs').resolves();
+      removeStub = sinon.stub(QueueJobs.prototype, 'removeBuildOutput').resolves();
+      reportStub = sinon.stub(GithubBuildHelper, 'reportBuildStatus').resolves();
+      await build.update({
+        state: Build.States.Processing,
+        requestedCommitSha: 'a172b66c31e19d456a448041a5b3c2a70c32d8b7',
+      });
+    });
+
+    it('publishes the build and completes it with its reported status', async () => {
+      const result = await BuildGate.publishQueuedBuild(build.id, {
+        status: Build.States.Success,
+      });
+
+      expect(result.state).to.equal(Build.States.Success);
+      sinon.assert.calledOnceWithMatch(publishStub, { id: build.id });
+      sinon.assert.calledOnceWithMatch(pruneStub, { id: build.id });
+      sinon.assert.calledOnceWithMatch(reportStub, {
+        id: build.id,
+        state: Build.States.Success,
+      });
+      sinon.assert.notCalled(removeStub);
+    });
+
+    it('errors a build whose output cannot be published and removes it', async () => {
+      publishStub.rejects(new Error('access denied'));
+
+      const result = await BuildGate.publishQueuedBuild(build.id, {
+        status: Build.States.Success,
+      });
+
+      expect(result.state).to.equal(Build.States.Error);
+      expect(result.error).to.equal('Unable to publish the build: access denied');
+      sinon.assert.notCalled(pruneStub);
+      sinon.assert.calledOnceWithMatch(removeStub, { id: build.id });
+    });
+
+    it('does not publish a build which is no longer in progress', async () => {
+      await build.update({ state: Build.States.Cancelled });
+
+      const result = await BuildGate.publishQueuedBuild(build.id, {
+        status: Build.States.Success,
+      });
+
+      expect(result).to.be.null;
+      sinon.assert.notCalled(publishStub);
+    });
+  });
+
+  describe('.evaluateGate', () => {
+    let gateTask;
+    let getObjectStub;
+    let publishStub;
+    let removeStub;
+    let pruneStub;
+
+    beforeEach(async () => {
+      [gateTask] = await BuildGate.createGateTasks(build);
+      await build.update({ state: Build.States.Staged });
+      await gateTask.update({
+        status: BuildTask.Statuses.Success,
+        artifact: `_tasks/${gateTask.id}/`,
+      });
+
+      sinon.stub(GithubBuildHelper, 'reportBuildStatus').resolves();
+      getObjectStub = sinon.stub(S3BuildTask, 'getObject');
+      publishStub = sinon.stub(BuildPublisher, 'publishBuild').resolvesArg(0);
+      removeStub = sinon.stub(BuildPublisher, 'removeBuildOutput').resolvesArg(0);
+      pruneStub = sinon.stub(QueueJobs.prototype, 'pruneBuildOutputs').resolves();
+    });
+
+    it('waits for all of the prepublish tasks to complete', async () => {
+      await gateTask.update({ status: BuildTask.Statuses.Processing });
+
+      const result = await BuildGate.evaluateGate(build.id);
+
+      expect(result).to.be.null;
+      sinon.assert.notCalled(publishStub);
+    });
+
+    it('publishes a build whose prepublish tasks passed', async () => {
+      getObjectStub.resolves(
+        reportResponse({
+          violatedRules: [
+            { impact: 'serious', ignore: true },
+            { impact: 'minor', ignore: false },
+          ],
+        }),
+      );
+      await siteBuildTask.update({ metadata: { severityThreshold: 'moderate' } });
+
+      const result = await BuildGate.evaluateGate(build.id);
+
+      expect(result.state).to.equal(Build.States.Success);
+      sinon.assert.calledOnceWithMatch(publishStub, { id: build.id });
+      sinon.assert.calledOnceWithMatch(pruneStub, { id: build.id });
+      sinon.assert.notCalled(removeStub);
+    });
+
+    it('blocks a build whose prepublish tasks failed', async () => {
+      getObjectStub.resolves(
+        reportResponse({
+          violatedRules: [
+            { impact: 'serious', ignore: false },
+            { impact: 'critical', ignore: false },
+          ],
+        }),
+      );
+
+      const result = await BuildGate.evaluateGate(build.id);
+
+      expect(result.state).to.equal(Build.States.Blocked);
+      expect(result.error).to.have.string('found 2 minor or worse issues');
+      expect(result.error).to.have.string(`/report/${gateTask.id}`);
+      sinon.assert.notCalled(publishStub);
+      sinon.assert.notCalled(pruneStub);
+      sinon.assert.calledOnceWithMatch(removeStub, { id: build.id });
+    });
+
+    it('blocks a build whose prepublish tasks errored', async () => {
+      await gateTask.update({ status: BuildTask.Statuses.Error });
+
+      const result = await BuildGate.evaluateGate(build.id);
+
+      expect(result.state).to.equal(Build.States.Blocked);
+      expect(result.error).to.have.string('did not complete');
+      sinon.assert.notCalled(getObjectStub);
+    });
+
+    it('only evaluates a staged build once', async () => {
+      getObjectStub.resolves(reportResponse({ violatedRules: [] }));
+
+      await Promise.all([
+        BuildGate.evaluateGate(build.id),
+        BuildGate.evaluateGate(build.id),
+      ]);
+
+      sinon.assert.calledOnce(publishStub);
+    });
+  });
+
+  describe('.timeoutGate', () => {
+    let gateTask;
+    let removeStub;
+
+    beforeEach(async () => {
+      [gateTask] = await BuildGate.createGateTasks(build);
+      await build.update({ state: Build.States.Staged });
+      await gateTask.update({ status: BuildTask.Statuses.Processing });
+
+      sinon.stub(GithubBuildHelper, 'reportBuildStatus').resolves();
+      sinon.stub(BuildPublisher, 'publishBuild').resolvesArg(0);
+      removeStub = sinon.stub(BuildPublisher, 'removeBuildOutput').resolvesArg(0);
+    });
+
+    it('errors the unfinished prepublish tasks and blocks the build', async () => {
+      const result = await BuildGate.timeoutGate(build);
+      await gateTask.reload();
+
+      expect(gateTask.status).to.equal(BuildTask.Statuses.Error);
+      expect(gateTask.message).to.equal('The build task timed out');
+      expect(result.state).to.equal(Build.States.Blocked);
+      expect(result.error).to.have.string('did not complete');
+      sinon.assert.calledOnceWithMatch(removeStub, { id: build.id });
+    });
+  });
+});
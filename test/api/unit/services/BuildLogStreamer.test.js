@@ -0,0 +1,135 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+
+const factory = require('../../support/factory');
+const MockSocket = require('../../support/mockSocket');
+const { createSiteUserOrg } = require('../../support/site-user');
+const { Build, BuildLog } = require('../../../../api/models');
+const BuildLogStreamer = require('../../../../api/services/BuildLogStreamer');
+const SocketIOSubscriber = require('../../../../api/services/SocketIOSubscriber');
+
+const createLogs = (build, outputs) =>
+  BuildLog.bulkCreate(
+    outputs.map((output) => ({
+      output,
+      source: 'ALL',
+      build: build.id,
+    })),
+  );
+
+const mockIO = (rooms) => {
+  const emit = sinon.stub();
+  const to = sinon.stub().returns({ emit });
+  return {
+    emit,
+    to,
+    of: () => ({
+      adapter: {
+        rooms: new Map(rooms.map((room) => [room, new Set(['socket-id'])])),
+      },
+    }),
+    local: { to },
+  };
+};
+
+describe('BuildLogStreamer', () => {
+  let build;
+  let room;
+  let socket;
+
+  beforeEach(async () => {
+    const { site, user } = await createSiteUserOrg();
+    build = await factory.build({
+      site,
+      user,
+      state: Build.States.Processing,
+    });
+    room = SocketIOSubscriber.getBuildLogRoom(build.id);
+    socket = new MockSocket(user);
+  });
+
+  afterEach(() => sinon.restore());
+
+  describe('.subscribe', () => {
+    it('joins the log room of the build', async () => {
+      const subscribed = await BuildLogStreamer.subscribe(socket, build.id);
+
+      expect(subscribed).to.be.true;
+      expect(socket.rooms.has(room)).to.be.true;
+    });
+
+    it('does not subscribe to a build of another site', async () => {
+      const otherSocket = new MockSocket(await factory.user());
+
+      const subscribed = await BuildLogStreamer.subscribe(otherSocket, build.id);
+
+      expect(subscribed).to.be.false;
+    });
+  });
+
+  describe('.pushBuildLogs', () => {
+    it('pushes the lines written since the room was subscribed', async () => {
+      await createLogs(build, ['first']);
+      await BuildLogStreamer.subscribe(socket, build.id);
+      await createLogs(build, ['second', 'third']);
+      const io = mockIO([room]);
+
+      await BuildLogStreamer.pushBuildLogs(io);
+
+      sinon.assert.calledOnceWithExactly(io.to, room);
+      sinon.assert.calledOnceWithExactly(io.emit, 'build logs', {
+        build: build.id,
+        state: Build.States.Processing,
+        offset: 1,
+        output: ['second', 'third'],
+      });
+
+      await createLogs(build, ['fourth']);
+
+      await BuildLogStreamer.pushBuildLogs(io);
+
+      sinon.assert.calledWith(io.emit, 'build logs', {
+        build: build.id,
+        state: Build.States.Processing,
+        offset: 3,
+        output: ['fourth'],
+      });
+    });
+
+    it('does not push anything while there are no new lines', async () => {
+      await BuildLogStreamer.subscribe(socket, build.id);
+      const io = mockIO([room]);
+
+      await BuildLogStreamer.pushBuildLogs(io);
+
+      sinon.assert.notCalled(io.emit);
+    });
+
+    it('pushes the final state and closes the room of a complete build', async () => {
+      await BuildLogStreamer.subscribe(socket, build.id);
+      await build.update({ state: Build.States.Success });
+      const io = mockIO([room]);
+
+      await BuildLogStreamer.pushBuildLogs(io);
+      await BuildLogStreamer.pushBuildLogs(io);
+
+      sinon.assert.calledOnceWithExactly(io.emit, 'build logs', {
+        build: build.id,
+        state: Build.States.Success,
+        offset: 0,
+        output: [],
+      });
+    });
+
+    it('stops tracking a room without subscribers', async () => {
+      await BuildLogStreamer.subscribe(socket, build.id);
+      await createLogs(build, ['first']);
+
+      await BuildLogStreamer.pushBuildLogs(mockIO([]));
+      const io = mockIO([room]);
+      await BuildLogStreamer.pushBuildLogs(io);
+
+      sinon.assert.notCalled(io.emit);
+    });
+  });
+});
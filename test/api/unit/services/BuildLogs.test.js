@@ -250,4 +250,80 @@ describe('BuildLogs Service', () => {
       expect(byteLength).to.equal(0);
     });
   });
+
+  describe('.searchBuildLogs', () => {
+    it('returns the lines matching the query in the database', async () => {
+      const build = await factory.build();
+      await BuildLog.bulkCreate(
+        ['Installing', 'Warning: deprecated', 'Done', 'WARNING: slow'].map((output) => ({
+          output,
+          source: 'ALL',
+          build: build.id,
+        })),
+      );
+
+      const result = await BuildLogs.searchBuildLogs(build, 'warning');
+
+      expect(result).to.deep.equal({
+        matches: [
+          { line: 2, output: 'Warning: deprecated' },
+          { line: 4, output: 'WARNING: slow' },
+        ],
+        truncated: false,
+      });
+    });
+
+    it('returns the lines matching the query in the archived logs', async () => {
+      const build = { logsS3Key: 'owner/repo/1' };
+      sinon.stub(BuildLogs, 'getBuildLogs').resolves({
+        output: ['Installing', 'Warning: deprecated', 'Done'],
+        byteLength: 38,
+      });
+
+      const result = await BuildLogs.searchBuildLogs(build, 'WARN');
+
+      expect(result).to.deep.equal({
+        matches: [{ line: 2, output: 'Warning: deprecated' }],
+        truncated: false,
+      });
+    });
+
+    it('limits the number of matching lines', async () => {
+      const build = await factory.build();
+      await factory.bulkBuildLogs(3, {
+        buildId: build.id,
+        source: 'ALL',
+        output: 'Foobarbaz',
+      });
+
+      const result = await BuildLogs.searchBuildLogs(build, 'bar', 2);
+
+      expect(result.matches).to.have.length(2);
+      expect(result.truncated).to.be.true;
+    });
+  });
+
+  describe('.getBuildLogText', () => {
+    it('returns the logs in the database', async () => {
+      const build = await factory.build();
+      await factory.buildLog({ build, output: 'Foobarbaz' });
+
+      const text = await BuildLogs.getBuildLogText(build);
+
+      expect(text).to.equal('Foobarbaz');
+    });
+
+    it('returns the complete archived logs', async () => {
+      const build = { logsS3Key: 'owner/repo/1' };
+      const getBuildLogsStub = sinon.stub(BuildLogs, 'getBuildLogs').resolves({
+        output: ['hello', 'world'],
+        byteLength: 11,
+      });
+
+      const text = await BuildLogs.getBuildLogText(build);
+
+      sinon.assert.calledOnceWithExactly(getBuildLogsStub, build);
+      expect(text).to.equal('hello\nworld');
+    });
+  });
 });
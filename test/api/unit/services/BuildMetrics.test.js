@@ -0,0 +1,116 @@
+const { expect } = require('chai');
+const moment = require('moment');
+
+const factory = require('../../support/factory');
+const { Build } = require('../../../../api/models');
+const BuildMetrics = require('../../../../api/services/BuildMetrics');
+
+const successfulBuild = (id, duration, branch = 'main') => ({
+  id,
+  branch,
+  state: Build.States.Success,
+  createdAt: new Date(),
+  duration,
+  queueWait: 10,
+  outputSize: null,
+});
+
+describe('BuildMetrics', () => {
+  describe('.median', () => {
+    it('returns the middle value', () => {
+      expect(BuildMetrics.median([30, 10, 20])).to.equal(20);
+      expect(BuildMetrics.median([40, 10, 20, 30])).to.equal(25);
+    });
+
+    it('ignores missing values', () => {
+      expect(BuildMetrics.median([null, 10, null])).to.equal(10);
+      expect(BuildMetrics.median([null])).to.be.null;
+    });
+  });
+
+  describe('.findRegressions', () => {
+    it('returns the builds much slower than the trailing median of their branch', () => {
+      const builds = [
+        ...[100, 110, 90, 100, 105].map((duration, i) =>
+          successfulBuild(i + 1, duration),
+        ),
+        successfulBuild(6, 200),
+        successfulBuild(7, 140),
+      ];
+
+      const regressions = BuildMetrics.findRegressions(builds);
+
+      expect(regressions).to.have.length(1);
+      expect(regressions[0]).to.include({
+        buildId: 6,
+        branch: 'main',
+        duration: 200,
+        trailingMedian: 100,
+      });
+    });
+
+    it('requires enough previous builds of the same branch', () => {
+      const builds = [
+        ...[100, 100, 100, 100].map((duration, i) => successfulBuild(i + 1, duration)),
+        successfulBuild(5, 100, 'other'),
+        successfulBuild(6, 500),
+      ];
+
+      expect(BuildMetrics.findRegressions(builds)).to.deep.equal([]);
+    });
+  });
+
+  describe('.getSiteBuildMetrics', () => {
+    it('aggregates the completed builds of the site', async () => {
+      const site = await factory.site();
+      const now = moment();
+      const completedBuild = (branch, state, duration, disk) =>
+        factory.build({
+          site,
+          branch,
+          state,
+          startedAt: now.clone().subtract(duration, 'seconds').toDate(),
+          completedAt: now.toDate(),
+          metrics: { machine: { disk } },
+        });
+
+      await completedBuild('main', Build.States.Success, 60, 1000);
+      await completedBuild('main', Build.States.Error, 20, 3000);
+      await completedBuild('feature', Build.States.Success, 100, 2000);
+      await factory.build({ site, state: Build.States.Processing });
+      await factory.build({ state: Build.States.Success });
+
+      const metrics = await BuildMetrics.getSiteBuildMetrics(site);
+
+      expect(metrics.days).to.equal(30);
+      expect(metrics.builds).to.have.length(3);
+      expect(metrics.summary).to.include({
+        builds: 3,
+        failures: 1,
+        medianDuration: 60,
+        medianOutputSize: 2000,
+      });
+      expect(metrics.branches.map((b) => b.branch)).to.deep.equal(['main', 'feature']);
+      expect(metrics.branches[0]).to.include({
+        builds: 2,
+        failures: 1,
+        failureRate: 0.5,
+        medianDuration: 40,
+      });
+      expect(metrics.trend).to.have.length(1);
+      expect(metrics.trend[0].builds).to.equal(3);
+    });
+
+    it('only includes the builds of a branch', async () => {
+      const site = await factory.site();
+      await factory.build({ site, branch: 'main', state: Build.States.Success });
+      await factory.build({ site, branch: 'feature', state: Build.States.Success });
+
+      const metrics = await BuildMetrics.getSiteBuildMetrics(site, {
+        branch: 'feature',
+      });
+
+      expect(metrics.builds.map((b) => b.branch)).to.deep.equal(['feature']);
+    });
+  });
+});
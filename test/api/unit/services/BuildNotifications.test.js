@@ -0,0 +1,252 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+
+const factory = require('../../support/factory');
+const { createSiteUserOrg } = require('../../support/site-user');
+const {
+  Build,
+  BuildTask,
+  EmailNotification,
+  Organization,
+} = require('../../../../api/models');
+const QueueJobs = require('../../../../api/queue-jobs');
+const BuildNotifications = require('../../../../api/services/BuildNotifications');
+const S3BuildTask = require('../../../../api/services/S3BuildTask');
+
+const reportResponse = (report) => ({
+  Body: {
+    transformToString: () => Promise.resolve(JSON.stringify(report)),
+  },
+});
+
+describe('BuildNotifications', () => {
+  let user;
+  let org;
+  let site;
+
+  const optIn = (emailNotificationSettings) =>
+    user.update({
+      emailNotificationSettings: {
+        frequency: 'immediate',
+        events: ['build-failed', 'build-recovered', 'report-findings'],
+        ...emailNotificationSettings,
+      },
+    });
+
+  beforeEach(async () => {
+    ({ user, org, site } = await createSiteUserOrg());
+    sinon.stub(QueueJobs.prototype, 'sendBuildNotification').resolves({});
+    sinon.stub(QueueJobs.prototype, 'sendNotificationDigest').resolves({});
+  });
+
+  afterEach(async () => {
+    sinon.restore();
+    await EmailNotification.truncate({ force: true, cascade: true });
+    await Organization.truncate({ force: true, cascade: true });
+  });
+
+  describe('.notifyBuildCompleted', () => {
+    it('emails the users who opted in to build failures', async () => {
+      await optIn();
+      const build = await factory.build({
+        site: site.id,
+        state: Build.States.Error,
+        error: 'The build failed',
+      });
+
+      await BuildNotifications.notifyBuildCompleted(build.id);
+
+      sinon.assert.calledOnceWithMatch(
+        QueueJobs.prototype.sendBuildNotification,
+        user.email,
+        'build-failed',
+        {
+          site: { id: site.id },
+          build: { id: build.id, error: 'The build failed' },
+        },
+      );
+    });
+
+    it('emails a recovery when the previous build of the branch failed', async () => {
+      await optIn();
+      await factory.build({ site: site.id, state: Build.States.Error });
+      const build = await factory.build({ site: site.id, state: Build.States.Success });
+
+      await BuildNotifications.notifyBuildCompleted(build.id);
+
+      sinon.assert.calledOnceWithMatch(
+        QueueJobs.prototype.sendBuildNotification,
+        user.email,
+        'build-recovered',
+      );
+    });
+
+    it('does not email successful builds after a success', async () => {
+      await optIn();
+      await factory.build({ site: site.id, state: Build.States.Success });
+      const build = await factory.build({ site: site.id, state: Build.States.Success });
+
+      await BuildNotifications.notifyBuildCompleted(build.id);
+
+      sinon.assert.notCalled(QueueJobs.prototype.sendBuildNotification);
+    });
+
+    it('does not email users who did not opt in or muted the site', async () => {
+      const { user: mutedUser } = await createSiteUserOrg({ org, site });
+      await mutedUser.update({
+        emailNotificationSettings: { frequency: 'immediate', events: ['build-failed'] },
+        buildNotificationSettings: { [site.id]: 'none' },
+      });
+      await optIn({ events: ['build-recovered'] });
+      const build = await factory.build({ site: site.id, state: Build.States.Error });
+
+      await BuildNotifications.notifyBuildCompleted(build.id);
+
+      sinon.assert.notCalled(QueueJobs.prototype.sendBuildNotification);
+    });
+
+    it('saves the notifications of daily digest users', async () => {
+      await optIn({ frequency: 'daily' });
+      const build = await factory.build({ site: site.id, state: Build.States.Blocked });
+
+      await BuildNotifications.notifyBuildCompleted(build.id);
+
+      const notifications = await EmailNotification.findAll();
+      expect(notifications).to.have.length(1);
+      expect(notifications[0]).to.include({
+        userId: user.id,
+        siteId: site.id,
+        event: 'build-failed',
+        sentAt: null,
+      });
+      sinon.assert.notCalled(QueueJobs.prototype.sendBuildNotification);
+    });
+  });
+
+  describe('.notifyReportCompleted', () => {
+    let getObjectStub;
+
+    const createReport = async () => {
+      const build = await factory.build({ site: site.id, state: Build.States.Success });
+      const buildTask = await factory.buildTask({ build });
+      await buildTask.update({
+        status: BuildTask.Statuses.Success,
+        artifact: `_tasks/${buildTask.id}/`,
+      });
+      return buildTask;
+    };
+
+    beforeEach(() => {
+      getObjectStub = sinon.stub(S3BuildTask, 'getObject').resolves(
+        reportResponse({
+          violatedRules: [
+            { impact: 'critical', ignore: false },
+            { impact: 'critical', ignore: true },
+            { impact: 'serious', ignore: false },
+            { impact: 'minor', ignore: false },
+          ],
+        }),
+      );
+    });
+
+    it('emails the findings at or above the threshold of the user', async () => {
+      await optIn({ severityThresholds: { a11y: 'serious' } });
+      const buildTask = await createReport();
+
+      await BuildNotifications.notifyReportCompleted(buildTask.id);
+
+      sinon.assert.calledOnceWithMatch(
+        QueueJobs.prototype.sendBuildNotification,
+        user.email,
+        'report-findings',
+        {
+          report: { id: buildTask.id, findings: 2, threshold: 'serious' },
+        },
+      );
+    });
+
+    it('only emails critical a11y findings by default', async () => {
+      await optIn();
+      const buildTask = await createReport();
+
+      await BuildNotifications.notifyReportCompleted(buildTask.id);
+
+      sinon.assert.calledOnceWithMatch(
+        QueueJobs.prototype.sendBuildNotification,
+        user.email,
+        'report-findings',
+        {
+          report: { findings: 1, threshold: 'critical' },
+        },
+      );
+    });
+
+    it('does not email reports without findings above the threshold', async () => {
+      await optIn();
+      getObjectStub.resolves(
+        reportResponse({ violatedRules: [{ impact: 'minor', ignore: false }] }),
+      );
+      const buildTask = await createReport();
+
+      await BuildNotifications.notifyReportCompleted(buildTask.id);
+
+      sinon.assert.notCalled(QueueJobs.prototype.sendBuildNotification);
+    });
+
+    it('does not fetch the report when no user opted in', async () => {
+      const buildTask = await createReport();
+
+      await BuildNotifications.notifyReportCompleted(buildTask.id);
+
+      sinon.assert.notCalled(getObjectStub);
+    });
+  });
+
+  describe('.sendDigests', () => {
+    it('emails one digest per user and marks the notifications sent', async () => {
+      await optIn({ frequency: 'daily' });
+      const data = { site: { id: site.id }, build: { id: 1 } };
+      await EmailNotification.create({
+        userId: user.id,
+        siteId: site.id,
+        event: 'build-failed',
+        data,
+      });
+      await EmailNotification.create({
+        userId: user.id,
+        siteId: site.id,
+        event: 'build-recovered',
+        data,
+      });
+
+      const count = await BuildNotifications.sendDigests();
+
+      expect(count).to.equal(1);
+      sinon.assert.calledOnceWithExactly(
+        QueueJobs.prototype.sendNotificationDigest,
+        user.email,
+        [
+          { event: 'build-failed', data },
+          { event: 'build-recovered', data },
+        ],
+      );
+      expect(await EmailNotification.count({ where: { sentAt: null } })).to.equal(0);
+    });
+
+    it('discards the notifications of users who no longer want a digest', async () => {
+      await optIn({ frequency: 'none' });
+      await EmailNotification.create({
+        userId: user.id,
+        siteId: site.id,
+        event: 'build-failed',
+        data: {},
+      });
+
+      const count = await BuildNotifications.sendDigests();
+
+      expect(count).to.equal(0);
+      sinon.assert.notCalled(QueueJobs.prototype.sendNotificationDigest);
+      expect(await EmailNotification.count({ where: { sentAt: null } })).to.equal(0);
+    });
+  });
+});
@@ -0,0 +1,210 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+
+const config = require('../../../../config');
+const factory = require('../../support/factory');
+const { Build, Event } = require('../../../../api/models');
+const QueueJobs = require('../../../../api/queue-jobs');
+const BuildPublisher = require('../../../../api/services/BuildPublisher');
+const EventCreator = require('../../../../api/services/EventCreator');
+const S3Helper = require('../../../../api/services/S3Helper');
+const CFApiClient = require('../../../../api/utils/cfApiClient');
+
+describe('BuildPublisher', () => {
+  let site;
+  let build;
+  let syncStub;
+
+  beforeEach(async () => {
+    site = await factory.site();
+    build = await factory.build({
+      site,
+      branch: 'feature',
+      state: Build.States.Success,
+    });
+
+    sinon.stub(CFApiClient.prototype, 'fetchServiceInstanceCredentials').resolves({
+      access_key_id: 'access_key_id',
+      bucket: site.awsBucketName,
+      region: 'region',
+      secret_access_key: 'secret',
+    });
+    syncStub = sinon.stub(S3Helper.S3Client.prototype, 'syncBucketObjects').resolves();
+  });
+
+  afterEach(() => sinon.restore());
+
+  describe('.publishBuild', () => {
+    it('replaces the live content with the output of the build', async () => {
+      await BuildPublisher.publishBuild(build);
+
+      sinon.assert.calledOnceWithExactly(
+        syncStub,
+        `_builds/build-${build.id}/`,
+        `preview/${site.owner}/${site.repository}/feature/`,
+        { excludePrefixes: [] },
+      );
+    });
+
+    it('publishes to the prefix of a site branch config', async () => {
+      await factory.siteBranchConfig.create({
+        site,
+        branch: 'feature',
+        context: 'demo',
+        s3Key: '/demo/owner/repo',
+      });
+
+      await BuildPublisher.publishBuild(build);
+
+      sinon.assert.calledOnceWithExactly(
+        syncStub,
+        `_builds/build-${build.id}/`,
+        'demo/owner/repo/',
+        { excludePrefixes: [] },
+      );
+    });
+
+    it('keeps the live content of the nested branches', async () => {
+      await factory.build({ site, branch: 'feature/nested' });
+      await factory.build({ site, branch: 'feature-other' });
+      await factory.build({ site, branch: 'main' });
+
+      await BuildPublisher.publishBuild(build);
+
+      sinon.assert.calledOnceWithExactly(
+        syncStub,
+        `_builds/build-${build.id}/`,
+        `preview/${site.owner}/${site.repository}/feature/`,
+        {
+          excludePrefixes: [`preview/${site.owner}/${site.repository}/feature/nested/`],
+        },
+      );
+    });
+  });
+
+  describe('.removeBuildOutput', () => {
+    it('deletes the output prefix of the build', async () => {
+      const deleteStub = sinon
+        .stub(S3Helper.S3Client.prototype, 'deleteAllBucketObjects')
+        .resolves();
+
+      await BuildPublisher.removeBuildOutput(build);
+
+      sinon.assert.calledOnceWithExactly(deleteStub, `_builds/build-${build.id}/`);
+    });
+  });
+
+  describe('.pruneBuildOutputs', () => {
+    let deleteStub;
+
+    beforeEach(() => {
+      sinon.stub(config.app, 'buildOutputRetention').value(2);
+      deleteStub = sinon
+        .stub(S3Helper.S3Client.prototype, 'deleteAllBucketObjects')
+        .resolves();
+    });
+
+    it('deletes the outputs of the builds past the retained builds', async () => {
+      await factory.build({ site, branch: 'feature', state: Build.States.Success });
+      const latestBuild = await factory.build({
+        site,
+        branch: 'feature',
+        state: Build.States.Success,
+      });
+
+      const prunedBuilds = await BuildPublisher.pruneBuildOutputs(latestBuild);
+
+      expect(prunedBuilds.map((b) => b.id)).to.deep.equal([build.id]);
+      sinon.assert.calledOnceWithExactly(deleteStub, `_builds/build-${build.id}/`);
+    });
+
+    it('keeps the outputs of other branches and unsuccessful builds', async () => {
+      await factory.build({ site, branch: 'main', state: Build.States.Success });
+      await factory.build({ site, branch: 'feature', state: Build.States.Error });
+      const latestBuild = await factory.build({
+        site,
+        branch: 'feature',
+        state: Build.States.Success,
+      });
+
+      const prunedBuilds = await BuildPublisher.pruneBuildOutputs(latestBuild);
+
+      expect(prunedBuilds).to.be.empty;
+      sinon.assert.notCalled(deleteStub);
+    });
+  });
+
+  describe('.removeBranchBuildOutputs', () => {
+    it('queues the removal of the outputs of the branch', async () => {
+      const removeOutputStub = sinon
+        .stub(QueueJobs.prototype, 'removeBuildOutput')
+        .resolves();
+      await factory.build({ site, branch: 'main', state: Build.States.Success });
+      await factory.build({ site, branch: 'feature', state: Build.States.Error });
+      const latestBuild = await factory.build({
+        site,
+        branch: 'feature',
+        state: Build.States.Success,
+      });
+
+      const builds = await BuildPublisher.removeBranchBuildOutputs(site, 'feature');
+
+      expect(builds.map((b) => b.id)).to.deep.equal([latestBuild.id, build.id]);
+      sinon.assert.calledTwice(removeOutputStub);
+      sinon.assert.calledWithMatch(removeOutputStub, { id: latestBuild.id });
+      sinon.assert.calledWithMatch(removeOutputStub, { id: build.id });
+    });
+  });
+
+  describe('.promoteBuild', () => {
+    let hasObjectsStub;
+    let auditStub;
+    let user;
+
+    beforeEach(async () => {
+      user = await factory.user();
+      hasObjectsStub = sinon
+        .stub(S3Helper.S3Client.prototype, 'hasObjects')
+        .resolves(true);
+      auditStub = sinon.stub(EventCreator, 'audit').resolves();
+    });
+
+    it('publishes the output of the build and audits the promotion', async () => {
+      await BuildPublisher.promoteBuild(build, user);
+
+      sinon.assert.calledOnceWithExactly(
+        syncStub,
+        `_builds/build-${build.id}/`,
+        `preview/${site.owner}/${site.repository}/feature/`,
+        { excludePrefixes: [] },
+      );
+      sinon.assert.calledOnceWithMatch(
+        auditStub,
+        Event.labels.BUILD_PROMOTION,
+        user,
+        'Build Promoted',
+        { build: { id: build.id, branch: 'feature' } },
+      );
+    });
+
+    it('only promotes successful builds', async () => {
+      await build.update({ state: Build.States.Blocked });
+
+      const error = await BuildPublisher.promoteBuild(build, user).catch((e) => e);
+
+      expect(error.message).to.equal('Only successful builds can be promoted.');
+      sinon.assert.notCalled(syncStub);
+      sinon.assert.notCalled(auditStub);
+    });
+
+    it('does not promote a build without output', async () => {
+      hasObjectsStub.resolves(false);
+
+      const error = await BuildPublisher.promoteBuild(build, user).catch((e) => e);
+
+      expect(error.message).to.equal('The output of this build is no longer available.');
+      sinon.assert.notCalled(syncStub);
+      sinon.assert.notCalled(auditStub);
+    });
+  });
+});
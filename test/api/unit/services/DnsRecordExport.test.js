@@ -0,0 +1,97 @@
+const { expect } = require('chai');
+
+const factory = require('../../support/factory');
+const DnsRecordExport = require('../../../../api/services/DnsRecordExport');
+
+const cloudGovDomain = 'external-domains-production.cloud.gov';
+
+describe('DnsRecordExport', () => {
+  describe('.exportDnsRecords', () => {
+    const domain = factory.domain.build({ names: 'www.agency.gov,agency.gov' });
+
+    it('renders a BIND zone file snippet', () => {
+      const { filename, type, body } = DnsRecordExport.exportDnsRecords(domain, 'bind');
+
+      expect(filename).to.equal('www.agency.gov-dns-records.zone');
+      expect(type).to.equal('text/plain');
+      expect(body).to.include(
+        `_acme-challenge.www.agency.gov.\t300\tIN\tCNAME\t` +
+          `_acme-challenge.www.agency.gov.${cloudGovDomain}.`,
+      );
+      expect(body).to.include(
+        `www.agency.gov.\t300\tIN\tCNAME\twww.agency.gov.${cloudGovDomain}.`,
+      );
+      expect(body).to.include(
+        '; agency.gov is an apex domain which cannot have a CNAME record.',
+      );
+      expect(body).to.not.include('agency.gov.\t300\tIN\tA');
+    });
+
+    it('renders Terraform Route 53 records', () => {
+      const { filename, body } = DnsRecordExport.exportDnsRecords(domain, 'route53');
+
+      expect(filename).to.equal('www.agency.gov-dns-records.route53.tf');
+      expect(body).to.include('variable "zone_id" {');
+      expect(body).to.include(
+        [
+          'resource "aws_route53_record" "acme_challenge_www_agency_gov" {',
+          '  zone_id = var.zone_id',
+          '  name    = "_acme-challenge.www.agency.gov"',
+          '  type    = "CNAME"',
+          '  ttl     = 300',
+          `  records = ["_acme-challenge.www.agency.gov.${cloudGovDomain}"]`,
+          '}',
+        ].join('\n'),
+      );
+      expect(body).to.include('# agency.gov is an apex domain');
+      expect(body).to.not.include('"agency_gov"');
+    });
+
+    it('renders Terraform Cloudflare records with flattened apex records', () => {
+      const { filename, body } = DnsRecordExport.exportDnsRecords(domain, 'cloudflare');
+
+      expect(filename).to.equal('www.agency.gov-dns-records.cloudflare.tf');
+      expect(body.match(/resource "cloudflare_record"/g)).to.have.length(4);
+      expect(body).to.include(
+        [
+          'resource "cloudflare_record" "agency_gov" {',
+          '  zone_id = var.zone_id',
+          '  name    = "agency.gov"',
+          '  type    = "CNAME"',
+          `  content = "agency.gov.${cloudGovDomain}"`,
+          '  ttl     = 300',
+          '  proxied = false',
+          '}',
+        ].join('\n'),
+      );
+    });
+
+    it('renders a CSV file', () => {
+      const { filename, type, body } = DnsRecordExport.exportDnsRecords(domain, 'csv');
+
+      const [header, ...rows] = body.split('\n');
+
+      expect(filename).to.equal('www.agency.gov-dns-records.csv');
+      expect(type).to.equal('text/csv');
+      expect(header).to.equal('"Name","Type","Target","TTL","Purpose","Note"');
+      expect(rows).to.have.length(4);
+      expect(rows).to.include(
+        `"www.agency.gov","CNAME","www.agency.gov.${cloudGovDomain}",300,"Site",""`,
+      );
+      expect(rows).to.include(
+        `"agency.gov","ALIAS","agency.gov.${cloudGovDomain}",300,"Site",` +
+          '"Apex domains cannot have a CNAME record. Use an ALIAS, ANAME or ' +
+          'flattened CNAME record, depending on what your DNS provider supports."',
+      );
+      expect(rows.filter((row) => row.includes('","A","'))).to.be.empty;
+    });
+
+    it('throws for an unknown format', () => {
+      ['txt', 'constructor', undefined].forEach((format) => {
+        expect(() => DnsRecordExport.exportDnsRecords(domain, format)).to.throw(
+          'The DNS records can only be exported as bind, route53, cloudflare, csv.',
+        );
+      });
+    });
+  });
+});
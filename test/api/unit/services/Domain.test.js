@@ -7,6 +7,7 @@ const DnsService = require('../../../../api/services/Dns');
 const DomainService = require('../../../../api/services/Domain');
 const CloudFoundryAPIClient = require('../../../../api/utils/cfApiClient');
 const { DomainQueue } = require('../../../../api/queues');
+const QueueJobs = require('../../../../api/queue-jobs');
 const config = require('../../../../config');
 
 describe('Domain Service', () => {
@@ -98,6 +99,16 @@ describe('Domain Service', () => {
       expect(result).to.be.true;
     });
 
+    it('returns true if domain failed to deprovision', () => {
+      const domain = DomainFactory.build({
+        state: Domain.States.Deprovision_failed,
+      });
+
+      const result = DomainService.canDeprovision(domain);
+
+      expect(result).to.be.true;
+    });
+
     it('returns false if the domain is pending', () => {
       const domain = DomainFactory.build();
 
@@ -107,6 +118,26 @@ describe('Domain Service', () => {
     });
   });
 
+  describe('.canReset()', () => {
+    it('returns true if domain is failed or failed to deprovision', () => {
+      [Domain.States.Failed, Domain.States.Deprovision_failed].forEach((state) => {
+        const domain = DomainFactory.build({ state });
+
+        expect(DomainService.canReset(domain)).to.be.true;
+      });
+    });
+
+    it('returns false if domain is deprovisioning', () => {
+      const domain = DomainFactory.build({
+        state: Domain.States.Deprovisioning,
+      });
+
+      const result = DomainService.canReset(domain);
+
+      expect(result).to.be.false;
+    });
+  });
+
   describe('.canDestroy()', () => {
     it('returns false if domain is provisioned', () => {
       const domain = DomainFactory.build({
@@ -243,7 +274,95 @@ describe('Domain Service', () => {
         'checkDeprovisionStatus',
         {
           id: domain.id,
+          attempt: 2,
+        },
+        { delay: 4 * 60 * 1000 },
+      );
+    });
+
+    it('keeps the description when the deletion of the service fails', async () => {
+      sinon.stub(CloudFoundryAPIClient.prototype, 'fetchServiceInstances').resolves({
+        resources: [
+          {
+            last_operation: {
+              state: 'failed',
+              description: 'The CDN distribution could not be deleted',
+            },
+          },
+        ],
+      });
+      sinon.stub(DomainQueue.prototype, 'add');
+
+      const domain = await DomainFactory.create({
+        state: Domain.States.Deprovisioning,
+      });
+
+      const error = await DomainService.checkDeprovisionStatus(domain.id).catch((e) => e);
+
+      await domain.reload();
+
+      expect(error).to.be.an('Error');
+      expect(domain.state).to.eq(Domain.States.Deprovision_failed);
+      expect(domain.lastOperationDescription).to.eq(
+        'The CDN distribution could not be deleted',
+      );
+      sinon.assert.notCalled(DomainQueue.prototype.add);
+    });
+
+    it('stops requeueing after the maximum number of attempts', async () => {
+      sinon.stub(CloudFoundryAPIClient.prototype, 'fetchServiceInstances').resolves({
+        resources: [
+          {
+            last_operation: {
+              state: 'in progress',
+              description: 'Deleting the CDN distribution',
+            },
+          },
+        ],
+      });
+      sinon.stub(DomainQueue.prototype, 'add');
+      const { domainStatusCheckMaxAttempts } = config.app;
+
+      const domain = await DomainFactory.create({
+        state: Domain.States.Deprovisioning,
+      });
+
+      const error = await DomainService.checkDeprovisionStatus(
+        domain.id,
+        domainStatusCheckMaxAttempts,
+      ).catch((e) => e);
+
+      await domain.reload();
+
+      expect(error).to.be.an('Error');
+      expect(domain.state).to.eq(Domain.States.Deprovision_failed);
+      expect(domain.lastOperationDescription).to.eq(
+        `The operation did not complete after ${domainStatusCheckMaxAttempts} ` +
+          'status checks. Deleting the CDN distribution',
+      );
+      sinon.assert.notCalled(DomainQueue.prototype.add);
+    });
+
+    it('delays the requeued checks up to an hour', async () => {
+      sinon.stub(CloudFoundryAPIClient.prototype, 'fetchServiceInstances').resolves({
+        resources: [{}],
+      });
+      sinon.stub(DomainQueue.prototype, 'add');
+
+      const domain = await DomainFactory.create({
+        state: Domain.States.Deprovisioning,
+      });
+
+      await DomainService.checkDeprovisionStatus(domain.id, 10);
+
+      sinon.assert.calledOnceWithExactly(
+        DomainQueue.prototype.add,
+        'checkDeprovisionStatus',
+        {
+          id: domain.id,
+          attempt: 11,
         },
+        { delay: 60 * 60 * 1000 },
       );
     });
   });
@@ -288,6 +407,10 @@ describe('Domain Service', () => {
   });
 
   describe('.checkProvisionStatus()', () => {
+    beforeEach(() => {
+      sinon.stub(QueueJobs.prototype, 'dispatchWebhookEvent').resolves();
+    });
+
     it('does nothing if the domain is not `provisioning`', async () => {
       sinon.spy(CloudFoundryAPIClient.prototype, 'fetchServiceInstance');
       sinon.spy(DomainQueue.prototype, 'add');
@@ -327,6 +450,11 @@ describe('Domain Service', () => {
       );
       sinon.assert.notCalled(DomainQueue.prototype.add);
       expect(domain.state).to.eq(Domain.States.Provisioned);
+      sinon.assert.calledOnceWithExactly(
+        QueueJobs.prototype.dispatchWebhookEvent,
+        'domain.provisioned',
+        { domainId: domain.id },
+      );
     });
 
     it('updates the associated site if successful', async () => {
@@ -356,6 +484,30 @@ describe('Domain Service', () => {
       sinon.assert.calledOnceWithExactly(siteUpdateSpy, domain);
     });
 
+    it('updates the associated site when the webhooks cannot be dispatched', async () => {
+      QueueJobs.prototype.dispatchWebhookEvent.rejects(new Error('queue unavailable'));
+      sinon.stub(CloudFoundryAPIClient.prototype, 'fetchServiceInstance').resolves({
+        last_operation: {
+          state: 'succeeded',
+        },
+      });
+      const siteUpdateStub = sinon
+        .stub(DomainService, 'rebuildAssociatedSite')
+        .resolves();
+
+      const domain = await DomainFactory.create({
+        state: Domain.States.Provisioning,
+      });
+
+      const result = await DomainService.checkProvisionStatus(domain.id);
+
+      await domain.reload();
+
+      expect(result).to.have.string('successfully provisioned');
+      expect(domain.state).to.eq(Domain.States.Provisioned);
+      sinon.assert.calledOnceWithMatch(siteUpdateStub, { id: domain.id });
+    });
+
     it('sets the domain state to `failed` if failed', async () => {
       sinon.stub(CloudFoundryAPIClient.prototype, 'fetchServiceInstance').resolves({
         last_operation: {
@@ -379,6 +531,11 @@ describe('Domain Service', () => {
       sinon.assert.notCalled(DomainQueue.prototype.add);
       expect(domain.state).to.eq(Domain.States.Failed);
       expect(error).to.be.an('Error');
+      sinon.assert.calledOnceWithExactly(
+        QueueJobs.prototype.dispatchWebhookEvent,
+        'domain.failed',
+        { domainId: domain.id },
+      );
     });
 
     it('requeues the status check otherwise', async () => {
@@ -406,10 +563,46 @@ describe('Domain Service', () => {
         'checkProvisionStatus',
         {
           id: domain.id,
+          attempt: 2,
         },
+        { delay: 4 * 60 * 1000 },
       );
       expect(domain.state).to.eq(Domain.States.Provisioning);
     });
+
+    it('sets the domain state to `failed` after the maximum attempts', async () => {
+      sinon.stub(CloudFoundryAPIClient.prototype, 'fetchServiceInstance').resolves({
+        last_operation: {
+          state: 'in progress',
+        },
+      });
+      sinon.stub(DomainQueue.prototype, 'add');
+      const { domainStatusCheckMaxAttempts } = config.app;
+
+      const domain = await DomainFactory.create({
+        state: Domain.States.Provisioning,
+      });
+
+      const error = await DomainService.checkProvisionStatus(
+        domain.id,
+        domainStatusCheckMaxAttempts,
+      ).catch((e) => e);
+
+      await domain.reload();
+
+      expect(error).to.be.an('Error');
+      expect(domain.state).to.eq(Domain.States.Failed);
+      expect(domain.lastOperationDescription).to.eq(
+        `The operation did not complete after ${domainStatusCheckMaxAttempts} ` +
+          'status checks.',
+      );
+      sinon.assert.notCalled(DomainQueue.prototype.add);
+      sinon.assert.calledOnceWithExactly(
+        QueueJobs.prototype.dispatchWebhookEvent,
+        'domain.failed',
+        { domainId: domain.id },
+      );
+    });
   });
 
   describe('.rebuildAssociatedSite()', () => {
@@ -470,6 +663,54 @@ describe('Domain Service', () => {
       expect(site.Builds).to.have.length(1);
       expect(site.Builds[0].branch).to.equal(site.demoBranch);
     });
+
+    it('does not rebuild the site of a redirect domain', async () => {
+      const site = await SiteFactory();
+      const domain = await DomainFactory.create({
+        siteId: site.id,
+        type: Domain.Types.Redirect,
+        redirectUrl: 'https://www.agency.gov',
+        redirectStatus: 301,
+      });
+
+      await domain.reload({
+        include: [SiteBranchConfig],
+      });
+      await DomainService.rebuildAssociatedSite(domain);
+
+      await site.reload({
+        include: [Build],
+      });
+      expect(site.Builds).to.have.length(0);
+    });
+  });
+
+  describe('.redirectLocation()', () => {
+    it('keeps the path and query of the request', () => {
+      const domain = DomainFactory.build({
+        type: Domain.Types.Redirect,
+        redirectUrl: 'https://www.agency.gov',
+      });
+
+      expect(DomainService.redirectLocation(domain, 'about/team', '?page=2')).to.eq(
+        'https://www.agency.gov/about/team?page=2',
+      );
+      expect(DomainService.redirectLocation(domain, '')).to.eq('https://www.agency.gov/');
+    });
+
+    it('appends the path to the path of the redirect URL', () => {
+      const domain = DomainFactory.build({
+        type: Domain.Types.Redirect,
+        redirectUrl: 'https://www.agency.gov/program/?from=old',
+      });
+
+      expect(DomainService.redirectLocation(domain, 'about/')).to.eq(
+        'https://www.agency.gov/program/about/?from=old',
+      );
+      expect(DomainService.redirectLocation(domain, 'about/', '?page=2')).to.eq(
+        'https://www.agency.gov/program/about/?page=2',
+      );
+    });
   });
 
   describe('.isSiteUrlManagedByDomain()', () => {
@@ -694,7 +935,8 @@ describe('Domain Service', () => {
 
       expect(error).to.be.an('Error');
       expect(error.message).to.eq(
-        "Only 'provisioning', 'provisioned', or 'failed' domains can be deprovisioned.",
+        "Only 'provisioning', 'provisioned', 'failed', or 'deprovision_failed' domains" +
+          ' can be deprovisioned.',
       );
     });
 
@@ -720,12 +962,46 @@ describe('Domain Service', () => {
         'checkDeprovisionStatus',
         {
           id: domain.id,
+          attempt: 1,
         },
+        { delay: 2 * 60 * 1000 },
       );
       expect(domain.state).to.eq(Domain.States.Deprovisioning);
     });
   });
 
+  describe('.reset()', () => {
+    it('throws if the domain cannot be reset', async () => {
+      const domain = DomainFactory.build({
+        state: Domain.States.Provisioned,
+      });
+
+      const error = await DomainService.reset(domain).catch((e) => e);
+
+      expect(error).to.be.an('Error');
+      expect(error.message).to.eq(
+        "Only 'failed' or 'deprovision_failed' domains can be reset.",
+      );
+    });
+
+    it('sets the domain to `pending` and rebuilds its site', async () => {
+      const rebuildStub = sinon.stub(DomainService, 'rebuildAssociatedSite').resolves();
+
+      const domain = await DomainFactory.create({
+        state: Domain.States.Deprovision_failed,
+        lastOperationDescription: 'The CDN distribution could not be deleted',
+      });
+
+      await DomainService.reset(domain);
+
+      await domain.reload();
+
+      expect(domain.state).to.eq(Domain.States.Pending);
+      expect(domain.lastOperationDescription).to.be.null;
+      sinon.assert.calledOnceWithExactly(rebuildStub, domain);
+    });
+  });
+
   describe('.destroy()', () => {
     it(`throws an error and does not destroy the domain
         if the domain is not \`pending\``, async () => {
@@ -829,9 +1105,40 @@ describe('Domain Service', () => {
         'checkProvisionStatus',
         {
           id: domain.id,
+          attempt: 1,
         },
+        { delay: 2 * 60 * 1000 },
       );
       expect(domain.state).to.eq(Domain.States.Provisioning);
     });
+
+    it('serves a redirect domain from the redirects of the app', async () => {
+      sinon.stub(CloudFoundryAPIClient.prototype, 'createExternalDomain').resolves();
+      sinon.stub(DomainQueue.prototype, 'add');
+
+      const domain = await DomainFactory.create({
+        names: 'agency.gov',
+        type: Domain.Types.Redirect,
+        redirectUrl: 'https://www.agency.gov',
+        redirectStatus: 301,
+      });
+      const dnsResults = [
+        {
+          record: DnsService.buildAcmeChallengeDnsRecord(domain.names),
+          state: 'success',
+        },
+      ];
+
+      await DomainService.provision(domain, dnsResults);
+
+      sinon.assert.calledOnceWithMatch(
+        CloudFoundryAPIClient.prototype.createExternalDomain,
+        sinon.match({
+          domains: 'agency.gov',
+          origin: new URL(config.app.hostname).host,
+          path: `/domain-redirect/${domain.id}`,
+        }),
+      );
+    });
   });
 });
@@ -0,0 +1,147 @@
+const { expect } = require('chai');
+const moment = require('moment');
+const sinon = require('sinon');
+
+const factory = require('../../support/factory');
+const { Domain, Role } = require('../../../../api/models');
+const QueueJobs = require('../../../../api/queue-jobs');
+const DnsService = require('../../../../api/services/Dns');
+const DomainService = require('../../../../api/services/Domain');
+const DomainHealth = require('../../../../api/services/DomainHealth');
+
+const now = new Date('2026-10-18T07:00:00Z');
+
+const dnsResult = (type, name, state, message) => ({
+  record: { type, name, target: `${name}.external-domains-production.cloud.gov` },
+  state,
+  message,
+});
+
+describe('DomainHealth', () => {
+  let fetchCertificateStub;
+  let sendDomainDegradedStub;
+
+  beforeEach(() => {
+    sinon.stub(DomainService, 'checkDnsRecords').resolves([]);
+    fetchCertificateStub = sinon.stub(DomainHealth, 'fetchCertificate').resolves({
+      expiresAt: moment(now).add(60, 'days').toDate(),
+    });
+    sendDomainDegradedStub = sinon
+      .stub(QueueJobs.prototype, 'sendDomainDegraded')
+      .resolves();
+  });
+
+  afterEach(() => sinon.restore());
+
+  describe('.checkDomain', () => {
+    it('reports no issues for valid records and certificates', async () => {
+      const domain = factory.domain.build({ names: 'www.example.gov' });
+
+      const result = await DomainHealth.checkDomain(domain, { now });
+
+      expect(result.issues).to.deep.equal([]);
+      expect(result.certificateExpiresAt).to.deep.equal(
+        moment(now).add(60, 'days').toDate(),
+      );
+    });
+
+    it('reports failing CNAME records but not apex A records', async () => {
+      const domain = factory.domain.build({ names: 'example.gov' });
+      DomainService.checkDnsRecords.resolves([
+        dnsResult(DnsService.DnsRecordType.A, 'example.gov', 'error', 'No records'),
+        dnsResult(
+          DnsService.DnsRecordType.CNAME,
+          '_acme-challenge.example.gov',
+          'error',
+          'No records',
+        ),
+      ]);
+
+      const { issues } = await DomainHealth.checkDomain(domain, { now });
+
+      expect(issues).to.have.length(1);
+      expect(issues[0]).to.include('The CNAME record of _acme-challenge.example.gov');
+    });
+
+    it('reports invalid and expiring certificates', async () => {
+      const domain = factory.domain.build({ names: 'a.example.gov,b.example.gov' });
+      fetchCertificateStub
+        .withArgs('a.example.gov')
+        .resolves({ message: 'CERT_HAS_EXPIRED' })
+        .withArgs('b.example.gov')
+        .resolves({ expiresAt: new Date('2026-10-25T00:00:00Z') });
+
+      const result = await DomainHealth.checkDomain(domain, { now });
+
+      expect(result.issues).to.deep.equal([
+        'The certificate of a.example.gov is not valid: CERT_HAS_EXPIRED',
+        'The certificate of b.example.gov expires on 2026-10-25',
+      ]);
+      expect(result.certificateExpiresAt).to.deep.equal(new Date('2026-10-25T00:00:00Z'));
+    });
+  });
+
+  describe('.checkDomainHealth', () => {
+    let domain;
+
+    beforeEach(async () => {
+      domain = await factory.domain.create({ state: Domain.States.Provisioned });
+    });
+
+    it('saves a healthy check', async () => {
+      await DomainHealth.checkDomainHealth(domain, { now });
+      await domain.reload();
+
+      expect(domain.healthState).to.equal(Domain.HealthStates.Healthy);
+      expect(domain.healthIssues).to.deep.equal([]);
+      expect(domain.healthCheckedAt).to.deep.equal(now);
+      sinon.assert.notCalled(sendDomainDegradedStub);
+    });
+
+    it('emails the organization managers when the domain becomes degraded', async () => {
+      fetchCertificateStub.resolves({ message: 'CERT_HAS_EXPIRED' });
+
+      await DomainHealth.checkDomainHealth(domain, { now });
+      await domain.reload();
+
+      expect(domain.healthState).to.equal(Domain.HealthStates.Degraded);
+      expect(domain.healthIssues).to.have.length(1);
+      sinon.assert.calledOnce(sendDomainDegradedStub);
+    });
+
+    it('does not email again while the domain stays degraded', async () => {
+      fetchCertificateStub.resolves({ message: 'CERT_HAS_EXPIRED' });
+      await domain.update({
+        healthState: Domain.HealthStates.Degraded,
+        healthIssues: ['The certificate is not valid'],
+      });
+
+      await DomainHealth.checkDomainHealth(domain, { now });
+
+      sinon.assert.notCalled(sendDomainDegradedStub);
+    });
+  });
+
+  describe('.findOrganizationManagers', () => {
+    it('finds only the managers of the organization of the site', async () => {
+      const [managerRole, userRole] = await Promise.all([
+        Role.findOne({ where: { name: 'manager' } }),
+        Role.findOne({ where: { name: 'user' } }),
+      ]);
+      const [org, manager, user] = await Promise.all([
+        factory.organization.create(),
+        factory.user(),
+        factory.user(),
+      ]);
+      await org.addUser(manager, { through: { roleId: managerRole.id } });
+      await org.addUser(user, { through: { roleId: userRole.id } });
+      const site = await factory.site({ organizationId: org.id });
+      const domain = await factory.domain.create({ siteId: site.id });
+
+      const result = await DomainHealth.findOrganizationManagers(domain);
+
+      expect(result.site.id).to.equal(site.id);
+      expect(result.managers.map((u) => u.id)).to.deep.equal([manager.id]);
+    });
+  });
+});
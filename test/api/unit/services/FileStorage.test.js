@@ -0,0 +1,287 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { CopyObjectCommand, S3Client } = require('@aws-sdk/client-s3');
+const { mockClient } = require('aws-sdk-client-mock');
+
+const factory = require('../../support/factory');
+const {
+  Event,
+  FileStorageFile,
+  FileStorageUserAction,
+} = require('../../../../api/models');
+const EventCreator = require('../../../../api/services/EventCreator');
+const FileStorage = require('../../../../api/services/FileStorage');
+const S3Helper = require('../../../../api/services/S3Helper');
+const { ValidationError } = require('../../../../api/utils/validators');
+const CFApiClient = require('../../../../api/utils/cfApiClient');
+
+describe('FileStorage', () => {
+  let service;
+  let user;
+  let s3;
+
+  beforeEach(async () => {
+    service = await factory.fileStorageService.create();
+    user = await factory.user();
+
+    sinon.stub(CFApiClient.prototype, 'fetchServiceInstanceCredentials').resolves({
+      access_key_id: 'access_key_id',
+      bucket: 'bucket',
+      region: 'region',
+      secret_access_key: 'secret',
+    });
+    sinon.stub(EventCreator, 'audit').resolves();
+    s3 = {
+      putObject: sinon.stub(S3Helper.S3Client.prototype, 'putObject').resolves(),
+      copyObject: sinon.stub(S3Helper.S3Client.prototype, 'copyObject').resolves(),
+      deleteObject: sinon.stub(S3Helper.S3Client.prototype, 'deleteObject').resolves(),
+      syncBucketObjects: sinon
+        .stub(S3Helper.S3Client.prototype, 'syncBucketObjects')
+        .resolves(),
+      deleteAllBucketObjects: sinon
+        .stub(S3Helper.S3Client.prototype, 'deleteAllBucketObjects')
+        .resolves(),
+    };
+  });
+
+  afterEach(async () => {
+    sinon.restore();
+    await FileStorageUserAction.truncate();
+    await factory.fileStorageFile.truncate();
+  });
+
+  const createFile = (key) =>
+    factory.fileStorageFile.create({
+      fileStorageServiceId: service.id,
+      key,
+    });
+
+  describe('.listDirectory', () => {
+    it('lists the directories then the files directly inside a directory', async () => {
+      await createFile('docs/');
+      await createFile('docs/b.pdf');
+      await createFile('docs/a/');
+      await createFile('docs/a/nested.pdf');
+      await createFile('other.pdf');
+
+      const files = await FileStorage.listDirectory(service, 'docs/');
+
+      expect(files.map((file) => file.key)).to.deep.equal(['docs/a/', 'docs/b.pdf']);
+    });
+
+    it('lists the root directory by default', async () => {
+      await createFile('docs/');
+      await createFile('docs/b.pdf');
+      await createFile('other.pdf');
+
+      const files = await FileStorage.listDirectory(service);
+
+      expect(files.map((file) => file.key)).to.deep.equal(['docs/', 'other.pdf']);
+    });
+
+    it('does not treat the key as a pattern', async () => {
+      await createFile('a_b/');
+      await createFile('a_b/file.pdf');
+      await createFile('axb/');
+      await createFile('axb/file.pdf');
+
+      const files = await FileStorage.listDirectory(service, 'a_b/');
+
+      expect(files.map((file) => file.key)).to.deep.equal(['a_b/file.pdf']);
+    });
+
+    it('rejects a directory that does not exist', async () => {
+      const error = await FileStorage.listDirectory(service, 'missing/').catch((e) => e);
+
+      expect(error).to.be.an.instanceOf(ValidationError);
+    });
+  });
+
+  describe('.createDirectory', () => {
+    it('creates the directory in the bucket and records the action', async () => {
+      await createFile('docs/');
+
+      const directory = await FileStorage.createDirectory(service, user, {
+        parent: 'docs/',
+        name: ' reports ',
+      });
+
+      expect(directory.key).to.equal('docs/reports/');
+      expect(directory.name).to.equal('reports');
+      sinon.assert.calledOnceWithExactly(s3.putObject, '', 'docs/reports/');
+
+      const action = await FileStorageUserAction.findOne({
+        where: { fileStorageFileId: directory.id },
+      });
+      expect(action.userId).to.equal(user.id);
+      expect(action.method).to.equal('POST');
+      expect(action.description).to.equal('Directory Created');
+      sinon.assert.calledOnceWithMatch(
+        EventCreator.audit,
+        Event.labels.FILE_STORAGE,
+        user,
+        'Directory Created',
+      );
+    });
+
+    it('rejects names with slashes', async () => {
+      const error = await FileStorage.createDirectory(service, user, {
+        name: 'a/b',
+      }).catch((e) => e);
+
+      expect(error).to.be.an.instanceOf(ValidationError);
+      sinon.assert.notCalled(s3.putObject);
+    });
+
+    it('rejects a name that is already used', async () => {
+      await createFile('docs/');
+
+      const error = await FileStorage.createDirectory(service, user, {
+        name: 'docs',
+      }).catch((e) => e);
+
+      expect(error).to.be.an.instanceOf(ValidationError);
+      sinon.assert.notCalled(s3.putObject);
+    });
+  });
+
+  describe('.uploadFile', () => {
+    it('uploads the file to the bucket and records the action', async () => {
+      const body = Buffer.from('hello');
+
+      const file = await FileStorage.uploadFile(service, user, {
+        name: 'hello.txt',
+        body,
+        size: 5,
+        mimeType: 'text/plain',
+      });
+
+      expect(file.key).to.equal('hello.txt');
+      expect(file.metadata).to.deep.equal({
+        size: 5,
+        mimeType: 'text/plain',
+      });
+      sinon.assert.calledOnceWithExactly(s3.putObject, body, 'hello.txt', {
+        ContentLength: 5,
+        ContentType: 'text/plain',
+      });
+
+      const action = await FileStorageUserAction.findOne({
+        where: { fileStorageFileId: file.id },
+      });
+      expect(action.description).to.equal('File Uploaded');
+    });
+
+    it('rejects a parent directory that does not exist', async () => {
+      const error = await FileStorage.uploadFile(service, user, {
+        parent: 'missing/',
+        name: 'hello.txt',
+        body: Buffer.from('hello'),
+        size: 5,
+      }).catch((e) => e);
+
+      expect(error).to.be.an.instanceOf(ValidationError);
+      sinon.assert.notCalled(s3.putObject);
+    });
+  });
+
+  describe('.renameFile', () => {
+    it('moves a file in the bucket', async () => {
+      await createFile('docs/');
+      const file = await createFile('docs/a.pdf');
+      const sibling = await createFile('docs/a.pdf.bak');
+
+      await FileStorage.renameFile(service, user, file, 'b.pdf');
+
+      expect(file.key).to.equal('docs/b.pdf');
+      expect(file.name).to.equal('b.pdf');
+      sinon.assert.calledOnceWithExactly(s3.copyObject, 'docs/a.pdf', 'docs/b.pdf');
+      sinon.assert.calledOnceWithExactly(s3.deleteObject, 'docs/a.pdf');
+      await sibling.reload();
+      expect(sibling.key).to.equal('docs/a.pdf.bak');
+    });
+
+    it('moves a directory with everything it contains', async () => {
+      const directory = await createFile('docs/');
+      const nested = await createFile('docs/a/b.pdf');
+
+      await FileStorage.renameFile(service, user, directory, 'files');
+
+      expect(directory.key).to.equal('files/');
+      sinon.assert.calledOnceWithExactly(s3.syncBucketObjects, 'docs/', 'files/');
+      sinon.assert.calledOnceWithExactly(s3.deleteAllBucketObjects, 'docs/');
+      await nested.reload();
+      expect(nested.key).to.equal('files/a/b.pdf');
+
+      const action = await FileStorageUserAction.findOne({
+        where: { fileStorageFileId: directory.id },
+      });
+      expect(action.metadata).to.deep.equal({
+        key: 'files/',
+        previousKey: 'docs/',
+      });
+    });
+
+    it('copies a file whose name has reserved characters', async () => {
+      s3.copyObject.restore();
+      const s3Mock = mockClient(S3Client);
+      s3Mock.on(CopyObjectCommand).resolves({});
+      await createFile('docs/');
+      const file = await createFile('docs/a#1+2?.pdf');
+
+      try {
+        await FileStorage.renameFile(service, user, file, 'b&c.pdf');
+
+        expect(file.key).to.equal('docs/b&c.pdf');
+        expect(s3Mock.commandCalls(CopyObjectCommand)[0].args[0].input).to.deep.equal({
+          Bucket: 'bucket',
+          CopySource: 'bucket/docs/a%231%2B2%3F.pdf',
+          Key: 'docs/b&c.pdf',
+        });
+      } finally {
+        s3Mock.restore();
+      }
+    });
+
+    it('rejects a name that is already used', async () => {
+      const file = await createFile('a.pdf');
+      await createFile('b.pdf');
+
+      const error = await FileStorage.renameFile(service, user, file, 'b.pdf').catch(
+        (e) => e,
+      );
+
+      expect(error).to.be.an.instanceOf(ValidationError);
+      sinon.assert.notCalled(s3.copyObject);
+    });
+  });
+
+  describe('.deleteFile', () => {
+    it('deletes a file from the bucket', async () => {
+      const file = await createFile('a.pdf');
+      const sibling = await createFile('a.pdf.bak');
+
+      await FileStorage.deleteFile(service, user, file);
+
+      sinon.assert.calledOnceWithExactly(s3.deleteObject, 'a.pdf');
+      expect(await FileStorageFile.findByPk(file.id)).to.be.null;
+      expect(await FileStorageFile.findByPk(sibling.id)).to.not.be.null;
+    });
+
+    it('deletes a directory with everything it contains', async () => {
+      const directory = await createFile('docs/');
+      const nested = await createFile('docs/a/b.pdf');
+
+      await FileStorage.deleteFile(service, user, directory);
+
+      sinon.assert.calledOnceWithExactly(s3.deleteAllBucketObjects, 'docs/');
+      expect(await FileStorageFile.findByPk(directory.id)).to.be.null;
+      expect(await FileStorageFile.findByPk(nested.id)).to.be.null;
+
+      const action = await FileStorageUserAction.findOne({
+        where: { fileStorageFileId: directory.id },
+      });
+      expect(action.description).to.equal('File Deleted');
+    });
+  });
+});
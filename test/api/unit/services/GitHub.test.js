@@ -359,6 +359,15 @@ describe('GitHub', () => {
               },
             ],
           });
+          nock('https://api.github.com')
+            .get(`/repos/${site.owner}/${site.repository}/hooks`)
+            .reply(200, [
+              {
+                id: 1,
+                events: ['push', 'pull_request'],
+                config: { url: config.webhook.endpoint },
+              },
+            ]);
           return GitHub.setWebhook(site, user.githubAccessToken);
         })
         .then(() => {
@@ -367,6 +376,33 @@ describe('GitHub', () => {
         .catch(done);
     });
 
+    it('should add the missing events to an existing webhook', async () => {
+      const [user, site] = await Promise.all([factory.user(), factory.site()]);
+      githubAPINocks.webhook({
+        accessToken: user.githubAccessToken,
+        owner: site.owner,
+        repo: site.repository,
+        response: [
+          422,
+          { errors: [{ message: 'Hook already exists on this repository' }] },
+        ],
+      });
+      nock('https://api.github.com')
+        .get(`/repos/${site.owner}/${site.repository}/hooks`)
+        .reply(200, [
+          { id: 2, events: ['push'], config: { url: 'https://example.gov/webhook' } },
+          { id: 3, events: ['push'], config: { url: config.webhook.endpoint } },
+        ])
+        .patch(`/repos/${site.owner}/${site.repository}/hooks/3`, {
+          add_events: ['pull_request'],
+        })
+        .reply(200, { id: 3 });
+
+      const webhook = await GitHub.setWebhook(site, user.githubAccessToken);
+
+      expect(webhook).to.be.undefined;
+    });
+
     it(`should reject if the user does not
         have admin access to the repository`, (done) => {
       let site;
@@ -405,6 +441,187 @@ describe('GitHub', () => {
     });
   });
 
+  describe('.upsertCheckRun(accessToken, options)', () => {
+    const accessToken = 'installation-token-123abc';
+    const owner = 'owner';
+    const repo = 'repo';
+    const sha = 'a172b66c31e19d456a448041a5b3c2a70c32d8b7';
+    const checkRun = {
+      owner,
+      repo,
+      name: 'pages/build',
+      head_sha: sha,
+      external_id: 'build-1',
+      status: 'completed',
+      conclusion: 'success',
+      output: {
+        title: 'The build is complete!',
+        summary: 'Done',
+        annotations: Array(60).fill({ path: 'index.html' }),
+      },
+    };
+
+    it('creates the check run with at most 50 annotations', async () => {
+      githubAPINocks.listCheckRuns({
+        accessToken,
+        owner,
+        repo,
+        ref: sha,
+        response: [
+          200,
+          { total_count: 1, check_runs: [{ id: 3, external_id: 'build-2' }] },
+        ],
+      });
+      const createNock = githubAPINocks.createCheckRun({
+        accessToken,
+        owner,
+        repo,
+        body: (body) =>
+          body.external_id === 'build-1' && body.output.annotations.length === 50,
+      });
+
+      await GitHub.upsertCheckRun(accessToken, checkRun);
+
+      expect(createNock.isDone()).to.be.true;
+    });
+
+    it('updates the check run with the same external id', async () => {
+      githubAPINocks.listCheckRuns({
+        accessToken,
+        owner,
+        repo,
+        ref: sha,
+        response: [
+          200,
+          { total_count: 1, check_runs: [{ id: 5, external_id: 'build-1' }] },
+        ],
+      });
+      const updateNock = githubAPINocks.updateCheckRun({
+        accessToken,
+        owner,
+        repo,
+        checkRunId: 5,
+        body: (body) => body.conclusion === 'success' && !('head_sha' in body),
+      });
+
+      await GitHub.upsertCheckRun(accessToken, checkRun);
+
+      expect(updateNock.isDone()).to.be.true;
+    });
+  });
+
+  describe('.getInstallationAccessToken(owner, repo)', () => {
+    it('is null without the GitHub App credentials', async () => {
+      const token = await GitHub.getInstallationAccessToken('owner', 'repo');
+
+      expect(token).to.be.null;
+    });
+  });
+
+  describe('.upsertIssueComment(accessToken, owner, repo, number, marker, body)', () => {
+    const accessToken = 'access-token-123abc';
+    const owner = 'owner';
+    const repo = 'repo';
+    const issueNumber = 7;
+    const marker = '<!-- marker -->';
+
+    it('creates a comment when none has the marker', async () => {
+      githubAPINocks.listIssueComments({
+        accessToken,
+        owner,
+        repo,
+        issueNumber,
+        response: [200, [{ id: 3, body: 'Looks good to me' }]],
+      });
+      const createNock = githubAPINocks.createIssueComment({
+        accessToken,
+        owner,
+        repo,
+        issueNumber,
+        body: { body: `${marker}\nHello` },
+      });
+
+      await GitHub.upsertIssueComment(
+        accessToken,
+        owner,
+        repo,
+        issueNumber,
+        marker,
+        'Hello',
+      );
+
+      expect(createNock.isDone()).to.be.true;
+    });
+
+    it('updates the comment with the marker', async () => {
+      githubAPINocks.listIssueComments({
+        accessToken,
+        owner,
+        repo,
+        issueNumber,
+        response: [200, [{ id: 5, body: `${marker}\nHello` }]],
+      });
+      const updateNock = githubAPINocks.updateIssueComment({
+        accessToken,
+        owner,
+        repo,
+        commentId: 5,
+        body: { body: `${marker}\nGoodbye` },
+      });
+
+      await GitHub.upsertIssueComment(
+        accessToken,
+        owner,
+        repo,
+        issueNumber,
+        marker,
+        'Goodbye',
+      );
+
+      expect(updateNock.isDone()).to.be.true;
+    });
+
+    it('finds the comment with the marker past the first page', async () => {
+      const nextPage = `https://api.github.com/repos/${owner}/${repo}/issues/${issueNumber}/comments?per_page=100&page=2`;
+      githubAPINocks.listIssueComments({
+        accessToken,
+        owner,
+        repo,
+        issueNumber,
+        response: [
+          200,
+          [{ id: 3, body: 'Looks good to me' }],
+          { Link: `<${nextPage}>; rel="next"` },
+        ],
+      });
+      githubAPINocks.listIssueComments({
+        accessToken,
+        owner,
+        repo,
+        issueNumber,
+        response: [200, [{ id: 5, body: `${marker}\nHello` }]],
+      });
+      const updateNock = githubAPINocks.updateIssueComment({
+        accessToken,
+        owner,
+        repo,
+        commentId: 5,
+        body: { body: `${marker}\nGoodbye` },
+      });
+
+      await GitHub.upsertIssueComment(
+        accessToken,
+        owner,
+        repo,
+        issueNumber,
+        marker,
+        'Goodbye',
+      );
+
+      expect(updateNock.isDone()).to.be.true;
+    });
+  });
+
   describe('.deleteWebhook(site, githubAccessToken)', () => {
     it('throws when there is an unexpected error', async () => {
       const webhookId = 1;
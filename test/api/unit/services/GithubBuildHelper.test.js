@@ -2,7 +2,14 @@ const { expect } = require('chai');
 const sinon = require('sinon');
 const nock = require('nock');
 const config = require('../../../../config');
-const { Site, User, Organization, OrganizationRole } = require('../../../../api/models');
+const {
+  Build,
+  BuildTaskType,
+  Site,
+  User,
+  Organization,
+  OrganizationRole,
+} = require('../../../../api/models');
 const factory = require('../../support/factory');
 const githubAPINocks = require('../../support/githubAPINocks');
 const { createSiteUserOrg } = require('../../support/site-user');
@@ -662,6 +669,293 @@ describe('GithubBuildHelper', () => {
         expect(repoNock.isDone()).to.be.true;
       });
     });
+
+    context('with a build in the cancelled state', () => {
+      let user;
+      let site;
+      let build;
+
+      beforeEach(async () => {
+        ({ site, user } = await createSiteUserOrg());
+        build = await factory.build({
+          state: 'cancelled',
+          requestedCommitSha,
+          user,
+          site,
+        });
+      });
+
+      it("should report that the status is 'failure'", async () => {
+        const repoNock = githubAPINocks.repo({
+          accessToken: user.githubAccessToken,
+          owner: site.owner,
+          repo: site.repository,
+          username: user.username,
+        });
+        const statusNock = githubAPINocks.status({
+          owner: site.owner,
+          repo: site.repository,
+          sha: requestedCommitSha,
+          state: 'failure',
+          targetURL: `${config.app.hostname}/sites/${build.site}/builds/${build.id}/logs`,
+        });
+
+        await build.reload({ include: Site });
+        await GithubBuildHelper.reportBuildStatus(build);
+        expect(statusNock.isDone()).to.be.true;
+        expect(repoNock.isDone()).to.be.true;
+      });
+    });
+
+    context('with a build in the blocked state', () => {
+      let user;
+      let site;
+      let build;
+
+      beforeEach(async () => {
+        ({ site, user } = await createSiteUserOrg());
+        build = await factory.build({
+          state: 'blocked',
+          requestedCommitSha,
+          user,
+          site,
+        });
+      });
+
+      it("should report that the status is 'failure'", async () => {
+        const repoNock = githubAPINocks.repo({
+          accessToken: user.githubAccessToken,
+          owner: site.owner,
+          repo: site.repository,
+          username: user.username,
+        });
+        const statusNock = githubAPINocks.status({
+          owner: site.owner,
+          repo: site.repository,
+          sha: requestedCommitSha,
+          state: 'failure',
+          targetURL: [
+            config.app.hostname,
+            `/sites/${build.site}/reports?build=${build.id}`,
+          ].join(''),
+        });
+
+        await build.reload({ include: Site });
+        await GithubBuildHelper.reportBuildStatus(build);
+        expect(statusNock.isDone()).to.be.true;
+        expect(repoNock.isDone()).to.be.true;
+      });
+    });
+
+    context('with a build in the skipped state', () => {
+      it("should report that the status is 'success' with the reason", async () => {
+        const { site, user } = await createSiteUserOrg();
+        const build = await factory.build({
+          state: 'skipped',
+          error: 'The commit message includes [skip pages].',
+          requestedCommitSha,
+          user,
+          site,
+        });
+        const repoNock = githubAPINocks.repo({
+          accessToken: user.githubAccessToken,
+          owner: site.owner,
+          repo: site.repository,
+          username: user.username,
+        });
+        const statusNock = githubAPINocks.status({
+          owner: site.owner,
+          repo: site.repository,
+          sha: requestedCommitSha,
+          state: 'success',
+          targetURL: [config.app.hostname, `/sites/${build.site}/builds`].join(''),
+        });
+
+        await build.reload({ include: Site });
+        await GithubBuildHelper.reportBuildStatus(build);
+        expect(statusNock.isDone()).to.be.true;
+        expect(repoNock.isDone()).to.be.true;
+      });
+
+      it('should truncate a reason longer than a status description', async () => {
+        const { site, user } = await createSiteUserOrg();
+        const build = await factory.build({
+          state: 'skipped',
+          error: `The commit message includes [skip pages]. ${'a'.repeat(200)}`,
+          requestedCommitSha,
+          user,
+          site,
+        });
+        const repoNock = githubAPINocks.repo({
+          accessToken: user.githubAccessToken,
+          owner: site.owner,
+          repo: site.repository,
+          username: user.username,
+        });
+        const statusStub = sinon.stub(GitHub, 'sendCreateGithubStatusRequest').resolves();
+
+        await build.reload({ include: Site });
+        await GithubBuildHelper.reportBuildStatus(build);
+
+        const { description } = statusStub.firstCall.args[1];
+        expect(description).to.have.lengthOf(140);
+        expect(description).to.match(/^The build was skipped\. The commit .*\.\.\.$/);
+        expect(repoNock.isDone()).to.be.true;
+      });
+    });
+  });
+
+  describe('reportBuildStatus(build) with the GitHub App installed', () => {
+    afterEach(() => sinon.restore());
+
+    it('reports the build as a check run instead of a commit status', async () => {
+      const { site, user } = await createSiteUserOrg();
+      const build = await factory.build({
+        state: 'success',
+        requestedCommitSha,
+        user,
+        site,
+      });
+      sinon.stub(GitHub, 'getInstallationAccessToken').resolves('installation-token');
+      const upsertStub = sinon.stub(GitHub, 'upsertCheckRun').resolves({});
+      const statusStub = sinon.stub(GitHub, 'sendCreateGithubStatusRequest');
+
+      await build.reload({ include: Site });
+      await GithubBuildHelper.reportBuildStatus(build);
+
+      sinon.assert.calledOnceWithMatch(upsertStub, 'installation-token', {
+        owner: site.owner,
+        repo: site.repository,
+        head_sha: requestedCommitSha,
+        external_id: `build-${build.id}`,
+        status: 'completed',
+        conclusion: 'success',
+        details_url: build.url,
+      });
+      sinon.assert.notCalled(statusStub);
+    });
+  });
+
+  describe('reportBuildTaskStatus(buildTask)', () => {
+    afterEach(() => sinon.restore());
+
+    it('does not report the task without the GitHub App', async () => {
+      sinon.stub(GitHub, 'getInstallationAccessToken').resolves(null);
+      const upsertStub = sinon.stub(GitHub, 'upsertCheckRun');
+      const { site } = await createSiteUserOrg();
+      const build = await factory.build({ site, requestedCommitSha });
+      const buildTask = await factory.buildTask({ build });
+      await buildTask.reload({
+        include: [BuildTaskType, { model: Build, include: [Site] }],
+      });
+
+      const result = await GithubBuildHelper.reportBuildTaskStatus(buildTask);
+
+      expect(result).to.be.null;
+      sinon.assert.notCalled(upsertStub);
+    });
+
+    it('reports the task as a check run named after the build status', async () => {
+      sinon.stub(GitHub, 'getInstallationAccessToken').resolves('installation-token');
+      const upsertStub = sinon.stub(GitHub, 'upsertCheckRun').resolves({});
+      const { site } = await createSiteUserOrg();
+      const build = await factory.build({ site, requestedCommitSha });
+      const buildTask = await factory.buildTask({ build });
+      await buildTask.reload({
+        include: [BuildTaskType, { model: Build, include: [Site] }],
+      });
+
+      await GithubBuildHelper.reportBuildTaskStatus(buildTask);
+
+      const { appEnv, product } = config.app;
+      sinon.assert.calledOnceWithMatch(upsertStub, 'installation-token', {
+        name: `${product}-${appEnv}/build: ${buildTask.BuildTaskType.name}`,
+        head_sha: requestedCommitSha,
+        external_id: `build-task-${buildTask.id}`,
+        status: 'queued',
+      });
+    });
+  });
+
+  describe('reportPullRequestPreview(build)', () => {
+    let upsertStub;
+
+    beforeEach(() => {
+      upsertStub = sinon.stub(GitHub, 'upsertIssueComment').resolves();
+      sinon.stub(GitHub, 'checkPermissions').resolves({
+        push: true,
+      });
+    });
+
+    it('should comment the preview url of a successful build', async () => {
+      const { site, user } = await createSiteUserOrg();
+      const build = await factory.build({
+        state: 'success',
+        requestedCommitSha,
+        pullRequestNumber: 7,
+        user,
+        site,
+      });
+      await build.reload({ include: Site });
+
+      await GithubBuildHelper.reportPullRequestPreview(build);
+
+      sinon.assert.calledOnceWithMatch(
+        upsertStub,
+        user.githubAccessToken,
+        site.owner,
+        site.repository,
+        7,
+        sinon.match.string,
+        sinon.match(build.url),
+      );
+    });
+
+    it('should comment the build logs of a failed build', async () => {
+      const { site, user } = await createSiteUserOrg();
+      const build = await factory.build({
+        state: 'error',
+        requestedCommitSha,
+        pullRequestNumber: 7,
+        user,
+        site,
+      });
+      await build.reload({ include: Site });
+
+      await GithubBuildHelper.reportPullRequestPreview(build);
+
+      sinon.assert.calledOnceWithMatch(
+        upsertStub,
+        user.githubAccessToken,
+        site.owner,
+        site.repository,
+        7,
+        sinon.match.string,
+        sinon.match(`/sites/${site.id}/builds/${build.id}/logs`),
+      );
+    });
+  });
+
+  describe('reportPullRequestPreviewRemoved(site, pullRequestNumber)', () => {
+    it('should comment that the preview was removed', async () => {
+      const upsertStub = sinon.stub(GitHub, 'upsertIssueComment').resolves();
+      sinon.stub(GitHub, 'checkPermissions').resolves({
+        push: true,
+      });
+      const { site, user } = await createSiteUserOrg();
+
+      await GithubBuildHelper.reportPullRequestPreviewRemoved(site, 7);
+
+      sinon.assert.calledOnceWithMatch(
+        upsertStub,
+        user.githubAccessToken,
+        site.owner,
+        site.repository,
+        7,
+        sinon.match.string,
+        sinon.match('has been removed'),
+      );
+    });
   });
 
   describe('fetchContent(build, site, users, path)', () => {
@@ -704,6 +998,30 @@ describe('GithubBuildHelper', () => {
     });
   });
 
+  describe('fetchBuildContent(build, path)', () => {
+    it('fetches the content at the head of the branch without a sha', async () => {
+      const { site, user } = await createSiteUserOrg();
+      const build = await factory.build({ branch: 'main', user, site });
+      const getContent = sinon.stub(GitHub, 'getContent').resolves('config: {}');
+      sinon.stub(GitHub, 'checkPermissions').resolves({
+        push: true,
+      });
+      await build.reload({ include: Site });
+
+      const content = await GithubBuildHelper.fetchBuildContent(build, 'pages.yml');
+
+      expect(content).to.equal('config: {}');
+      sinon.assert.calledOnceWithExactly(
+        getContent,
+        user.githubAccessToken,
+        site.owner,
+        site.repository,
+        'pages.yml',
+        'main',
+      );
+    });
+  });
+
   describe('.loadBuildUserAccessToken', () => {
     let user;
     let site;
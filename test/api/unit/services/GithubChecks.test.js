@@ -0,0 +1,210 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const config = require('../../../../config');
+const GithubChecks = require('../../../../api/services/GithubChecks');
+const S3BuildTask = require('../../../../api/services/S3BuildTask');
+
+const sha = 'a172b66c31e19d456a448041a5b3c2a70c32d8b7';
+
+const reportResponse = (report) => ({
+  Body: {
+    transformToString: () => Promise.resolve(JSON.stringify(report)),
+  },
+});
+
+describe('GithubChecks', () => {
+  const Site = {
+    id: 1,
+    owner: 'owner',
+    repository: 'repo',
+  };
+
+  afterEach(() => sinon.restore());
+
+  describe('.buildCheckRun', () => {
+    it('summarizes the preview and duration of a successful build', () => {
+      const build = {
+        id: 5,
+        branch: 'main',
+        state: 'success',
+        url: 'https://preview.example.gov/main/',
+        startedAt: new Date('2026-10-18T10:00:00Z'),
+        completedAt: new Date('2026-10-18T10:02:05Z'),
+        Site,
+      };
+
+      const checkRun = GithubChecks.buildCheckRun(build, {
+        name: 'pages/build',
+        sha,
+        targetUrl: build.url,
+        description: 'The build is complete!',
+      });
+
+      expect(checkRun).to.deep.include({
+        owner: 'owner',
+        repo: 'repo',
+        name: 'pages/build',
+        head_sha: sha,
+        external_id: 'build-5',
+        details_url: build.url,
+        status: 'completed',
+        conclusion: 'success',
+      });
+      expect(checkRun.output.title).to.eq('The build is complete!');
+      expect(checkRun.output.summary).to.include(
+        '| Preview | https://preview.example.gov/main/ |',
+      );
+      expect(checkRun.output.summary).to.include('| Duration | 2m 5s |');
+    });
+
+    it('reports a skipped build as neutral with its reason', () => {
+      const build = {
+        id: 6,
+        branch: 'main',
+        state: 'skipped',
+        error: 'The commit message includes [skip pages].',
+        Site,
+      };
+
+      const checkRun = GithubChecks.buildCheckRun(build, { name: 'pages/build', sha });
+
+      expect(checkRun.conclusion).to.eq('neutral');
+      expect(checkRun.output.summary).to.include(build.error);
+    });
+
+    it('reports a running build as in progress', () => {
+      const build = {
+        id: 7,
+        branch: 'main',
+        state: 'processing',
+        Site,
+      };
+
+      const checkRun = GithubChecks.buildCheckRun(build, { name: 'pages/build', sha });
+
+      expect(checkRun.status).to.eq('in_progress');
+      expect(checkRun).to.not.have.property('conclusion');
+    });
+  });
+
+  describe('.buildTaskCheckRun', () => {
+    const buildTask = (attributes) => ({
+      id: 9,
+      artifact: '_tasks/9/',
+      BuildTaskType: {
+        name: 'Accessibility Scan',
+        metadata: { appName: 'pages-a11y-task-prod' },
+      },
+      Build: { id: 5, Site },
+      ...attributes,
+    });
+
+    it('counts the findings by severity and annotates the critical ones', async () => {
+      sinon.stub(S3BuildTask, 'getObject').resolves(
+        reportResponse({
+          violatedRules: [
+            {
+              help: 'Images must have alternate text',
+              impact: 'critical',
+              urls: [
+                'https://preview.example.gov/about/',
+                'https://preview.example.gov/',
+              ],
+            },
+            {
+              help: 'Buttons must have discernible text',
+              impact: 'critical',
+              urls: ['https://preview.example.gov/about/'],
+            },
+            {
+              help: 'Hidden rule',
+              impact: 'critical',
+              ignore: true,
+              urls: ['https://preview.example.gov/contact/'],
+            },
+            { help: 'Color contrast', impact: 'serious', urls: [] },
+          ],
+        }),
+      );
+
+      const checkRun = await GithubChecks.buildTaskCheckRun(
+        buildTask({ status: 'success' }),
+        { name: 'pages/build: Accessibility Scan', sha },
+      );
+
+      expect(checkRun).to.deep.include({
+        external_id: 'build-task-9',
+        details_url: `${config.app.hostname}/report/9`,
+        status: 'completed',
+        conclusion: 'neutral',
+      });
+      expect(checkRun.output.title).to.eq('Accessibility Scan found 3 issues');
+      expect(checkRun.output.summary).to.include('| Critical | 2 |');
+      expect(checkRun.output.summary).to.include('| Serious | 1 |');
+      expect(checkRun.output.summary).to.include('| Minor | 0 |');
+      expect(checkRun.output.annotations).to.deep.eq([
+        {
+          path: 'about/',
+          start_line: 1,
+          end_line: 1,
+          annotation_level: 'failure',
+          title: 'Critical findings on https://preview.example.gov/about/',
+          message: 'Images must have alternate text\nButtons must have discernible text',
+        },
+        {
+          path: 'index.html',
+          start_line: 1,
+          end_line: 1,
+          annotation_level: 'failure',
+          title: 'Critical findings on https://preview.example.gov/',
+          message: 'Images must have alternate text',
+        },
+      ]);
+    });
+
+    it('reports the ZAP risk counts without annotations when none is high', async () => {
+      sinon.stub(S3BuildTask, 'getObject').resolves(
+        reportResponse({
+          site: {
+            alerts: [
+              { name: 'Missing header', riskcode: '2', instances: [{ uri: 'x' }] },
+              { name: 'Comment found', riskcode: '0', instances: [] },
+            ],
+          },
+        }),
+      );
+
+      const checkRun = await GithubChecks.buildTaskCheckRun(
+        buildTask({
+          status: 'success',
+          BuildTaskType: {
+            name: 'Website Vulnerability Scan',
+            metadata: { appName: 'pages-owasp-zap-task-prod' },
+          },
+        }),
+        { name: 'pages/build: Website Vulnerability Scan', sha },
+      );
+
+      expect(checkRun.conclusion).to.eq('success');
+      expect(checkRun.output.summary).to.include('| Medium risk | 1 |');
+      expect(checkRun.output.summary).to.include('| Informational | 1 |');
+      expect(checkRun.output.annotations).to.deep.eq([]);
+    });
+
+    it('reports a failed task without reading its report', async () => {
+      const getObject = sinon.stub(S3BuildTask, 'getObject');
+
+      const checkRun = await GithubChecks.buildTaskCheckRun(
+        buildTask({ status: 'error', message: 'The scan timed out' }),
+        { name: 'pages/build: Accessibility Scan', sha },
+      );
+
+      expect(checkRun.conclusion).to.eq('failure');
+      expect(checkRun.output).to.deep.eq({
+        title: 'Accessibility Scan did not complete',
+        summary: 'The scan timed out',
+      });
+      sinon.assert.notCalled(getObject);
+    });
+  });
+});
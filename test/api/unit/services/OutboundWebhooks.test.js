@@ -0,0 +1,307 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const { expect } = require('chai');
+const nock = require('nock');
+const sinon = require('sinon');
+
+const factory = require('../../support/factory');
+const { createSiteUserOrg } = require('../../support/site-user');
+const {
+  Build,
+  Domain,
+  Organization,
+  WebhookDelivery,
+  WebhookSubscription,
+} = require('../../../../api/models');
+const QueueJobs = require('../../../../api/queue-jobs');
+const OutboundWebhooks = require('../../../../api/services/OutboundWebhooks');
+const EventCreator = require('../../../../api/services/EventCreator');
+const { ValidationError } = require('../../../../api/utils/validators');
+
+const HOOK_HOST = 'https://hooks.example.gov';
+
+describe('OutboundWebhooks', () => {
+  let user;
+  let org;
+  let site;
+
+  beforeEach(async () => {
+    ({ user, org, site } = await createSiteUserOrg());
+    sinon.stub(EventCreator, 'audit').resolves();
+    sinon.stub(QueueJobs.prototype, 'deliverWebhook').resolves();
+  });
+
+  afterEach(async () => {
+    sinon.restore();
+    nock.cleanAll();
+    await WebhookDelivery.truncate({ force: true, cascade: true });
+    await WebhookSubscription.truncate({ force: true, cascade: true });
+    await Organization.truncate({ force: true, cascade: true });
+  });
+
+  const subscribe = (params = {}) =>
+    OutboundWebhooks.createSubscription(user, {
+      siteId: site.id,
+      url: `${HOOK_HOST}/pages`,
+      events: ['build.completed'],
+      ...params,
+    });
+
+  describe('.createSubscription', () => {
+    it('creates a subscription and only stores its encrypted secret', async () => {
+      const { subscription, secret } = await subscribe();
+
+      expect(secret).to.match(/^whsec_[0-9a-f]{48}$/);
+      expect(subscription.secretCiphertext).not.to.include(secret);
+      expect(subscription.secretHint).to.equal(secret.slice(-4));
+      expect(subscription.active).to.be.true;
+      sinon.assert.calledOnce(EventCreator.audit);
+    });
+
+    it('rejects unknown events', async () => {
+      const error = await subscribe({ events: ['build.started'] }).catch((e) => e);
+
+      expect(error).to.be.an.instanceOf(ValidationError);
+    });
+
+    it('rejects URLs that are not https', async () => {
+      const error = await subscribe({ url: 'http://hooks.example.gov' }).catch((e) => e);
+
+      expect(error.name).to.equal('SequelizeValidationError');
+    });
+
+    it('rejects URLs with an IP address', async () => {
+      const error = await subscribe({ url: 'https://169.254.169.254/latest' }).catch(
+        (e) => e,
+      );
+
+      expect(error.name).to.equal('SequelizeValidationError');
+    });
+
+    it('requires either a site or an organization', async () => {
+      const error = await subscribe({ organizationId: org.id }).catch((e) => e);
+
+      expect(error.name).to.equal('SequelizeValidationError');
+    });
+  });
+
+  describe('.findSubscriptionForUser', () => {
+    it('finds the subscriptions of the sites of the user', async () => {
+      const { subscription } = await subscribe();
+
+      const found = await OutboundWebhooks.findSubscriptionForUser(user, subscription.id);
+
+      expect(found.id).to.equal(subscription.id);
+    });
+
+    it('does not find organization subscriptions for org users', async () => {
+      const { subscription } = await subscribe({
+        siteId: null,
+        organizationId: org.id,
+      });
+
+      const found = await OutboundWebhooks.findSubscriptionForUser(user, subscription.id);
+
+      expect(found).to.be.null;
+    });
+
+    it('does not find the subscriptions of other sites', async () => {
+      const { subscription } = await subscribe();
+      const otherUser = await factory.user();
+
+      const found = await OutboundWebhooks.findSubscriptionForUser(
+        otherUser,
+        subscription.id,
+      );
+
+      expect(found).to.be.null;
+    });
+  });
+
+  describe('.dispatchEvent', () => {
+    it('creates and queues a delivery for each subscription to the event', async () => {
+      const build = await factory.build({
+        site: site.id,
+        state: Build.States.Success,
+      });
+      const { subscription: siteSubscription } = await subscribe();
+      const { subscription: orgSubscription } = await subscribe({
+        siteId: null,
+        organizationId: org.id,
+      });
+      await subscribe({ events: ['domain.provisioned'] });
+      const { subscription: inactive } = await subscribe();
+      await inactive.update({ active: false });
+
+      const deliveries = await OutboundWebhooks.dispatchEvent('build.completed', {
+        buildId: build.id,
+      });
+
+      expect(deliveries.map((d) => d.webhookSubscriptionId)).to.have.members([
+        siteSubscription.id,
+        orgSubscription.id,
+      ]);
+      expect(deliveries[0].status).to.equal(WebhookDelivery.States.Pending);
+      expect(deliveries[0].payload.site.id).to.equal(site.id);
+      expect(deliveries[0].payload.build).to.include({
+        id: build.id,
+        state: Build.States.Success,
+      });
+      sinon.assert.calledTwice(QueueJobs.prototype.deliverWebhook);
+    });
+
+    it('includes the domain in domain events', async () => {
+      const domain = await factory.domain.create({
+        siteId: site.id,
+        state: Domain.States.Provisioned,
+      });
+      await subscribe({ events: ['domain.provisioned'] });
+
+      const [delivery] = await OutboundWebhooks.dispatchEvent('domain.provisioned', {
+        domainId: domain.id,
+      });
+
+      expect(delivery.payload.domain).to.include({
+        id: domain.id,
+        names: domain.names,
+        state: Domain.States.Provisioned,
+      });
+    });
+
+    it('does not deliver events of other sites', async () => {
+      const otherSite = await factory.site();
+      const build = await factory.build({ site: otherSite.id });
+      await subscribe();
+
+      const deliveries = await OutboundWebhooks.dispatchEvent('build.completed', {
+        buildId: build.id,
+      });
+
+      expect(deliveries).to.be.empty;
+    });
+  });
+
+  describe('.deliver', () => {
+    const createDelivery = async () => {
+      const { subscription, secret } = await subscribe();
+      const delivery = await WebhookDelivery.create({
+        webhookSubscriptionId: subscription.id,
+        event: 'build.completed',
+        payload: { build: { id: 1 } },
+      });
+      return { delivery, secret };
+    };
+
+    it('posts the signed event and records the response', async () => {
+      const { delivery, secret } = await createDelivery();
+      let signature;
+      let body;
+
+      nock(HOOK_HOST)
+        .post('/pages')
+        .reply(function reply(uri, requestBody) {
+          signature = this.req.headers['x-pages-signature-256'];
+          body = JSON.stringify(requestBody);
+          return [204];
+        });
+
+      await OutboundWebhooks.deliver(delivery.id);
+      await delivery.reload();
+
+      const expected = crypto.createHmac('sha256', secret).update(body).digest('hex');
+      expect(signature).to.equal(`sha256=${expected}`);
+      expect(JSON.parse(body)).to.include({
+        id: delivery.id,
+        event: 'build.completed',
+      });
+      expect(delivery.status).to.equal(WebhookDelivery.States.Succeeded);
+      expect(delivery.attempts).to.equal(1);
+      expect(delivery.responseStatus).to.equal(204);
+      expect(delivery.deliveredAt).to.be.a('date');
+    });
+
+    it('throws to retry deliveries answered with an error status', async () => {
+      const { delivery } = await createDelivery();
+      nock(HOOK_HOST).post('/pages').reply(500);
+
+      const error = await OutboundWebhooks.deliver(delivery.id).catch((e) => e);
+      await delivery.reload();
+
+      expect(error).to.be.an('Error');
+      expect(delivery.status).to.equal(WebhookDelivery.States.Retrying);
+      expect(delivery.responseStatus).to.equal(500);
+      expect(delivery.error).to.equal('Received status code: 500');
+    });
+
+    it('marks the delivery failed on its last attempt', async () => {
+      const { delivery } = await createDelivery();
+      nock(HOOK_HOST).post('/pages').replyWithError('connection refused');
+
+      await OutboundWebhooks.deliver(delivery.id, { isLastAttempt: true }).catch(
+        () => {},
+      );
+      await delivery.reload();
+
+      expect(delivery.status).to.equal(WebhookDelivery.States.Failed);
+      expect(delivery.responseStatus).to.be.null;
+      expect(delivery.error).to.include('connection refused');
+    });
+
+    it('does not post to hosts that resolve to a private address', async () => {
+      const { subscription } = await subscribe({
+        url: 'https://internal.example.gov/pages',
+      });
+      const delivery = await WebhookDelivery.create({
+        webhookSubscriptionId: subscription.id,
+        event: 'build.completed',
+        payload: { build: { id: 1 } },
+      });
+      const lookupStub = sinon.stub(dns, 'lookup').callThrough();
+      lookupStub
+        .withArgs('internal.example.gov')
+        .yields(null, [{ address: '10.0.0.1', family: 4 }]);
+
+      const error = await OutboundWebhooks.deliver(delivery.id).catch((e) => e);
+      await delivery.reload();
+
+      expect(error).to.be.an('Error');
+      expect(delivery.status).to.equal(WebhookDelivery.States.Retrying);
+      expect(delivery.error).to.equal(
+        'internal.example.gov resolves to the private address 10.0.0.1',
+      );
+    });
+
+    it('does not post to IP addresses of existing subscriptions', async () => {
+      const { delivery } = await createDelivery();
+      await WebhookSubscription.update(
+        { url: 'https://127.0.0.1/pages' },
+        { where: { id: delivery.webhookSubscriptionId }, validate: false },
+      );
+
+      const error = await OutboundWebhooks.deliver(delivery.id).catch((e) => e);
+      await delivery.reload();
+
+      expect(error).to.be.an('Error');
+      expect(delivery.error).to.equal('URL must have a public host name.');
+    });
+
+    it('does not post deliveries of deleted subscriptions', async () => {
+      const { delivery } = await createDelivery();
+      const subscription = await delivery.getWebhookSubscription();
+      await subscription.destroy();
+      const scope = nock(HOOK_HOST).post('/pages').reply(200);
+
+      await OutboundWebhooks.deliver(delivery.id);
+
+      expect(scope.isDone()).to.be.false;
+    });
+  });
+
+  describe('.signPayload', () => {
+    it('returns the hex HMAC-SHA256 digest of the body', () => {
+      const digest = crypto.createHmac('sha256', 'secret').update('{}').digest('hex');
+
+      expect(OutboundWebhooks.signPayload('secret', '{}')).to.equal(`sha256=${digest}`);
+    });
+  });
+});
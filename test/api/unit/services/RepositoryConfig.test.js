@@ -0,0 +1,113 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const GithubBuildHelper = require('../../../../api/services/GithubBuildHelper');
+const RepositoryConfig = require('../../../../api/services/RepositoryConfig');
+
+describe('RepositoryConfig', () => {
+  afterEach(() => sinon.restore());
+
+  describe('.mergeConfig', () => {
+    it('merges the objects and replaces the other values', () => {
+      const merged = RepositoryConfig.mergeConfig(
+        { headers: { '/*': { 'x-one': '1' } }, exclude: ['docs'], search: false },
+        { headers: { '/*': { 'x-two': '2' } }, exclude: ['test'] },
+      );
+
+      expect(merged).to.deep.equal({
+        headers: { '/*': { 'x-one': '1', 'x-two': '2' } },
+        exclude: ['test'],
+        search: false,
+      });
+    });
+  });
+
+  describe('.parseRepositoryConfig', () => {
+    it('reads an empty file as an empty config', () => {
+      expect(RepositoryConfig.parseRepositoryConfig('')).to.deep.equal({});
+    });
+
+    it('rejects a file which is not YAML', () => {
+      expect(() => RepositoryConfig.parseRepositoryConfig('config: [1')).to.throw(
+        /^The pages.yml file is not valid YAML: /,
+      );
+    });
+
+    it('lists the properties which are not in the schema', () => {
+      expect(() =>
+        RepositoryConfig.parseRepositoryConfig('config: {}\nschedule: daily\n'),
+      ).to.throw(
+        'The pages.yml file does not match its schema: ' +
+          'pages.yml must NOT have the property schedule',
+      );
+    });
+  });
+
+  describe('.loadBuildConfig', () => {
+    const build = {
+      branch: 'main',
+      Site: { sourceDirectory: 'docs' },
+    };
+
+    it('merges the config of the branch over the config of every branch', async () => {
+      const fetchBuildContent = sinon
+        .stub(GithubBuildHelper, 'fetchBuildContent')
+        .resolves(
+          [
+            'config:',
+            '  search: true',
+            '  exclude: [drafts]',
+            'branches:',
+            '  main:',
+            '    config:',
+            '      search: false',
+          ].join('\n'),
+        );
+
+      const config = await RepositoryConfig.loadBuildConfig(build);
+
+      expect(config).to.deep.equal({ search: false, exclude: ['drafts'] });
+      sinon.assert.calledOnceWithExactly(fetchBuildContent, build, 'docs/pages.yml');
+    });
+
+    it('returns an empty config without a file', async () => {
+      sinon.stub(GithubBuildHelper, 'fetchBuildContent').resolves(null);
+
+      const config = await RepositoryConfig.loadBuildConfig(build);
+
+      expect(config).to.deep.equal({});
+    });
+
+    it('returns an empty config without a GitHub access token', async () => {
+      const getSiteOrgUsers = sinon.stub().resolves([]);
+
+      const config = await RepositoryConfig.loadBuildConfig({
+        ...build,
+        id: 1,
+        getSiteOrgUsers,
+      });
+
+      expect(config).to.deep.equal({});
+      sinon.assert.calledOnce(getSiteOrgUsers);
+    });
+
+    it('returns an empty config when the file cannot be fetched', async () => {
+      const error = new Error('Service Unavailable');
+      error.status = 503;
+      sinon.stub(GithubBuildHelper, 'fetchBuildContent').rejects(error);
+
+      const config = await RepositoryConfig.loadBuildConfig(build);
+
+      expect(config).to.deep.equal({});
+    });
+
+    it('throws for an invalid file', async () => {
+      sinon.stub(GithubBuildHelper, 'fetchBuildContent').resolves('schedule: daily\n');
+
+      const error = await RepositoryConfig.loadBuildConfig(build).catch((e) => e);
+
+      expect(error.message).to.have.string(
+        'The docs/pages.yml file does not match its schema',
+      );
+    });
+  });
+});
@@ -1,16 +1,20 @@
 const { expect } = require('chai');
+const sinon = require('sinon');
 
 const {
   S3Client,
   ListObjectsV2Command,
   PutObjectCommand,
   GetObjectCommand,
+  CopyObjectCommand,
+  DeleteObjectCommand,
   DeleteObjectsCommand,
 } = require('@aws-sdk/client-s3');
 const { mockClient } = require('aws-sdk-client-mock');
 const config = require('../../../../config');
 
 const S3Helper = require('../../../../api/services/S3Helper');
+const CFApiClient = require('../../../../api/utils/cfApiClient');
 
 const s3Mock = mockClient(S3Client);
 
@@ -157,6 +161,168 @@ describe('S3Helper', () => {
         })),
       );
     });
+
+    it('should only list objects under the prefix', async () => {
+      const prefix = 'preview/owner/repo/branch/';
+      let listPrefix;
+      let deletedObjects;
+
+      s3Mock
+        .on(ListObjectsV2Command)
+        .callsFake((input) => {
+          listPrefix = input.Prefix;
+          return {
+            IsTruncated: false,
+            Contents: [{ Key: `${prefix}index.html` }],
+          };
+        })
+        .on(DeleteObjectsCommand)
+        .callsFake((input) => {
+          deletedObjects = input.Delete.Objects;
+          return {};
+        });
+
+      const client = new S3Helper.S3Client(config.s3);
+
+      await client.deleteAllBucketObjects(prefix);
+      expect(listPrefix).to.equal(prefix);
+      expect(deletedObjects).to.deep.equal([{ Key: `${prefix}index.html` }]);
+    });
+
+    it('should not delete anything when there are no objects', async () => {
+      s3Mock.on(ListObjectsV2Command).resolves({
+        IsTruncated: false,
+        KeyCount: 0,
+      });
+
+      const client = new S3Helper.S3Client(config.s3);
+
+      await client.deleteAllBucketObjects('preview/owner/repo/branch/');
+      expect(s3Mock.commandCalls(DeleteObjectsCommand)).to.have.length(0);
+    });
+
+    it('should keep the objects under the excluded prefixes', async () => {
+      const prefix = 'preview/owner/repo/foo/';
+
+      s3Mock
+        .on(ListObjectsV2Command)
+        .resolves({
+          IsTruncated: false,
+          Contents: [{ Key: `${prefix}index.html` }, { Key: `${prefix}bar/index.html` }],
+        })
+        .on(DeleteObjectsCommand)
+        .resolves({});
+
+      const client = new S3Helper.S3Client(config.s3);
+
+      await client.deleteAllBucketObjects(prefix, { excludePrefixes: [`${prefix}bar/`] });
+
+      const deletions = s3Mock.commandCalls(DeleteObjectsCommand);
+      expect(deletions).to.have.length(1);
+      expect(deletions[0].args[0].input.Delete.Objects).to.deep.equal([
+        { Key: `${prefix}index.html` },
+      ]);
+    });
+  });
+
+  describe('.syncBucketObjects()', () => {
+    it('should copy the objects and delete the stale ones', async () => {
+      const fromPrefix = '_builds/build-1/';
+      const toPrefix = 'site/owner/repo/';
+
+      s3Mock
+        .on(ListObjectsV2Command, { Prefix: fromPrefix })
+        .resolves({
+          IsTruncated: false,
+          Contents: [
+            { Key: `${fromPrefix}index.html` },
+            { Key: `${fromPrefix}a b.css` },
+            { Key: `${fromPrefix}c#1+2?.css` },
+          ],
+        })
+        .on(ListObjectsV2Command, { Prefix: toPrefix })
+        .resolves({
+          IsTruncated: false,
+          Contents: [
+            { Key: `${toPrefix}index.html` },
+            { Key: `${toPrefix}a b.css` },
+            { Key: `${toPrefix}removed.html` },
+          ],
+        })
+        .on(CopyObjectCommand)
+        .resolves({})
+        .on(DeleteObjectsCommand)
+        .resolves({});
+
+      const client = new S3Helper.S3Client(config.s3);
+
+      await client.syncBucketObjects(fromPrefix, toPrefix);
+
+      const copies = s3Mock
+        .commandCalls(CopyObjectCommand)
+        .map((call) => call.args[0].input);
+      expect(copies).to.have.deep.members([
+        {
+          Bucket: config.s3.bucket,
+          CopySource: `${config.s3.bucket}/${fromPrefix}index.html`,
+          Key: `${toPrefix}index.html`,
+        },
+        {
+          Bucket: config.s3.bucket,
+          CopySource: `${config.s3.bucket}/${fromPrefix}a%20b.css`,
+          Key: `${toPrefix}a b.css`,
+        },
+        {
+          Bucket: config.s3.bucket,
+          CopySource: `${config.s3.bucket}/${fromPrefix}c%231%2B2%3F.css`,
+          Key: `${toPrefix}c#1+2?.css`,
+        },
+      ]);
+      const deletions = s3Mock.commandCalls(DeleteObjectsCommand);
+      expect(deletions).to.have.length(1);
+      expect(deletions[0].args[0].input.Delete.Objects).to.deep.equal([
+        { Key: `${toPrefix}removed.html` },
+      ]);
+    });
+
+    it('should keep the objects under the excluded prefixes', async () => {
+      const fromPrefix = '_builds/build-1/';
+      const toPrefix = 'preview/owner/repo/foo/';
+
+      s3Mock
+        .on(ListObjectsV2Command, { Prefix: fromPrefix })
+        .resolves({
+          IsTruncated: false,
+          Contents: [{ Key: `${fromPrefix}index.html` }],
+        })
+        .on(ListObjectsV2Command, { Prefix: toPrefix })
+        .resolves({
+          IsTruncated: false,
+          Contents: [
+            { Key: `${toPrefix}index.html` },
+            { Key: `${toPrefix}removed.html` },
+            { Key: `${toPrefix}bar/index.html` },
+            { Key: `${toPrefix}barn/index.html` },
+          ],
+        })
+        .on(CopyObjectCommand)
+        .resolves({})
+        .on(DeleteObjectsCommand)
+        .resolves({});
+
+      const client = new S3Helper.S3Client(config.s3);
+
+      await client.syncBucketObjects(fromPrefix, toPrefix, {
+        excludePrefixes: [`${toPrefix}bar/`],
+      });
+
+      const deletions = s3Mock.commandCalls(DeleteObjectsCommand);
+      expect(deletions).to.have.length(1);
+      expect(deletions[0].args[0].input.Delete.Objects).to.deep.equal([
+        { Key: `${toPrefix}removed.html` },
+        { Key: `${toPrefix}barn/index.html` },
+      ]);
+    });
   });
 
   describe('.putObject', () => {
@@ -192,6 +358,71 @@ describe('S3Helper', () => {
     });
   });
 
+  describe('.hasObjects(prefix)', () => {
+    it('resolves whether any objects start with the prefix', async () => {
+      s3Mock
+        .on(ListObjectsV2Command, {
+          Bucket: config.s3.bucket,
+          Prefix: '_builds/build-1/',
+          MaxKeys: 1,
+        })
+        .resolves({ KeyCount: 1 })
+        .on(ListObjectsV2Command, {
+          Bucket: config.s3.bucket,
+          Prefix: '_builds/build-2/',
+          MaxKeys: 1,
+        })
+        .resolves({ KeyCount: 0 });
+
+      const client = new S3Helper.S3Client(config.s3);
+
+      expect(await client.hasObjects('_builds/build-1/')).to.be.true;
+      expect(await client.hasObjects('_builds/build-2/')).to.be.false;
+    });
+  });
+
+  describe('.copyObject(fromKey, toKey)', () => {
+    it('copies the object to the new key', async () => {
+      s3Mock.on(CopyObjectCommand).resolves({});
+
+      const client = new S3Helper.S3Client(config.s3);
+      await client.copyObject('docs/old name.pdf', 'docs/new.pdf');
+
+      expect(s3Mock.commandCalls(CopyObjectCommand)[0].args[0].input).to.deep.equal({
+        Bucket: config.s3.bucket,
+        CopySource: `${config.s3.bucket}/docs/old%20name.pdf`,
+        Key: 'docs/new.pdf',
+      });
+    });
+
+    it('encodes the reserved characters of the key', async () => {
+      s3Mock.on(CopyObjectCommand).resolves({});
+
+      const client = new S3Helper.S3Client(config.s3);
+      await client.copyObject('docs/c#?+&.pdf', 'docs/new.pdf');
+
+      expect(s3Mock.commandCalls(CopyObjectCommand)[0].args[0].input).to.deep.equal({
+        Bucket: config.s3.bucket,
+        CopySource: `${config.s3.bucket}/docs/c%23%3F%2B%26.pdf`,
+        Key: 'docs/new.pdf',
+      });
+    });
+  });
+
+  describe('.deleteObject(key)', () => {
+    it('deletes the object', async () => {
+      s3Mock.on(DeleteObjectCommand).resolves({});
+
+      const client = new S3Helper.S3Client(config.s3);
+      await client.deleteObject('docs/new.pdf');
+
+      expect(s3Mock.commandCalls(DeleteObjectCommand)[0].args[0].input).to.deep.equal({
+        Bucket: config.s3.bucket,
+        Key: 'docs/new.pdf',
+      });
+    });
+  });
+
   describe('.getObject', () => {
     it('should successfully get object from bucket', async () => {
       const body = 'Hello World';
@@ -285,4 +516,89 @@ describe('S3Helper', () => {
   });
 
   describe('.listObjectsPaged(prefix, maxObjects, startAfter)', () => {});
+
+  describe('.createServiceS3Client(serviceName)', () => {
+    afterEach(() => sinon.restore());
+
+    it("creates a client for the service instance's bucket", async () => {
+      const fetchStub = sinon
+        .stub(CFApiClient.prototype, 'fetchServiceInstanceCredentials')
+        .resolves({
+          access_key_id: 'access_key_id',
+          bucket: 'file-storage-bucket',
+          region: 'region',
+          secret_access_key: 'secret',
+        });
+
+      const client = await S3Helper.createServiceS3Client('file-storage-service');
+
+      expect(client).to.be.an.instanceOf(S3Helper.S3Client);
+      expect(client.bucket).to.equal('file-storage-bucket');
+      sinon.assert.calledOnceWithExactly(fetchStub, 'file-storage-service');
+    });
+  });
+
+  describe('.createSiteS3Client(site)', () => {
+    const credentials = {
+      access_key_id: 'access_key_id',
+      bucket: 'site-bucket',
+      region: 'region',
+      secret_access_key: 'secret',
+    };
+
+    afterEach(() => sinon.restore());
+
+    it("creates a client for the site's bucket", async () => {
+      const fetchStub = sinon
+        .stub(CFApiClient.prototype, 'fetchServiceInstanceCredentials')
+        .resolves(credentials);
+
+      const client = await S3Helper.createSiteS3Client({ s3ServiceName: 'site-service' });
+
+      expect(client).to.be.an.instanceOf(S3Helper.S3Client);
+      expect(client.bucket).to.equal('site-bucket');
+      sinon.assert.calledOnceWithExactly(fetchStub, 'site-service');
+    });
+
+    it('creates the missing service key when asked to', async () => {
+      const fetchStub = sinon.stub(
+        CFApiClient.prototype,
+        'fetchServiceInstanceCredentials',
+      );
+      fetchStub.onFirstCall().rejects(new Error('Not found'));
+      fetchStub.onSecondCall().resolves(credentials);
+      sinon
+        .stub(CFApiClient.prototype, 'fetchServiceInstance')
+        .resolves({ metadata: { guid: 'service-guid' } });
+      const createKeyStub = sinon
+        .stub(CFApiClient.prototype, 'createServiceKey')
+        .resolves();
+      const waitStub = sinon
+        .stub(S3Helper.S3Client.prototype, 'waitForBucket')
+        .resolves();
+
+      const client = await S3Helper.createSiteS3Client(
+        { s3ServiceName: 'site-service' },
+        { createServiceKey: true },
+      );
+
+      expect(client.bucket).to.equal('site-bucket');
+      sinon.assert.calledOnceWithExactly(createKeyStub, 'site-service', 'service-guid');
+      sinon.assert.calledOnce(waitStub);
+    });
+
+    it('does not create the missing service key by default', async () => {
+      sinon
+        .stub(CFApiClient.prototype, 'fetchServiceInstanceCredentials')
+        .rejects(new Error('Not found'));
+      const createKeyStub = sinon.stub(CFApiClient.prototype, 'createServiceKey');
+
+      const error = await S3Helper.createSiteS3Client({
+        s3ServiceName: 'site-service',
+      }).catch((e) => e);
+
+      expect(error.message).to.equal('Not found');
+      sinon.assert.notCalled(createKeyStub);
+    });
+  });
 });
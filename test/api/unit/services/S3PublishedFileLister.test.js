@@ -54,6 +54,51 @@ describe('S3PublishedFileLister', () => {
         .catch(done);
     });
 
+    it('should resolve with the previews of nested branches', async () => {
+      mockTokenRequest();
+      apiNocks.mockDefaultCredentials();
+
+      const site = await factory.site();
+      const previewPath = `preview/${site.owner}/${site.repository}/`;
+
+      s3Mock
+        .on(ListObjectsV2Command, { Delimiter: '/' })
+        .resolves({
+          IsTruncated: false,
+          KeyCount: 3,
+          CommonPrefixes: [
+            { Prefix: `${previewPath}main/` },
+            { Prefix: `${previewPath}feature/` },
+            { Prefix: `${previewPath}dependabot/` },
+          ],
+        })
+        .on(ListObjectsV2Command, { Prefix: `${previewPath}feature/x/`, MaxKeys: 1 })
+        .resolves({ KeyCount: 1 })
+        .on(ListObjectsV2Command, { Prefix: `${previewPath}feature/y/`, MaxKeys: 1 })
+        .resolves({ KeyCount: 0 })
+        .on(ListObjectsV2Command, {
+          Prefix: `${previewPath}dependabot/npm/lodash/`,
+          MaxKeys: 1,
+        })
+        .resolves({ KeyCount: 1 });
+
+      const publishedPreviews = await S3PublishedFileLister.listPublishedPreviews(site, [
+        'main',
+        'feature',
+        'feature/x',
+        'feature/y',
+        'dependabot/npm/lodash',
+        'other/z',
+      ]);
+
+      expect(publishedPreviews).to.deep.equal([
+        'main',
+        'feature',
+        'feature/x',
+        'dependabot/npm/lodash',
+      ]);
+    });
+
     it('responds with the appropriate error when s3 keys are invalid', (done) => {
       const expected =
         'S3 keys out of date. Update them with `npm run update-local-config`';
@@ -317,4 +362,35 @@ describe('S3PublishedFileLister', () => {
         .catch(done);
     });
   });
+
+  describe('.listBuildManifest(site, build)', () => {
+    it('should resolve with the nested files of the build output', async () => {
+      mockTokenRequest();
+      apiNocks.mockDefaultCredentials();
+
+      const site = await factory.site();
+      const build = await factory.build({ site });
+      const prefix = `_builds/build-${build.id}/`;
+
+      s3Mock.on(ListObjectsV2Command, { Prefix: prefix }).resolves({
+        KeyCount: 2,
+        Contents: [
+          { Key: `${prefix}index.html`, Size: 10, ETag: '"abc"' },
+          { Key: `${prefix}about/index.html`, Size: 20, ETag: '"def"' },
+        ],
+      });
+
+      const manifest = await S3PublishedFileLister.listBuildManifest(site, build);
+
+      expect(manifest).to.deep.equal([
+        { name: 'index.html', key: `${prefix}index.html`, size: 10, etag: '"abc"' },
+        {
+          name: 'about/index.html',
+          key: `${prefix}about/index.html`,
+          size: 20,
+          etag: '"def"',
+        },
+      ]);
+    });
+  });
 });
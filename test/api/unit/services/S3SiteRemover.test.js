@@ -145,6 +145,43 @@ describe('S3SiteRemover', () => {
     });
   });
 
+  describe('.removeSitePrefix(site, prefix)', () => {
+    it("should delete the objects under the prefix in the site's S3 bucket", async () => {
+      createCredentialsNock(s3ServiceName, s3ServiceGuid, awsBucketName);
+      const prefix = 'preview/owner/repo/branch/';
+      let listPrefix;
+      let deletedObjects;
+
+      s3Mock
+        .on(ListObjectsV2Command)
+        .callsFake((input) => {
+          listPrefix = input.Prefix;
+          return {
+            IsTruncated: false,
+            Contents: [{ Key: `${prefix}index.html` }],
+          };
+        })
+        .on(DeleteObjectsCommand)
+        .callsFake((input) => {
+          deletedObjects = input.Delete.Objects;
+          return {};
+        });
+
+      mockTokenRequest();
+      apiNocks.mockDefaultCredentials();
+
+      const site = await factory.site({
+        awsBucketName,
+        s3ServiceName,
+      });
+
+      await S3SiteRemover.removeSitePrefix(site, prefix);
+
+      expect(listPrefix).to.equal(prefix);
+      expect(deletedObjects).to.deep.equal([{ Key: `${prefix}index.html` }]);
+    });
+  });
+
   describe('.removeInfrastructure', () => {
     beforeEach(() => createCredentialsNock(s3ServiceName, s3ServiceGuid, awsBucketName));
 
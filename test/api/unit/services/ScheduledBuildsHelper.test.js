@@ -0,0 +1,118 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const factory = require('../../support/factory');
+const { Build, Site, SiteBranchConfig, User } = require('../../../../api/models');
+const ScheduledBuildsHelper = require('../../../../api/services/ScheduledBuildsHelper');
+const QueueJobs = require('../../../../api/queue-jobs');
+
+describe('ScheduledBuildsHelper', () => {
+  const schedule = '0 5 * * *';
+
+  before(async () => {
+    await factory.user({
+      username: process.env.USER_AUDITOR,
+    });
+  });
+
+  beforeEach(async () => {
+    sinon.stub(QueueJobs.prototype, 'startSiteBuild').resolves();
+    await Promise.all([
+      Build.truncate({
+        force: true,
+        cascade: true,
+      }),
+      Site.truncate(),
+      SiteBranchConfig.truncate(),
+    ]);
+  });
+
+  afterEach(async () => {
+    sinon.restore();
+    await Promise.all([
+      Build.truncate({
+        force: true,
+        cascade: true,
+      }),
+      Site.truncate(),
+      SiteBranchConfig.truncate(),
+    ]);
+  });
+
+  after(async () => {
+    await User.truncate({
+      force: true,
+      cascade: true,
+    });
+  });
+
+  describe('.buildSiteBranchConfig', () => {
+    it('queues a build of the scheduled branch', async () => {
+      const site = await factory.site({
+        defaultBranch: 'main',
+      });
+      const [sbc] = await site.getSiteBranchConfigs();
+      await sbc.update({ schedule });
+
+      const result = await ScheduledBuildsHelper.buildSiteBranchConfig(sbc.id);
+
+      expect(result).to.eq(`site:${site.id}@main`);
+      const builds = await Build.findAll({ where: { site: site.id } });
+      expect(builds.length).to.eq(1);
+      expect(builds[0].branch).to.eq('main');
+      expect(builds[0].username).to.eq(process.env.USER_AUDITOR);
+    });
+
+    it('removes the job scheduler of a deleted site branch config', async () => {
+      const unscheduleStub = sinon
+        .stub(QueueJobs.prototype, 'unscheduleSiteBranchConfigBuilds')
+        .resolves();
+
+      const result = await ScheduledBuildsHelper.buildSiteBranchConfig(-1);
+
+      expect(result).to.be.null;
+      sinon.assert.calledOnceWithExactly(unscheduleStub, -1);
+      expect(await Build.count()).to.eq(0);
+    });
+
+    it('rejects with the site and branch when the build fails', async () => {
+      sinon.stub(Build, 'create').rejects(new Error('YARGH'));
+      const site = await factory.site({
+        defaultBranch: 'main',
+      });
+      const [sbc] = await site.getSiteBranchConfigs();
+      await sbc.update({ schedule });
+
+      const error = await ScheduledBuildsHelper.buildSiteBranchConfig(sbc.id).catch(
+        (e) => e,
+      );
+
+      expect(error).to.be.an('error');
+      expect(error.message).to.eq(`site:${site.id}@main`);
+    });
+  });
+
+  describe('.syncSchedules', () => {
+    it('schedules branch configs with a schedule and removes the others', async () => {
+      const scheduleStub = sinon
+        .stub(QueueJobs.prototype, 'scheduleSiteBranchConfigBuilds')
+        .resolves();
+      const unscheduleStub = sinon
+        .stub(QueueJobs.prototype, 'unscheduleSiteBranchConfigBuilds')
+        .resolves();
+      const [scheduled, notScheduled] = await Promise.all([
+        factory.site({ defaultBranch: 'main' }),
+        factory.site({ defaultBranch: 'main' }),
+      ]).then((sites) => Promise.all(sites.map((site) => site.getSiteBranchConfigs())));
+      await scheduled[0].update({ schedule });
+      sinon
+        .stub(QueueJobs.prototype, 'getScheduledSiteBranchConfigIds')
+        .resolves([scheduled[0].id, notScheduled[0].id]);
+
+      const results = await ScheduledBuildsHelper.syncSchedules();
+
+      expect(results.map((sbc) => sbc.id)).to.deep.eq([scheduled[0].id]);
+      sinon.assert.calledOnce(scheduleStub);
+      sinon.assert.calledOnceWithExactly(unscheduleStub, notScheduled[0].id);
+    });
+  });
+});
@@ -162,6 +162,41 @@ describe('SiteBuildQueue', () => {
         .catch(done);
     });
 
+    it('should set SOURCE_DIRECTORY to the directory of the site', async () => {
+      const site = await factory.site({ sourceDirectory: 'sites/docs' });
+      const { id } = await factory.build({ site });
+      const build = await Build.findByPk(id, {
+        include: [
+          {
+            model: Site,
+            include: [SiteBranchConfig, Domain],
+          },
+          User,
+        ],
+      });
+
+      const message = await SiteBuildQueue.messageBodyForBuild(build);
+
+      expect(messageEnv(message, 'SOURCE_DIRECTORY')).to.equal('sites/docs');
+    });
+
+    it('should set SOURCE_DIRECTORY to an empty string when absent', async () => {
+      const { id } = await factory.build();
+      const build = await Build.findByPk(id, {
+        include: [
+          {
+            model: Site,
+            include: [SiteBranchConfig, Domain],
+          },
+          User,
+        ],
+      });
+
+      const message = await SiteBuildQueue.messageBodyForBuild(build);
+
+      expect(messageEnv(message, 'SOURCE_DIRECTORY')).to.equal('');
+    });
+
     context("building a site's default branch", () => {
       it(`should set an empty string for BASEURL
           in the message for a site with a custom domain`, (done) => {
@@ -247,40 +282,6 @@ describe('SiteBuildQueue', () => {
           })
           .catch(done);
       });
-
-      it("should set SITE_PREFIX in the message to 'site/:owner/:repo/'", (done) => {
-        factory
-          .site({
-            domain: '',
-            owner: 'owner',
-            repository: 'repo',
-            defaultBranch: 'main',
-          })
-          .then((site) =>
-            factory.build({
-              site,
-              branch: 'main',
-            }),
-          )
-          .then((build) =>
-            Build.findByPk(build.id, {
-              include: [
-                {
-                  model: Site,
-                  required: true,
-                  include: [SiteBranchConfig, Domain],
-                },
-                User,
-              ],
-            }),
-          )
-          .then((build) => SiteBuildQueue.messageBodyForBuild(build))
-          .then((message) => {
-            expect(messageEnv(message, 'SITE_PREFIX')).to.equal('site/owner/repo');
-            done();
-          })
-          .catch(done);
-      });
     });
 
     context("building a site's demo branch", () => {
@@ -368,40 +369,6 @@ describe('SiteBuildQueue', () => {
           })
           .catch(done);
       });
-
-      it("should set SITE_PREFIX in the message to 'demo/:owner/:repo'", (done) => {
-        factory
-          .site({
-            demoDomain: '',
-            owner: 'owner',
-            repository: 'repo',
-            demoBranch: 'demo',
-          })
-          .then((site) =>
-            factory.build({
-              site,
-              branch: 'demo',
-            }),
-          )
-          .then((build) =>
-            Build.findByPk(build.id, {
-              include: [
-                {
-                  model: Site,
-                  required: true,
-                  include: [SiteBranchConfig, Domain],
-                },
-                User,
-              ],
-            }),
-          )
-          .then((build) => SiteBuildQueue.messageBodyForBuild(build))
-          .then((message) => {
-            expect(messageEnv(message, 'SITE_PREFIX')).to.equal('demo/owner/repo');
-            done();
-          })
-          .catch(done);
-      });
     });
 
     context("building a site's preview branch", () => {
@@ -473,43 +440,6 @@ describe('SiteBuildQueue', () => {
           })
           .catch(done);
       });
-
-      it(`should set SITE_PREFIX in the message
-          to 'preview/:owner/:repo/:branch'`, (done) => {
-        factory
-          .site({
-            domain: '',
-            owner: 'owner',
-            repository: 'repo',
-            defaultBranch: 'main',
-          })
-          .then((site) =>
-            factory.build({
-              site,
-              branch: 'branch',
-            }),
-          )
-          .then((build) =>
-            Build.findByPk(build.id, {
-              include: [
-                {
-                  model: Site,
-                  required: true,
-                  include: [SiteBranchConfig, Domain],
-                },
-                User,
-              ],
-            }),
-          )
-          .then((build) => SiteBuildQueue.messageBodyForBuild(build))
-          .then((message) => {
-            expect(messageEnv(message, 'SITE_PREFIX')).to.equal(
-              'preview/owner/repo/branch',
-            );
-            done();
-          })
-          .catch(done);
-      });
     });
 
     it("should set BRANCH in the message to the name build's branch", (done) => {
@@ -633,6 +563,41 @@ describe('SiteBuildQueue', () => {
       expect(messageEnv(message, 'CONFIG')).to.equal(JSON.stringify(previewConfig));
     });
 
+    it('should merge the repository config over the branch config', async () => {
+      const site = await factory.site(undefined, {
+        noSiteBranchConfig: true,
+      });
+
+      await factory.siteBranchConfig.create({
+        site,
+        branch: 'main',
+        config: { plugins_dir: '_plugins', headers: { '/*': { 'x-one': '1' } } },
+      });
+
+      const build = await factory.build({
+        site,
+        branch: 'main',
+      });
+      const buildRecord = await Build.findByPk(build.id, {
+        include: [
+          {
+            model: Site,
+            required: true,
+            include: [SiteBranchConfig, Domain],
+          },
+          User,
+        ],
+      });
+      const message = await SiteBuildQueue.messageBodyForBuild(buildRecord, {
+        repositoryConfig: { headers: { '/*': { 'x-two': '2' } } },
+      });
+
+      expect(JSON.parse(messageEnv(message, 'CONFIG'))).to.deep.equal({
+        plugins_dir: '_plugins',
+        headers: { '/*': { 'x-one': '1', 'x-two': '2' } },
+      });
+    });
+
     it("should set REPOSITORY in the message to the site's repo name", (done) => {
       factory
         .site({
@@ -861,6 +826,10 @@ describe('SiteBuildQueue', () => {
   });
 
   describe('.setupTaskEnv', () => {
+    beforeEach(() => {
+      sinon.stub(GithubBuildHelper, 'fetchBuildContent').resolves(null);
+    });
+
     it(`shoudld find the build and
         associated tables to setup the cf task dev`, async () => {
       const factoryBuild = await factory.build();
@@ -897,5 +866,70 @@ describe('SiteBuildQueue', () => {
       expect(message.environment).to.be.an('array');
       sinon.assert.calledOnceWithExactly(stub, build, 2);
     });
+
+    it('should set SITE_PREFIX to the output prefix of the build', async () => {
+      const site = await factory.site();
+      const factoryBuild = await factory.build({ site });
+      sinon.stub(SiteBuildQueue, 'setupBucket').resolves();
+
+      const { message } = await SiteBuildQueue.setupTaskEnv(factoryBuild.id);
+
+      const sitePrefix = message.environment.find((el) => el.name === 'SITE_PREFIX');
+      expect(sitePrefix.value).to.equal(`_builds/build-${factoryBuild.id}`);
+    });
+
+    it('should set CONFIG with the repository config file of the branch', async () => {
+      const site = await factory.site();
+      const factoryBuild = await factory.build({ site, branch: 'main' });
+      GithubBuildHelper.fetchBuildContent.resolves(
+        'branches:\n  main:\n    config:\n      search: true\n',
+      );
+      sinon.stub(SiteBuildQueue, 'setupBucket').resolves();
+
+      const { build, message } = await SiteBuildQueue.setupTaskEnv(factoryBuild.id);
+
+      const config = message.environment.find((el) => el.name === 'CONFIG');
+      expect(JSON.parse(config.value)).to.deep.equal({ search: true });
+      sinon.assert.calledOnceWithExactly(
+        GithubBuildHelper.fetchBuildContent,
+        build,
+        'pages.yml',
+      );
+    });
+
+    it('should use the site settings without a GitHub access token', async () => {
+      const site = await factory.site();
+      const factoryBuild = await factory.build({ site, branch: 'main' });
+      await SiteBranchConfig.update(
+        { config: { search: false } },
+        { where: { siteId: site.id, branch: 'main' } },
+      );
+      GithubBuildHelper.fetchBuildContent.rejects(
+        new Error(
+          `Unable to find valid access token to report build@id=${factoryBuild.id}`,
+        ),
+      );
+      const setupBucket = sinon.stub(SiteBuildQueue, 'setupBucket').resolves();
+
+      const { message } = await SiteBuildQueue.setupTaskEnv(factoryBuild.id);
+
+      const config = message.environment.find((el) => el.name === 'CONFIG');
+      expect(JSON.parse(config.value)).to.deep.equal({ search: false });
+      sinon.assert.calledOnce(setupBucket);
+    });
+
+    it('should reject a repository config file not matching its schema', async () => {
+      const factoryBuild = await factory.build();
+      GithubBuildHelper.fetchBuildContent.resolves('branches:\n  main: true\n');
+      const setupBucket = sinon.stub(SiteBuildQueue, 'setupBucket').resolves();
+
+      const error = await SiteBuildQueue.setupTaskEnv(factoryBuild.id).catch((e) => e);
+
+      expect(error.message).to.equal(
+        'The pages.yml file does not match its schema: ' +
+          'pages.yml/branches/main must be object',
+      );
+      sinon.assert.notCalled(setupBucket);
+    });
   });
 });
@@ -0,0 +1,89 @@
+const { expect } = require('chai');
+const SiteConfigDocument = require('../../../../api/services/SiteConfigDocument');
+
+describe('SiteConfigDocument', () => {
+  describe('.parseDocument', () => {
+    const parseError = (input) => {
+      try {
+        SiteConfigDocument.parseDocument(input);
+      } catch (error) {
+        return error;
+      }
+      return null;
+    };
+
+    it('reads a YAML document', () => {
+      const document = SiteConfigDocument.parseDocument(
+        [
+          'version: 1',
+          'branchConfigs:',
+          '  - branch: main',
+          '    context: site',
+          '    schedule: 0 6 * * 1',
+          'environmentVariables:',
+          '  - API_KEY',
+        ].join('\n'),
+      );
+
+      expect(document.branchConfigs).to.deep.equal([
+        { branch: 'main', context: 'site', schedule: '0 6 * * 1' },
+      ]);
+      expect(document.environmentVariables).to.deep.equal(['API_KEY']);
+    });
+
+    it('rejects text which is not YAML or JSON', () => {
+      const error = parseError('version: [1');
+
+      expect(error.status).to.equal(400);
+      expect(error.message).to.equal('The document must be valid YAML or JSON.');
+    });
+
+    it('rejects a document without a version', () => {
+      const error = parseError({ site: { engine: 'hugo' } });
+
+      expect(error.message).to.equal('The document version must be 1.');
+    });
+
+    it('rejects an unknown engine', () => {
+      const error = parseError({ version: 1, site: { engine: 'rails' } });
+
+      expect(error.message).to.equal(
+        'site.engine must be one of hugo, jekyll, node.js, static.',
+      );
+    });
+
+    it('rejects an invalid branch config', () => {
+      const error = parseError({
+        version: 1,
+        branchConfigs: [
+          { branch: 'main', context: 'site' },
+          { branch: 'next', context: 'demo', schedule: 'every day' },
+        ],
+      });
+
+      expect(error.status).to.equal(400);
+      expect(error.message).to.match(/^branchConfigs\[1\]: /);
+    });
+
+    it('rejects a branch listed twice', () => {
+      const error = parseError({
+        version: 1,
+        branchConfigs: [
+          { branch: 'main', context: 'site' },
+          { branch: 'main', context: 'demo' },
+        ],
+      });
+
+      expect(error.message).to.equal('branchConfigs lists main more than once.');
+    });
+
+    it('rejects a domain without a branch', () => {
+      const error = parseError({
+        version: 1,
+        domains: [{ names: 'www.agency.gov' }],
+      });
+
+      expect(error.message).to.equal('domains[0]: branch must be a valid string.');
+    });
+  });
+});
@@ -301,6 +301,39 @@ describe('SiteCreator', () => {
           .catch(done);
       });
 
+      it('should reject a source directory until builds support it', async () => {
+        const user = await factory.user();
+
+        const error = await SiteCreator.createSite({
+          user,
+          siteParams: {
+            ...siteParams,
+            sourceDirectory: './docs/',
+          },
+        }).catch((err) => err);
+
+        expect(error.status).to.equal(400);
+        expect(error.message).to.match(/Source directories are not supported yet/);
+        expect(
+          await Site.count({ where: { repository: siteParams.repository } }),
+        ).to.equal(0);
+      });
+
+      it('should reject a source directory outside of the repository', async () => {
+        const user = await factory.user();
+
+        const error = await SiteCreator.createSite({
+          user,
+          siteParams: {
+            ...siteParams,
+            sourceDirectory: 'docs/../../secrets',
+          },
+        }).catch((err) => err);
+
+        expect(error.status).to.equal(400);
+        expect(error.message).to.match(/Source directories must be relative paths/);
+      });
+
       it('should reject if the GitHub repository does not exist', (done) => {
         factory
           .user()
@@ -117,6 +117,21 @@ describe('SiteDestroyer', () => {
       );
     });
 
+    it(`removes the infra but keeps the webhook
+        of a repository shared with another site`, async () => {
+      const [site, user] = await Promise.all([factory.site(), factory.user()]);
+      await factory.site({
+        owner: site.owner,
+        repository: site.repository,
+        sourceDirectory: 'other',
+      });
+
+      await SiteDestroyer.destroySiteInfra(site, user);
+
+      sinon.assert.notCalled(stubs['./GitHub'].deleteWebhook);
+      sinon.assert.calledOnceWithExactly(stubs['./S3SiteRemover'].removeSite, site);
+    });
+
     it('removes the infra when the user is not provided', async () => {
       const site = await factory.site();
 
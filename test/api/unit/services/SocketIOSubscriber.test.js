@@ -129,4 +129,113 @@ describe('SocketIOSubscriber', () => {
       ).to.eql(1);
     });
   });
+
+  context('filtered build notification settings', () => {
+    it('joins a room for each branch and event of a site', async () => {
+      const { site, user } = await createSiteUserOrg();
+      await user.update({
+        buildNotificationSettings: {
+          [site.id]: {
+            scope: 'site',
+            branches: ['main', 'demo'],
+            events: ['failure'],
+          },
+        },
+      });
+      const socket = new MockSocket(user);
+
+      await SocketIOSubscriber.joinRooms(socket);
+
+      expect(socket.rooms.size).to.eql(2 + 1);
+      expect(socket.rooms.has(`site-${site.id}:branch=main:event=failure`)).to.be.true;
+      expect(socket.rooms.has(`site-${site.id}:branch=demo:event=failure`)).to.be.true;
+    });
+
+    it('joins the builder room filtered by event', async () => {
+      const { site, user } = await createSiteUserOrg();
+      await user.update({
+        buildNotificationSettings: {
+          [site.id]: { scope: 'builds', events: ['success', 'reports'] },
+        },
+      });
+      const socket = new MockSocket(user);
+
+      await SocketIOSubscriber.joinRooms(socket);
+
+      expect([...socket.rooms].slice(1)).to.have.members([
+        `site-${site.id}-user-${user.id}:event=success`,
+        `site-${site.id}-user-${user.id}:event=reports`,
+      ]);
+    });
+  });
+
+  context('getBuildRooms', () => {
+    const build = {
+      site: 1,
+      user: 2,
+      branch: 'main',
+      state: 'error',
+    };
+
+    it('lists the unfiltered and matching filtered rooms of a build', () => {
+      const rooms = SocketIOSubscriber.getBuildRooms(build);
+
+      expect(rooms).to.have.members([
+        'site-1',
+        'site-1:event=failure',
+        'site-1:branch=main',
+        'site-1:branch=main:event=failure',
+        'site-1-user-2',
+        'site-1-user-2:event=failure',
+        'site-1-user-2:branch=main',
+        'site-1-user-2:branch=main:event=failure',
+      ]);
+    });
+
+    it('only lists the unfiltered rooms for cancelled builds', () => {
+      const rooms = SocketIOSubscriber.getBuildRooms({ ...build, state: 'cancelled' });
+
+      expect(rooms).to.have.members([
+        'site-1',
+        'site-1:branch=main',
+        'site-1-user-2',
+        'site-1-user-2:branch=main',
+      ]);
+    });
+
+    it('only lists the rooms filtered by reports for reports', () => {
+      const rooms = SocketIOSubscriber.getBuildRooms(build, 'reports');
+
+      expect(rooms).to.have.members([
+        'site-1:event=reports',
+        'site-1:branch=main:event=reports',
+        'site-1-user-2:event=reports',
+        'site-1-user-2:branch=main:event=reports',
+      ]);
+    });
+  });
+
+  context('joinBuildLogRoom', () => {
+    it('joins the log room of a build of one of the user sites', async () => {
+      const { site, user } = await createSiteUserOrg();
+      const build = await factory.build({ site, user });
+      const socket = new MockSocket(user);
+
+      const result = await SocketIOSubscriber.joinBuildLogRoom(socket, build.id);
+
+      expect(result.id).to.eql(build.id);
+      expect(socket.rooms.has(SocketIOSubscriber.getBuildLogRoom(build.id))).to.be.true;
+    });
+
+    it('does not join the log room of a build of another site', async () => {
+      const user = await factory.user();
+      const build = await factory.build();
+      const socket = new MockSocket(user);
+
+      const result = await SocketIOSubscriber.joinBuildLogRoom(socket, build.id);
+
+      expect(result).to.be.null;
+      expect(socket.rooms.size).to.eql(1);
+    });
+  });
 });
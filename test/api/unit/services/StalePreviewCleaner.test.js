@@ -0,0 +1,165 @@
+const { expect } = require('chai');
+const moment = require('moment');
+const sinon = require('sinon');
+
+const factory = require('../../support/factory');
+const { Event } = require('../../../../api/models');
+const BuildPublisher = require('../../../../api/services/BuildPublisher');
+const EventCreator = require('../../../../api/services/EventCreator');
+const GitHub = require('../../../../api/services/GitHub');
+const GithubBuildHelper = require('../../../../api/services/GithubBuildHelper');
+const S3PublishedFileLister = require('../../../../api/services/S3PublishedFileLister');
+const S3SiteRemover = require('../../../../api/services/S3SiteRemover');
+const StalePreviewCleaner = require('../../../../api/services/StalePreviewCleaner');
+
+describe('StalePreviewCleaner', () => {
+  let getBranchStub;
+  let site;
+
+  beforeEach(async () => {
+    site = await factory.site();
+    sinon.stub(GithubBuildHelper, 'loadSiteUserAccessToken').resolves('token');
+    getBranchStub = sinon.stub(GitHub, 'getBranch').resolves({ name: 'branch' });
+  });
+
+  afterEach(() => sinon.restore());
+
+  describe('.findStalePreviews', () => {
+    it('finds previews of branches deleted on GitHub', async () => {
+      sinon.stub(S3PublishedFileLister, 'listPublishedPreviews').resolves(['deleted']);
+      await factory.build({ site, branch: 'deleted' });
+      getBranchStub.resolves(null);
+
+      const previews = await StalePreviewCleaner.findStalePreviews(site);
+
+      expect(previews).to.have.length(1);
+      expect(previews[0].branch).to.equal('deleted');
+      expect(previews[0].reason).to.equal(StalePreviewCleaner.Reasons.Deleted);
+    });
+
+    it('finds previews not rebuilt within the retention window', async () => {
+      sinon
+        .stub(S3PublishedFileLister, 'listPublishedPreviews')
+        .resolves(['old', 'never-built']);
+      await factory.build({ site, branch: 'old' });
+
+      const previews = await StalePreviewCleaner.findStalePreviews(site, {
+        now: moment()
+          .add(site.previewRetentionDays + 1, 'days')
+          .toDate(),
+      });
+
+      expect(previews.map((p) => p.branch)).to.have.members(['old', 'never-built']);
+      previews.forEach((preview) =>
+        expect(preview.reason).to.equal(StalePreviewCleaner.Reasons.Expired),
+      );
+    });
+
+    it('keeps recent previews and branch configs', async () => {
+      sinon
+        .stub(S3PublishedFileLister, 'listPublishedPreviews')
+        .resolves(['recent', 'demo', 'feature/nested']);
+      await Promise.all([
+        factory.build({ site, branch: 'recent' }),
+        factory.build({ site, branch: 'feature/nested' }),
+        factory.siteBranchConfig.create({ site, branch: 'demo', context: 'demo' }),
+      ]);
+
+      const previews = await StalePreviewCleaner.findStalePreviews(site);
+
+      expect(previews).to.have.length(0);
+    });
+
+    it('evaluates the previews of nested branches by their full name', async () => {
+      const listStub = sinon
+        .stub(S3PublishedFileLister, 'listPublishedPreviews')
+        .resolves(['feature/deleted']);
+      await factory.build({ site, branch: 'feature/deleted' });
+      getBranchStub.resolves(null);
+
+      const previews = await StalePreviewCleaner.findStalePreviews(site);
+
+      expect(previews.map((p) => p.branch)).to.deep.equal(['feature/deleted']);
+      sinon.assert.calledOnceWithExactly(listStub, site, ['feature/deleted']);
+      sinon.assert.calledWith(
+        getBranchStub,
+        sinon.match.any,
+        site.owner,
+        site.repository,
+        'feature/deleted',
+      );
+    });
+
+    it('uses the retention window of the site', async () => {
+      sinon.stub(S3PublishedFileLister, 'listPublishedPreviews').resolves(['branch']);
+      await site.update({ previewRetentionDays: 5 });
+      await factory.build({ site, branch: 'branch' });
+
+      const previews = await StalePreviewCleaner.findStalePreviews(site, {
+        now: moment().add(6, 'days').toDate(),
+      });
+
+      expect(previews).to.have.length(1);
+    });
+  });
+
+  describe('.cleanStalePreviews', () => {
+    let removeStub;
+    let removeOutputsStub;
+    let auditStub;
+
+    beforeEach(() => {
+      sinon.stub(S3PublishedFileLister, 'listPublishedPreviews').resolves(['deleted']);
+      getBranchStub.resolves(null);
+      removeStub = sinon.stub(S3SiteRemover, 'removeSitePrefix').resolves();
+      removeOutputsStub = sinon
+        .stub(BuildPublisher, 'removeBranchBuildOutputs')
+        .resolves([]);
+      auditStub = sinon.stub(EventCreator, 'audit').resolves();
+    });
+
+    it('only reports the stale previews in a dry run', async () => {
+      const previews = await StalePreviewCleaner.cleanStalePreviews(site, {
+        dryRun: true,
+      });
+
+      expect(previews.map((p) => p.branch)).to.deep.equal(['deleted']);
+      sinon.assert.notCalled(removeStub);
+      sinon.assert.notCalled(removeOutputsStub);
+      sinon.assert.notCalled(auditStub);
+    });
+
+    it('removes the stale previews and audits each removal', async () => {
+      const previews = await StalePreviewCleaner.cleanStalePreviews(site);
+
+      expect(previews.map((p) => p.branch)).to.deep.equal(['deleted']);
+      sinon.assert.calledOnceWithExactly(
+        removeStub,
+        site,
+        `preview/${site.owner}/${site.repository}/deleted/`,
+        { excludePrefixes: [] },
+      );
+      sinon.assert.calledOnceWithExactly(removeOutputsStub, site, 'deleted');
+      sinon.assert.calledOnceWithMatch(
+        auditStub,
+        Event.labels.PREVIEW_CLEANUP,
+        sinon.match({ id: site.id }),
+        'Preview Removed',
+        { branch: 'deleted' },
+      );
+    });
+
+    it('keeps the previews of the nested branches', async () => {
+      await factory.build({ site, branch: 'deleted/nested' });
+
+      await StalePreviewCleaner.cleanStalePreviews(site);
+
+      sinon.assert.calledOnceWithExactly(
+        removeStub,
+        site,
+        `preview/${site.owner}/${site.repository}/deleted/`,
+        { excludePrefixes: [`preview/${site.owner}/${site.repository}/deleted/nested/`] },
+      );
+    });
+  });
+});
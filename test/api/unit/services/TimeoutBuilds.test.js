@@ -3,11 +3,15 @@ const moment = require('moment');
 const sinon = require('sinon');
 
 const factory = require('../../support/factory');
-const { timeoutBuilds } = require('../../../../api/services/TimeoutBuilds');
+const {
+  timeoutBuilds,
+  timeoutStagedBuilds,
+} = require('../../../../api/services/TimeoutBuilds');
+const BuildGate = require('../../../../api/services/BuildGate');
 const { Build, sequelize } = require('../../../../api/models');
 const CFApi = require('../../../../api/utils/cfApiClient');
 
-const { Processing, Queued, Tasked } = Build.States;
+const { Processing, Queued, Staged, Tasked } = Build.States;
 
 function setBuildUpdatedAt(build, date) {
   return sequelize
@@ -126,4 +130,40 @@ describe('TimeoutBuilds', () => {
       sinon.assert.calledWithExactly(cancelBuildTaskStub, b.id);
     });
   });
+
+  it('times out the gates of the builds staged for too long', async () => {
+    const error = new Error('foo');
+    const timeoutGateStub = sinon.stub(BuildGate, 'timeoutGate');
+    const now = moment();
+
+    const [b1, b2] = await Promise.all([
+      // should be timed out
+      factory
+        .build({ state: Staged })
+        .then((build) =>
+          setBuildUpdatedAt(build, now.clone().subtract(181, 'minutes').toDate()),
+        ),
+      factory
+        .build({ state: Staged })
+        .then((build) =>
+          setBuildUpdatedAt(build, now.clone().subtract(200, 'minutes').toDate()),
+        ),
+
+      // other
+      factory.build({ state: Staged }),
+      factory
+        .build({ state: Processing })
+        .then((build) =>
+          setBuildUpdatedAt(build, now.clone().subtract(200, 'minutes').toDate()),
+        ),
+    ]);
+    timeoutGateStub.withArgs(sinon.match({ id: b1.id })).resolves(b1);
+    timeoutGateStub.withArgs(sinon.match({ id: b2.id })).rejects(error);
+
+    const results = await timeoutStagedBuilds(now);
+
+    expect(results.map((r) => r[0])).to.have.members([b1.id, b2.id]);
+    expect(results.map((r) => r[1].status)).to.have.members(['fulfilled', 'rejected']);
+    sinon.assert.calledTwice(timeoutGateStub);
+  });
 });
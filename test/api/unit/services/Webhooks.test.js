@@ -2,10 +2,13 @@ const crypto = require('crypto');
 const { expect } = require('chai');
 const nock = require('nock');
 const sinon = require('sinon');
-const { Build, User, Event } = require('../../../../api/models');
+const { Build, User, Event, SiteBranchConfig } = require('../../../../api/models');
 const QueueJobs = require('../../../../api/queue-jobs');
 const EventCreator = require('../../../../api/services/EventCreator');
 const GithubBuildHelper = require('../../../../api/services/GithubBuildHelper');
+const BuildCanceler = require('../../../../api/services/BuildCanceler');
+const BuildPublisher = require('../../../../api/services/BuildPublisher');
+const S3SiteRemover = require('../../../../api/services/S3SiteRemover');
 
 const factory = require('../../support/factory');
 const githubAPINocks = require('../../support/githubAPINocks');
@@ -31,6 +34,27 @@ describe('Webhooks Service', () => {
     },
   });
 
+  const pullRequestWebhookPayload = (user, site, action = 'opened', headRepo = null) => ({
+    action,
+    number: 7,
+    pull_request: {
+      number: 7,
+      head: {
+        ref: 'feature',
+        sha: 'b172b66c31e19d456a448041a5b3c2a70c32d8b7',
+        repo: {
+          full_name: headRepo || `${site.owner}/${site.repository}`,
+        },
+      },
+    },
+    sender: {
+      login: user.username,
+    },
+    repository: {
+      full_name: `${site.owner}/${site.repository}`,
+    },
+  });
+
   const organizationWebhookPayload = (
     action,
     login,
@@ -523,6 +547,348 @@ describe('Webhooks Service', () => {
         expect(statusNock.isDone()).to.be.true;
       });
     });
+
+    describe('when a processing build for the branch exists', () => {
+      const createProcessingBuild = (site, user) =>
+        Build.create(
+          {
+            site: site.id,
+            user: user.id,
+            branch: 'main',
+            requestedCommitSha: 'a172b66a31319d456a448041a5b3c2a70c32d8b7',
+            state: 'processing',
+            token: 'token',
+            username: user.username,
+          },
+          { hooks: false },
+        );
+
+      it(`should not supersede the build
+          if the site does not auto-cancel superseded builds`, async () => {
+        const supersedeStub = sinon.stub(BuildCanceler, 'supersedeBuilds').resolves([]);
+        const { site, user } = await createSiteUserOrg();
+        await createProcessingBuild(site, user);
+
+        await Webhooks.pushWebhookRequest(buildWebhookPayload(user, site));
+
+        const numBuilds = await Build.count({
+          where: {
+            site: site.id,
+          },
+        });
+
+        expect(numBuilds).to.eq(2);
+        sinon.assert.notCalled(supersedeStub);
+      });
+
+      it(`should supersede the build
+          if the site auto-cancels superseded builds`, async () => {
+        const statusNock = githubAPINocks.status({
+          state: 'failure',
+        });
+        githubAPINocks.repo({
+          response: [
+            201,
+            {
+              permissions: {
+                admin: true,
+                push: true,
+              },
+            },
+          ],
+        });
+        const { site, user } = await createSiteUserOrg();
+        await site.update({
+          autoCancelSupersededBuilds: true,
+        });
+        const olderBuild = await createProcessingBuild(site, user);
+        const supersedeStub = sinon
+          .stub(BuildCanceler, 'supersedeBuilds')
+          .callsFake(async (build) => [
+            await olderBuild.update({
+              state: Build.States.Cancelled,
+              supersededBy: build.id,
+            }),
+          ]);
+
+        await Webhooks.pushWebhookRequest(buildWebhookPayload(user, site));
+
+        const newBuild = await Build.findOne({
+          where: {
+            site: site.id,
+          },
+          order: [['id', 'DESC']],
+        });
+        await olderBuild.reload();
+
+        expect(newBuild.id).to.not.eq(olderBuild.id);
+        expect(olderBuild.state).to.eq(Build.States.Cancelled);
+        expect(olderBuild.supersededBy).to.eq(newBuild.id);
+        expect(statusNock.isDone()).to.be.true;
+        sinon.assert.calledOnce(supersedeStub);
+      });
+    });
+  });
+
+  describe('pushWebhookRequest for a repository with several sites', () => {
+    const createMonorepoSite = (site, sourceDirectory, pathFilters = []) =>
+      factory.site({
+        owner: site.owner,
+        repository: site.repository,
+        subdomain: `${site.subdomain}-${sourceDirectory}`,
+        organizationId: site.organizationId,
+        config: { sourceDirectory, pathFilters },
+      });
+
+    const pushPaths = (user, site, paths) => ({
+      ...buildWebhookPayload(user, site),
+      commits: [
+        {
+          id: 'a172b66c31e19d456a448041a5b3c2a70c32d8b7',
+          added: [],
+          removed: [],
+          modified: paths,
+        },
+      ],
+    });
+
+    const countBuilds = (site) => Build.count({ where: { site: site.id } });
+
+    beforeEach(() => {
+      sinon.stub(QueueJobs.prototype, 'startSiteBuild').resolves();
+      sinon.stub(GithubBuildHelper, 'reportBuildStatus').resolves();
+    });
+
+    it('only builds the sites whose source directory changed', async () => {
+      const { site, user } = await createSiteUserOrg();
+      const docs = await createMonorepoSite(site, 'docs');
+      const marketing = await createMonorepoSite(site, 'marketing');
+
+      await Webhooks.pushWebhookRequest(pushPaths(user, site, ['docs/index.md']));
+
+      expect(await countBuilds(docs)).to.eq(1);
+      expect(await countBuilds(marketing)).to.eq(0);
+      // A site without a source directory or path filters builds on every push
+      expect(await countBuilds(site)).to.eq(1);
+    });
+
+    it('builds the sites whose path filters match a changed path', async () => {
+      const { site, user } = await createSiteUserOrg();
+      const docs = await createMonorepoSite(site, 'docs', ['shared/**', 'docs/**']);
+      const marketing = await createMonorepoSite(site, 'marketing', ['marketing/**']);
+
+      await Webhooks.pushWebhookRequest(pushPaths(user, site, ['shared/_config.yml']));
+
+      expect(await countBuilds(docs)).to.eq(1);
+      expect(await countBuilds(marketing)).to.eq(0);
+    });
+
+    it('builds every site when the commits do not list their paths', async () => {
+      const { site, user } = await createSiteUserOrg();
+      const docs = await createMonorepoSite(site, 'docs');
+
+      await Webhooks.pushWebhookRequest(buildWebhookPayload(user, site));
+
+      expect(await countBuilds(docs)).to.eq(1);
+      expect(await countBuilds(site)).to.eq(1);
+    });
+  });
+
+  describe('pushWebhookRequest with skipped builds', () => {
+    const pushCommit = (user, site, { message = 'Update', paths = [] } = {}) => ({
+      ...buildWebhookPayload(user, site),
+      head_commit: {
+        id: 'a172b66c31e19d456a448041a5b3c2a70c32d8b7',
+        message,
+      },
+      commits: [
+        {
+          id: 'a172b66c31e19d456a448041a5b3c2a70c32d8b7',
+          message,
+          modified: paths,
+        },
+      ],
+    });
+
+    let startSiteBuild;
+
+    beforeEach(() => {
+      startSiteBuild = sinon.stub(QueueJobs.prototype, 'startSiteBuild').resolves();
+      sinon.stub(GithubBuildHelper, 'reportBuildStatus').resolves();
+    });
+
+    it('skips the build when the commit message asks to', async () => {
+      const { site, user } = await createSiteUserOrg();
+
+      await Webhooks.pushWebhookRequest(
+        pushCommit(user, site, { message: 'Fix typo [Skip Pages]' }),
+      );
+
+      const build = await Build.findOne({ where: { site: site.id } });
+      expect(build.state).to.eq('skipped');
+      expect(build.error).to.eq('The commit message includes [Skip Pages].');
+      expect(startSiteBuild.called).to.be.false;
+      sinon.assert.calledOnceWithMatch(GithubBuildHelper.reportBuildStatus, {
+        id: build.id,
+      });
+    });
+
+    it('skips the build when only ignored paths of the branch change', async () => {
+      const { site, user } = await createSiteUserOrg();
+      await SiteBranchConfig.update(
+        { ignoredPaths: ['README.md', '.github/**'] },
+        { where: { siteId: site.id, branch: 'main' } },
+      );
+
+      await Webhooks.pushWebhookRequest(
+        pushCommit(user, site, { paths: ['README.md', '.github/workflows/ci.yml'] }),
+      );
+
+      const build = await Build.findOne({ where: { site: site.id } });
+      expect(build.state).to.eq('skipped');
+      expect(build.error).to.eq('The push only changes ignored paths.');
+      expect(startSiteBuild.called).to.be.false;
+    });
+
+    it('builds when the push changes other paths as well', async () => {
+      const { site, user } = await createSiteUserOrg();
+      await SiteBranchConfig.update(
+        { ignoredPaths: ['README.md'] },
+        { where: { siteId: site.id, branch: 'main' } },
+      );
+
+      await Webhooks.pushWebhookRequest(
+        pushCommit(user, site, { paths: ['README.md', 'index.md'] }),
+      );
+
+      const build = await Build.findOne({ where: { site: site.id } });
+      expect(build.state).to.eq('queued');
+      expect(startSiteBuild.calledOnce).to.be.true;
+    });
+  });
+
+  describe('pullRequestWebhookRequest', () => {
+    let reportStatusStub;
+    let reportPreviewStub;
+
+    beforeEach(() => {
+      reportStatusStub = sinon.stub(GithubBuildHelper, 'reportBuildStatus').resolves();
+      reportPreviewStub = sinon
+        .stub(GithubBuildHelper, 'reportPullRequestPreview')
+        .resolves();
+      sinon.stub(QueueJobs.prototype, 'startSiteBuild').resolves();
+    });
+
+    it('should create a preview build for an opened pull request', async () => {
+      const { site, user } = await createSiteUserOrg();
+      const payload = pullRequestWebhookPayload(user, site);
+
+      await Webhooks.pullRequestWebhookRequest(payload);
+
+      const builds = await Build.findAll({
+        where: {
+          site: site.id,
+        },
+      });
+
+      expect(builds).to.have.length(1);
+      expect(builds[0].branch).to.eq('feature');
+      expect(builds[0].requestedCommitSha).to.eq(payload.pull_request.head.sha);
+      expect(builds[0].pullRequestNumber).to.eq(7);
+      sinon.assert.calledOnce(reportStatusStub);
+      sinon.assert.calledOnce(reportPreviewStub);
+    });
+
+    it('should reuse the build of the same commit created by a push', async () => {
+      const { site, user } = await createSiteUserOrg();
+      const payload = pullRequestWebhookPayload(user, site, 'synchronize');
+      const pushBuild = await Build.create(
+        {
+          site: site.id,
+          user: user.id,
+          branch: 'feature',
+          requestedCommitSha: payload.pull_request.head.sha,
+          state: 'processing',
+          token: 'token',
+          username: user.username,
+        },
+        { hooks: false },
+      );
+
+      await Webhooks.pullRequestWebhookRequest(payload);
+
+      const numBuilds = await Build.count({
+        where: {
+          site: site.id,
+        },
+      });
+      await pushBuild.reload();
+
+      expect(numBuilds).to.eq(1);
+      expect(pushBuild.pullRequestNumber).to.eq(7);
+      sinon.assert.calledOnce(reportPreviewStub);
+    });
+
+    it('should not build pull requests from forks', async () => {
+      const { site, user } = await createSiteUserOrg();
+      const payload = pullRequestWebhookPayload(user, site, 'opened', 'someone/fork');
+
+      await Webhooks.pullRequestWebhookRequest(payload);
+
+      const numBuilds = await Build.count({
+        where: {
+          site: site.id,
+        },
+      });
+
+      expect(numBuilds).to.eq(0);
+      sinon.assert.notCalled(reportPreviewStub);
+    });
+
+    it('should remove the preview when the pull request is closed', async () => {
+      const removeStub = sinon.stub(S3SiteRemover, 'removeSitePrefix').resolves();
+      const removeOutputsStub = sinon
+        .stub(BuildPublisher, 'removeBranchBuildOutputs')
+        .resolves([]);
+      const removedStub = sinon
+        .stub(GithubBuildHelper, 'reportPullRequestPreviewRemoved')
+        .resolves();
+      const { site, user } = await createSiteUserOrg();
+
+      await Webhooks.pullRequestWebhookRequest(
+        pullRequestWebhookPayload(user, site, 'closed'),
+      );
+
+      sinon.assert.calledOnceWithMatch(
+        removeStub,
+        sinon.match({ id: site.id }),
+        `preview/${site.owner}/${site.repository}/feature/`,
+      );
+      sinon.assert.calledOnceWithMatch(
+        removeOutputsStub,
+        sinon.match({ id: site.id }),
+        'feature',
+      );
+      sinon.assert.calledOnceWithMatch(removedStub, sinon.match({ id: site.id }), 7);
+    });
+
+    it('should not remove a branch with a site branch config', async () => {
+      const removeStub = sinon.stub(S3SiteRemover, 'removeSitePrefix').resolves();
+      const removeOutputsStub = sinon.stub(BuildPublisher, 'removeBranchBuildOutputs');
+      const { site, user } = await createSiteUserOrg();
+      await factory.siteBranchConfig.create({
+        site,
+        branch: 'feature',
+        context: 'demo',
+      });
+
+      await Webhooks.pullRequestWebhookRequest(
+        pullRequestWebhookPayload(user, site, 'closed'),
+      );
+
+      sinon.assert.notCalled(removeStub);
+      sinon.assert.notCalled(removeOutputsStub);
+    });
   });
 
   describe('organizationWebhookRequest', () => {
@@ -1,6 +1,7 @@
 const { expect } = require('chai');
 
 const {
+  branchConfigS3Key,
   siteViewLink,
   siteViewDomain,
   siteViewOrigin,
@@ -107,4 +108,20 @@ describe('site utils', () => {
       expect(siteViewOrigin(site)).equals(`${awsBucketName}.${config.app.proxyDomain}`);
     });
   });
+
+  describe('branchConfigS3Key', () => {
+    const site = { owner: 'owner', repository: 'repo' };
+
+    it('returns the path of the site and demo contexts', () => {
+      expect(branchConfigS3Key(site, 'site', 'main')).equals('/site/owner/repo');
+      expect(branchConfigS3Key(site, 'demo', 'demo')).equals('/demo/owner/repo');
+    });
+
+    it('returns the preview path of the other contexts', () => {
+      expect(branchConfigS3Key(site, 'preview', null)).to.be.null;
+      expect(branchConfigS3Key(site, 'staging', 'next')).equals(
+        'preview/owner/repo/next',
+      );
+    });
+  });
 });
@@ -80,4 +80,88 @@ describe('validators', () => {
       );
     });
   });
+
+  describe('.isPublicUrl', () => {
+    it('should allow url with a host name', () => {
+      expect(validators.isPublicUrl('https://hooks.example.gov/pages')).to.be.undefined;
+    });
+    it('should not allow non https url', () => {
+      expect(() => validators.isPublicUrl('http://hooks.example.gov')).to.throw(
+        Error,
+        'URL must start with https://',
+      );
+      expect(() => validators.isPublicUrl('')).to.throw(
+        Error,
+        'URL must start with https://',
+      );
+    });
+    it('should not allow ip addresses or localhost', () => {
+      [
+        'https://127.0.0.1/pages',
+        'https://169.254.169.254/latest',
+        'https://[::1]/pages',
+        'https://hooks.localhost/pages',
+      ].forEach((url) => {
+        expect(() => validators.isPublicUrl(url)).to.throw(
+          Error,
+          'URL must have a public host name.',
+        );
+      });
+    });
+  });
+
+  describe('.isPrivateAddress', () => {
+    it('should be true for private, loopback and link-local addresses', () => {
+      [
+        '10.1.2.3',
+        '127.0.0.1',
+        '169.254.169.254',
+        '172.16.0.1',
+        '192.168.1.1',
+        '::1',
+        'fd00::1',
+        'fe80::1',
+        '::ffff:10.1.2.3',
+      ].forEach((address) => {
+        expect(validators.isPrivateAddress(address)).to.be.true;
+      });
+    });
+    it('should be false for public addresses', () => {
+      ['8.8.8.8', '172.32.0.1', '2606:4700::1111'].forEach((address) => {
+        expect(validators.isPrivateAddress(address)).to.be.false;
+      });
+    });
+  });
+
+  describe('.isValidBuildSchedule', () => {
+    it('should allow cron expressions at most once an hour', () => {
+      expect(validators.isValidBuildSchedule('0 5 * * *')).to.be.undefined;
+      expect(validators.isValidBuildSchedule('0 * * * 1-5', 'America/New_York')).to.be
+        .undefined;
+    });
+    it('should not allow invalid cron expressions', () => {
+      expect(() => validators.isValidBuildSchedule('nightly')).to.throw(
+        Error,
+        'nightly is not a valid cron expression',
+      );
+    });
+    it('should not allow builds more than once an hour', () => {
+      expect(() => validators.isValidBuildSchedule('*/30 * * * *')).to.throw(
+        Error,
+        'builds may be scheduled at most once an hour',
+      );
+    });
+    it('should not allow builds more than once an hour on some days', () => {
+      expect(() => validators.isValidBuildSchedule('0,30 9 * * 1')).to.throw(
+        Error,
+        'builds may be scheduled at most once an hour',
+      );
+    });
+    it('should not allow invalid timezones', () => {
+      expect(() => validators.isValidBuildSchedule('0 5 * * *', 'Mars/Olympus')).to.throw(
+        Error,
+        'Mars/Olympus is not an IANA timezone',
+      );
+    });
+  });
 });
@@ -3,9 +3,10 @@ const sinon = require('sinon');
 const moment = require('moment');
 const BuildLogs = require('../../../api/services/build-logs');
 const TimeoutBuilds = require('../../../api/services/TimeoutBuilds');
-const NightlyBuildsHelper = require('../../../api/services/NightlyBuildsHelper');
+const ScheduledBuildsHelper = require('../../../api/services/ScheduledBuildsHelper');
 const SandboxHelper = require('../../../api/services/SandboxHelper');
 const SiteDestroyer = require('../../../api/services/SiteDestroyer');
+const StalePreviewCleaner = require('../../../api/services/StalePreviewCleaner');
 const factory = require('../support/factory');
 const jobProcessors = require('../../../api/workers/jobProcessors');
 
@@ -18,42 +19,27 @@ describe('job processors', () => {
     sinon.restore();
   });
 
-  context('nightlyBuilds', () => {
-    it('with failed builds', async () => {
-      sinon.stub(NightlyBuildsHelper, 'nightlyBuilds').resolves([
-        {
-          status: 'fulfilled',
-          value: '1',
-        },
-        {
-          status: 'fulfilled',
-          value: '2',
-        },
-        {
-          status: 'rejected',
-          reason: 'because',
-        },
-      ]);
-      const result = await jobProcessors.nightlyBuilds().catch((e) => e);
-      expect(result).to.be.an('error');
-      expect(result.message.split('.')[0]).to.equal(
-        'Queued nightly builds with 2 successes and 1 failures',
-      );
+  context('scheduledBuild', () => {
+    it('queues the build of the site branch config', async () => {
+      const stub = sinon
+        .stub(ScheduledBuildsHelper, 'buildSiteBranchConfig')
+        .resolves('site:1@main');
+      const result = await jobProcessors
+        .scheduledBuild({ data: { siteBranchConfigId: 1 } })
+        .catch((e) => e);
+      expect(result).to.not.be.an('error');
+      sinon.assert.calledOnceWithExactly(stub, 1);
     });
 
-    it('all successful builds', async () => {
-      sinon.stub(NightlyBuildsHelper, 'nightlyBuilds').resolves([
-        {
-          status: 'fulfilled',
-          value: '1',
-        },
-        {
-          status: 'fulfilled',
-          value: '2',
-        },
-      ]);
-      const result = await jobProcessors.nightlyBuilds().catch((e) => e);
-      expect(result).to.not.be.an('error');
+    it('with a failed build', async () => {
+      sinon
+        .stub(ScheduledBuildsHelper, 'buildSiteBranchConfig')
+        .rejects(new Error('site:1@main'));
+      const result = await jobProcessors
+        .scheduledBuild({ data: { siteBranchConfigId: 1 } })
+        .catch((e) => e);
+      expect(result).to.be.an('error');
+      expect(result.message).to.equal('site:1@main');
     });
   });
 
@@ -82,11 +68,30 @@ describe('job processors', () => {
           },
         ],
       ]);
+      sinon.stub(TimeoutBuilds, 'timeoutStagedBuilds').resolves([]);
       const result = await jobProcessors.timeoutBuilds().catch((e) => e);
       expect(result).to.be.an('error');
       expect(result.message).to.equal('1 build tasks could not be canceled:\n3: because');
     });
 
+    it('with failed staged build timeouts', async () => {
+      sinon.stub(TimeoutBuilds, 'timeoutBuilds').resolves([]);
+      sinon.stub(TimeoutBuilds, 'timeoutStagedBuilds').resolves([
+        [
+          4,
+          {
+            status: 'rejected',
+            reason: 'because',
+          },
+        ],
+      ]);
+      const result = await jobProcessors.timeoutBuilds().catch((e) => e);
+      expect(result).to.be.an('error');
+      expect(result.message).to.equal(
+        '1 staged builds could not be timed out:\n4: because',
+      );
+    });
+
     it('all builds canceled successfully', async () => {
       sinon.stub(TimeoutBuilds, 'timeoutBuilds').resolves([
         [
@@ -111,6 +116,7 @@ describe('job processors', () => {
           },
         ],
       ]);
+      sinon.stub(TimeoutBuilds, 'timeoutStagedBuilds').resolves([]);
       const result = await jobProcessors.timeoutBuilds();
       expect(result).to.not.be.an('error');
     });
@@ -225,6 +231,44 @@ describe('job processors', () => {
     });
   });
 
+  context('cleanStalePreviews', () => {
+    it('cleans the stale previews of all sites successfully', async () => {
+      sinon.stub(StalePreviewCleaner, 'cleanAllStalePreviews').resolves({
+        results: [
+          {
+            site: { id: 1 },
+            previews: [{ branch: 'old-branch', reason: 'expired' }],
+          },
+        ],
+        errors: [],
+      });
+      const result = await jobProcessors.cleanStalePreviews();
+      expect(result).to.not.be.an('error');
+    });
+
+    it('fails to clean the stale previews of a site', async () => {
+      sinon.stub(StalePreviewCleaner, 'cleanAllStalePreviews').resolves({
+        results: [
+          {
+            site: { id: 1 },
+            previews: [{ branch: 'old-branch', reason: 'expired' }],
+          },
+        ],
+        errors: [{ item: { id: 2 }, message: 'just because' }],
+      });
+
+      const result = await jobProcessors.cleanStalePreviews().catch((e) => e);
+      expect(result).to.be.an('error');
+      expect(result.message).to.equal(
+        [
+          'Stale previews cleaned with 1 removals and 1 failures.',
+          '   Removed:\n      site@id=1 old-branch (expired)',
+          '   Failures:\n      site@id=2: just because',
+        ].join('\n'),
+      );
+    });
+  });
+
   describe('multiJobProcessor', () => {
     context('when a job processor exists for the job', () => {
       it('invokes the correct job processor', async () => {
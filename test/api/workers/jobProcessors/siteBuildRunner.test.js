@@ -117,7 +117,8 @@ describe('siteBuildRunner', () => {
       expect(result.jobId).to.equal(job.id);
       expect(result.failedReason).to.equal(expectedReason);
       expect(build.state).to.equal(Build.States.Error);
-      sinon.assert.calledOnceWithExactly(stubBuildFindByPk, build.id);
+      sinon.assert.calledTwice(stubBuildFindByPk);
+      sinon.assert.alwaysCalledWithExactly(stubBuildFindByPk, build.id);
       sinon.assert.calledOnceWithExactly(stubSiteBuildQueueService, build.id);
     });
 
@@ -236,6 +237,91 @@ describe('siteBuildRunner', () => {
       sinon.assert.calledWith(stubTaskStatus, guid);
     });
 
+    it('should not start a CF Task if the build was cancelled', async () => {
+      const stubStartSiteBuildTask = sinon.stub(
+        CloudFoundryAPIClient.prototype,
+        'startSiteBuildTask',
+      );
+
+      const fb = await factory.build();
+      const build = await Build.findByPk(fb.id, buildIncludeOptions);
+      sinon.stub(SiteBuildQueue, 'setupTaskEnv').callsFake(async () => {
+        await Build.update({ state: Build.States.Cancelled }, { where: { id: fb.id } });
+        return { build, message: taskMessage(build.id) };
+      });
+
+      const job = await queue.add('sendTaskMessage', {
+        buildId: build.id,
+      });
+      const result = await promisedQueueEvents(queueEvents, 'completed');
+
+      await build.reload();
+
+      expect(result.jobId).to.equal(job.id);
+      expect(build.state).to.equal(Build.States.Cancelled);
+      sinon.assert.notCalled(stubStartSiteBuildTask);
+    });
+
+    it('should cancel the CF Task of a build cancelled while it started', async () => {
+      const guid = 'task-guid';
+      const fb = await factory.build();
+      const build = await Build.findByPk(fb.id, buildIncludeOptions);
+      sinon.stub(SiteBuildQueue, 'setupTaskEnv').resolves({
+        build,
+        message: taskMessage(build.id),
+      });
+      sinon
+        .stub(CloudFoundryAPIClient.prototype, 'startSiteBuildTask')
+        .callsFake(async () => {
+          await Build.update({ state: Build.States.Cancelled }, { where: { id: fb.id } });
+          return { guid, state: 'SUCCEEDED' };
+        });
+      const stubCancelTask = sinon
+        .stub(CloudFoundryAPIClient.prototype, 'cancelTask')
+        .resolves();
+      const stubTaskStatus = sinon.stub(
+        CloudFoundryAPIClient.prototype,
+        'fetchTaskByGuid',
+      );
+
+      const job = await queue.add('sendTaskMessage', {
+        buildId: build.id,
+      });
+      const result = await promisedQueueEvents(queueEvents, 'completed');
+
+      await build.reload();
+
+      expect(result.jobId).to.equal(job.id);
+      expect(build.state).to.equal(Build.States.Cancelled);
+      sinon.assert.calledOnceWithExactly(stubCancelTask, guid);
+      sinon.assert.notCalled(stubTaskStatus);
+    });
+
+    it('should keep a build cancelled while it was set up when it fails', async () => {
+      const stubStartSiteBuildTask = sinon.stub(
+        CloudFoundryAPIClient.prototype,
+        'startSiteBuildTask',
+      );
+
+      const build = await factory.build();
+      sinon.stub(SiteBuildQueue, 'setupTaskEnv').callsFake(async () => {
+        await build.update({ state: Build.States.Cancelled });
+        throw new Error('The bucket could not be set up');
+      });
+
+      const job = await queue.add('sendTaskMessage', {
+        buildId: build.id,
+      });
+      const result = await promisedQueueEvents(queueEvents, 'completed');
+
+      await build.reload();
+
+      expect(result.jobId).to.equal(job.id);
+      expect(build.state).to.equal(Build.States.Cancelled);
+      expect(build.error).to.not.equal('The bucket could not be set up');
+      sinon.assert.notCalled(stubStartSiteBuildTask);
+    });
+
     it('should verify or set build state error if CF Task fails', async () => {
       const guid = 'task-guid';
       const taskState = 'SUCCEEDED';
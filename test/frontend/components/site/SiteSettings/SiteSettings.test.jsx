@@ -74,7 +74,7 @@ describe('<SiteSettings/>', () => {
 
   it('should render', () => {
     expect(wrapper.exists()).to.be.true;
-    expect(wrapper.find('[title="Site engine"]')).to.have.length(1);
+    expect(wrapper.find('[title="Site engine and builds"]')).to.have.length(1);
     expect(wrapper.find('[title="Delete site"]')).to.have.length(1);
     expect(wrapper.find('ExpandableArea')).to.have.length(2);
   });
@@ -138,6 +138,16 @@ describe('buildStatusNotifier', () => {
       done();
     });
 
+    it('build is cancelled', (done) => {
+      msg.state = 'cancelled';
+      expect(buildStatusNotifier.notify.called).to.be.false;
+      pushNote = buildStatusNotifier.notify(msg);
+      expect(buildStatusNotifier.notify.calledOnce).to.be.true;
+      expect(pushNote.title).to.eql('Build Cancelled');
+      expect(pushNote.options).to.deep.eql(options);
+      done();
+    });
+
     it('build is errored', (done) => {
       msg.state = 'error';
       expect(buildStatusNotifier.notify.called).to.be.false;
@@ -156,4 +166,24 @@ describe('buildStatusNotifier', () => {
       done();
     });
   });
+
+  context('notifyReport', () => {
+    it('notifies that the report of a build task is ready', () => {
+      const report = {
+        id: 3,
+        name: 'Accessibility Scan',
+        owner: 'owner',
+        repository: 'repository',
+        branch: 'main',
+      };
+
+      const pushNote = buildStatusNotifier.notifyReport(report);
+
+      expect(pushNote.title).to.eql('Report Ready: Accessibility Scan');
+      expect(pushNote.options).to.deep.eql({
+        body: 'Site: owner/repository   Branch: main',
+        icon: '/images/favicons/favicon.ico',
+      });
+    });
+  });
 });